@@ -14,6 +14,28 @@ import CRUD6DetailGrid from './DetailGrid.vue'
 import CRUD6MasterDetailForm from './MasterDetailForm.vue'
 import CRUD6AutoLookup from './AutoLookup.vue'
 import CRUD6ToggleSwitch from './ToggleSwitch.vue'
+import CRUD6ColumnFilter from './ColumnFilter.vue'
+import CRUD6Highlight from './Highlight.vue'
+import CRUD6BulkActions from './BulkActions.vue'
+import CRUD6ExportMenu from './ExportMenu.vue'
+import CRUD6ImportWizard from './ImportWizard.vue'
+import CRUD6ColumnChooser from './ColumnChooser.vue'
+import CRUD6ListViewMenu from './ListViewMenu.vue'
+import CRUD6ListQuerySync from './ListQuerySync.vue'
+import CRUD6InlineCellEditor from './InlineCellEditor.vue'
+import CRUD6KanbanBoard from './KanbanBoard.vue'
+import CRUD6ViewSwitcher from './ViewSwitcher.vue'
+import CRUD6CalendarView from './CalendarView.vue'
+import CRUD6VirtualTable from './VirtualTable.vue'
+import CRUD6ListCell from './ListCell.vue'
+import CRUD6RowActions from './RowActions.vue'
+import CRUD6AggregateFooter from './AggregateFooter.vue'
+import CRUD6GroupHeader from './GroupHeader.vue'
+import CRUD6TreeView from './TreeView.vue'
+import CRUD6CardGrid from './CardGrid.vue'
+import CRUD6FieldLayout from './FieldLayout.vue'
+import CRUD6DraftAlert from './DraftAlert.vue'
+import CRUD6ConflictDialog from './ConflictDialog.vue'
 
 export {
     CRUD6UnifiedModal,
@@ -23,5 +45,27 @@ export {
     CRUD6DetailGrid,
     CRUD6MasterDetailForm,
     CRUD6AutoLookup,
-    CRUD6ToggleSwitch
+    CRUD6ToggleSwitch,
+    CRUD6ColumnFilter,
+    CRUD6Highlight,
+    CRUD6BulkActions,
+    CRUD6ExportMenu,
+    CRUD6ImportWizard,
+    CRUD6ColumnChooser,
+    CRUD6ListViewMenu,
+    CRUD6ListQuerySync,
+    CRUD6InlineCellEditor,
+    CRUD6KanbanBoard,
+    CRUD6ViewSwitcher,
+    CRUD6CalendarView,
+    CRUD6VirtualTable,
+    CRUD6ListCell,
+    CRUD6RowActions,
+    CRUD6AggregateFooter,
+    CRUD6GroupHeader,
+    CRUD6TreeView,
+    CRUD6CardGrid,
+    CRUD6FieldLayout,
+    CRUD6DraftAlert,
+    CRUD6ConflictDialog
 }
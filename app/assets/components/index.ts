@@ -14,3 +14,25 @@ export { default as CRUD6Info } from './CRUD6/Info.vue'
 export { default as CRUD6DetailGrid } from './CRUD6/DetailGrid.vue'
 export { default as CRUD6MasterDetailForm } from './CRUD6/MasterDetailForm.vue'
 export { default as CRUD6AutoLookup } from './CRUD6/AutoLookup.vue'
+export { default as CRUD6ColumnFilter } from './CRUD6/ColumnFilter.vue'
+export { default as CRUD6Highlight } from './CRUD6/Highlight.vue'
+export { default as CRUD6BulkActions } from './CRUD6/BulkActions.vue'
+export { default as CRUD6ExportMenu } from './CRUD6/ExportMenu.vue'
+export { default as CRUD6ImportWizard } from './CRUD6/ImportWizard.vue'
+export { default as CRUD6ColumnChooser } from './CRUD6/ColumnChooser.vue'
+export { default as CRUD6ListViewMenu } from './CRUD6/ListViewMenu.vue'
+export { default as CRUD6ListQuerySync } from './CRUD6/ListQuerySync.vue'
+export { default as CRUD6InlineCellEditor } from './CRUD6/InlineCellEditor.vue'
+export { default as CRUD6KanbanBoard } from './CRUD6/KanbanBoard.vue'
+export { default as CRUD6ViewSwitcher } from './CRUD6/ViewSwitcher.vue'
+export { default as CRUD6CalendarView } from './CRUD6/CalendarView.vue'
+export { default as CRUD6VirtualTable } from './CRUD6/VirtualTable.vue'
+export { default as CRUD6ListCell } from './CRUD6/ListCell.vue'
+export { default as CRUD6RowActions } from './CRUD6/RowActions.vue'
+export { default as CRUD6AggregateFooter } from './CRUD6/AggregateFooter.vue'
+export { default as CRUD6GroupHeader } from './CRUD6/GroupHeader.vue'
+export { default as CRUD6TreeView } from './CRUD6/TreeView.vue'
+export { default as CRUD6CardGrid } from './CRUD6/CardGrid.vue'
+export { default as CRUD6FieldLayout } from './CRUD6/FieldLayout.vue'
+export { default as CRUD6DraftAlert } from './CRUD6/DraftAlert.vue'
+export { default as CRUD6ConflictDialog } from './CRUD6/ConflictDialog.vue'
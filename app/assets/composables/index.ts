@@ -10,11 +10,30 @@
 export { useCRUD6Api } from './useCRUD6Api'
 export { useCRUD6sApi } from './useCRUD6sApi'
 export { useCRUD6Schema } from './useCRUD6Schema'
+export { useCRUD6Permissions } from './useCRUD6Permissions'
 export { useCRUD6Relationships } from './useCRUD6Relationships'
 export { useMasterDetail } from './useMasterDetail'
-export { useCRUD6Actions, isPasswordFieldAction } from './useCRUD6Actions'
+export { useCRUD6Actions, isPasswordFieldAction, updateRecordField, deleteRecord, callRecordAction } from './useCRUD6Actions'
 export { useCRUD6FieldRenderer } from './useCRUD6FieldRenderer'
 export { useCRUD6Breadcrumbs } from './useCRUD6Breadcrumbs'
+export { useCRUD6BulkActions, getBulkActions, BULK_CONCURRENCY } from './useCRUD6BulkActions'
+export { useCRUD6Export, formatExportValue, EXPORT_PAGE_SIZE } from './useCRUD6Export'
+export { useCRUD6Import, getImportFields, autoMapColumns, normalizeImportValue, validateImportRecord, IMPORT_BATCH_SIZE } from './useCRUD6Import'
+export { useCRUD6ListViews, applyColumnLayout } from './useCRUD6ListViews'
+export { useCRUD6ListQuery, serializeListState, parseListQuery, hasListQuery } from './useCRUD6ListQuery'
+export { useCRUD6InlineEdit, getInlineEditFields, toInlineEditValue, fromInlineEditValue } from './useCRUD6InlineEdit'
+export { useCRUD6Kanban, getKanbanColumnKey, KANBAN_PAGE_SIZE } from './useCRUD6Kanban'
+export { useCRUD6Calendar, getCalendarDays, parseCalendarDate, formatCalendarDate, toDayKey, CALENDAR_PAGE_SIZE } from './useCRUD6Calendar'
+export { useCRUD6Tree, getTreeKey, TREE_PAGE_SIZE } from './useCRUD6Tree'
+export { useCRUD6Aggregates, formatAggregate, getGroupSpan, findGroup } from './useCRUD6Aggregates'
+export { useCRUD6VirtualList, getVirtualRange, VIRTUAL_LIST_PAGE_SIZE, VIRTUAL_LIST_ROW_HEIGHT, VIRTUAL_LIST_MAX_PAGES, VIRTUAL_LIST_OVERSCAN } from './useCRUD6VirtualList'
+export { useCRUD6MediaQuery, SMALL_SCREEN_QUERY } from './useCRUD6MediaQuery'
+export { useCRUD6FormSteps } from './useCRUD6FormSteps'
+export { useCRUD6FormDraft, getDraftOmittedFields, FORM_DRAFT_STORAGE_PREFIX, FORM_DRAFT_DELAY } from './useCRUD6FormDraft'
+export { useCRUD6DirtyState, isSameFieldValue } from './useCRUD6DirtyState'
+export { useCRUD6Conflict, getVersionField, isConflictResponse, getConflictFields, VERSION_PARAM } from './useCRUD6Conflict'
+export { useCRUD6Layout, getLayoutGridClass, getLayoutSpanClass, LAYOUT_REST_SECTION } from './useCRUD6Layout'
+export { useCRUD6Filters, getFilterWidget, getFilterOptions, encodeRangeFilter, decodeRangeFilter } from './useCRUD6Filters'
 
 // CRUD6 Validation Adapters
 export { useCRUD6RegleAdapter, convertCRUD6ToRegleRules } from './useCRUD6ValidationAdapter'
@@ -22,7 +41,29 @@ export { useCRUD6RegleAdapter, convertCRUD6ToRegleRules } from './useCRUD6Valida
 export { useCRUD6ToUFSchemaConverter, convertCRUD6ToUFValidatorFormat } from './useCRUD6ValidationAdapter'
 
 // Export schema types for external use
-export type { CRUD6Schema, SchemaField, DetailConfig, DetailEditableConfig, ActionConfig, ModalConfig, ModalButtonConfig } from './useCRUD6Schema'
+export type { CRUD6Schema, SchemaField, DetailConfig, DetailEditableConfig, ActionConfig, ModalConfig, ModalButtonConfig, KanbanColumnConfig, KanbanViewConfig, CalendarViewConfig, ScrollViewConfig, TreeViewConfig, GridViewConfig, ListViewsConfig, FormStepConfig, LayoutConfig, LayoutSectionConfig, LayoutTabConfig, LayoutFieldConfig, AggregateFunction, AggregateConfig, GroupByConfig } from './useCRUD6Schema'
+
+// Export permission types
+export type { CRUD6PermissionAction } from './useCRUD6Permissions'
+
+// Export column filter types
+export type { CRUD6ColumnFilter, CRUD6FilterOption, CRUD6FilterWidget } from './useCRUD6Filters'
+
+// Export bulk action types
+export type { CRUD6BulkAction, CRUD6BulkResult, CRUD6RecordId } from './useCRUD6BulkActions'
+export type { CRUD6LookupLabels } from './useCRUD6Export'
+export type { CRUD6ImportRow, CRUD6ImportResult } from './useCRUD6Import'
+export type { CRUD6ListView, CRUD6ColumnLayout } from './useCRUD6ListViews'
+export type { CRUD6ListState } from './useCRUD6ListQuery'
+export type { CRUD6InlineEditCell } from './useCRUD6InlineEdit'
+export type { CRUD6KanbanColumn } from './useCRUD6Kanban'
+export type { CRUD6CalendarDay, CRUD6CalendarMode } from './useCRUD6Calendar'
+export type { CRUD6VirtualRow } from './useCRUD6VirtualList'
+export type { CRUD6TreeLevel, CRUD6TreeNode } from './useCRUD6Tree'
+export type { CRUD6FormStep } from './useCRUD6FormSteps'
+export type { CRUD6FormDraft } from './useCRUD6FormDraft'
+export type { CRUD6Conflict, CRUD6ConflictField } from './useCRUD6Conflict'
+export type { CRUD6LayoutSection, CRUD6LayoutTab } from './useCRUD6Layout'
 
 // Export master-detail types
 export type { DetailRecord, MasterDetailSaveRequest, MasterDetailSaveResponse } from './useMasterDetail'
@@ -6,10 +6,11 @@
  * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
  */
 
-import { ref } from 'vue'
+import { ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
 import { useRouter } from 'vue-router'
 import axios from 'axios'
-import { useCRUD6Api } from './useCRUD6Api'
+import type { CRUD6DeleteResponse, CRUD6EditResponse } from '../interfaces'
 import type { ActionConfig } from './useCRUD6Schema'
 import { Severity, type ApiErrorResponse } from '@userfrosting/sprinkle-core/interfaces'
 import { useAlertsStore, useTranslator } from '@userfrosting/sprinkle-core/stores'
@@ -53,6 +54,59 @@ export function isPasswordFieldAction(action: ActionConfig, field?: string | nul
            action.type === 'password_update'
 }
 
+/**
+ * Save one field of a record (`PUT /api/crud6/{model}/{id}/{field}`).
+ *
+ * A plain request, without the form schema and state of useCRUD6Api, for
+ * callers that only update fields (actions, board and calendar moves). Errors
+ * are the axios errors, with the API error in `response.data`.
+ */
+export async function updateRecordField(model: string, id: string | number, field: string, value: any): Promise<CRUD6EditResponse> {
+    debugLog('[useCRUD6Actions] Updating field', { model, id, field })
+    const response = await axios.put<CRUD6EditResponse>(`/api/crud6/${model}/${id}/${field}`, { [field]: value })
+    return response.data
+}
+
+/**
+ * Delete a record (`DELETE /api/crud6/{model}/{id}`).
+ *
+ * A plain request like updateRecordField, for callers that report the
+ * outcome themselves (bulk actions).
+ */
+export async function deleteRecord(model: string, id: string | number): Promise<CRUD6DeleteResponse> {
+    debugLog('[useCRUD6Actions] Deleting record', { model, id })
+    const response = await axios.delete<CRUD6DeleteResponse>(`/api/crud6/${model}/${id}`)
+    return response.data
+}
+
+/**
+ * Call the endpoint of an `api_call` action for one record.
+ *
+ * The endpoint is `action.endpoint` with `{id}` replaced, or
+ * `/api/crud6/{model}/{id}/a/{actionKey}` when the action has none. A plain
+ * request like updateRecordField, without the success alert of the composable.
+ */
+export async function callRecordAction(model: string | undefined, action: ActionConfig, id: string | number): Promise<any> {
+    let endpoint: string
+    if (action.endpoint) {
+        endpoint = action.endpoint.replace('{id}', String(id))
+    } else if (model) {
+        endpoint = `/api/crud6/${model}/${id}/a/${action.key}`
+    } else {
+        throw new Error('API call action requires either an endpoint property or model context')
+    }
+
+    debugLog('[useCRUD6Actions] Calling action endpoint', { key: action.key, endpoint })
+    const response = await axios.request({
+        method: action.method || 'POST',
+        url: endpoint,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    })
+    return response.data
+}
+
 /**
  * Vue composable for executing custom CRUD6 actions.
  * 
@@ -75,7 +129,8 @@ export function isPasswordFieldAction(action: ActionConfig, field?: string | nul
  * - `loading` - Boolean indicating if an action is being executed
  * - `error` - Error response from the last failed action, or null
  *
- * @param model - Optional model name for route navigation and API calls
+ * @param model - Model name for field updates, route navigation and API calls
+ *                (ref, getter or plain value, read when an action runs)
  * @returns Object with reactive state and action methods
  *
  * @example
@@ -146,9 +201,8 @@ export function isPasswordFieldAction(action: ActionConfig, field?: string | nul
  * rather than using native browser confirm(). Use executeActionWithoutConfirm() when
  * the component handles confirmation.
  */
-export function useCRUD6Actions(model?: string) {
+export function useCRUD6Actions(model?: MaybeRefOrGetter<string | undefined>) {
     const router = useRouter()
-    const { updateField } = useCRUD6Api()
     const alertsStore = useAlertsStore()
     const translator = useTranslator()
     
@@ -213,7 +267,7 @@ export function useCRUD6Actions(model?: string) {
             // schema context, which happens in the Info.vue component before calling this.
             // For executions that go through Info.vue, the action is already enriched.
             // This additional enrichment ensures consistent behavior for direct calls.
-            const enrichedAction = getEnrichedAction(action, undefined, model)
+            const enrichedAction = getEnrichedAction(action, undefined, toValue(model))
             
             switch (enrichedAction.type) {
                 case 'field_update':
@@ -316,13 +370,14 @@ export function useCRUD6Actions(model?: string) {
             return false
         }
 
-        if (!updateField) {
-            debugError('updateField function not available')
+        const modelName = toValue(model)
+        if (!modelName) {
+            debugError('Field update action requires model to be specified in useCRUD6Actions')
             return false
         }
 
         try {
-            await updateField(String(recordId), field, newValue)
+            await updateRecordField(modelName, recordId, field, newValue)
             
             // Show success message - translate if it's a translation key
             const actionLabel = action.label || `Update ${field}`
@@ -354,14 +409,15 @@ export function useCRUD6Actions(model?: string) {
             return false
         }
 
-        if (!model) {
+        const modelName = toValue(model)
+        if (!modelName) {
             debugError('Route action requires model to be specified in useCRUD6Actions')
             return false
         }
 
         router.push({
             name: action.route,
-            params: { id: String(recordId), model: model }
+            params: { id: String(recordId), model: modelName }
         })
 
         return true
@@ -379,28 +435,13 @@ export function useCRUD6Actions(model?: string) {
         action: ActionConfig,
         recordId: string | number
     ): Promise<boolean> {
-        // Auto-generate endpoint if not provided
-        let endpoint: string
-        if (action.endpoint) {
-            endpoint = action.endpoint.replace('{id}', String(recordId))
-        } else if (model) {
-            // Infer endpoint from model and action key
-            endpoint = `/api/crud6/${model}/${recordId}/a/${action.key}`
-        } else {
+        if (!action.endpoint && !toValue(model)) {
             debugError('API call action requires either an endpoint property or model context')
             return false
         }
 
-        const method = action.method || 'POST'
-        
         try {
-            await axios.request({
-                method,
-                url: endpoint,
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            })
+            await callRecordAction(toValue(model), action, recordId)
 
             // Show success message - translate if it's a translation key
             const successMsg = action.success_message 
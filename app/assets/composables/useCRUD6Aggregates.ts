@@ -0,0 +1,102 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import type { CRUD6AggregateValues, CRUD6GroupSubtotal } from '../interfaces'
+import type { AggregateConfig, GroupByConfig, SchemaField } from './useCRUD6Schema'
+
+/**
+ * Format an aggregate value: counts as integers, other numbers with at most
+ * two decimals, dates and strings (min / max) as they are
+ */
+export function formatAggregate(value: any, fn: string): string {
+    if (value === null || value === undefined || value === '') {
+        return '—'
+    }
+    const number = Number(value)
+    if (Number.isNaN(number)) {
+        return String(value)
+    }
+    return new Intl.NumberFormat(undefined, { maximumFractionDigits: fn === 'count' ? 0 : 2 }).format(number)
+}
+
+/**
+ * Rows spanned by the group cell of `index`: the rows following it with the
+ * same group value, or 0 when the row continues the group of the previous row
+ */
+export function getGroupSpan(rows: Record<string, any>[], index: number, field: string): number {
+    const value = rows[index]?.[field]
+    if (index > 0 && rows[index - 1]?.[field] === value) {
+        return 0
+    }
+    let span = 1
+    while (index + span < rows.length && rows[index + span][field] === value) {
+        span++
+    }
+    return span
+}
+
+/**
+ * Subtotals of the group of a value (the values of the response are compared as strings)
+ */
+export function findGroup(groups: CRUD6GroupSubtotal[], value: any): CRUD6GroupSubtotal | undefined {
+    return groups.find(group => (group.value === null ? value === null || value === undefined : String(group.value) === String(value)))
+}
+
+/**
+ * Sprunje response carrying the aggregations (`aggregates`) and group subtotals (`groups`)
+ */
+type AggregatesResponse = { aggregates?: CRUD6AggregateValues, groups?: CRUD6GroupSubtotal[] } | null | undefined
+
+/**
+ * List aggregations and group subtotals
+ *
+ * Reads the `aggregates` and `group_by` of the list context; the values come
+ * with each sprunje response (`aggregates` over the filtered records, `groups`
+ * for the groups of the page). Aggregations of fields the user can't view are
+ * left out.
+ *
+ * @param listContext  List context of the schema
+ * @param canViewField Field permission check (useCRUD6Permissions)
+ */
+export function useCRUD6Aggregates(
+    listContext: MaybeRefOrGetter<{ aggregates?: Record<string, AggregateConfig>, group_by?: GroupByConfig } | undefined>,
+    canViewField: (field?: SchemaField | null) => boolean = () => true
+) {
+    const aggregateFields = computed<[string, AggregateConfig][]>(() =>
+        Object.entries(toValue(listContext)?.aggregates || {}).filter(([, config]) =>
+            config.functions.length > 0 && canViewField(config as SchemaField)
+        )
+    )
+
+    const groupBy = computed<GroupByConfig | undefined>(() => toValue(listContext)?.group_by)
+
+    function totalsOf(response: AggregatesResponse): CRUD6AggregateValues {
+        return response?.aggregates || {}
+    }
+
+    /**
+     * Rows spanned by the group cell of a row of the page (0: no group cell)
+     */
+    function groupSpan(rows: Record<string, any>[], row: Record<string, any>): number {
+        return groupBy.value ? getGroupSpan(rows, rows.indexOf(row), groupBy.value.field) : 0
+    }
+
+    function groupOf(response: AggregatesResponse, row: Record<string, any>): CRUD6GroupSubtotal | undefined {
+        return groupBy.value ? findGroup(response?.groups || [], row[groupBy.value.field]) : undefined
+    }
+
+    return {
+        aggregateFields,
+        groupBy,
+        totalsOf,
+        groupSpan,
+        groupOf
+    }
+}
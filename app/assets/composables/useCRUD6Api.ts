@@ -21,6 +21,9 @@ import type {
 } from '../interfaces'
 import { useAlertsStore } from '@userfrosting/sprinkle-core/stores'
 import { useCRUD6RegleAdapter } from './useCRUD6ValidationAdapter'
+import { useCRUD6FormDraft, getDraftOmittedFields } from './useCRUD6FormDraft'
+import { useCRUD6Permissions } from './useCRUD6Permissions'
+import { VERSION_PARAM } from './useCRUD6Conflict'
 import { useRoute } from 'vue-router'
 import { useCRUD6SchemaStore } from '../stores/useCRUD6SchemaStore'
 import { debugLog, debugWarn, debugError } from '../utils/debug'
@@ -36,6 +39,9 @@ import { debugLog, debugWarn, debugError } from '../utils/debug'
  * - `GET    /api/crud6/{model}/{id}`        → CRUD6Response (single record)
  * - `POST   /api/crud6/{model}`             → CRUD6CreateResponse (create)
  * - `PUT    /api/crud6/{model}/{id}`        → CRUD6EditResponse (full update)
+ * - `PATCH  /api/crud6/{model}/{id}`        → CRUD6EditResponse (update of the fields sent)
+ *   (both updates take the `_version` of the loaded record, and answer
+ *   CRUD6ConflictResponse with a 409 if the record changed since)
  * - `PUT    /api/crud6/{model}/{id}/{field}` → CRUD6EditResponse (field update)
  * - `DELETE /api/crud6/{model}/{id}`        → CRUD6DeleteResponse (delete)
  *
@@ -45,6 +51,8 @@ import { debugLog, debugWarn, debugError } from '../utils/debug'
  * - `formData` - Reactive form data object for create/update operations
  * - `r$` - Regle validation state for formData
  * - `slugLocked` - Boolean controlling automatic slug generation from name
+ * - `draft` - Local draft of the form data offered for restore (see `trackDraft()`),
+ *   cleared once the record is created or updated
  *
  * @param modelName - Optional model name. If not provided, uses route.params.model
  * @returns Object with reactive state and CRUD methods
@@ -75,6 +83,9 @@ import { debugLog, debugWarn, debugError } from '../utils/debug'
  * // Update an existing record
  * await updateRow('123', { name: 'Jane Doe' })
  * 
+ * // Update only the changed fields
+ * await patchRow('123', { email: 'jane@example.com' })
+ * 
  * // Update a single field
  * await updateField('123', 'status', 'active')
  * 
@@ -163,7 +174,18 @@ export function useCRUD6Api(modelName?: string) {
     // YAML-based adapter to prevent unnecessary YAML imports (register.yaml, login.yaml, etc.)
     // Backend validation in PHP remains unchanged and continues to use ServerSideValidator
     const adapter = useCRUD6RegleAdapter()
-    const { r$ } = useRegle(formData, adapter.adapt(loadSchema()))
+    const schemaPromise = loadSchema()
+    // Field conditions (visible_when, required_when, disabled_when) read the form data
+    const { r$ } = useRegle(formData, adapter.adapt(schemaPromise, () => formData.value))
+
+    // Local drafts of the form data, cleared once the record is saved
+    // Passwords, sensitive and restricted fields are never written to the storage
+    const { canEditField } = useCRUD6Permissions(null, model)
+    const draftOmittedFields = ref<string[]>([])
+    schemaPromise.then((schema: any) => {
+        draftOmittedFields.value = getDraftOmittedFields(schema?.fields, canEditField)
+    })
+    const formDraft = useCRUD6FormDraft(model, formData, { omit: draftOmittedFields })
 
     async function fetchRow(id: string) {
         const url = `/api/crud6/${model}/${toValue(id)}`
@@ -298,6 +320,7 @@ export function useCRUD6Api(modelName?: string) {
                     description: response.data.description,
                     style: Severity.Success
                 })
+                formDraft.clear()
             })
             .catch((err) => {
                 debugError('[useCRUD6Api] ===== CREATE ROW REQUEST FAILED =====', {
@@ -323,23 +346,32 @@ export function useCRUD6Api(modelName?: string) {
             })
     }
 
-    async function updateRow(id: string, data: CRUD6EditRequest) {
+    /**
+     * Update a record: PUT sends the whole record, PATCH only the changed fields.
+     * The version of the loaded record, when given, lets the server refuse the
+     * update with a 409 conflict if the record changed since.
+     */
+    async function sendUpdate(method: 'put' | 'patch', id: string, data: CRUD6EditRequest, version?: any) {
         const url = `/api/crud6/${model}/${id}`
+        if (version !== undefined && version !== null) {
+            data = { ...data, [VERSION_PARAM]: version }
+        }
         debugLog('[useCRUD6Api] ===== UPDATE ROW REQUEST START =====', {
             model,
             id,
+            method,
             url,
             data,
         })
 
         apiLoading.value = true
         apiError.value = null
-        return axios
-            .put<CRUD6EditResponse>(url, data)
+        return axios[method]<CRUD6EditResponse>(url, data)
             .then((response) => {
                 debugLog('[useCRUD6Api] Update row response received', {
                     model,
                     id,
+                    method,
                     status: response.status,
                     data: response.data,
                     title: response.data.title,
@@ -351,11 +383,13 @@ export function useCRUD6Api(modelName?: string) {
                     description: response.data.description,
                     style: Severity.Success
                 })
+                formDraft.clear(id)
             })
             .catch((err) => {
                 debugError('[useCRUD6Api] ===== UPDATE ROW REQUEST FAILED =====', {
                     model,
                     id,
+                    method,
                     url,
                     requestData: data,
                     error: err,
@@ -379,6 +413,14 @@ export function useCRUD6Api(modelName?: string) {
             })
     }
 
+    async function updateRow(id: string, data: CRUD6EditRequest, version?: any) {
+        return sendUpdate('put', id, data, version)
+    }
+
+    async function patchRow(id: string, data: CRUD6EditRequest, version?: any) {
+        return sendUpdate('patch', id, data, version)
+    }
+
     async function updateField(id: string, field: string, value: any) {
         const url = `/api/crud6/${model}/${id}/${field}`
         debugLog('[useCRUD6Api] ===== UPDATE FIELD REQUEST START =====', {
@@ -519,6 +561,7 @@ export function useCRUD6Api(modelName?: string) {
         fetchRows,
         createRow,
         updateRow,
+        patchRow,
         updateField,
         deleteRow,
         apiLoading,
@@ -527,6 +570,10 @@ export function useCRUD6Api(modelName?: string) {
         r$,
         resetForm,
         slugLocked,
-        recordBreadcrumb  // Expose breadcrumb data
+        recordBreadcrumb,  // Expose breadcrumb data
+        draft: formDraft.draft,
+        trackDraft: formDraft.track,
+        restoreDraft: formDraft.restore,
+        discardDraft: formDraft.discard
     }
 }
@@ -9,6 +9,7 @@
 import { nextTick, getCurrentInstance } from 'vue'
 import { useRoute } from 'vue-router'
 import { usePageMeta } from '@userfrosting/sprinkle-core/stores'
+import type { CRUD6TreeAncestor } from '../interfaces'
 import { debugLog, debugWarn } from '../utils/debug'
 
 /**
@@ -351,12 +352,19 @@ export function useCRUD6Breadcrumbs() {
      * @param modelTitle - The title from schema (e.g., "Users")
      * @param recordTitle - The title of the specific record (e.g., "John Doe")
      * @param listPath - Optional path to the list page for the model breadcrumb
+     * @param ancestors - Ancestors of a tree record (root first), shown between the model and the record
      */
-    async function setDetailBreadcrumbs(modelTitle: string, recordTitle: string, listPath?: string): Promise<void> {
+    async function setDetailBreadcrumbs(
+        modelTitle: string,
+        recordTitle: string,
+        listPath?: string,
+        ancestors: CRUD6TreeAncestor[] = []
+    ): Promise<void> {
         debugLog('[useCRUD6Breadcrumbs.setDetailBreadcrumbs] ===== CALLED =====', {
             modelTitle,
             recordTitle,
             listPath,
+            ancestors: ancestors.length,
             currentPath: route.path,
         })
         
@@ -435,6 +443,19 @@ export function useCRUD6Breadcrumbs() {
             })
         }
         
+        // Ancestors of a tree record go right before the record, replacing crumbs left by an earlier record
+        if (ancestors.length > 0) {
+            const basePath = listPath || `/crud6/${route.params.model}`
+            const ancestorCrumbs = ancestors.map(ancestor => ({ label: ancestor.breadcrumb, to: `${basePath}/${ancestor.id}` }))
+            const kept = updatedCrumbs.filter(crumb => !crumb.to.startsWith(`${basePath}/`) || crumb.to === currentPath)
+            const recordIndex = kept.findIndex(crumb => crumb.to === currentPath)
+            kept.splice(recordIndex >= 0 ? recordIndex : kept.length, 0, ...ancestorCrumbs)
+            updatedCrumbs.splice(0, updatedCrumbs.length, ...kept)
+            debugLog('[useCRUD6Breadcrumbs.setDetailBreadcrumbs] Added ancestor breadcrumbs', {
+                added: ancestorCrumbs
+            })
+        }
+        
         // If we didn't find the record breadcrumb, add it
         if (!foundRecordCrumb && recordTitle) {
             updatedCrumbs.push({ label: recordTitle, to: currentPath })
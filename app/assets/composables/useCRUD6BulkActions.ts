@@ -0,0 +1,318 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { ref, computed, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import type { Sprunjer } from '@userfrosting/sprinkle-core/interfaces'
+import type { CRUD6SprunjerResponse } from '../interfaces'
+import type { ActionConfig } from './useCRUD6Schema'
+import { isPasswordFieldAction, updateRecordField, deleteRecord, callRecordAction } from './useCRUD6Actions'
+import { inferFieldFromKey } from '../utils/actionInference'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Number of records processed at the same time by a bulk action
+ */
+export const BULK_CONCURRENCY = 4
+
+/**
+ * Number of record IDs fetched per request when selecting every filtered record
+ */
+export const BULK_SELECT_PAGE_SIZE = 500
+
+/**
+ * Most records "select all" selects at once
+ */
+export const BULK_SELECTION_MAX = 5000
+
+export type CRUD6RecordId = string | number
+
+/**
+ * Bulk variant of a schema action.
+ *
+ * Toggle actions get two variants (`value` true / false) so every selected
+ * record ends up in the same state instead of flipping each one.
+ */
+export interface CRUD6BulkAction {
+    key: string
+    action: ActionConfig
+    /** Field written by field_update actions */
+    field?: string
+    /** Value written by field_update actions */
+    value?: any
+}
+
+/**
+ * Outcome of a bulk action for one record
+ */
+export interface CRUD6BulkResult {
+    id: CRUD6RecordId
+    success: boolean
+    message?: string
+}
+
+/**
+ * Build the bulk variants of schema actions.
+ *
+ * Supported: `delete`, `field_update` with a `value` or `toggle` (password
+ * updates excluded) and `api_call`. Actions can opt out with `bulk: false`.
+ */
+export function getBulkActions(actions: ActionConfig[]): CRUD6BulkAction[] {
+    const bulkActions: CRUD6BulkAction[] = []
+
+    for (const action of actions) {
+        if (action.bulk === false) {
+            continue
+        }
+
+        if (action.type === 'delete' || action.type === 'api_call') {
+            bulkActions.push({ key: action.key, action })
+            continue
+        }
+
+        if (action.type !== 'field_update') {
+            continue
+        }
+
+        const field = action.field || inferFieldFromKey(action.key)
+        if (!field || isPasswordFieldAction(action, field)) {
+            continue
+        }
+
+        if (action.toggle) {
+            bulkActions.push({ key: `${action.key}:on`, action, field, value: true })
+            bulkActions.push({ key: `${action.key}:off`, action, field, value: false })
+        } else if (action.value !== undefined) {
+            bulkActions.push({ key: action.key, action, field, value: action.value })
+        }
+    }
+
+    return bulkActions
+}
+
+/**
+ * Vue composable for row selection and bulk actions in lists.
+ *
+ * Selection is kept as record IDs, so it survives paging, sorting and
+ * filtering. Bulk actions call the same per-record endpoints as the row
+ * actions (the backend checks permissions for every record), a few records
+ * at a time, and collect a per-record success/failure result.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param primaryKey - Primary key of the model (default `id`)
+ * @param translate - Translator for the selection error messages
+ * @returns Selection state, bulk action runner and progress
+ *
+ * @example
+ * ```typescript
+ * const { selectedIds, toggleSelection, runBulkAction, progress, summary } = useCRUD6BulkActions(model)
+ *
+ * const bulkActions = computed(() => getBulkActions(rowActions.value))
+ * await runBulkAction(bulkActions.value[0])
+ * ```
+ */
+export function useCRUD6BulkActions(
+    model: MaybeRefOrGetter<string>,
+    primaryKey: MaybeRefOrGetter<string | undefined> = 'id',
+    translate: (key: string, params?: Record<string, any>) => string = key => key
+) {
+    const selectedIds = ref<CRUD6RecordId[]>([])
+    const selectingAll = ref(false)
+    const selectionError = ref<string | null>(null)
+    const running = ref(false)
+    const progress = ref({ done: 0, total: 0 })
+    const results = ref<CRUD6BulkResult[]>([])
+
+    const selectedCount = computed(() => selectedIds.value.length)
+
+    const summary = computed(() => ({
+        succeeded: results.value.filter(result => result.success).length,
+        failed: results.value.filter(result => !result.success).length
+    }))
+
+    const failures = computed(() => results.value.filter(result => !result.success))
+
+    function getId(row: Record<string, any>): CRUD6RecordId {
+        return row[toValue(primaryKey) || 'id']
+    }
+
+    function isSelected(id: CRUD6RecordId): boolean {
+        return selectedIds.value.includes(id)
+    }
+
+    function toggleSelection(id: CRUD6RecordId, selected = !isSelected(id)): void {
+        if (selected && !isSelected(id)) {
+            selectedIds.value = [...selectedIds.value, id]
+        } else if (!selected) {
+            selectedIds.value = selectedIds.value.filter(selectedId => selectedId !== id)
+        }
+    }
+
+    /**
+     * Check if every given row (e.g. the current page) is selected
+     */
+    function areAllSelected(rows: Record<string, any>[]): boolean {
+        return rows.length > 0 && rows.every(row => isSelected(getId(row)))
+    }
+
+    /**
+     * Select or deselect every given row (e.g. the current page)
+     */
+    function toggleRows(rows: Record<string, any>[], selected = !areAllSelected(rows)): void {
+        const ids = rows.map(getId)
+        selectedIds.value = selected
+            ? [...new Set([...selectedIds.value, ...ids])]
+            : selectedIds.value.filter(id => !ids.includes(id))
+    }
+
+    function clearSelection(): void {
+        selectedIds.value = []
+        selectionError.value = null
+    }
+
+    /**
+     * Select every record matching the current sprunjer filters, on all pages.
+     *
+     * Only the primary keys are fetched (`context=ids`), page by page, sorted
+     * by the primary key so that the pages don't overlap or skip records.
+     * More than `BULK_SELECTION_MAX` records are refused, keeping the selection.
+     */
+    async function selectAllFiltered(sprunjer: Pick<Sprunjer, 'filters' | 'countFiltered'>): Promise<void> {
+        selectionError.value = null
+        if (sprunjer.countFiltered.value > BULK_SELECTION_MAX) {
+            selectionError.value = translate('CRUD6.BULK.TOO_MANY', { count: sprunjer.countFiltered.value, max: BULK_SELECTION_MAX })
+            return
+        }
+
+        selectingAll.value = true
+        try {
+            const key = toValue(primaryKey) || 'id'
+            const ids: CRUD6RecordId[] = []
+            for (let page = 0; ; page++) {
+                const response = await axios.get<CRUD6SprunjerResponse>(`/api/crud6/${toValue(model)}`, {
+                    params: {
+                        filters: sprunjer.filters.value,
+                        sorts: { [key]: 'asc' },
+                        size: BULK_SELECT_PAGE_SIZE,
+                        page,
+                        context: 'ids'
+                    }
+                })
+
+                const pageRows = response.data.rows || []
+                ids.push(...pageRows.map(getId))
+                const total = response.data.count_filtered ?? ids.length
+
+                // Records added since the count was shown
+                if (total > BULK_SELECTION_MAX) {
+                    selectionError.value = translate('CRUD6.BULK.TOO_MANY', { count: total, max: BULK_SELECTION_MAX })
+                    return
+                }
+                if (pageRows.length < BULK_SELECT_PAGE_SIZE || ids.length >= total) {
+                    break
+                }
+            }
+            // Records added while paging can still shift a row onto the next page
+            selectedIds.value = [...new Set(ids)]
+            debugLog('[useCRUD6BulkActions] Selected all filtered records', { count: selectedIds.value.length })
+        } catch (error) {
+            debugError('[useCRUD6BulkActions] Failed to select all filtered records', error)
+        } finally {
+            selectingAll.value = false
+        }
+    }
+
+    /**
+     * Run the request of a bulk action for one record, with the same
+     * helpers as the row actions
+     */
+    function request(bulkAction: CRUD6BulkAction, id: CRUD6RecordId): Promise<unknown> {
+        const { action } = bulkAction
+
+        switch (action.type) {
+            case 'delete':
+                return deleteRecord(toValue(model), id)
+            case 'field_update':
+                return updateRecordField(toValue(model), id, bulkAction.field as string, bulkAction.value)
+            default:
+                return callRecordAction(toValue(model), action, id)
+        }
+    }
+
+    /**
+     * Run a bulk action against the selected records (or the given IDs).
+     *
+     * Records that succeed are removed from the selection; failed ones stay
+     * selected so the action can be retried.
+     */
+    async function runBulkAction(bulkAction: CRUD6BulkAction, ids: CRUD6RecordId[] = selectedIds.value): Promise<CRUD6BulkResult[]> {
+        const queue = [...ids]
+        const collected: CRUD6BulkResult[] = []
+
+        running.value = true
+        results.value = []
+        progress.value = { done: 0, total: queue.length }
+        debugLog('[useCRUD6BulkActions] Running bulk action', { key: bulkAction.key, count: queue.length })
+
+        async function worker() {
+            while (queue.length > 0) {
+                const id = queue.shift() as CRUD6RecordId
+                try {
+                    await request(bulkAction, id)
+                    collected.push({ id, success: true })
+                } catch (error: any) {
+                    const data = error?.response?.data
+                    collected.push({ id, success: false, message: data?.description || data?.title || error?.message })
+                }
+                progress.value = { ...progress.value, done: progress.value.done + 1 }
+            }
+        }
+
+        try {
+            await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, queue.length) }, worker))
+        } finally {
+            running.value = false
+        }
+
+        results.value = collected
+        const succeeded = collected.filter(result => result.success).map(result => result.id)
+        selectedIds.value = selectedIds.value.filter(id => !succeeded.includes(id))
+        debugLog('[useCRUD6BulkActions] Bulk action finished', { key: bulkAction.key, ...summary.value })
+
+        return collected
+    }
+
+    /**
+     * Forget the results of the last bulk action
+     */
+    function clearResults(): void {
+        results.value = []
+        progress.value = { done: 0, total: 0 }
+    }
+
+    return {
+        selectedIds,
+        selectedCount,
+        selectingAll,
+        selectionError,
+        isSelected,
+        toggleSelection,
+        areAllSelected,
+        toggleRows,
+        clearSelection,
+        selectAllFiltered,
+        running,
+        progress,
+        results,
+        summary,
+        failures,
+        runBulkAction,
+        clearResults
+    }
+}
@@ -0,0 +1,355 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import { useAlertsStore } from '@userfrosting/sprinkle-core/stores'
+import { Severity } from '@userfrosting/sprinkle-core/interfaces'
+import type { CRUD6EditResponse, CRUD6SprunjerResponse } from '../interfaces'
+import type { CalendarViewConfig } from './useCRUD6Schema'
+import { updateRecordField } from './useCRUD6Actions'
+import { encodeRangeFilter } from './useCRUD6Filters'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Records fetched per request while loading the visible range
+ */
+export const CALENDAR_PAGE_SIZE = 500
+
+export type CRUD6CalendarMode = 'month' | 'week' | 'day'
+
+/**
+ * Day of the visible range with its events
+ */
+export interface CRUD6CalendarDay {
+    /** `YYYY-MM-DD` */
+    key: string
+    date: Date
+    /** Outside the current month (month mode, leading / trailing days) */
+    outside: boolean
+    events: Record<string, any>[]
+}
+
+function pad(value: number): string {
+    return String(value).padStart(2, '0')
+}
+
+/**
+ * Day key (`YYYY-MM-DD`) of a date, in local time
+ */
+export function toDayKey(date: Date): string {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Parse a record date (`YYYY-MM-DD`, `YYYY-MM-DD HH:MM[:SS]` or ISO) as local time
+ */
+export function parseCalendarDate(value: any): Date | null {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value ?? ''))
+    if (!match) {
+        return null
+    }
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0'] = match
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds))
+}
+
+/**
+ * Format a date as a record value of a date or datetime field
+ */
+export function formatCalendarDate(date: Date, type = 'date'): string {
+    const day = toDayKey(date)
+    return type === 'datetime'
+        ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+        : day
+}
+
+/**
+ * Days shown for a mode around a date: the weeks (Monday to Sunday) of its
+ * month, its week, or the day itself
+ */
+export function getCalendarDays(mode: CRUD6CalendarMode, date: Date): Date[] {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+    if (mode === 'day') {
+        return [day]
+    }
+
+    const first = mode === 'month' ? new Date(day.getFullYear(), day.getMonth(), 1) : day
+    const last = mode === 'month' ? new Date(day.getFullYear(), day.getMonth() + 1, 0) : day
+    // Monday on or before the first day, Sunday on or after the last day
+    const from = new Date(first.getFullYear(), first.getMonth(), first.getDate() - ((first.getDay() + 6) % 7))
+    const to = new Date(last.getFullYear(), last.getMonth(), last.getDate() + ((7 - last.getDay()) % 7))
+
+    const days: Date[] = []
+    for (let current = from; current <= to; current = new Date(current.getFullYear(), current.getMonth(), current.getDate() + 1)) {
+        days.push(current)
+    }
+    return days
+}
+
+/**
+ * Vue composable for the calendar view of a list.
+ *
+ * Shows the records of a month, week or day on their start date (through
+ * their end date when the calendar has an `end_field`). Only the visible
+ * range is loaded, with date range filters on the sprunje endpoint and
+ * `context=calendar` (the backend returns the event fields only).
+ *
+ * `reschedule()` moves a record to another day right away, keeping its time
+ * and duration, and saves the dates with `updateRecordField()`. When saving fails
+ * the record goes back to its previous dates.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param config - Calendar configuration (`list_views.calendar` of the list context)
+ * @param primaryKey - Primary key of the records (defaults to `id`)
+ * @returns Visible days, navigation, loader and reschedule
+ *
+ * @example
+ * ```typescript
+ * const calendar = useCRUD6Calendar(model, () => schema.value?.list_views?.calendar)
+ *
+ * calendar.setMode('week')
+ * await calendar.load()
+ * await calendar.reschedule(event, '2026-05-14')
+ * ```
+ */
+export function useCRUD6Calendar(
+    model: MaybeRefOrGetter<string>,
+    config: MaybeRefOrGetter<CalendarViewConfig | null | undefined>,
+    primaryKey: MaybeRefOrGetter<string | null | undefined> = 'id'
+) {
+    const alertsStore = useAlertsStore()
+
+    const mode = ref<CRUD6CalendarMode>(toValue(config)?.mode || 'month')
+    const date = ref<Date>(new Date())
+    const events = ref<Record<string, any>[]>([])
+    const filters = ref<Record<string, string>>({})
+    const loading = ref(false)
+    // Records with a reschedule in flight, by ID
+    const saving = ref<Record<string, boolean>>({})
+    // Responses of an earlier load (range or filters changed meanwhile) are dropped
+    let generation = 0
+
+    function getId(row: Record<string, any>): string | number {
+        return row[toValue(primaryKey) || 'id']
+    }
+
+    // First and last day of an event (a start without end lasts one day)
+    function getEventDays(row: Record<string, any>): [string, string] | null {
+        const calendar = toValue(config)
+        const start = parseCalendarDate(row[calendar?.start_field || ''])
+        if (!start) {
+            return null
+        }
+        const end = calendar?.end_field ? parseCalendarDate(row[calendar.end_field]) : null
+        return [toDayKey(start), toDayKey(end && end > start ? end : start)]
+    }
+
+    const days = computed<CRUD6CalendarDay[]>(() => {
+        const month = date.value.getMonth()
+        const startField = toValue(config)?.start_field || ''
+        const sorted = [...events.value].sort((a, b) => String(a[startField]).localeCompare(String(b[startField])))
+
+        return getCalendarDays(mode.value, date.value).map(day => {
+            const key = toDayKey(day)
+            return {
+                key,
+                date: day,
+                outside: mode.value === 'month' && day.getMonth() !== month,
+                events: sorted.filter(row => {
+                    const eventDays = getEventDays(row)
+                    return !!eventDays && eventDays[0] <= key && key <= eventDays[1]
+                })
+            }
+        })
+    })
+
+    /**
+     * Date range filters of the visible days: records starting before the
+     * range ends and (with an end field) ending after it starts
+     */
+    function getRangeFilters(): Record<string, string> {
+        const calendar = toValue(config)
+        const visible = getCalendarDays(mode.value, date.value)
+        const from = toDayKey(visible[0])
+        const to = toDayKey(visible[visible.length - 1])
+
+        if (!calendar?.end_field) {
+            return { [calendar?.start_field || '']: encodeRangeFilter(from, to) }
+        }
+        return {
+            [calendar.start_field]: encodeRangeFilter(null, to),
+            [calendar.end_field]: encodeRangeFilter(from, null)
+        }
+    }
+
+    /**
+     * Load the records of the visible range
+     *
+     * @param listFilters - Filters of the list (search box, column filters)
+     */
+    async function load(listFilters: Record<string, string> = filters.value): Promise<void> {
+        const calendar = toValue(config)
+        if (!calendar?.start_field) {
+            return
+        }
+
+        const requested = ++generation
+        filters.value = listFilters
+        loading.value = true
+        debugLog('[useCRUD6Calendar] Loading range', { model: toValue(model), mode: mode.value, date: toDayKey(date.value) })
+
+        try {
+            const rows: Record<string, any>[] = []
+            for (let page = 0; ; page++) {
+                const response = await axios.get<CRUD6SprunjerResponse>(`/api/crud6/${toValue(model)}`, {
+                    params: {
+                        filters: { ...listFilters, ...getRangeFilters() },
+                        sorts: { [calendar.start_field]: 'asc' },
+                        size: CALENDAR_PAGE_SIZE,
+                        page,
+                        context: 'calendar'
+                    }
+                })
+                if (requested !== generation) {
+                    return
+                }
+
+                const pageRows = response.data.rows || []
+                rows.push(...pageRows)
+                if (pageRows.length < CALENDAR_PAGE_SIZE || rows.length >= (response.data.count_filtered ?? rows.length)) {
+                    break
+                }
+            }
+            events.value = rows
+        } catch (error) {
+            debugError('[useCRUD6Calendar] Loading range failed', { model: toValue(model), error })
+        } finally {
+            if (requested === generation) {
+                loading.value = false
+            }
+        }
+    }
+
+    /**
+     * Show another range (reloads the records)
+     */
+    function setMode(newMode: CRUD6CalendarMode): Promise<void> {
+        mode.value = newMode
+        return load()
+    }
+
+    /**
+     * Show the previous (-1) or next (1) month, week or day
+     */
+    function step(direction: 1 | -1): Promise<void> {
+        const current = date.value
+        date.value = mode.value === 'month'
+            ? new Date(current.getFullYear(), current.getMonth() + direction, 1)
+            : new Date(current.getFullYear(), current.getMonth(), current.getDate() + direction * (mode.value === 'week' ? 7 : 1))
+        return load()
+    }
+
+    /**
+     * Show the range of today
+     */
+    function today(): Promise<void> {
+        date.value = new Date()
+        return load()
+    }
+
+    function isSaving(row: Record<string, any>): boolean {
+        return !!saving.value[String(getId(row))]
+    }
+
+    /**
+     * Move a record to another day, keeping its time and duration, and save it.
+     *
+     * @param row - Event record (updated in place)
+     * @param dayKey - Day the record is dropped on (`YYYY-MM-DD`)
+     * @returns true when the record was saved (or dropped on its own day)
+     */
+    async function reschedule(row: Record<string, any>, dayKey: string): Promise<boolean> {
+        const calendar = toValue(config)
+        const start = parseCalendarDate(row[calendar?.start_field || ''])
+        const target = parseCalendarDate(dayKey)
+        if (!calendar || !start || !target || isSaving(row)) {
+            return false
+        }
+
+        const offset = Math.round((target.getTime() - new Date(start.getFullYear(), start.getMonth(), start.getDate()).getTime()) / 86400000)
+        if (offset === 0) {
+            return true
+        }
+
+        const shift = (value: any, type?: string): string | null => {
+            const parsed = parseCalendarDate(value)
+            return parsed
+                ? formatCalendarDate(new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate() + offset, parsed.getHours(), parsed.getMinutes(), parsed.getSeconds()), type)
+                : null
+        }
+
+        const id = getId(row)
+        const changes: [string, any, string | null][] = [[calendar.start_field, row[calendar.start_field], shift(row[calendar.start_field], calendar.start_type)]]
+        if (calendar.end_field && parseCalendarDate(row[calendar.end_field])) {
+            changes.push([calendar.end_field, row[calendar.end_field], shift(row[calendar.end_field], calendar.end_type)])
+        }
+
+        changes.forEach(([field, , value]) => (row[field] = value))
+        saving.value = { ...saving.value, [String(id)]: true }
+        debugLog('[useCRUD6Calendar] Rescheduling', { model: toValue(model), id, dayKey, changes })
+
+        const modelName = toValue(model)
+        const saved: [string, any][] = []
+        try {
+            let response: CRUD6EditResponse | null = null
+            for (const [field, previous, value] of changes) {
+                response = await updateRecordField(modelName, id, field, value)
+                saved.push([field, previous])
+            }
+            alertsStore.push({
+                title: response?.title,
+                description: response?.description,
+                style: Severity.Success
+            })
+            return true
+        } catch (err: any) {
+            const error = err?.response?.data ?? err
+            changes.forEach(([field, previous]) => (row[field] = previous))
+            // Put back the dates already saved, so the record keeps a consistent range
+            for (const [field, previous] of saved) {
+                await updateRecordField(modelName, id, field, previous).catch(() => undefined)
+            }
+            alertsStore.push({
+                title: error?.title || 'Error',
+                description: error?.description || error?.message,
+                style: Severity.Danger
+            })
+            debugError('[useCRUD6Calendar] Rescheduling failed, dates rolled back', { model: toValue(model), id, error })
+            return false
+        } finally {
+            const { [String(id)]: _done, ...rest } = saving.value
+            saving.value = rest
+        }
+    }
+
+    return {
+        mode,
+        date,
+        days,
+        events,
+        filters,
+        loading,
+        load,
+        setMode,
+        step,
+        today,
+        isSaving,
+        reschedule
+    }
+}
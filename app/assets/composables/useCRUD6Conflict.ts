@@ -0,0 +1,178 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import type { CRUD6ConflictResponse } from '../interfaces'
+import { isSameFieldValue } from './useCRUD6DirtyState'
+import { debugWarn } from '../utils/debug'
+
+/**
+ * Request parameter carrying the version of the record an update was made on
+ */
+export const VERSION_PARAM = '_version'
+
+/**
+ * Update refused because the record changed since it was loaded
+ */
+export interface CRUD6Conflict {
+    /** The record as loaded */
+    original: Record<string, any>
+    /** The data the update was made with */
+    yours: Record<string, any>
+    /** The record as it is now */
+    theirs: Record<string, any>
+}
+
+/**
+ * Field whose value differs between your data and the current record
+ */
+export interface CRUD6ConflictField {
+    key: string
+    original: any
+    yours: any
+    theirs: any
+    /** Whether both sides changed the field */
+    conflict: boolean
+    /** Side kept unless the user picks the other one */
+    pick: 'yours' | 'theirs'
+}
+
+/**
+ * Field of the record holding its version (`version_field` of the schema,
+ * `updated_at` for schemas with timestamps)
+ */
+export function getVersionField(schema: any): string | null {
+    return schema?.version_field ?? null
+}
+
+/**
+ * Whether an API error is a conflict with a record changed since it was loaded
+ */
+export function isConflictResponse(error: any): error is CRUD6ConflictResponse {
+    return error?.status === 409 && typeof error.current === 'object' && error.current !== null
+}
+
+/**
+ * Three-way diff of a conflict: the fields whose value differs between your
+ * data and the current record. Your changes are kept by default, and their
+ * changes to the fields you left alone.
+ *
+ * @param conflict - The loaded record, your data and the current record
+ * @param keys - Fields compared (the editable fields of the form)
+ */
+export function getConflictFields(conflict: CRUD6Conflict, keys: string[]): CRUD6ConflictField[] {
+    const { original, yours, theirs } = conflict
+    return keys
+        .filter(key => !isSameFieldValue(yours[key], theirs[key]))
+        .map(key => {
+            const yoursChanged = !isSameFieldValue(yours[key], original[key])
+            const theirsChanged = !isSameFieldValue(theirs[key], original[key])
+            return {
+                key,
+                original: original[key],
+                yours: yours[key],
+                theirs: theirs[key],
+                conflict: yoursChanged && theirsChanged,
+                pick: yoursChanged ? 'yours' : 'theirs'
+            }
+        })
+}
+
+/**
+ * Vue composable for the optimistic concurrency of a form.
+ *
+ * Keeps the version of the loaded record (`setVersion()`), which is sent back
+ * with the update. When the server refuses the update because the record
+ * changed since, `detect()` holds the conflict for the three-way diff dialog
+ * (`CRUD6ConflictDialog`). `resolve()` then takes the current record as the
+ * loaded one, with its version, and returns the data to save again: the
+ * current record with the values picked in the dialog.
+ *
+ * @param schema - Schema of the model (ref, getter or plain value)
+ * @returns The version, the conflict and functions to detect and resolve it
+ *
+ * @example
+ * ```typescript
+ * const { version, conflict, setVersion, detect, resolve } = useCRUD6Conflict(schema)
+ *
+ * setVersion(record)
+ * patchRow(id, changes, version.value).catch(error => detect(error, original, formData.value))
+ *
+ * // Values picked in the dialog
+ * const { loaded, merged } = resolve(values)
+ * ```
+ */
+export function useCRUD6Conflict(schema: MaybeRefOrGetter<any>) {
+    const versionField = computed(() => getVersionField(toValue(schema)))
+
+    /** Version of the loaded record */
+    const version = ref<any>(null)
+
+    /** Conflict reported by the last update, until resolved or dismissed */
+    const conflict = ref<CRUD6Conflict | null>(null)
+
+    /**
+     * Keep the version of a loaded record
+     */
+    function setVersion(record?: Record<string, any> | null): void {
+        version.value = record && versionField.value ? record[versionField.value] ?? null : null
+    }
+
+    /**
+     * Hold the conflict reported by an update error
+     *
+     * @returns Whether the error is a conflict
+     */
+    function detect(error: any, original: Record<string, any>, yours: Record<string, any>): boolean {
+        if (!isConflictResponse(error)) {
+            return false
+        }
+
+        debugWarn('[useCRUD6Conflict] Record changed since it was loaded', { version: version.value, current: error.current })
+        conflict.value = {
+            original: { ...original },
+            yours: { ...yours },
+            theirs: { ...error.current }
+        }
+        return true
+    }
+
+    /**
+     * Resolve the conflict with the values picked for its fields
+     *
+     * @returns The current record, to take as the loaded one (restricted to
+     *          the fields of your data), and the data to save again
+     */
+    function resolve(values: Record<string, any>): { loaded: Record<string, any>, merged: Record<string, any> } {
+        const { yours, theirs }: CRUD6Conflict = conflict.value ?? { original: {}, yours: {}, theirs: {} }
+        const loaded = Object.fromEntries(Object.keys(yours).map(key => [key, theirs[key]]))
+
+        setVersion(theirs)
+        conflict.value = null
+
+        return { loaded, merged: { ...loaded, ...values } }
+    }
+
+    /**
+     * Drop the conflict without saving
+     */
+    function dismiss(): void {
+        conflict.value = null
+    }
+
+    return {
+        versionField,
+        version,
+        conflict,
+        setVersion,
+        detect,
+        resolve,
+        dismiss
+    }
+}
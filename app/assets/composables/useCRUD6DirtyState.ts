@@ -0,0 +1,154 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, getCurrentScope, onScopeDispose, ref } from 'vue'
+import type { Ref } from 'vue'
+import { useRouter } from 'vue-router'
+import { useTranslator } from '@userfrosting/sprinkle-core/stores'
+import { debugLog } from '../utils/debug'
+
+/**
+ * Comparable form of a field value: empty values are alike, and so are the
+ * numbers and booleans an input returns and the strings the API loads
+ */
+function normalizeValue(value: any): string {
+    if (value === undefined || value === null || value === '') {
+        return 'null'
+    }
+    if (typeof value === 'boolean') {
+        return value ? '"1"' : '"0"'
+    }
+    if (typeof value === 'number') {
+        return JSON.stringify(String(value))
+    }
+    return JSON.stringify(value)
+}
+
+/**
+ * Whether two field values are the same once normalized
+ */
+export function isSameFieldValue(a: any, b: any): boolean {
+    return normalizeValue(a) === normalizeValue(b)
+}
+
+function clone<T>(value: T): T {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Vue composable tracking the unsaved changes of a form.
+ *
+ * `markClean()` takes the current data (and detail rows, compared with their
+ * `_action` flags) as the loaded record; the form is dirty while they differ
+ * from it. `getChanges()` keeps the changed fields of a payload, for a PATCH
+ * submit. With `guard`, leaving the route or the page while the form is dirty
+ * asks for confirmation first.
+ *
+ * @param data - Form data (null while no record is loaded)
+ * @param options - Detail rows of a master-detail form, and whether to guard
+ *                  the navigation
+ * @returns The loaded record, the dirty state, the changed fields and
+ *          functions to mark the form clean, revert it and pick the changes
+ *
+ * @example
+ * ```typescript
+ * const { isDirty, markClean, getChanges } = useCRUD6DirtyState(formData, { guard: true })
+ *
+ * markClean()                              // once the record is loaded or saved
+ * await patchRow(id, getChanges(formData.value))
+ * ```
+ */
+export function useCRUD6DirtyState(
+    data: Ref<Record<string, any> | null | undefined>,
+    options: {
+        details?: Ref<any[]>
+        guard?: boolean
+    } = {}
+) {
+    /** Data of the loaded record */
+    const baseline = ref<Record<string, any>>(clone(data.value ?? {}))
+    const baselineDetails = ref(JSON.stringify(options.details?.value ?? []))
+
+    /** Fields whose value differs from the loaded record */
+    const changedFields = computed(() => {
+        const current = data.value ?? {}
+        const keys = new Set([...Object.keys(baseline.value), ...Object.keys(current)])
+        return [...keys].filter(key => !isSameFieldValue(current[key], baseline.value[key]))
+    })
+
+    /** Whether detail rows were added, changed or flagged for deletion */
+    const detailsChanged = computed(() => !!options.details && JSON.stringify(options.details.value ?? []) !== baselineDetails.value)
+
+    const isDirty = computed(() => changedFields.value.length > 0 || detailsChanged.value)
+
+    /**
+     * Take the current data (or the given record) as the loaded record
+     */
+    function markClean(loaded?: Record<string, any>): void {
+        baseline.value = clone(loaded ?? data.value ?? {})
+        baselineDetails.value = JSON.stringify(options.details?.value ?? [])
+    }
+
+    /**
+     * Drop the changes, back to the loaded record
+     */
+    function revert(): void {
+        data.value = clone(baseline.value)
+        if (options.details) {
+            options.details.value = JSON.parse(baselineDetails.value)
+        }
+    }
+
+    /**
+     * Fields of a payload changed since the record was loaded
+     */
+    function getChanges<T extends Record<string, any>>(payload: T): Partial<T> {
+        return Object.fromEntries(
+            Object.entries(payload).filter(([key]) => changedFields.value.includes(key))
+        ) as Partial<T>
+    }
+
+    if (options.guard) {
+        const translator = useTranslator()
+
+        // Navigating to another page (query changes such as list filters stay on it),
+        // also from the forms of modals which are not the component of a route
+        const removeRouteGuard = useRouter()?.beforeEach((to, from) => {
+            if (to.path === from.path || !isDirty.value) {
+                return true
+            }
+            debugLog('[useCRUD6DirtyState] Unsaved changes, confirming navigation', { fields: changedFields.value })
+            return window.confirm(translator.translate('CRUD6.DIRTY.CONFIRM_LEAVE'))
+        })
+
+        // Reload, tab close and leaving the app: the browser asks with its own message
+        const onBeforeUnload = (event: BeforeUnloadEvent) => {
+            if (isDirty.value) {
+                event.preventDefault()
+                event.returnValue = ''
+            }
+        }
+        window.addEventListener('beforeunload', onBeforeUnload)
+
+        if (getCurrentScope()) {
+            onScopeDispose(() => {
+                removeRouteGuard?.()
+                window.removeEventListener('beforeunload', onBeforeUnload)
+            })
+        }
+    }
+
+    return {
+        original: computed(() => baseline.value),
+        isDirty,
+        changedFields,
+        markClean,
+        revert,
+        getChanges
+    }
+}
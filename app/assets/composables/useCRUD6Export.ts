@@ -0,0 +1,259 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import type { Sprunjer } from '@userfrosting/sprinkle-core/interfaces'
+import type { CRUD6SprunjerResponse } from '../interfaces'
+import type { SchemaField } from './useCRUD6Schema'
+import { getLookupConfig } from './useCRUD6FieldRenderer'
+import { buildExportFile, downloadFile, EXPORT_FORMATS } from '../utils/exportFormats'
+import type { ExportColumn, ExportFormat, ExportValue } from '../utils/exportFormats'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Number of records requested per sprunje page while exporting
+ */
+export const EXPORT_PAGE_SIZE = 500
+
+/**
+ * Display values of lookup fields, by field name then record ID
+ */
+export type CRUD6LookupLabels = Record<string, Record<string, string>>
+
+const NUMERIC_TYPES = ['integer', 'number', 'decimal', 'float']
+
+function pad(value: number): string {
+    return String(value).padStart(2, '0')
+}
+
+function formatDate(value: any, withTime: boolean): string {
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) {
+        return String(value)
+    }
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    return withTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` : day
+}
+
+/**
+ * Format a record value for export, following the list table rules:
+ * booleans as translated Yes / No, options and lookups as their label.
+ * Dates are written as `YYYY-MM-DD` (`YYYY-MM-DD HH:MM:SS`) so spreadsheets
+ * read them whatever the locale; numbers stay numbers.
+ *
+ * @param value - Raw record value
+ * @param field - Export context field
+ * @param translate - Translator for the boolean labels
+ * @param lookupLabels - Display values of the field's lookup records, by ID
+ */
+export function formatExportValue(
+    value: any,
+    field: SchemaField,
+    translate: (key: string) => string = key => key,
+    lookupLabels: Record<string, string> = {}
+): ExportValue {
+    if (value === null || value === undefined || value === '') {
+        return ''
+    }
+
+    const type = field.type || 'string'
+
+    if (type.startsWith('boolean')) {
+        return translate(value && value !== '0' ? 'YES' : 'NO')
+    }
+
+    if (Array.isArray(field.options)) {
+        const option = field.options.find((item: any) => String(item?.value ?? item) === String(value))
+        if (option !== undefined) {
+            return String(option?.label ?? option)
+        }
+    }
+
+    switch (type) {
+        case 'smartlookup':
+            return lookupLabels[String(value)] ?? String(value)
+        case 'date':
+            return formatDate(value, false)
+        case 'datetime':
+            return formatDate(value, true)
+        case 'json':
+            return typeof value === 'string' ? value : JSON.stringify(value)
+    }
+
+    if (NUMERIC_TYPES.includes(type) && value !== '' && Number.isFinite(Number(value))) {
+        return Number(value)
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * Vue composable exporting the current (filtered, searched and sorted) list.
+ *
+ * Records are fetched page by page from the model's sprunje endpoint with
+ * `context=export`, so the backend returns the export fields, the same
+ * filters and sorts apply as in the table, and large lists never need one
+ * huge request. Lookup IDs are resolved to their display field once per ID.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param translate - Translator for headers and boolean labels
+ * @returns Export runner, progress and cancel
+ *
+ * @example
+ * ```typescript
+ * const { exporting, progress, exportList } = useCRUD6Export(model, translator.translate)
+ *
+ * await exportList('xlsx', sprunjer, exportFields.value)
+ * ```
+ */
+export function useCRUD6Export(
+    model: MaybeRefOrGetter<string>,
+    translate: (key: string, params?: Record<string, any>) => string = key => key
+) {
+    const exporting = ref(false)
+    const progress = ref({ done: 0, total: 0 })
+    const error = ref<string | null>(null)
+
+    let controller: AbortController | null = null
+
+    /**
+     * Fetch every record matching the sprunjer filters, in its sort order
+     */
+    async function fetchRows(sprunjer: Pick<Sprunjer, 'filters' | 'sorts'>, signal: AbortSignal): Promise<Record<string, any>[]> {
+        const rows: Record<string, any>[] = []
+
+        for (let page = 0; ; page++) {
+            const response = await axios.get<CRUD6SprunjerResponse>(`/api/crud6/${toValue(model)}`, {
+                params: {
+                    filters: sprunjer.filters.value,
+                    sorts: sprunjer.sorts.value,
+                    size: EXPORT_PAGE_SIZE,
+                    page,
+                    context: 'export'
+                },
+                signal
+            })
+
+            const pageRows = response.data.rows || []
+            rows.push(...pageRows)
+            progress.value = { done: rows.length, total: response.data.count_filtered ?? rows.length }
+
+            if (pageRows.length < EXPORT_PAGE_SIZE || rows.length >= progress.value.total) {
+                return rows
+            }
+        }
+    }
+
+    /**
+     * Fetch the display value of every lookup ID in the rows
+     */
+    async function fetchLookupLabels(
+        rows: Record<string, any>[],
+        fields: [string, SchemaField][],
+        signal: AbortSignal
+    ): Promise<CRUD6LookupLabels> {
+        const labels: CRUD6LookupLabels = {}
+
+        for (const [fieldKey, field] of fields) {
+            if (field.type !== 'smartlookup') {
+                continue
+            }
+
+            const { model: lookupModel, displayField } = getLookupConfig(field)
+            const ids = [...new Set(rows.map(row => row[fieldKey]).filter(id => id !== null && id !== undefined && id !== ''))]
+            labels[fieldKey] = {}
+
+            for (const id of ids) {
+                try {
+                    const response = await axios.get(`/api/crud6/${lookupModel}/${id}`, { signal })
+                    const record = response.data?.data
+                    if (record && record[displayField] !== undefined) {
+                        labels[fieldKey][String(id)] = String(record[displayField])
+                    }
+                } catch (lookupError) {
+                    if (axios.isCancel(lookupError)) {
+                        throw lookupError
+                    }
+                    // Keep the ID when the record cannot be read
+                    debugError('[useCRUD6Export] Failed to load lookup value', { field: fieldKey, id, lookupError })
+                }
+            }
+        }
+
+        return labels
+    }
+
+    /**
+     * Export every record matching the sprunjer filters and search, in the
+     * sprunjer sort order, and download the file.
+     *
+     * @param format - csv, xlsx or json
+     * @param sprunjer - The list sprunjer (filters and sorts are read from it)
+     * @param fields - Export fields in column order
+     * @param title - Sheet name and file name prefix (defaults to the model)
+     * @returns false when the export failed or was cancelled
+     */
+    async function exportList(
+        format: ExportFormat,
+        sprunjer: Pick<Sprunjer, 'filters' | 'sorts'>,
+        fields: [string, SchemaField][],
+        title?: string
+    ): Promise<boolean> {
+        controller = new AbortController()
+        exporting.value = true
+        error.value = null
+        progress.value = { done: 0, total: 0 }
+        debugLog('[useCRUD6Export] Export started', { model: toValue(model), format, fields: fields.map(([key]) => key) })
+
+        try {
+            const rows = await fetchRows(sprunjer, controller.signal)
+            const lookupLabels = await fetchLookupLabels(rows, fields, controller.signal)
+
+            const columns: ExportColumn[] = fields.map(([key, field]) => ({ key, label: translate(field.label || key) }))
+            const values = rows.map(row => fields.map(([key, field]) =>
+                formatExportValue(row[key], field, translate, lookupLabels[key])
+            ))
+
+            const name = title || toValue(model)
+            const date = formatDate(new Date(), false)
+            downloadFile(buildExportFile(format, columns, values, name), `${name}-${date}.${EXPORT_FORMATS[format].extension}`)
+            debugLog('[useCRUD6Export] Export finished', { model: toValue(model), format, rows: rows.length })
+
+            return true
+        } catch (exportError: any) {
+            if (axios.isCancel(exportError)) {
+                debugLog('[useCRUD6Export] Export cancelled', { model: toValue(model) })
+            } else {
+                const data = exportError?.response?.data
+                error.value = data?.description || data?.title || exportError?.message || 'Export failed'
+                debugError('[useCRUD6Export] Export failed', exportError)
+            }
+            return false
+        } finally {
+            exporting.value = false
+            controller = null
+        }
+    }
+
+    /**
+     * Stop the running export (no file is downloaded)
+     */
+    function cancelExport(): void {
+        controller?.abort()
+    }
+
+    return {
+        exporting,
+        progress,
+        error,
+        exportList,
+        cancelExport
+    }
+}
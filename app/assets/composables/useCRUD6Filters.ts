@@ -0,0 +1,211 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import type { Sprunjer } from '@userfrosting/sprinkle-core/interfaces'
+import type { SchemaField } from './useCRUD6Schema'
+import { isBooleanType, isNumericType } from '../utils/fieldTypes'
+import { debugLog } from '../utils/debug'
+
+/**
+ * Filter widgets rendered in the list table header
+ */
+export type CRUD6FilterWidget = 'text' | 'select' | 'boolean' | 'number_range' | 'date_range' | 'lookup'
+
+/**
+ * Option of a select filter
+ */
+export interface CRUD6FilterOption {
+    value: string
+    label: string
+}
+
+/**
+ * Column filter generated from a list field
+ */
+export interface CRUD6ColumnFilter {
+    key: string
+    label: string
+    widget: CRUD6FilterWidget
+    field: SchemaField
+    options: CRUD6FilterOption[]
+}
+
+/**
+ * Separator between the bounds of a range filter value, understood by CRUD6Sprunje
+ */
+export const RANGE_FILTER_SEPARATOR = '..'
+
+/**
+ * Pick the filter widget for a field from its type and `filter_type`
+ *
+ * - `smartlookup` → lookup (filters on the related record id)
+ * - fields with `options` → select
+ * - boolean variants → boolean
+ * - date / datetime → date range
+ * - numeric types → number range, unless `filter_type` asks for a single value
+ * - everything else → text
+ */
+export function getFilterWidget(field: SchemaField): CRUD6FilterWidget {
+    const type = field.type || 'string'
+
+    if (type === 'smartlookup') {
+        return 'lookup'
+    }
+    if (field.options) {
+        return 'select'
+    }
+    if (isBooleanType(type)) {
+        return 'boolean'
+    }
+    if (type === 'date' || type === 'datetime') {
+        return 'date_range'
+    }
+    if (isNumericType(type) && !['equals', 'not_equals', 'in'].includes(field.filter_type || '')) {
+        return 'number_range'
+    }
+    return 'text'
+}
+
+/**
+ * Normalize schema `options` (array of values, array of {value, label} or a value → label map)
+ */
+export function getFilterOptions(field: SchemaField): CRUD6FilterOption[] {
+    const options = field.options
+    if (!options) {
+        return []
+    }
+    if (Array.isArray(options)) {
+        return options.map((option: any) =>
+            typeof option === 'object'
+                ? { value: String(option.value), label: String(option.label ?? option.text ?? option.value) }
+                : { value: String(option), label: String(option) }
+        )
+    }
+    return Object.entries(options).map(([value, label]) => ({ value, label: String(label) }))
+}
+
+/**
+ * Encode range bounds as a filter value (`min..max`); empty when both bounds are empty
+ */
+export function encodeRangeFilter(min?: string | number | null, max?: string | number | null): string {
+    const from = min === null || min === undefined ? '' : String(min).trim()
+    const to = max === null || max === undefined ? '' : String(max).trim()
+    return from === '' && to === '' ? '' : `${from}${RANGE_FILTER_SEPARATOR}${to}`
+}
+
+/**
+ * Decode a range filter value back to its bounds
+ */
+export function decodeRangeFilter(value?: string | null): { min: string; max: string } {
+    if (!value) {
+        return { min: '', max: '' }
+    }
+    const index = value.indexOf(RANGE_FILTER_SEPARATOR)
+    if (index === -1) {
+        return { min: value, max: value }
+    }
+    return { min: value.slice(0, index), max: value.slice(index + RANGE_FILTER_SEPARATOR.length) }
+}
+
+/**
+ * Vue composable for schema-driven column filters.
+ *
+ * Turns the `filterable` list fields into filter widget descriptions and
+ * writes their values to the sprunjer `filters[...]` query parameters,
+ * which CRUD6Sprunje applies according to the field type and `filter_type`.
+ *
+ * @param fields - List fields (ref, getter or plain value), as `[key, field]` entries or a key → field map
+ * @returns Column filter descriptions and functions to update the sprunjer filters
+ *
+ * @example
+ * ```typescript
+ * const { columnFilters, setFilter } = useCRUD6Filters(schemaFields)
+ *
+ * // In the table header, for each filter:
+ * // <CRUD6ColumnFilter :filter="filter" :model-value="sprunjer.filters.value[filter.key]"
+ * //     @update:model-value="value => setFilter(sprunjer, filter.key, value)" />
+ * ```
+ */
+export function useCRUD6Filters(
+    fields: MaybeRefOrGetter<Record<string, SchemaField> | [string, SchemaField][] | null | undefined>
+) {
+    /**
+     * Filter descriptions for every filterable field
+     */
+    const columnFilters = computed<CRUD6ColumnFilter[]>(() => {
+        const value = toValue(fields) || []
+        const entries = Array.isArray(value) ? value : Object.entries(value)
+
+        return entries
+            .filter(([, field]) => field?.filterable)
+            .map(([key, field]) => ({
+                key,
+                label: field.label || key,
+                widget: getFilterWidget(field),
+                field,
+                options: getFilterOptions(field)
+            }))
+    })
+
+    /**
+     * Column filter for a field, if the field is filterable
+     */
+    function getColumnFilter(key: string): CRUD6ColumnFilter | undefined {
+        return columnFilters.value.find(filter => filter.key === key)
+    }
+
+    /**
+     * Set (or clear, for empty values) a filter and go back to the first page
+     */
+    function setFilter(sprunjer: Pick<Sprunjer, 'filters' | 'page'>, key: string, value?: string | number | null): void {
+        const normalized = value === null || value === undefined ? '' : String(value)
+        const filters = { ...sprunjer.filters.value }
+
+        if (normalized === '') {
+            delete filters[key]
+        } else {
+            filters[key] = normalized
+        }
+
+        debugLog('[useCRUD6Filters] Filter changed', { key, value: normalized })
+        sprunjer.filters.value = filters
+        sprunjer.page.value = 0
+    }
+
+    /**
+     * Clear every column filter (other filters, e.g. the search box, are kept)
+     */
+    function clearFilters(sprunjer: Pick<Sprunjer, 'filters' | 'page'>): void {
+        const filters = { ...sprunjer.filters.value }
+        for (const filter of columnFilters.value) {
+            delete filters[filter.key]
+        }
+        sprunjer.filters.value = filters
+        sprunjer.page.value = 0
+    }
+
+    /**
+     * Number of column filters with a value
+     */
+    function countActiveFilters(sprunjer: Pick<Sprunjer, 'filters'>): number {
+        return columnFilters.value.filter(filter => {
+            const value = sprunjer.filters.value[filter.key]
+            return value !== undefined && value !== null && value !== ''
+        }).length
+    }
+
+    return {
+        columnFilters,
+        getColumnFilter,
+        setFilter,
+        clearFilters,
+        countActiveFilters
+    }
+}
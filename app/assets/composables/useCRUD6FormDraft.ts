@@ -0,0 +1,273 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { getCurrentScope, onScopeDispose, ref, toValue, watch } from 'vue'
+import type { MaybeRefOrGetter, Ref } from 'vue'
+import { useAuthStore } from '@userfrosting/sprinkle-account/stores'
+import type { SchemaField } from './useCRUD6Schema'
+import { debugLog, debugWarn } from '../utils/debug'
+
+/**
+ * sessionStorage key prefix of the form drafts (`crud6-draft:{user}:{model}:{id|new}`)
+ */
+export const FORM_DRAFT_STORAGE_PREFIX = 'crud6-draft:'
+
+/**
+ * Delay between the last change of the form and the autosave, in milliseconds
+ */
+export const FORM_DRAFT_DELAY = 1000
+
+/**
+ * Unsaved form data kept in sessionStorage
+ */
+export interface CRUD6FormDraft {
+    data: Record<string, any>
+    /** Detail rows of a master-detail form */
+    details?: any[]
+    /** ISO date of the autosave */
+    savedAt: string
+}
+
+/**
+ * Fields of a form never written to a draft: passwords, fields flagged
+ * `sensitive` and the fields the user may not edit (or see)
+ *
+ * @param fields - Form fields of the schema
+ * @param canEditField - Field level permission check (see useCRUD6Permissions)
+ */
+export function getDraftOmittedFields(
+    fields: Record<string, SchemaField> | null | undefined,
+    canEditField: (field: SchemaField) => boolean = () => true
+): string[] {
+    return Object.entries(fields || {})
+        .filter(([, field]) => field.type === 'password' || field.sensitive === true || !canEditField(field))
+        .map(([key]) => key)
+}
+
+function readDraft(key: string): CRUD6FormDraft | null {
+    try {
+        const raw = sessionStorage.getItem(key)
+        if (!raw) {
+            return null
+        }
+        const draft = JSON.parse(raw)
+        if (!draft || typeof draft.data !== 'object' || draft.data === null) {
+            return null
+        }
+        return {
+            data: draft.data,
+            details: Array.isArray(draft.details) ? draft.details : undefined,
+            savedAt: typeof draft.savedAt === 'string' ? draft.savedAt : ''
+        }
+    } catch (error) {
+        debugWarn('[useCRUD6FormDraft] Ignoring unreadable draft', { key, error })
+        return null
+    }
+}
+
+function writeDraft(key: string, draft: CRUD6FormDraft): void {
+    try {
+        sessionStorage.setItem(key, JSON.stringify(draft))
+    } catch (error) {
+        // Full or disabled storage only means the draft does not survive a reload
+        debugWarn('[useCRUD6FormDraft] Failed to save draft', { key, error })
+    }
+}
+
+function removeDraft(key: string): void {
+    try {
+        sessionStorage.removeItem(key)
+    } catch (error) {
+        debugWarn('[useCRUD6FormDraft] Failed to remove draft', { key, error })
+    }
+}
+
+/**
+ * Vue composable autosaving the data of a form as a local draft.
+ *
+ * Drafts are kept in sessionStorage per user, model and record ("new" for a
+ * record being created), so data entered in a closed modal, a page left
+ * mid-edit or a reloaded page is not lost. They do not outlive the browser
+ * tab: closing it, even by accident, drops its drafts, and other tabs do not
+ * see them. `track()` starts the autosave against the current data, taken as
+ * the saved state: changes are saved after a short delay, and the draft is
+ * removed once the data is back to the saved state. A draft left by an
+ * earlier visit is offered through `draft` until it is restored, discarded,
+ * or replaced by new changes. `clear()` removes the draft of a record once
+ * it is saved.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param data - Form data
+ * @param options - Detail rows saved with the form data, and fields never
+ *                  written to the storage (see `getDraftOmittedFields()`), of
+ *                  the form data and of the detail rows
+ * @returns The offered draft and functions to track, restore and clear drafts
+ *
+ * @example
+ * ```typescript
+ * const { draft, track, restore, clear } = useCRUD6FormDraft('orders', formData, { omit: getDraftOmittedFields(schema.fields) })
+ *
+ * track(order.id)   // autosave the changes of the order
+ * restore()         // apply the draft offered when the form opened
+ * clear(order.id)   // after a successful save
+ * ```
+ */
+export function useCRUD6FormDraft(
+    model: MaybeRefOrGetter<string>,
+    data: Ref<Record<string, any>>,
+    options: {
+        details?: Ref<any[]>
+        omit?: MaybeRefOrGetter<string[]>
+        omitDetails?: MaybeRefOrGetter<string[]>
+        delay?: number
+    } = {}
+) {
+    const authStore = useAuthStore()
+
+    /** Draft left by an earlier visit, offered for restore */
+    const draft = ref<CRUD6FormDraft | null>(null)
+
+    const trackedKey = ref<string | null>(null)
+    let savedState = ''
+    let timer: ReturnType<typeof setTimeout> | null = null
+
+    function storageKey(recordId?: string | number | null): string {
+        return `${FORM_DRAFT_STORAGE_PREFIX}${authStore.user?.id ?? 'guest'}:${toValue(model)}:${recordId ?? 'new'}`
+    }
+
+    /** Data written to the storage, without the omitted fields */
+    function snapshot(): Omit<CRUD6FormDraft, 'savedAt'> {
+        const omit = toValue(options.omit) || []
+        const omitDetails = toValue(options.omitDetails) || []
+        const pick = (record: Record<string, any>, omitted: string[]) =>
+            Object.fromEntries(Object.entries(record).filter(([key]) => !omitted.includes(key)))
+        return {
+            data: pick(data.value, omit),
+            details: options.details?.value.map(row => pick(row, omitDetails))
+        }
+    }
+
+    function serialize(state: Omit<CRUD6FormDraft, 'savedAt'>): string {
+        return JSON.stringify([state.data, state.details ?? []])
+    }
+
+    function cancelSave(): void {
+        if (timer !== null) {
+            clearTimeout(timer)
+            timer = null
+        }
+    }
+
+    /**
+     * Save the pending changes right away (only while a save is pending)
+     */
+    function flush(): void {
+        if (timer === null || !trackedKey.value) {
+            return
+        }
+        cancelSave()
+
+        const state = snapshot()
+        if (serialize(state) === savedState) {
+            // Back to the saved state, unless a draft is still offered
+            if (!draft.value) {
+                removeDraft(trackedKey.value)
+            }
+            return
+        }
+
+        writeDraft(trackedKey.value, { ...state, savedAt: new Date().toISOString() })
+        // New changes replace the draft of the earlier visit
+        draft.value = null
+        debugLog('[useCRUD6FormDraft] Draft saved', { key: trackedKey.value })
+    }
+
+    watch(
+        () => [data.value, options.details?.value],
+        () => {
+            if (!trackedKey.value) {
+                return
+            }
+            cancelSave()
+            timer = setTimeout(flush, options.delay ?? FORM_DRAFT_DELAY)
+        },
+        { deep: true }
+    )
+
+    /**
+     * Autosave the changes of a record (null or omitted for a new record),
+     * the current data being its saved state, and offer its stored draft
+     */
+    function track(recordId?: string | number | null): void {
+        cancelSave()
+        trackedKey.value = storageKey(recordId)
+        savedState = serialize(snapshot())
+
+        const stored = readDraft(trackedKey.value)
+        draft.value = stored && serialize(stored) !== savedState ? stored : null
+    }
+
+    /**
+     * Apply the offered draft to the form (omitted fields keep their value,
+     * also in the detail rows loaded with the same `id`)
+     */
+    function restore(): void {
+        if (!draft.value) {
+            return
+        }
+
+        data.value = { ...data.value, ...draft.value.data }
+        if (options.details && draft.value.details) {
+            const current = options.details.value
+            options.details.value = draft.value.details.map(row => ({
+                ...(row.id !== undefined ? current.find(loaded => loaded.id === row.id) : undefined),
+                ...row
+            }))
+        }
+        draft.value = null
+    }
+
+    /**
+     * Drop the offered draft
+     */
+    function discard(): void {
+        if (trackedKey.value) {
+            removeDraft(trackedKey.value)
+        }
+        draft.value = null
+    }
+
+    /**
+     * Remove the draft of a saved record (null for a created one) and stop
+     * the autosave until the form is tracked again
+     */
+    function clear(recordId?: string | number | null): void {
+        const key = storageKey(recordId)
+        removeDraft(key)
+
+        if (key === trackedKey.value) {
+            cancelSave()
+            trackedKey.value = null
+            draft.value = null
+        }
+    }
+
+    // Changes made right before the form goes away are saved too
+    if (getCurrentScope()) {
+        onScopeDispose(flush)
+    }
+
+    return {
+        draft,
+        track,
+        restore,
+        discard,
+        clear,
+        flush
+    }
+}
@@ -0,0 +1,161 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue, watch } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import type { FormStepConfig } from './useCRUD6Schema'
+import { debugLog } from '../utils/debug'
+
+/**
+ * Step of a wizard form with the fields it renders
+ */
+export interface CRUD6FormStep {
+    key: string
+    title: string
+    description?: string
+    /** Rendered fields of the step, in order */
+    fields: string[]
+}
+
+/**
+ * Vue composable for a wizard form split into the schema `form_steps`.
+ *
+ * Each step renders its fields among the rendered form fields (editable,
+ * visible to the user and not hidden by their conditions); fields listed in no
+ * step join the last one, and steps left without fields are skipped. A review
+ * step follows the form steps. `next()` validates the fields of the current
+ * step through their Regle status before moving on, so the form data is only
+ * submitted from the review step.
+ *
+ * @param steps - Steps of the schema (ref, getter or plain value)
+ * @param fields - Keys of the rendered form fields
+ * @param r$ - Regle validation state of the form data
+ * @returns Steps, the current step and the navigation
+ *
+ * @example
+ * ```typescript
+ * const wizard = useCRUD6FormSteps(() => schema.value?.form_steps, () => Object.keys(editableFields.value), r$)
+ *
+ * await wizard.next()   // false when a field of the step is invalid
+ * wizard.isReview.value // true after the last step
+ * ```
+ */
+export function useCRUD6FormSteps(
+    steps: MaybeRefOrGetter<FormStepConfig[] | null | undefined>,
+    fields: MaybeRefOrGetter<string[]>,
+    r$?: any
+) {
+    const current = ref(0)
+
+    const hasSteps = computed(() => (toValue(steps) || []).length > 0)
+
+    const formSteps = computed<CRUD6FormStep[]>(() => {
+        const configs = toValue(steps) || []
+        const rendered = toValue(fields)
+        const listed = new Set(configs.flatMap(step => step.fields || []))
+
+        return configs
+            .map((step, index) => ({
+                key: step.key,
+                title: step.title,
+                description: step.description,
+                fields: [
+                    ...(step.fields || []).filter(field => rendered.includes(field)),
+                    // Fields listed in no step join the last one
+                    ...(index === configs.length - 1 ? rendered.filter(field => !listed.has(field)) : [])
+                ]
+            }))
+            .filter(step => step.fields.length > 0)
+    })
+
+    /** Index of the review step, after the form steps */
+    const reviewIndex = computed(() => formSteps.value.length)
+
+    const isReview = computed(() => hasSteps.value && current.value >= reviewIndex.value)
+
+    const currentStep = computed(() => formSteps.value[current.value] ?? null)
+
+    /** Progress through the steps and the review step, in percent */
+    const progress = computed(() => Math.round(((current.value + 1) / (reviewIndex.value + 1)) * 100))
+
+    // Conditions may hide the fields of a step, and the step with them
+    watch(reviewIndex, (index) => {
+        if (current.value > index) {
+            current.value = index
+        }
+    })
+
+    /**
+     * Validate the fields of a step (the current one by default)
+     */
+    async function validateStep(index = current.value): Promise<boolean> {
+        const results = await Promise.all(
+            (formSteps.value[index]?.fields ?? []).map(field => r$?.[field]?.$validate?.())
+        )
+        return results.every(result => !result || result.valid)
+    }
+
+    /**
+     * Move to the next step when the fields of the current one are valid
+     */
+    async function next(): Promise<boolean> {
+        if (isReview.value) {
+            return false
+        }
+
+        if (!(await validateStep())) {
+            debugLog('[useCRUD6FormSteps] Step is invalid', { step: currentStep.value?.key })
+            return false
+        }
+
+        current.value++
+        return true
+    }
+
+    function back() {
+        if (current.value > 0) {
+            current.value--
+        }
+    }
+
+    /**
+     * Go to a step: back right away, forward through the validation of the
+     * steps on the way
+     */
+    async function goTo(index: number): Promise<boolean> {
+        const target = Math.max(0, Math.min(index, reviewIndex.value))
+
+        while (current.value < target) {
+            if (!(await next())) {
+                return false
+            }
+        }
+
+        current.value = target
+        return true
+    }
+
+    function reset() {
+        current.value = 0
+    }
+
+    return {
+        hasSteps,
+        steps: formSteps,
+        current,
+        currentStep,
+        isReview,
+        reviewIndex,
+        progress,
+        validateStep,
+        next,
+        back,
+        goTo,
+        reset
+    }
+}
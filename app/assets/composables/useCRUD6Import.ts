@@ -0,0 +1,401 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { ref, computed, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import type { SchemaField } from './useCRUD6Schema'
+import { convertCRUD6ToRegleRules } from './useCRUD6ValidationAdapter'
+import { readImportFile, excelSerialToDate } from '../utils/importFormats'
+import type { ImportCell } from '../utils/importFormats'
+import { toCsv, downloadFile, EXPORT_FORMATS } from '../utils/exportFormats'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Number of records created at the same time while importing
+ */
+export const IMPORT_BATCH_SIZE = 10
+
+const NUMERIC_TYPES = ['integer', 'number', 'decimal', 'float']
+const TRUE_VALUES = ['1', 'true', 'yes', 'y', 'x', 'on']
+const FALSE_VALUES = ['0', 'false', 'no', 'n', 'off', '']
+
+/**
+ * Validated file row
+ */
+export interface CRUD6ImportRow {
+    /** Line number in the file (the header is line 1) */
+    line: number
+    cells: ImportCell[]
+    record: Record<string, any>
+    /** Error messages by field name */
+    errors: Record<string, string[]>
+}
+
+/**
+ * Outcome of the import of one row
+ */
+export interface CRUD6ImportResult {
+    line: number
+    success: boolean
+    message?: string
+}
+
+/**
+ * Fields a new record can be imported into: create form fields the user may edit
+ *
+ * @param fields - Form context fields
+ * @param canEditField - Field level permission check
+ */
+export function getImportFields(
+    fields: Record<string, SchemaField> | null | undefined,
+    canEditField: (field: SchemaField) => boolean = () => true
+): Record<string, SchemaField> {
+    return Object.fromEntries(Object.entries(fields || {}).filter(([, field]) =>
+        field.editable !== false
+        && (!Array.isArray(field.show_in) || field.show_in.includes('create'))
+        && canEditField(field)
+    ))
+}
+
+function normalizeHeader(value: string): string {
+    return value.toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Match file columns to fields by key or label (case, spaces and punctuation ignored)
+ *
+ * @param headers - File header row
+ * @param fields - Import fields
+ * @param translate - Translator for the field labels
+ * @returns Field name per column ('' when unmatched); a field is matched once
+ */
+export function autoMapColumns(
+    headers: string[],
+    fields: Record<string, SchemaField>,
+    translate: (key: string) => string = key => key
+): string[] {
+    const used = new Set<string>()
+
+    return headers.map((header) => {
+        const normalized = normalizeHeader(header)
+        const match = Object.entries(fields).find(([key, field]) => !used.has(key) && normalized !== '' && (
+            normalizeHeader(key) === normalized
+            || normalizeHeader(translate(field.label || key)) === normalized
+            || normalizeHeader(field.label || '') === normalized
+        ))
+        if (!match) {
+            return ''
+        }
+        used.add(match[0])
+        return match[0]
+    })
+}
+
+function formatDate(date: Date, withTime: boolean): string {
+    const iso = date.toISOString()
+    return withTime ? iso.slice(0, 19).replace('T', ' ') : iso.slice(0, 10)
+}
+
+/**
+ * Convert a file cell to the value sent for a field.
+ *
+ * Booleans accept 1/0, true/false, yes/no (also translated); options accept
+ * their value or label; Excel date cells become `YYYY-MM-DD`. Values that
+ * cannot be converted are returned unchanged so validation reports them.
+ *
+ * @returns undefined for empty cells (the field is left to its default)
+ */
+export function normalizeImportValue(
+    cell: ImportCell | undefined,
+    field: SchemaField,
+    translate: (key: string) => string = key => key
+): any {
+    const text = cell === undefined ? '' : String(cell).trim()
+    const type = field.type || 'string'
+
+    if (type.startsWith('boolean')) {
+        const lower = text.toLowerCase()
+        if (TRUE_VALUES.includes(lower) || lower === translate('YES').toLowerCase()) {
+            return true
+        }
+        if (FALSE_VALUES.includes(lower) || lower === translate('NO').toLowerCase()) {
+            return text === '' ? undefined : false
+        }
+        return text
+    }
+
+    if (text === '') {
+        return undefined
+    }
+
+    if (Array.isArray(field.options)) {
+        const option = field.options.find((item: any) =>
+            String(item?.value ?? item) === text
+            || String(item?.label ?? '').toLowerCase() === text.toLowerCase()
+        )
+        return option !== undefined ? (option?.value ?? option) : text
+    }
+
+    if ((type === 'date' || type === 'datetime') && typeof cell === 'number') {
+        return formatDate(excelSerialToDate(cell), type === 'datetime')
+    }
+
+    if (NUMERIC_TYPES.includes(type) && Number.isFinite(Number(text))) {
+        return Number(text)
+    }
+
+    return text
+}
+
+/**
+ * Check a record against the Regle rules of the import fields
+ *
+ * @returns Error messages by field name (empty when valid)
+ */
+export function validateImportRecord(record: Record<string, any>, rules: Record<string, Record<string, any>>): Record<string, string[]> {
+    const errors: Record<string, string[]> = {}
+
+    for (const [fieldKey, fieldRules] of Object.entries(rules)) {
+        for (const rule of Object.values(fieldRules)) {
+            if (!rule.exec(record[fieldKey])) {
+                (errors[fieldKey] ||= []).push(rule.message({ $value: record[fieldKey] }))
+            }
+        }
+    }
+
+    return errors
+}
+
+/**
+ * Vue composable for importing records from a CSV or XLSX file.
+ *
+ * Steps: `loadFile()` reads the file and auto-maps its columns to the import
+ * fields, `mapping` can then be changed, `rows` validates every row with the
+ * same Regle rules as the create form, and `importRows()` creates the valid
+ * rows through `POST /api/crud6/{model}`, a batch at a time. Invalid and
+ * failed rows end up in a downloadable error report.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param fields - Import fields (see getImportFields)
+ * @param translate - Translator for labels and messages
+ * @returns File, mapping, validation and import state
+ *
+ * @example
+ * ```typescript
+ * const importer = useCRUD6Import(model, () => getImportFields(formFields.value, canEditField))
+ *
+ * await importer.loadFile(file)
+ * importer.mapping.value[2] = 'email'
+ * await importer.importRows()
+ * ```
+ */
+export function useCRUD6Import(
+    model: MaybeRefOrGetter<string>,
+    fields: MaybeRefOrGetter<Record<string, SchemaField>>,
+    translate: (key: string, params?: Record<string, any>) => string = key => key
+) {
+    const fileName = ref('')
+    const headers = ref<string[]>([])
+    const cells = ref<ImportCell[][]>([])
+    const mapping = ref<string[]>([])
+    const loading = ref(false)
+    const error = ref<string | null>(null)
+
+    const importing = ref(false)
+    const progress = ref({ done: 0, total: 0 })
+    const results = ref<CRUD6ImportResult[]>([])
+
+    // Regle rules of the import fields, as used by the create form
+    const rules = computed<Record<string, Record<string, any>>>(() =>
+        convertCRUD6ToRegleRules({ fields: toValue(fields) } as any)
+    )
+
+    // Required fields without a column (every row would fail)
+    const unmappedRequired = computed(() => Object.entries(toValue(fields))
+        .filter(([key, field]) => (field.required || field.validation?.required) && !mapping.value.includes(key))
+        .map(([key]) => key)
+    )
+
+    const rows = computed<CRUD6ImportRow[]>(() => {
+        const fieldMap = toValue(fields)
+
+        return cells.value.map((rowCells, index) => {
+            const record: Record<string, any> = {}
+            mapping.value.forEach((fieldKey, column) => {
+                const value = fieldKey && fieldMap[fieldKey]
+                    ? normalizeImportValue(rowCells[column], fieldMap[fieldKey], translate)
+                    : undefined
+                if (value !== undefined) {
+                    record[fieldKey] = value
+                }
+            })
+
+            return { line: index + 2, cells: rowCells, record, errors: validateImportRecord(record, rules.value) }
+        })
+    })
+
+    const validRows = computed(() => rows.value.filter(row => Object.keys(row.errors).length === 0))
+    const invalidRows = computed(() => rows.value.filter(row => Object.keys(row.errors).length > 0))
+
+    const summary = computed(() => ({
+        created: results.value.filter(result => result.success).length,
+        failed: results.value.filter(result => !result.success).length
+    }))
+
+    /**
+     * Read a CSV or XLSX file and auto-map its columns
+     */
+    async function loadFile(file: File): Promise<boolean> {
+        loading.value = true
+        error.value = null
+        results.value = []
+
+        try {
+            const table = await readImportFile(file)
+            if (table.headers.length === 0) {
+                throw new Error(translate('CRUD6.IMPORT.EMPTY_FILE'))
+            }
+
+            fileName.value = file.name
+            headers.value = table.headers
+            cells.value = table.rows
+            mapping.value = autoMapColumns(table.headers, toValue(fields), translate)
+            debugLog('[useCRUD6Import] File loaded', { file: file.name, columns: table.headers.length, rows: table.rows.length })
+
+            return true
+        } catch (loadError: any) {
+            error.value = translate('CRUD6.IMPORT.READ_FAILED', { message: loadError?.message || String(loadError) })
+            debugError('[useCRUD6Import] Failed to read file', loadError)
+            return false
+        } finally {
+            loading.value = false
+        }
+    }
+
+    /**
+     * Create the valid rows, IMPORT_BATCH_SIZE records at a time
+     */
+    async function importRows(): Promise<CRUD6ImportResult[]> {
+        const queue = [...validRows.value]
+        const collected: CRUD6ImportResult[] = []
+
+        importing.value = true
+        results.value = []
+        progress.value = { done: 0, total: queue.length }
+        debugLog('[useCRUD6Import] Import started', { model: toValue(model), rows: queue.length })
+
+        try {
+            for (let start = 0; start < queue.length; start += IMPORT_BATCH_SIZE) {
+                const batch = queue.slice(start, start + IMPORT_BATCH_SIZE)
+                const outcomes = await Promise.allSettled(
+                    batch.map(row => axios.post(`/api/crud6/${toValue(model)}`, row.record))
+                )
+
+                outcomes.forEach((outcome, index) => {
+                    if (outcome.status === 'fulfilled') {
+                        collected.push({ line: batch[index].line, success: true })
+                    } else {
+                        const data = outcome.reason?.response?.data
+                        collected.push({
+                            line: batch[index].line,
+                            success: false,
+                            message: data?.description || data?.title || outcome.reason?.message
+                        })
+                    }
+                })
+                progress.value = { ...progress.value, done: collected.length }
+            }
+        } finally {
+            importing.value = false
+        }
+
+        results.value = collected
+        debugLog('[useCRUD6Import] Import finished', { model: toValue(model), ...summary.value })
+
+        return collected
+    }
+
+    /**
+     * Rows of the error report: invalid rows and rows the server rejected
+     */
+    const errorRows = computed(() => {
+        const failed = new Map(results.value.filter(result => !result.success).map(result => [result.line, result.message || '']))
+
+        return rows.value
+            .map((row) => {
+                const messages = Object.values(row.errors).flat()
+                if (failed.has(row.line)) {
+                    messages.push(failed.get(row.line) as string)
+                }
+                return { row, messages }
+            })
+            .filter(({ messages }) => messages.length > 0)
+            .map(({ row, messages }) => ({
+                line: row.line,
+                cells: row.cells,
+                messages: messages.map(message => message || translate('CRUD6.IMPORT.FAILED_ROW'))
+            }))
+    })
+
+    /**
+     * Download the invalid and failed rows (original columns, line and errors) as CSV
+     */
+    function downloadErrorReport(): void {
+        const columns = [
+            { key: 'line', label: translate('CRUD6.IMPORT.LINE') },
+            ...headers.value.map((header, index) => ({ key: `column_${index}`, label: header })),
+            { key: 'errors', label: translate('CRUD6.IMPORT.ERRORS') }
+        ]
+        const values = errorRows.value.map(row => [
+            row.line,
+            ...headers.value.map((_, index) => row.cells[index] ?? ''),
+            row.messages.join('; ')
+        ])
+
+        const name = fileName.value.replace(/\.[^.]+$/, '') || toValue(model)
+        downloadFile(
+            new Blob([toCsv(columns, values)], { type: EXPORT_FORMATS.csv.mime }),
+            `${name}-errors.${EXPORT_FORMATS.csv.extension}`
+        )
+    }
+
+    /**
+     * Forget the file, mapping and results
+     */
+    function reset(): void {
+        fileName.value = ''
+        headers.value = []
+        cells.value = []
+        mapping.value = []
+        error.value = null
+        results.value = []
+        progress.value = { done: 0, total: 0 }
+    }
+
+    return {
+        fileName,
+        headers,
+        mapping,
+        loading,
+        error,
+        unmappedRequired,
+        rows,
+        validRows,
+        invalidRows,
+        errorRows,
+        loadFile,
+        importing,
+        progress,
+        results,
+        summary,
+        importRows,
+        downloadErrorReport,
+        reset
+    }
+}
@@ -0,0 +1,248 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import { useAlertsStore } from '@userfrosting/sprinkle-core/stores'
+import { Severity } from '@userfrosting/sprinkle-core/interfaces'
+import type { SchemaField } from './useCRUD6Schema'
+import { convertCRUD6ToRegleRules } from './useCRUD6ValidationAdapter'
+import { isAddressType, isBooleanType, isNumericType } from '../utils/fieldTypes'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Cell being edited
+ */
+export interface CRUD6InlineEditCell {
+    id: string | number
+    fieldKey: string
+}
+
+/**
+ * Fields of a list that can be edited in place: list columns that are
+ * editable on the edit form, by users allowed to edit them. Columns rendered
+ * by a `field_template`, passwords and addresses are left to the edit form.
+ *
+ * @param listFields - List columns
+ * @param formFields - Form context fields (carry validation, lookup and editable settings)
+ * @param canEditField - Field level permission check
+ * @returns Form field definitions by field name
+ */
+export function getInlineEditFields(
+    listFields: [string, SchemaField][],
+    formFields: Record<string, SchemaField> | null | undefined,
+    canEditField: (field: SchemaField) => boolean = () => true
+): Record<string, SchemaField> {
+    return Object.fromEntries(listFields
+        .filter(([key, listField]) => {
+            const field = formFields?.[key]
+            return !!field
+                && !listField.field_template
+                && field.editable !== false
+                && field.readonly !== true
+                && (!Array.isArray(field.show_in) || field.show_in.includes('edit'))
+                && field.type !== 'password'
+                && !isAddressType(field.type || 'string')
+                && canEditField(field)
+        })
+        .map(([key]) => [key, formFields![key]])
+    )
+}
+
+/**
+ * Record value as edited in the field input (datetime-local wants `YYYY-MM-DDTHH:MM`)
+ */
+export function toInlineEditValue(value: any, field: SchemaField): any {
+    const type = field.type || 'string'
+
+    if (isBooleanType(type)) {
+        return !!value && value !== '0'
+    }
+    if (type === 'datetime' && typeof value === 'string') {
+        return value.replace(' ', 'T').slice(0, 16)
+    }
+    if (type === 'date' && typeof value === 'string') {
+        return value.slice(0, 10)
+    }
+
+    return value ?? ''
+}
+
+/**
+ * Edited input value as sent to the API (numbers as numbers, empty numbers as null)
+ */
+export function fromInlineEditValue(value: any, field: SchemaField): any {
+    const type = field.type || 'string'
+
+    if (isNumericType(type)) {
+        return value === '' || value === null || value === undefined ? null : Number(value)
+    }
+    if (type === 'datetime' && typeof value === 'string' && value !== '') {
+        const dateTime = value.replace('T', ' ')
+        return dateTime.length === 16 ? `${dateTime}:00` : dateTime
+    }
+
+    return value
+}
+
+/**
+ * Vue composable for editing list cells in place.
+ *
+ * `startEdit()` opens the editor of a cell with the current value, the value
+ * is validated with the field's Regle rules (the same as the edit form), and
+ * `saveEdit()` writes it to the row at once (optimistic update) and sends it
+ * to `PUT /api/crud6/{model}/{id}/{field}`. When the request fails the
+ * previous value is put back and the error is shown as an alert.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param fields - Editable fields (see getInlineEditFields)
+ * @param primaryKey - Primary key of the rows (defaults to `id`)
+ * @returns Editor state and functions to start, save and cancel an edit
+ *
+ * @example
+ * ```typescript
+ * const inline = useCRUD6InlineEdit(model, inlineEditFields, () => schema.value?.primary_key)
+ *
+ * // <td @dblclick="inline.startEdit(row, 'status')">
+ * await inline.saveEdit(row)
+ * ```
+ */
+export function useCRUD6InlineEdit(
+    model: MaybeRefOrGetter<string>,
+    fields: MaybeRefOrGetter<Record<string, SchemaField>>,
+    primaryKey: MaybeRefOrGetter<string | null | undefined> = 'id'
+) {
+    const alertsStore = useAlertsStore()
+
+    const editing = ref<CRUD6InlineEditCell | null>(null)
+    const draft = ref<any>(null)
+    const errors = ref<string[]>([])
+    // Cells with a request in flight, by `${id}:${fieldKey}`
+    const saving = ref<Record<string, boolean>>({})
+
+    // Regle rules of the editable fields, as used by the edit form
+    const rules = computed<Record<string, Record<string, any>>>(() =>
+        convertCRUD6ToRegleRules({ fields: toValue(fields) } as any)
+    )
+
+    function getId(row: Record<string, any>): string | number {
+        return row[toValue(primaryKey) || 'id']
+    }
+
+    function isEditable(fieldKey: string): boolean {
+        return fieldKey in toValue(fields)
+    }
+
+    function isEditing(row: Record<string, any>, fieldKey: string): boolean {
+        return editing.value !== null && editing.value.fieldKey === fieldKey && String(editing.value.id) === String(getId(row))
+    }
+
+    function isSaving(row: Record<string, any>, fieldKey: string): boolean {
+        return !!saving.value[`${getId(row)}:${fieldKey}`]
+    }
+
+    /**
+     * Error messages of a value (empty when valid)
+     */
+    function validate(fieldKey: string, value: any): string[] {
+        return Object.values(rules.value[fieldKey] || {})
+            .filter(rule => !rule.exec(value))
+            .map(rule => rule.message({ $value: value }))
+    }
+
+    /**
+     * Open the editor of a cell (ignored for fields that cannot be edited)
+     */
+    function startEdit(row: Record<string, any>, fieldKey: string): void {
+        const field = toValue(fields)[fieldKey]
+        if (!field || isSaving(row, fieldKey) || isEditing(row, fieldKey)) {
+            return
+        }
+
+        editing.value = { id: getId(row), fieldKey }
+        draft.value = toInlineEditValue(row[fieldKey], field)
+        errors.value = []
+    }
+
+    /**
+     * Close the editor without saving
+     */
+    function cancelEdit(): void {
+        editing.value = null
+        draft.value = null
+        errors.value = []
+    }
+
+    /**
+     * Validate the edited value, write it to the row and save it.
+     * Invalid values keep the editor open with the errors.
+     *
+     * @param row - Row of the edited cell (updated in place)
+     * @returns true when the value was saved (or did not change)
+     */
+    async function saveEdit(row: Record<string, any>): Promise<boolean> {
+        if (!editing.value) {
+            return false
+        }
+
+        const { fieldKey } = editing.value
+        const field = toValue(fields)[fieldKey]
+        const value = fromInlineEditValue(draft.value, field)
+
+        errors.value = validate(fieldKey, value)
+        if (errors.value.length > 0) {
+            return false
+        }
+
+        const id = getId(row)
+        const previous = row[fieldKey]
+        const unchanged = String(draft.value) === String(toInlineEditValue(previous, field))
+        cancelEdit()
+
+        if (unchanged) {
+            return true
+        }
+
+        const key = `${id}:${fieldKey}`
+        saving.value = { ...saving.value, [key]: true }
+        row[fieldKey] = value
+        debugLog('[useCRUD6InlineEdit] Saving cell', { model: toValue(model), id, fieldKey, value })
+
+        try {
+            await axios.put(`/api/crud6/${toValue(model)}/${id}/${fieldKey}`, { [fieldKey]: value })
+            return true
+        } catch (error: any) {
+            row[fieldKey] = previous
+            const data = error?.response?.data
+            alertsStore.push({
+                title: data?.title || 'Error',
+                description: data?.description || error?.message,
+                style: Severity.Danger
+            })
+            debugError('[useCRUD6InlineEdit] Saving cell failed, value rolled back', { model: toValue(model), id, fieldKey, error })
+            return false
+        } finally {
+            const { [key]: _done, ...rest } = saving.value
+            saving.value = rest
+        }
+    }
+
+    return {
+        editing,
+        draft,
+        errors,
+        isEditable,
+        isEditing,
+        isSaving,
+        validate,
+        startEdit,
+        cancelEdit,
+        saveEdit
+    }
+}
@@ -0,0 +1,232 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import type { CRUD6SprunjerResponse } from '../interfaces'
+import type { KanbanColumnConfig, KanbanViewConfig } from './useCRUD6Schema'
+import { useCRUD6Actions } from './useCRUD6Actions'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Cards loaded per column when the board sets no `page_size`
+ */
+export const KANBAN_PAGE_SIZE = 20
+
+/**
+ * Column of the board with its loaded cards
+ */
+export interface CRUD6KanbanColumn extends KanbanColumnConfig {
+    /** Column key (the column value as a string) */
+    key: string
+    rows: Record<string, any>[]
+    /** Records in the column (with the board filters) */
+    count: number
+    /** Last loaded page (zero based) */
+    page: number
+    loading: boolean
+}
+
+/**
+ * Key of a kanban field value (filters and column lookups use strings)
+ */
+export function getKanbanColumnKey(value: any): string {
+    return value === null || value === undefined ? '' : String(value)
+}
+
+/**
+ * Vue composable for the kanban board of a list.
+ *
+ * Each column loads its own cards from the model's sprunje endpoint, filtered
+ * on its value of the board field (plus the board filters, such as the
+ * search box) with `context=card`, so the backend returns the card fields.
+ * Columns load `page_size` cards at a time; `loadMore()` appends the next page.
+ *
+ * `moveCard()` moves the card right away (optimistic update) and saves the
+ * new value with a `field_update` action, the same path as the schema field
+ * update actions. When the update fails the card goes back to its column.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param config - Kanban configuration (`list_views.kanban` of the list context)
+ * @param primaryKey - Primary key of the records (defaults to `id`)
+ * @returns Columns, loaders and the card move
+ *
+ * @example
+ * ```typescript
+ * const board = useCRUD6Kanban(model, () => schema.value?.list_views?.kanban, () => schema.value?.primary_key)
+ *
+ * await board.load({ search: 'smith' })
+ * await board.moveCard(card, 'open', 'closed')
+ * ```
+ */
+export function useCRUD6Kanban(
+    model: MaybeRefOrGetter<string>,
+    config: MaybeRefOrGetter<KanbanViewConfig | null | undefined>,
+    primaryKey: MaybeRefOrGetter<string | null | undefined> = 'id'
+) {
+    const { executeActionWithoutConfirm } = useCRUD6Actions(model)
+
+    const columns = ref<CRUD6KanbanColumn[]>([])
+    const filters = ref<Record<string, string>>({})
+    const sorts = ref<Record<string, 'asc' | 'desc'>>({})
+    // Cards with a move in flight, by ID
+    const moving = ref<Record<string, boolean>>({})
+    // Responses of an earlier load (filters changed meanwhile) are dropped
+    let generation = 0
+
+    function getId(row: Record<string, any>): string | number {
+        return row[toValue(primaryKey) || 'id']
+    }
+
+    function getPageSize(): number {
+        return toValue(config)?.page_size || KANBAN_PAGE_SIZE
+    }
+
+    function findColumn(key: string): CRUD6KanbanColumn | undefined {
+        return columns.value.find(column => column.key === key)
+    }
+
+    /**
+     * Fetch one page of a column
+     */
+    async function fetchColumn(column: CRUD6KanbanColumn, page: number): Promise<void> {
+        const field = toValue(config)?.field
+        if (!field) {
+            return
+        }
+
+        const requested = generation
+        column.loading = true
+        try {
+            const response = await axios.get<CRUD6SprunjerResponse>(`/api/crud6/${toValue(model)}`, {
+                params: {
+                    filters: { ...filters.value, [field]: column.key },
+                    sorts: sorts.value,
+                    size: getPageSize(),
+                    page,
+                    context: 'card'
+                }
+            })
+
+            if (requested !== generation) {
+                return
+            }
+            const rows = response.data.rows || []
+            column.rows = page === 0 ? rows : [...column.rows, ...rows]
+            column.count = response.data.count_filtered ?? column.rows.length
+            column.page = page
+        } catch (error) {
+            debugError('[useCRUD6Kanban] Loading column failed', { model: toValue(model), column: column.key, error })
+        } finally {
+            column.loading = false
+        }
+    }
+
+    /**
+     * (Re)load the first page of every column
+     *
+     * @param boardFilters - Filters of the board (search box, column filters)
+     * @param boardSorts - Card order within the columns
+     */
+    async function load(
+        boardFilters: Record<string, string> = filters.value,
+        boardSorts: Record<string, 'asc' | 'desc'> = sorts.value
+    ): Promise<void> {
+        generation++
+        filters.value = boardFilters
+        sorts.value = boardSorts
+        columns.value = (toValue(config)?.columns || []).map(column => ({
+            ...column,
+            key: getKanbanColumnKey(column.value),
+            rows: findColumn(getKanbanColumnKey(column.value))?.rows || [],
+            count: findColumn(getKanbanColumnKey(column.value))?.count || 0,
+            page: 0,
+            loading: false
+        }))
+
+        debugLog('[useCRUD6Kanban] Loading board', { model: toValue(model), columns: columns.value.map(column => column.key), filters: boardFilters })
+        await Promise.all(columns.value.map(column => fetchColumn(column, 0)))
+    }
+
+    /**
+     * Append the next page of a column
+     */
+    async function loadMore(key: string): Promise<void> {
+        const column = findColumn(key)
+        if (column && !column.loading && column.rows.length < column.count) {
+            await fetchColumn(column, column.page + 1)
+        }
+    }
+
+    function isMoving(row: Record<string, any>): boolean {
+        return !!moving.value[String(getId(row))]
+    }
+
+    /**
+     * Move a card to another column and save its new board field value.
+     *
+     * @param row - Card record (updated in place)
+     * @param fromKey - Column the card is in
+     * @param toKey - Column the card is dropped in
+     * @returns true when the card was moved (or dropped in its own column)
+     */
+    async function moveCard(row: Record<string, any>, fromKey: string, toKey: string): Promise<boolean> {
+        const field = toValue(config)?.field
+        const from = findColumn(fromKey)
+        const to = findColumn(toKey)
+        if (!field || !from || !to || fromKey === toKey) {
+            return fromKey === toKey
+        }
+        const index = from.rows.indexOf(row)
+        if (index < 0 || isMoving(row)) {
+            return false
+        }
+
+        const id = getId(row)
+        const previous = row[field]
+
+        from.rows.splice(index, 1)
+        from.count--
+        to.rows.unshift(row)
+        to.count++
+        row[field] = to.value
+        moving.value = { ...moving.value, [String(id)]: true }
+        debugLog('[useCRUD6Kanban] Moving card', { model: toValue(model), id, field, from: fromKey, to: toKey })
+
+        const moved = await executeActionWithoutConfirm(
+            { key: `kanban_${field}`, type: 'field_update', field, value: to.value, success_message: 'CRUD6.KANBAN.MOVED' },
+            id,
+            row
+        )
+
+        if (!moved) {
+            to.rows.splice(to.rows.indexOf(row), 1)
+            to.count--
+            from.rows.splice(index, 0, row)
+            from.count++
+            row[field] = previous
+            debugError('[useCRUD6Kanban] Moving card failed, card put back', { model: toValue(model), id, field })
+        }
+
+        const { [String(id)]: _done, ...rest } = moving.value
+        moving.value = rest
+
+        return moved
+    }
+
+    return {
+        columns,
+        filters,
+        sorts,
+        load,
+        loadMore,
+        isMoving,
+        moveCard
+    }
+}
@@ -0,0 +1,218 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import type { LayoutConfig } from './useCRUD6Schema'
+
+/**
+ * Section of a resolved layout with the rendered fields it groups
+ */
+export interface CRUD6LayoutSection {
+    key: string
+    title?: string
+    description?: string
+    /** Fieldsets can be collapsed */
+    collapsible: boolean
+    /** Grid columns, 1 to 4 */
+    columns: number
+    /** Key of the tab the section is shown on */
+    tab?: string
+    /** Rendered fields, in order, with the number of columns they span */
+    fields: { key: string; span?: number }[]
+}
+
+export interface CRUD6LayoutTab {
+    key: string
+    title: string
+}
+
+/** Key of the section gathering the fields listed in no section */
+export const LAYOUT_REST_SECTION = '__rest'
+
+const CHILD_WIDTHS = ['uk-child-width-1-1', 'uk-child-width-1-2@s', 'uk-child-width-1-3@m', 'uk-child-width-1-4@l']
+const BREAKPOINTS = ['', '', '@s', '@m', '@l']
+
+function clampColumns(columns: number | undefined, fallback: number): number {
+    return Math.max(1, Math.min(4, Math.round(columns || fallback)))
+}
+
+function gcd(a: number, b: number): number {
+    return b === 0 ? a : gcd(b, a % b)
+}
+
+/**
+ * UIkit grid classes of a section with the given number of columns,
+ * stacked on small screens
+ */
+export function getLayoutGridClass(columns: number): string {
+    return CHILD_WIDTHS.slice(0, clampColumns(columns, 1)).join(' ')
+}
+
+/**
+ * UIkit width classes of a field spanning `span` of the section columns
+ * (full width below the breakpoint of the section grid)
+ */
+export function getLayoutSpanClass(span: number | undefined, columns: number): string {
+    if (!span || span <= 1) {
+        return ''
+    }
+    if (span >= columns) {
+        return 'uk-width-1-1'
+    }
+
+    const divisor = gcd(span, columns)
+    return `uk-width-1-1 uk-width-${span / divisor}-${columns / divisor}${BREAKPOINTS[columns]}`
+}
+
+/**
+ * Vue composable for the sections, fieldsets and tabs of the schema `layout`.
+ *
+ * Sections keep the rendered fields they list (editable or viewable, and not
+ * hidden by their conditions) and are left out once empty, along with their
+ * tabs. Sections are ordered as rendered: the ones on no tab first, then the
+ * ones of each tab, then an untitled section with the fields listed in no
+ * section. Without a layout that last section holds every field, so the
+ * fields are rendered as the plain grid of the form.
+ *
+ * @param layout - Layout of the schema (ref, getter or plain value)
+ * @param fields - Keys of the rendered fields
+ * @param options - Default grid columns, and fields spanning the whole row
+ *                  unless the layout sets their span
+ * @returns Sections, tabs, the active tab and the collapsed fieldsets
+ *
+ * @example
+ * ```typescript
+ * const { sections, tabs, activeTab, reveal } = useCRUD6Layout(() => schema.value?.layout, () => Object.keys(fields.value), { columns: 2 })
+ *
+ * reveal('vat_number') // shows the tab and expands the fieldset of the field
+ * ```
+ */
+export function useCRUD6Layout(
+    layout: MaybeRefOrGetter<LayoutConfig | null | undefined>,
+    fields: MaybeRefOrGetter<string[]>,
+    options: {
+        columns?: MaybeRefOrGetter<number>
+        fullWidth?: MaybeRefOrGetter<string[]>
+    } = {}
+) {
+    const selectedTab = ref<string | null>(null)
+    // Fieldsets toggled by the user, overriding their `collapsed` setting
+    const toggled = ref<Record<string, boolean>>({})
+
+    const hasLayout = computed(() => {
+        const config = toValue(layout)
+        return !!config && ((config.sections || []).length > 0 || (config.tabs || []).length > 0)
+    })
+
+    const sections = computed<CRUD6LayoutSection[]>(() => {
+        const config = toValue(layout)
+        const rendered = toValue(fields)
+        const fullWidth = toValue(options.fullWidth) || []
+        const defaultColumns = clampColumns(toValue(options.columns), 2)
+        const tabKeys = (config?.tabs || []).map(tab => tab.key)
+        const listed = new Set<string>()
+
+        const resolved = (config?.sections || []).map((section) => {
+            const columns = clampColumns(section.columns, defaultColumns)
+            const sectionFields = (section.fields || [])
+                .map(item => (typeof item === 'string' ? { field: item } : item))
+                .filter(item => rendered.includes(item.field) && !listed.has(item.field))
+                .map((item) => {
+                    listed.add(item.field)
+                    const span = item.span === 'full' ? columns : item.span
+                    return { key: item.field, span: span ?? (fullWidth.includes(item.field) ? columns : undefined) }
+                })
+
+            return {
+                key: section.key,
+                title: section.title,
+                description: section.description,
+                collapsible: section.type === 'fieldset',
+                columns,
+                tab: section.tab && tabKeys.includes(section.tab) ? section.tab : undefined,
+                fields: sectionFields
+            }
+        })
+
+        const rest = rendered.filter(field => !listed.has(field))
+
+        return [
+            ...resolved.filter(section => !section.tab),
+            ...tabKeys.flatMap(tab => resolved.filter(section => section.tab === tab)),
+            {
+                key: LAYOUT_REST_SECTION,
+                collapsible: false,
+                columns: defaultColumns,
+                fields: rest.map(key => ({ key, span: fullWidth.includes(key) ? defaultColumns : undefined }))
+            }
+        ].filter(section => section.fields.length > 0)
+    })
+
+    /** Tabs with at least one section */
+    const tabs = computed<CRUD6LayoutTab[]>(() =>
+        (toValue(layout)?.tabs || [])
+            .filter(tab => sections.value.some(section => section.tab === tab.key))
+            .map(tab => ({ key: tab.key, title: tab.title }))
+    )
+
+    /** Shown tab: the selected one while it has sections, the first one otherwise */
+    const activeTab = computed<string | null>({
+        get: () => tabs.value.find(tab => tab.key === selectedTab.value)?.key ?? tabs.value[0]?.key ?? null,
+        set: (key) => {
+            selectedTab.value = key
+        }
+    })
+
+    function isCollapsed(key: string): boolean {
+        if (key in toggled.value) {
+            return toggled.value[key]
+        }
+        return !!toValue(layout)?.sections?.find(section => section.key === key && section.type === 'fieldset')?.collapsed
+    }
+
+    function toggle(key: string) {
+        toggled.value = { ...toggled.value, [key]: !isCollapsed(key) }
+    }
+
+    /** Check whether a section is shown: it is on the active tab, or on none */
+    function isSectionShown(section: CRUD6LayoutSection): boolean {
+        return !section.tab || section.tab === activeTab.value
+    }
+
+    /**
+     * Bring a field into view: show its tab and expand its fieldset
+     *
+     * @returns false when the field is not rendered by the layout
+     */
+    function reveal(fieldKey: string): boolean {
+        const section = sections.value.find(candidate => candidate.fields.some(field => field.key === fieldKey))
+        if (!section) {
+            return false
+        }
+
+        if (section.tab) {
+            activeTab.value = section.tab
+        }
+        if (isCollapsed(section.key)) {
+            toggle(section.key)
+        }
+        return true
+    }
+
+    return {
+        hasLayout,
+        sections,
+        tabs,
+        activeTab,
+        isCollapsed,
+        toggle,
+        isSectionShown,
+        reveal
+    }
+}
@@ -0,0 +1,235 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { nextTick, onMounted, watch } from 'vue'
+import { useRoute, useRouter } from 'vue-router'
+import type { LocationQuery, LocationQueryRaw } from 'vue-router'
+import type { Sprunjer } from '@userfrosting/sprinkle-core/interfaces'
+import { debugLog } from '../utils/debug'
+
+/**
+ * List state kept in the route query string
+ */
+export interface CRUD6ListState {
+    /** Zero based page (written one based in the URL) */
+    page: number
+    size: number
+    sorts: Record<string, 'asc' | 'desc'>
+    filters: Record<string, string>
+}
+
+/**
+ * Query parameter names: `page`, `size`, `sort=name,-created_at`, the
+ * search box as `search` and every other filter as `filters[key]`
+ */
+const FILTER_PATTERN = /^filters\[(.+)\]$/
+
+function firstValue(value: LocationQuery[string] | undefined): string | null {
+    return (Array.isArray(value) ? value[0] : value) ?? null
+}
+
+/**
+ * Whether a query string holds any list state
+ */
+export function hasListQuery(query: LocationQuery): boolean {
+    return Object.keys(query).some(key => ['page', 'size', 'sort', 'search'].includes(key) || FILTER_PATTERN.test(key))
+}
+
+/**
+ * Serialize list state into query parameters. Default values (first page,
+ * default size, no sort, empty filters) are left out to keep links short.
+ *
+ * @param state - Current list state
+ * @param defaultSize - Page size left out of the URL
+ * @param searchColumn - Filter written as the `search` parameter
+ */
+export function serializeListState(state: CRUD6ListState, defaultSize: number, searchColumn = 'search'): Record<string, string> {
+    const query: Record<string, string> = {}
+
+    if (state.page > 0) {
+        query.page = String(state.page + 1)
+    }
+    if (state.size !== defaultSize) {
+        query.size = String(state.size)
+    }
+
+    const sort = Object.entries(state.sorts)
+        .filter(([, direction]) => direction === 'asc' || direction === 'desc')
+        .map(([key, direction]) => (direction === 'desc' ? `-${key}` : key))
+        .join(',')
+    if (sort) {
+        query.sort = sort
+    }
+
+    Object.entries(state.filters).forEach(([key, value]) => {
+        if (value === '') {
+            return
+        }
+        query[key === searchColumn ? 'search' : `filters[${key}]`] = String(value)
+    })
+
+    return query
+}
+
+/**
+ * Parse list state from query parameters (see serializeListState)
+ *
+ * @param query - Route query
+ * @param defaultSize - Page size when the URL has none
+ * @param searchColumn - Filter the `search` parameter is written to
+ */
+export function parseListQuery(query: LocationQuery, defaultSize: number, searchColumn = 'search'): CRUD6ListState {
+    const page = Number.parseInt(firstValue(query.page) || '', 10)
+    const size = Number.parseInt(firstValue(query.size) || '', 10)
+
+    const sorts: Record<string, 'asc' | 'desc'> = {}
+    ;(firstValue(query.sort) || '').split(',').map(item => item.trim()).filter(Boolean).forEach((item) => {
+        if (item.startsWith('-')) {
+            sorts[item.slice(1)] = 'desc'
+        } else {
+            sorts[item] = 'asc'
+        }
+    })
+
+    const filters: Record<string, string> = {}
+    Object.keys(query).forEach((key) => {
+        const value = firstValue(query[key])
+        const match = FILTER_PATTERN.exec(key)
+        if (value !== null && value !== '' && (match || key === 'search')) {
+            filters[match ? match[1] : searchColumn] = value
+        }
+    })
+
+    return {
+        page: page > 0 ? page - 1 : 0,
+        size: size > 0 ? size : defaultSize,
+        sorts,
+        filters
+    }
+}
+
+// Parameters of a serialized state in a stable order, for comparison
+function queryKey(query: Record<string, string>, filtersOnly = false): string {
+    return JSON.stringify(
+        Object.entries(query)
+            .filter(([key]) => !filtersOnly || key === 'search' || FILTER_PATTERN.test(key))
+            .sort(([a], [b]) => a.localeCompare(b))
+    )
+}
+
+function readState(sprunjer: Pick<Sprunjer, 'page' | 'size' | 'sorts' | 'filters'>): CRUD6ListState {
+    return {
+        page: sprunjer.page.value,
+        size: sprunjer.size.value,
+        sorts: Object.fromEntries(
+            Object.entries(sprunjer.sorts.value || {}).filter(([, direction]) => direction === 'asc' || direction === 'desc')
+        ) as Record<string, 'asc' | 'desc'>,
+        filters: Object.fromEntries(
+            Object.entries(sprunjer.filters.value || {})
+                .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+                .map(([key, value]) => [key, String(value)])
+        )
+    }
+}
+
+/**
+ * Vue composable keeping a list sprunjer and the route query in sync, so a
+ * sorted, filtered or searched list can be bookmarked and shared.
+ *
+ * The query is applied to the sprunjer when called (a shared link opens on
+ * the same page, sort and filters); every later change of the sprunjer pushes
+ * a history entry, and back / forward navigation applies the query again.
+ * Changes made while the list opens (such as a default view) replace the
+ * current entry instead. Query parameters other than the list state are kept.
+ *
+ * @param sprunjer - The list sprunjer
+ * @param searchColumn - Filter of the search box (the `search` parameter)
+ *
+ * @example
+ * ```typescript
+ * // /crud6/orders?page=2&sort=-created_at&filters[status]=open&search=smith
+ * useCRUD6ListQuery(sprunjer)
+ * ```
+ */
+export function useCRUD6ListQuery(
+    sprunjer: Pick<Sprunjer, 'page' | 'size' | 'sorts' | 'filters'>,
+    searchColumn = 'search'
+) {
+    const route = useRoute()
+    const router = useRouter()
+
+    // Query changes of other routes (leaving the list) are not list state
+    const routeName = route.name
+    const defaultSize = sprunjer.size.value
+
+    // Until the list is mounted, state changes are not user navigation
+    let opening = true
+    onMounted(() => nextTick(() => {
+        opening = false
+    }))
+
+    /**
+     * Apply the route query to the sprunjer (only what differs, to avoid refetches)
+     */
+    function applyQuery(query: LocationQuery): void {
+        const state = parseListQuery(query, defaultSize, searchColumn)
+
+        const current = serializeListState(readState(sprunjer), defaultSize, searchColumn)
+        const wanted = serializeListState(state, defaultSize, searchColumn)
+
+        if (wanted.sort !== current.sort) {
+            sprunjer.sorts.value = state.sorts
+        }
+        if (queryKey(wanted, true) !== queryKey(current, true)) {
+            sprunjer.filters.value = state.filters
+        }
+        if (state.size !== sprunjer.size.value) {
+            sprunjer.size.value = state.size
+        }
+        if (state.page !== sprunjer.page.value) {
+            sprunjer.page.value = state.page
+        }
+    }
+
+    if (hasListQuery(route.query)) {
+        debugLog('[useCRUD6ListQuery] Restoring list state from the URL', { query: route.query })
+        applyQuery(route.query)
+    }
+
+    // Sprunjer -> URL
+    watch(
+        () => serializeListState(readState(sprunjer), defaultSize, searchColumn),
+        (state) => {
+            const current = serializeListState(parseListQuery(route.query, defaultSize, searchColumn), defaultSize, searchColumn)
+            if (route.name !== routeName || queryKey(state) === queryKey(current)) {
+                return
+            }
+
+            const query: LocationQueryRaw = Object.fromEntries(
+                Object.entries(route.query).filter(([key]) => !hasListQuery({ [key]: null }))
+            )
+            const location = { query: { ...query, ...state } }
+            if (opening) {
+                router.replace(location)
+            } else {
+                router.push(location)
+            }
+        },
+        { deep: true }
+    )
+
+    // URL -> sprunjer (back / forward navigation, pasted links)
+    watch(
+        () => route.query,
+        (query) => {
+            if (route.name === routeName) {
+                applyQuery(query)
+            }
+        }
+    )
+}
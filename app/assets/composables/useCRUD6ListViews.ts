@@ -0,0 +1,338 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue, watch } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import { useAuthStore } from '@userfrosting/sprinkle-account/stores'
+import { useAlertsStore } from '@userfrosting/sprinkle-core/stores'
+import { Severity } from '@userfrosting/sprinkle-core/interfaces'
+import type { Sprunjer } from '@userfrosting/sprinkle-core/interfaces'
+import type { SchemaField } from './useCRUD6Schema'
+import { debugLog, debugWarn, debugError } from '../utils/debug'
+
+/**
+ * Column layout of a list: display order and hidden columns, by field key
+ */
+export interface CRUD6ColumnLayout {
+    order: string[]
+    hidden: string[]
+}
+
+/**
+ * Named saved view of a list
+ */
+export interface CRUD6ListView {
+    name: string
+    columns: CRUD6ColumnLayout
+    sorts: Record<string, 'asc' | 'desc'>
+    filters: Record<string, any>
+    size: number
+}
+
+/**
+ * List view state of one user and model, as stored by `/api/crud6/{model}/views`
+ */
+interface StoredListViews {
+    layout: CRUD6ColumnLayout
+    views: CRUD6ListView[]
+    defaultView: string | null
+}
+
+function emptyState(): StoredListViews {
+    return { layout: { order: [], hidden: [] }, views: [], defaultView: null }
+}
+
+function normalizeState(data: any): StoredListViews {
+    return {
+        layout: {
+            order: Array.isArray(data?.layout?.order) ? data.layout.order : [],
+            hidden: Array.isArray(data?.layout?.hidden) ? data.layout.hidden : []
+        },
+        views: Array.isArray(data?.views) ? data.views : [],
+        defaultView: typeof data?.defaultView === 'string' ? data.defaultView : null
+    }
+}
+
+/**
+ * Order fields by a column layout and drop the hidden ones. Fields missing
+ * from the layout (added to the schema later) keep their schema position,
+ * after the ordered ones; layout keys of removed fields are ignored.
+ *
+ * @param fields - Fields in schema order
+ * @param layout - Column order and hidden columns
+ * @param includeHidden - Keep the hidden fields (for the column chooser)
+ */
+export function applyColumnLayout(
+    fields: [string, SchemaField][],
+    layout: CRUD6ColumnLayout,
+    includeHidden = false
+): [string, SchemaField][] {
+    const position = (key: string) => {
+        const index = layout.order.indexOf(key)
+        return index === -1 ? layout.order.length : index
+    }
+
+    return fields
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => position(a.entry[0]) - position(b.entry[0]) || a.index - b.index)
+        .map(({ entry }) => entry)
+        .filter(([key]) => includeHidden || !layout.hidden.includes(key))
+}
+
+/**
+ * Vue composable for the column layout and saved views of a list.
+ *
+ * The column layout (order and visibility) and the named views (columns,
+ * sort, filters and page size) are stored on the server per user and per
+ * model (`/api/crud6/{model}/views`), so they follow the user to another
+ * browser. They load when the composable is created (`loading` meanwhile)
+ * and every change is saved immediately. One view can be marked as the
+ * default, applied when the list opens.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param fields - List fields in schema order
+ * @returns Column layout, saved views and functions to change them
+ *
+ * @example
+ * ```typescript
+ * const { visibleFields, saveView, applyView } = useCRUD6ListViews(model, schemaFields)
+ *
+ * saveView('Open orders', sprunjer)
+ * applyView('Open orders', sprunjer)
+ * ```
+ */
+export function useCRUD6ListViews(
+    model: MaybeRefOrGetter<string>,
+    fields: MaybeRefOrGetter<[string, SchemaField][]>
+) {
+    const authStore = useAuthStore()
+
+    const alertsStore = useAlertsStore()
+
+    // Views belong to the signed-in user: reload them when the user changes
+    const owner = computed(() => `${authStore.user?.id ?? 'guest'}:${toValue(model)}`)
+
+    const layout = ref<CRUD6ColumnLayout>({ order: [], hidden: [] })
+    const views = ref<CRUD6ListView[]>([])
+    const defaultView = ref<string | null>(null)
+    const activeView = ref<string | null>(null)
+    const loading = ref(false)
+
+    let loadCount = 0
+    let saving: Promise<void> = Promise.resolve()
+
+    function setState(state: StoredListViews): void {
+        layout.value = state.layout
+        views.value = state.views
+        defaultView.value = state.defaultView
+    }
+
+    watch(owner, async () => {
+        const current = ++loadCount
+        setState(emptyState())
+        activeView.value = null
+        loading.value = true
+
+        try {
+            const response = await axios.get(`/api/crud6/${toValue(model)}/views`)
+            // A later load (other model or user) wins
+            if (current === loadCount) {
+                setState(normalizeState(response.data))
+            }
+        } catch (error) {
+            // Without the saved views the list still works with every column
+            debugWarn('[useCRUD6ListViews] Failed to load list views', { model: toValue(model), error })
+        } finally {
+            if (current === loadCount) {
+                loading.value = false
+            }
+        }
+    }, { immediate: true })
+
+    function persist(): void {
+        const modelName = toValue(model)
+        const state: StoredListViews = {
+            layout: layout.value,
+            views: views.value,
+            defaultView: defaultView.value
+        }
+
+        // One save at a time, so the last change is the one stored
+        saving = saving
+            .then(() => axios.put(`/api/crud6/${modelName}/views`, state))
+            .then(() => undefined, (error: any) => {
+                debugError('[useCRUD6ListViews] Failed to save list views', { model: modelName, error })
+                const data = error?.response?.data
+                alertsStore.push({
+                    title: data?.title || 'Error',
+                    description: data?.description || error?.message,
+                    style: Severity.Danger
+                })
+            })
+    }
+
+    /**
+     * Every list field in display order, with its visibility (column chooser)
+     */
+    const columns = computed(() =>
+        applyColumnLayout(toValue(fields), layout.value, true).map(([key, field]) => ({
+            key,
+            field,
+            visible: !layout.value.hidden.includes(key)
+        }))
+    )
+
+    /**
+     * Visible list fields in display order (table columns)
+     */
+    const visibleFields = computed(() => applyColumnLayout(toValue(fields), layout.value))
+
+    /**
+     * Show or hide a column; the last visible column cannot be hidden
+     */
+    function toggleColumn(key: string): void {
+        const hidden = layout.value.hidden.includes(key)
+            ? layout.value.hidden.filter(item => item !== key)
+            : [...layout.value.hidden, key]
+
+        if (toValue(fields).every(([fieldKey]) => hidden.includes(fieldKey))) {
+            return
+        }
+
+        layout.value = { ...layout.value, hidden }
+        persist()
+    }
+
+    /**
+     * Move a column to the position of another one (drag and drop)
+     */
+    function moveColumn(key: string, targetKey: string): void {
+        const order = columns.value.map(column => column.key)
+        const from = order.indexOf(key)
+        const to = order.indexOf(targetKey)
+        if (from === -1 || to === -1 || from === to) {
+            return
+        }
+
+        order.splice(to, 0, ...order.splice(from, 1))
+        layout.value = { ...layout.value, order }
+        persist()
+    }
+
+    /**
+     * Back to every column, in schema order
+     */
+    function resetColumns(): void {
+        layout.value = { order: [], hidden: [] }
+        persist()
+    }
+
+    /**
+     * Save the current columns, sort, filters and page size under a name
+     * (replacing the view of the same name)
+     */
+    function saveView(name: string, sprunjer: Pick<Sprunjer, 'sorts' | 'filters' | 'size'>): void {
+        const viewName = name.trim()
+        if (!viewName) {
+            return
+        }
+
+        // Empty filters are left out so the view does not clear filters it never set
+        const filters = Object.fromEntries(
+            Object.entries(sprunjer.filters.value || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+        )
+        const sorts = Object.fromEntries(
+            Object.entries(sprunjer.sorts.value || {}).filter(([, direction]) => direction === 'asc' || direction === 'desc')
+        ) as Record<string, 'asc' | 'desc'>
+
+        const view: CRUD6ListView = {
+            name: viewName,
+            columns: { order: columns.value.map(column => column.key), hidden: [...layout.value.hidden] },
+            sorts,
+            filters,
+            size: sprunjer.size.value
+        }
+
+        views.value = [...views.value.filter(item => item.name !== viewName), view]
+        activeView.value = viewName
+        persist()
+        debugLog('[useCRUD6ListViews] View saved', { model: toValue(model), view })
+    }
+
+    /**
+     * Apply a saved view to the columns and the sprunjer (back to the first page)
+     *
+     * @returns false when there is no view of that name
+     */
+    function applyView(name: string, sprunjer: Pick<Sprunjer, 'sorts' | 'filters' | 'size' | 'page'>): boolean {
+        const view = views.value.find(item => item.name === name)
+        if (!view) {
+            return false
+        }
+
+        layout.value = { order: [...view.columns.order], hidden: [...view.columns.hidden] }
+        sprunjer.sorts.value = { ...view.sorts }
+        sprunjer.filters.value = { ...view.filters }
+        sprunjer.size.value = view.size
+        sprunjer.page.value = 0
+        activeView.value = name
+        persist()
+        debugLog('[useCRUD6ListViews] View applied', { model: toValue(model), view })
+
+        return true
+    }
+
+    /**
+     * Delete a saved view (and the default marker when it pointed at it)
+     */
+    function deleteView(name: string): void {
+        views.value = views.value.filter(item => item.name !== name)
+        if (defaultView.value === name) {
+            defaultView.value = null
+        }
+        if (activeView.value === name) {
+            activeView.value = null
+        }
+        persist()
+    }
+
+    /**
+     * Mark the view applied when the list opens (null for none)
+     */
+    function setDefaultView(name: string | null): void {
+        defaultView.value = name && views.value.some(item => item.name === name) ? name : null
+        persist()
+    }
+
+    /**
+     * Apply the default view, if any
+     *
+     * @returns true when a view was applied
+     */
+    function applyDefaultView(sprunjer: Pick<Sprunjer, 'sorts' | 'filters' | 'size' | 'page'>): boolean {
+        return defaultView.value ? applyView(defaultView.value, sprunjer) : false
+    }
+
+    return {
+        loading,
+        columns,
+        visibleFields,
+        toggleColumn,
+        moveColumn,
+        resetColumns,
+        views,
+        activeView,
+        defaultView,
+        saveView,
+        applyView,
+        deleteView,
+        setDefaultView,
+        applyDefaultView
+    }
+}
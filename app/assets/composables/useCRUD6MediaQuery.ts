@@ -0,0 +1,52 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { getCurrentInstance, onBeforeUnmount, ref } from 'vue'
+import type { Ref } from 'vue'
+
+/**
+ * Screens narrower than the UIkit `@s` breakpoint (phones)
+ */
+export const SMALL_SCREEN_QUERY = '(max-width: 639px)'
+
+/**
+ * Vue composable following a CSS media query.
+ *
+ * The returned ref is updated when the query starts or stops matching (the
+ * window is resized or rotated), until the calling component is unmounted.
+ * Without `window.matchMedia` (server rendering) it stays false.
+ *
+ * @param query - Media query, such as SMALL_SCREEN_QUERY
+ * @returns Whether the query matches
+ *
+ * @example
+ * ```typescript
+ * const smallScreen = useCRUD6MediaQuery(SMALL_SCREEN_QUERY)
+ * ```
+ */
+export function useCRUD6MediaQuery(query: string): Ref<boolean> {
+    const matches = ref(false)
+
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+        return matches
+    }
+
+    const media = window.matchMedia(query)
+    matches.value = media.matches
+
+    const onChange = (event: MediaQueryListEvent) => {
+        matches.value = event.matches
+    }
+    media.addEventListener('change', onChange)
+
+    if (getCurrentInstance()) {
+        onBeforeUnmount(() => media.removeEventListener('change', onChange))
+    }
+
+    return matches
+}
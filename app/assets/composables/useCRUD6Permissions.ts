@@ -0,0 +1,213 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import { useAuthStore } from '@userfrosting/sprinkle-account/stores'
+import type { CRUD6Schema, ActionConfig, SchemaField } from './useCRUD6Schema'
+import { inferPermission } from '../utils/actionInference'
+import { debugLog } from '../utils/debug'
+
+/**
+ * CRUD operations understood by hasPermission()
+ *
+ * Anything else passed to hasPermission() is treated as a raw permission slug.
+ */
+export type CRUD6PermissionAction =
+    | 'read'
+    | 'view'
+    | 'create'
+    | 'update'
+    | 'edit'
+    | 'delete'
+    | 'update_field'
+    | 'view_field'
+
+/**
+ * Key looked up in the schema `permissions` block for each operation: the key
+ * of the action Base::validateAccess() checks on the backend (record edits
+ * `edit`, field updates `update`), so buttons are shown for what the API allows
+ */
+const PERMISSION_KEYS: Record<CRUD6PermissionAction, string> = {
+    read: 'read',
+    view: 'read',
+    create: 'create',
+    update: 'edit',
+    edit: 'edit',
+    delete: 'delete',
+    update_field: 'update',
+    view_field: 'view_field'
+}
+
+/**
+ * Default slugs when the schema does not declare the operation.
+ * Mirrors Base::validateAccess() (`crud6.{model}.{action}`), except for
+ * view_field which uses the seeded global `view_crud6_field` permission.
+ */
+const DEFAULT_SLUGS: Record<CRUD6PermissionAction, (model: string) => string> = {
+    read: (model) => `crud6.${model}.read`,
+    view: (model) => `crud6.${model}.read`,
+    create: (model) => `crud6.${model}.create`,
+    update: (model) => `crud6.${model}.edit`,
+    edit: (model) => `crud6.${model}.edit`,
+    delete: (model) => `crud6.${model}.delete`,
+    update_field: (model) => `crud6.${model}.update`,
+    view_field: () => 'view_crud6_field'
+}
+
+/**
+ * CRUD operation enforced by the backend for each action type
+ */
+const ACTION_TYPE_OPERATIONS: Record<string, CRUD6PermissionAction> = {
+    field_update: 'update_field',
+    password_update: 'update_field',
+    api_call: 'update_field',
+    modal: 'update',
+    form: 'update',
+    route: 'read'
+}
+
+function isPermissionAction(action: string): action is CRUD6PermissionAction {
+    return action in PERMISSION_KEYS
+}
+
+/**
+ * Vue composable for schema-driven permission checks.
+ *
+ * Resolves CRUD operations to permission slugs through the schema's
+ * `permissions` block (with the same defaults as the backend) and checks
+ * them against the authenticated user from the UserFrosting account store.
+ *
+ * ## Resolution
+ * - `hasPermission('update')` / `hasPermission('edit')` (record edits) → `schema.permissions.edit` → `crud6.{model}.edit`
+ * - `hasPermission('update_field')` (single field updates) → `schema.permissions.update` → `crud6.{model}.update`
+ * - `hasPermission('view_field')` → `schema.permissions.view_field` → `view_crud6_field`
+ * - `hasPermission('uri_users')` → checked as a raw slug
+ * - `hasActionPermission(action)` → explicit `action.permission`, otherwise the
+ *   slug inferred by `inferPermission()` or the operation the backend enforces
+ *   for the action type (e.g. `update_field` for field_update actions)
+ * - `canViewField(field)` / `canEditField(field)` → the field's `permissions.view` /
+ *   `permissions.edit` slugs; fields without them are visible and editable
+ *
+ * Master users pass every check (handled by the account store).
+ *
+ * @param schema - Schema (ref, getter or plain value) providing the `permissions` block
+ * @param modelName - Optional model name, used when the schema has no `model`
+ * @returns Object with permission check functions
+ *
+ * @example
+ * ```typescript
+ * const { schema } = useCRUD6Schema()
+ * const { hasPermission, hasActionPermission } = useCRUD6Permissions(schema)
+ *
+ * const canCreate = computed(() => hasPermission('create'))
+ * const visibleActions = computed(() => (schema.value?.actions || []).filter(hasActionPermission))
+ * ```
+ */
+export function useCRUD6Permissions(
+    schema: MaybeRefOrGetter<CRUD6Schema | null | undefined>,
+    modelName?: MaybeRefOrGetter<string | null | undefined>
+) {
+    const authStore = useAuthStore()
+
+    /**
+     * Current model name (schema first, then the explicit model name)
+     */
+    function getModel(): string {
+        return toValue(schema)?.model || toValue(modelName) || 'unknown'
+    }
+
+    /**
+     * Resolve an operation (or raw slug) to the permission slug to check
+     */
+    function getPermissionSlug(action: CRUD6PermissionAction | string): string {
+        if (!isPermissionAction(action)) {
+            return action
+        }
+
+        const permissions = (toValue(schema)?.permissions || {}) as Record<string, string | undefined>
+        return permissions[PERMISSION_KEYS[action]] || DEFAULT_SLUGS[action](getModel())
+    }
+
+    /**
+     * Check if the current user may perform an operation (or holds a raw permission slug)
+     */
+    function hasPermission(action: CRUD6PermissionAction | string): boolean {
+        const slug = getPermissionSlug(action)
+        const granted = authStore.checkAccess(slug)
+        debugLog('[useCRUD6Permissions] Permission check', { model: getModel(), action, slug, granted })
+        return granted
+    }
+
+    /**
+     * Check if the current user may run a schema action (custom actions, create/edit/delete buttons)
+     */
+    function hasActionPermission(action: ActionConfig): boolean {
+        if (action.permission) {
+            return hasPermission(action.permission)
+        }
+
+        const inferred = inferPermission(action, getModel())
+        const operation = ACTION_TYPE_OPERATIONS[action.type]
+        if (!inferred && !operation) {
+            // Nothing to check (e.g. navigation-only actions)
+            return true
+        }
+
+        return (!!inferred && authStore.checkAccess(inferred)) || (!!operation && hasPermission(operation))
+    }
+
+    /**
+     * Check if the current user may see a field (`permissions.view`)
+     */
+    function canViewField(field?: SchemaField | null): boolean {
+        const slug = field?.permissions?.view
+        return !slug || authStore.checkAccess(slug)
+    }
+
+    /**
+     * Check if the current user may change a field (`permissions.edit`).
+     * Hidden fields are never editable.
+     */
+    function canEditField(field?: SchemaField | null): boolean {
+        const slug = field?.permissions?.edit
+        return canViewField(field) && (!slug || authStore.checkAccess(slug))
+    }
+
+    /**
+     * Keep only the fields the current user may see
+     */
+    function filterViewableFields<T extends SchemaField>(fields: Record<string, T> | null | undefined): Record<string, T> {
+        return Object.fromEntries(
+            Object.entries(fields || {}).filter(([, field]) => canViewField(field))
+        )
+    }
+
+    /**
+     * Remove the values of fields the current user may not edit from a payload.
+     * Keys that are not schema fields (primary keys, foreign keys, ...) are kept.
+     */
+    function stripRestrictedFields<T extends Record<string, any>>(
+        data: T,
+        fields: Record<string, SchemaField> | null | undefined = toValue(schema)?.fields
+    ): Partial<T> {
+        return Object.fromEntries(
+            Object.entries(data).filter(([key]) => !fields?.[key] || canEditField(fields[key]))
+        ) as Partial<T>
+    }
+
+    return {
+        getPermissionSlug,
+        hasPermission,
+        hasActionPermission,
+        canViewField,
+        canEditField,
+        filterViewableFields,
+        stripRestrictedFields
+    }
+}
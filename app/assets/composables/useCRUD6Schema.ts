@@ -6,10 +6,14 @@
  * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
  */
 
-import { ref, computed } from 'vue'
+import { ref, computed, getCurrentInstance, onBeforeUnmount } from 'vue'
 import { useCRUD6SchemaStore } from '../stores/useCRUD6SchemaStore'
+import type { SchemaChangedEvent } from '../stores/useCRUD6SchemaStore'
+import { useCRUD6Permissions } from './useCRUD6Permissions'
+import type { CRUD6PermissionAction } from './useCRUD6Permissions'
 import type { ApiErrorResponse } from '@userfrosting/sprinkle-core/interfaces'
 import { debugLog, debugWarn, debugError } from '../utils/debug'
+import type { FieldConditions } from '../utils/fieldConditions'
 
 export interface SchemaField {
     type: string
@@ -19,7 +23,26 @@ export interface SchemaField {
     filterable?: boolean
     editable?: boolean
     filter_type?: string
+    /** Searched by the list search box and AutoLookup */
+    searchable?: boolean
+    /** Relevance weight of matches in this field (default 1) */
+    search_weight?: number
+    /** Exported by the list export (instead of the list fields) */
+    exportable?: boolean
+    /** Never written to local form drafts (like passwords) */
+    sensitive?: boolean
+    /** List aggregations of the field (sum, avg, min, max, count) */
+    aggregate?: AggregateFunction | AggregateFunction[]
     validation?: any
+    /** Field level permission slugs (view hides the field, edit locks it) */
+    permissions?: {
+        view?: string
+        edit?: string
+    }
+    /** Form conditions on the other field values (see utils/fieldConditions) */
+    visible_when?: FieldConditions
+    required_when?: FieldConditions
+    disabled_when?: FieldConditions
     [key: string]: any
 }
 
@@ -113,6 +136,8 @@ export interface ActionConfig {
     style?: string
     /** Confirmation message before executing action */
     confirm?: string
+    /** Offer the action for selected rows in lists (delete, field_update and api_call; default true) */
+    bulk?: boolean
     /** Success message after action completes */
     success_message?: string
     /** 
@@ -137,7 +162,7 @@ export interface ActionConfig {
      * // Show "Archive" only when status is "active" and is_archived is false
      * "visible_when": { "status": "active", "is_archived": false }
      */
-    visible_when?: Record<string, any>
+    visible_when?: FieldConditions
     /**
      * Scope filtering: where this action should appear
      * - 'list': Appears in list/table view
@@ -153,6 +178,175 @@ export interface ActionConfig {
     scope?: string | string[]
 }
 
+/**
+ * Column of the kanban board: one value of the board field
+ */
+export interface KanbanColumnConfig {
+    value: string | number | boolean | null
+    /** Column title (translation key or text) */
+    label: string
+    [key: string]: any
+}
+
+/**
+ * Kanban board configuration (`list_views.kanban`)
+ */
+export interface KanbanViewConfig {
+    /** Enum / status field the records are grouped by */
+    field: string
+    /** Title of the board field (the field label by default) */
+    label?: string
+    /** Columns in board order (the field options by default) */
+    columns: KanbanColumnConfig[]
+    /** Template of the whole card (inline HTML, or an HTML / Vue file of templates/crud6) */
+    card_template?: string
+    /** Cards loaded per column, and per "load more" (default 20) */
+    page_size?: number
+}
+
+/**
+ * Calendar configuration (`list_views.calendar`)
+ */
+export interface CalendarViewConfig {
+    /** Date / datetime field placing the records on the calendar */
+    start_field: string
+    /** Type of the start field (set by the schema filter) */
+    start_type?: string
+    /** Optional date / datetime field ending records that span several days */
+    end_field?: string
+    /** Type of the end field (set by the schema filter) */
+    end_type?: string
+    /** Field shown as the event title (the schema `title_field` by default) */
+    title_field?: string | null
+    /** Range the calendar opens with (default 'month') */
+    mode?: 'month' | 'week' | 'day'
+}
+
+export type AggregateFunction = 'sum' | 'avg' | 'min' | 'max' | 'count'
+
+/**
+ * List aggregation of a field (`aggregates` of the list context)
+ */
+export interface AggregateConfig {
+    label: string
+    type: string
+    functions: AggregateFunction[]
+    permissions?: SchemaField['permissions']
+}
+
+/**
+ * Field the list rows are grouped by (`group_by` of the list context)
+ */
+export interface GroupByConfig {
+    field: string
+    label: string
+    type: string
+}
+
+/**
+ * Scrolling list configuration (`list_views.scroll`)
+ */
+export interface ScrollViewConfig {
+    /** Height of a row in pixels (default 41) */
+    row_height?: number
+    /** Records fetched per request (default 100) */
+    page_size?: number
+}
+
+/**
+ * Tree view of a self-referencing model (`list_views.tree`)
+ */
+export interface TreeViewConfig {
+    /** Field referencing the parent record (null for the roots) */
+    parent_field: string
+    /** Children fetched per request (default 100) */
+    page_size?: number
+}
+
+/**
+ * Card grid of the schema `card_template` (`list_views.grid`)
+ */
+export interface GridViewConfig {
+    /** Template of a card (inline HTML, or an HTML / Vue file of templates/crud6) */
+    card_template: string
+    /** Cards per page (default 12) */
+    page_size?: number
+    /** The grid replaces the table on small screens (default true) */
+    small_screen?: boolean
+}
+
+/**
+ * Alternate list views (`list_views`)
+ */
+export interface ListViewsConfig {
+    kanban?: KanbanViewConfig
+    calendar?: CalendarViewConfig
+    scroll?: ScrollViewConfig
+    tree?: TreeViewConfig
+    grid?: GridViewConfig
+    /** View the list opens with ('table' by default) */
+    default?: 'table' | 'kanban' | 'calendar' | 'scroll' | 'tree' | 'grid'
+}
+
+/**
+ * Step of a wizard form (`form_steps`)
+ */
+export interface FormStepConfig {
+    /** Unique key of the step */
+    key: string
+    /** Step title (translation key or text) */
+    title: string
+    /** Hint shown above the step fields */
+    description?: string
+    /** Form fields of the step, in order */
+    fields: string[]
+}
+
+/**
+ * Field of a layout section: its key, or its key with the number of section
+ * columns it spans ('full' for the whole row)
+ */
+export type LayoutFieldConfig = string | { field: string; span?: number | 'full' }
+
+/**
+ * Titled group of fields in the form and info layout
+ */
+export interface LayoutSectionConfig {
+    /** Unique key of the section */
+    key: string
+    /** Section title (translation key or text) */
+    title?: string
+    /** Hint shown under the title */
+    description?: string
+    /** 'fieldset' sections can be collapsed by the user */
+    type?: 'section' | 'fieldset'
+    /** Fieldset starts collapsed */
+    collapsed?: boolean
+    /** Grid columns of the section (1 to 4, the form layout by default) */
+    columns?: number
+    /** Key of the tab the section is shown on */
+    tab?: string
+    /** Fields of the section, in order */
+    fields: LayoutFieldConfig[]
+}
+
+/**
+ * Tab of the form and info layout
+ */
+export interface LayoutTabConfig {
+    key: string
+    /** Tab title (translation key or text) */
+    title: string
+}
+
+/**
+ * Sections, fieldsets and tabs the form and info fields are grouped into (`layout`)
+ */
+export interface LayoutConfig {
+    tabs?: LayoutTabConfig[]
+    sections?: LayoutSectionConfig[]
+}
+
 export interface CRUD6Schema {
     model: string
     title: string
@@ -162,11 +356,15 @@ export interface CRUD6Schema {
     primary_key: string
     timestamps?: boolean
     soft_delete?: boolean
+    /** Field holding the version of a record, checked on update (defaults to updated_at with timestamps) */
+    version_field?: string
     permissions?: {
         read?: string
         create?: string
         update?: string
         delete?: string
+        /** Optional overrides: edit, view, update_field, view_field, ... */
+        [key: string]: string | undefined
     }
     default_sort?: Record<string, 'asc' | 'desc'>
     /** 
@@ -188,6 +386,18 @@ export interface CRUD6Schema {
      * If not specified, defaults to 'master-detail' when detail_editable is present, otherwise 'row'
      */
     render_mode?: 'row' | 'master-detail'
+    /** Alternate list views (kanban board) */
+    list_views?: ListViewsConfig
+    /** Template rendering a record as a card (card grid, kanban board) */
+    card_template?: string
+    /** Steps the create/edit form is split into (wizard form) */
+    form_steps?: FormStepConfig[]
+    /** Grid columns of the form fields */
+    form_layout?: '1-column' | '2-column' | '3-column'
+    /** Sections, fieldsets and tabs of the form and info fields */
+    layout?: LayoutConfig
+    /** Field the list rows are grouped by */
+    group_by?: string
     /**
      * Multi-context schema data (when multiple contexts are requested)
      * Each key is a context name ('list', 'form', 'detail', etc.)
@@ -202,6 +412,11 @@ export interface CRUD6Schema {
         actions?: ActionConfig[]
         render_mode?: 'row' | 'master-detail'
         title_field?: string
+        list_views?: ListViewsConfig
+        aggregates?: Record<string, AggregateConfig>
+        group_by?: GroupByConfig
+        form_steps?: FormStepConfig[]
+        layout?: LayoutConfig
     }>
 }
 
@@ -217,6 +432,10 @@ export interface CRUD6Schema {
  * - Context filtering (list, form, detail, meta)
  * - Related schema loading (batch loading of related model schemas)
  * - Computed properties for common schema operations
+ * - Pending loads are cancelled when the component unmounts or a different
+ *   model is requested (route change), see `cancelLoad()`
+ * - Stays in sync with schema changes from other tabs: the loaded schema is
+ *   replaced or reloaded when the store reports a change for it
  *
  * ## Reactive State
  * - `schema` - The loaded schema object or null
@@ -230,6 +449,10 @@ export interface CRUD6Schema {
  * - `tableColumns` - Column configuration for data tables
  * - `defaultSort` - Default sort configuration from schema
  *
+ * ## Permissions
+ * - `hasPermission(action)` - Schema-driven check against the authenticated user
+ * - `hasActionPermission(action)` - Check for a schema action (custom or default)
+ *
  * @param modelName - Optional model name for auto-loading
  * @returns Object with reactive state and schema methods
  *
@@ -297,6 +520,59 @@ export function useCRUD6Schema(modelName?: string) {
     const schema = ref<CRUD6Schema | null>(null)
     const currentModel = ref<string | null>(null)
 
+    // Latest pending load of this instance, cancelled on unmount or model change
+    let pendingLoad: { model: string, controller: AbortController } | null = null
+
+    // Arguments of the last load, used to reload after a schema change
+    let currentContext: string | undefined
+    let currentIncludeRelated = false
+
+    /**
+     * Cancel the pending schema load of this instance (if any)
+     */
+    function cancelLoad(): void {
+        if (pendingLoad) {
+            debugLog('[useCRUD6Schema] Cancelling pending schema load', { model: pendingLoad.model })
+            pendingLoad.controller.abort()
+            pendingLoad = null
+            loading.value = false
+        }
+    }
+
+    /**
+     * Keep the loaded schema in sync with changes reported by the store
+     * (other tabs fetching a new version, or invalidations)
+     */
+    function handleSchemaChanged(event: SchemaChangedEvent): void {
+        const model = currentModel.value
+        if (!model || event.model !== model || event.cacheKey !== `${model}:${currentContext || 'full'}`) {
+            return
+        }
+
+        debugLog('[useCRUD6Schema] Schema changed, refreshing', {
+            model,
+            context: currentContext || 'full',
+            reason: event.reason,
+            source: event.source
+        })
+
+        if (event.reason === 'updated' && event.schema) {
+            schema.value = event.schema
+            return
+        }
+
+        // Invalidated - reload (cheap thanks to the persistent cache revalidation)
+        loadSchema(model, false, currentContext, currentIncludeRelated)
+    }
+
+    if (getCurrentInstance()) {
+        const unsubscribe = schemaStore.onSchemaChanged(handleSchemaChanged)
+        onBeforeUnmount(() => {
+            unsubscribe()
+            cancelLoad()
+        })
+    }
+
     /**
      * Set schema directly without making an API call
      * Useful when schema is already available from parent component
@@ -314,6 +590,7 @@ export function useCRUD6Schema(modelName?: string) {
         schema.value = schemaData
         if (model) {
             currentModel.value = model
+            currentContext = context
             // Also update the global store
             schemaStore.setSchema(model, schemaData, context)
         }
@@ -348,16 +625,30 @@ export function useCRUD6Schema(modelName?: string) {
             context: context || 'full',
             includeRelated,
         })
+        // A different model means the route changed - the previous load is no longer needed
+        if (pendingLoad && pendingLoad.model !== model) {
+            cancelLoad()
+        }
+        const controller = new AbortController()
+        pendingLoad = { model, controller }
+
         loading.value = true
         error.value = null
 
         try {
             // Delegate to global store with context and includeRelated parameters
-            const schemaData = await schemaStore.loadSchema(model, force, context, includeRelated)
-            
+            const schemaData = await schemaStore.loadSchema(model, force, context, includeRelated, { signal: controller.signal })
+
+            if (controller.signal.aborted) {
+                debugLog('[useCRUD6Schema] Schema load cancelled', { model, context: context || 'full' })
+                return null
+            }
+
             if (schemaData) {
                 schema.value = schemaData
                 currentModel.value = model
+                currentContext = context
+                currentIncludeRelated = includeRelated
                 debugLog('[LIST SCHEMA] [useCRUD6Schema] ✅ Schema loaded and set', {
                     model,
                     context: context || 'full',
@@ -393,7 +684,10 @@ export function useCRUD6Schema(modelName?: string) {
             }
             return null
         } finally {
-            loading.value = false
+            if (pendingLoad?.controller === controller) {
+                pendingLoad = null
+                loading.value = false
+            }
         }
     }
 
@@ -445,14 +739,15 @@ export function useCRUD6Schema(modelName?: string) {
         return schema.value?.default_sort || {}
     })
 
+    // Permission checks against the loaded schema's permissions block
+    const permissions = useCRUD6Permissions(schema, currentModel)
+
     /**
-     * Check if user has permission for an action
+     * Check if the current user has permission for an operation (or a raw permission slug)
+     * See useCRUD6Permissions for how operations resolve to permission slugs.
      */
-    function hasPermission(_action: 'read' | 'create' | 'update' | 'delete'): boolean {
-        // This would typically check against the current user's permissions
-        // For now, we'll return true - this should be implemented based on 
-        // UserFrosting's authorization system
-        return true
+    function hasPermission(action: CRUD6PermissionAction | string): boolean {
+        return permissions.hasPermission(action)
     }
 
     // NOTE: Auto-load removed to prevent duplicate schema API calls.
@@ -467,11 +762,13 @@ export function useCRUD6Schema(modelName?: string) {
         error,
         currentModel,
         loadSchema,
+        cancelLoad,
         setSchema,
         sortableFields,
         filterableFields,
         tableColumns,
         defaultSort,
-        hasPermission
+        hasPermission,
+        hasActionPermission: permissions.hasActionPermission
     }
 }
\ No newline at end of file
@@ -0,0 +1,352 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import { useAlertsStore } from '@userfrosting/sprinkle-core/stores'
+import { Severity } from '@userfrosting/sprinkle-core/interfaces'
+import type { CRUD6SprunjerResponse } from '../interfaces'
+import type { TreeViewConfig } from './useCRUD6Schema'
+import { useCRUD6Api } from './useCRUD6Api'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Children loaded per request when the tree sets no `page_size`
+ */
+export const TREE_PAGE_SIZE = 100
+
+/**
+ * Loaded children of a parent (`''` for the roots)
+ */
+export interface CRUD6TreeLevel {
+    rows: Record<string, any>[]
+    /** Children of the parent (with the tree filters) */
+    count: number
+    /** Last loaded page (zero based) */
+    page: number
+    loading: boolean
+}
+
+/**
+ * Visible entry of the tree: a record, or the "load more" entry of a level
+ */
+export interface CRUD6TreeNode {
+    /** Record ID as a string, or `more:<parent key>` */
+    key: string
+    /** Record of the node, undefined for a "load more" entry */
+    row?: Record<string, any>
+    parentKey: string
+    depth: number
+    expanded: boolean
+    hasChildren: boolean
+    /** Children not loaded yet ("load more" entries) */
+    remaining?: number
+}
+
+/**
+ * Key of a record ID or parent field value (`''` for no parent)
+ */
+export function getTreeKey(value: any): string {
+    return value === null || value === undefined ? '' : String(value)
+}
+
+/**
+ * Vue composable for the tree view of a self-referencing model.
+ *
+ * Records are nested under the record their parent field references
+ * (`list_views.tree.parent_field`). Each level is loaded from the sprunje
+ * endpoint on first expand, with `context=tree` and the `parent` parameter
+ * (empty for the roots); the backend adds `children_count` to the rows.
+ *
+ * `move()` re-parents a record right away (optimistic update) and saves the
+ * parent field with `updateField()`. A record can't be moved under itself or
+ * one of its descendants, and goes back to its parent when saving fails.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param config - Tree configuration (`list_views.tree` of the list context)
+ * @param primaryKey - Primary key of the records (defaults to `id`)
+ * @returns Visible nodes, loaders and the move
+ *
+ * @example
+ * ```typescript
+ * const tree = useCRUD6Tree(model, () => schema.value?.list_views?.tree)
+ *
+ * await tree.load({ search: 'north' })
+ * await tree.toggle(row)
+ * await tree.move(row, '12')
+ * ```
+ */
+export function useCRUD6Tree(
+    model: MaybeRefOrGetter<string>,
+    config: MaybeRefOrGetter<TreeViewConfig | null | undefined>,
+    primaryKey: MaybeRefOrGetter<string | null | undefined> = 'id'
+) {
+    const { updateField } = useCRUD6Api(toValue(model))
+    const alertsStore = useAlertsStore()
+
+    const levels = ref<Record<string, CRUD6TreeLevel>>({})
+    const expanded = ref<Record<string, boolean>>({})
+    const filters = ref<Record<string, string>>({})
+    const sorts = ref<Record<string, 'asc' | 'desc'>>({})
+    // Records with a move in flight, by key
+    const moving = ref<Record<string, boolean>>({})
+    // Responses of an earlier load (filters changed meanwhile) are dropped
+    let generation = 0
+
+    function getId(row: Record<string, any>): any {
+        return row[toValue(primaryKey) || 'id']
+    }
+
+    function getParentField(): string {
+        return toValue(config)?.parent_field || ''
+    }
+
+    function parentKeyOf(row: Record<string, any>): string {
+        return getTreeKey(row[getParentField()])
+    }
+
+    const loading = computed(() => Object.values(levels.value).some(level => level.loading))
+
+    // Loaded records by key
+    const records = computed<Record<string, Record<string, any>>>(() => {
+        const byKey: Record<string, Record<string, any>> = {}
+        Object.values(levels.value).forEach(level => level.rows.forEach(row => (byKey[getTreeKey(getId(row))] = row)))
+        return byKey
+    })
+
+    const nodes = computed<CRUD6TreeNode[]>(() => {
+        const visible: CRUD6TreeNode[] = []
+        const visited = new Set<string>()
+
+        const walk = (parentKey: string, depth: number) => {
+            const level = levels.value[parentKey]
+            if (!level || visited.has(parentKey)) {
+                return
+            }
+            visited.add(parentKey)
+            for (const row of level.rows) {
+                const key = getTreeKey(getId(row))
+                const open = !!expanded.value[key]
+                visible.push({ key, row, parentKey, depth, expanded: open, hasChildren: (row.children_count ?? 0) > 0 })
+                if (open) {
+                    walk(key, depth + 1)
+                }
+            }
+            if (level.rows.length < level.count) {
+                visible.push({ key: `more:${parentKey}`, parentKey, depth, expanded: false, hasChildren: false, remaining: level.count - level.rows.length })
+            }
+        }
+
+        walk('', 0)
+        return visible
+    })
+
+    /**
+     * Fetch one page of the children of a parent
+     */
+    async function fetchLevel(parentKey: string, page: number): Promise<void> {
+        if (!getParentField()) {
+            return
+        }
+
+        const requested = generation
+        if (!levels.value[parentKey]) {
+            levels.value[parentKey] = { rows: [], count: 0, page: 0, loading: false }
+        }
+        const level = levels.value[parentKey]
+        level.loading = true
+        try {
+            const size = toValue(config)?.page_size || TREE_PAGE_SIZE
+            const response = await axios.get<CRUD6SprunjerResponse>(`/api/crud6/${toValue(model)}`, {
+                params: { filters: filters.value, sorts: sorts.value, size, page, context: 'tree', parent: parentKey }
+            })
+
+            if (requested !== generation) {
+                return
+            }
+            const rows = response.data.rows || []
+            level.rows = page === 0 ? rows : [...level.rows, ...rows]
+            level.count = response.data.count_filtered ?? level.rows.length
+            level.page = page
+        } catch (error) {
+            debugError('[useCRUD6Tree] Loading children failed', { model: toValue(model), parent: parentKey, error })
+        } finally {
+            level.loading = false
+        }
+    }
+
+    /**
+     * (Re)load the roots and the children of the expanded records
+     *
+     * @param treeFilters - Filters of the tree (search box, column filters), applied at every level
+     * @param treeSorts - Order of the records within a level
+     */
+    async function load(
+        treeFilters: Record<string, string> = filters.value,
+        treeSorts: Record<string, 'asc' | 'desc'> = sorts.value
+    ): Promise<void> {
+        generation++
+        filters.value = treeFilters
+        sorts.value = treeSorts
+
+        const keys = ['', ...Object.keys(expanded.value)]
+        debugLog('[useCRUD6Tree] Loading tree', { model: toValue(model), expanded: keys.length - 1, filters: treeFilters })
+        await Promise.all(keys.map(key => fetchLevel(key, 0)))
+    }
+
+    /**
+     * Expand (loading its children the first time) or collapse a record
+     */
+    async function toggle(row: Record<string, any>): Promise<void> {
+        const key = getTreeKey(getId(row))
+        if (expanded.value[key]) {
+            const { [key]: _closed, ...rest } = expanded.value
+            expanded.value = rest
+            return
+        }
+        expanded.value = { ...expanded.value, [key]: true }
+        if (!levels.value[key]) {
+            await fetchLevel(key, 0)
+        }
+    }
+
+    /**
+     * Append the next page of the children of a parent
+     */
+    async function loadMore(parentKey: string): Promise<void> {
+        const level = levels.value[parentKey]
+        if (level && !level.loading && level.rows.length < level.count) {
+            await fetchLevel(parentKey, level.page + 1)
+        }
+    }
+
+    /**
+     * Whether a record is an ancestor of another one (both loaded)
+     */
+    function isAncestor(ancestorKey: string, key: string): boolean {
+        const visited = new Set<string>()
+        let current = records.value[key]
+        while (current) {
+            const parentKey = parentKeyOf(current)
+            if (parentKey === ancestorKey) {
+                return true
+            }
+            if (parentKey === '' || visited.has(parentKey)) {
+                return false
+            }
+            visited.add(parentKey)
+            current = records.value[parentKey]
+        }
+        return false
+    }
+
+    function isMoving(row: Record<string, any>): boolean {
+        return !!moving.value[getTreeKey(getId(row))]
+    }
+
+    /**
+     * Whether a record may be moved under a parent (`''`: to the top level).
+     * Moving under itself, one of its descendants or its current parent is refused.
+     */
+    function canMove(row: Record<string, any>, targetKey: string): boolean {
+        const key = getTreeKey(getId(row))
+        return !!getParentField()
+            && !isMoving(row)
+            && key !== targetKey
+            && parentKeyOf(row) !== targetKey
+            && !isAncestor(key, targetKey)
+    }
+
+    /**
+     * Move a record under another parent and save its parent field.
+     *
+     * @param row - Record to move (updated in place)
+     * @param targetKey - Key of the new parent, `''` for the top level
+     * @returns true when the record was moved
+     */
+    async function move(row: Record<string, any>, targetKey: string): Promise<boolean> {
+        if (!canMove(row, targetKey)) {
+            return false
+        }
+
+        const field = getParentField()
+        const key = getTreeKey(getId(row))
+        const fromKey = parentKeyOf(row)
+        const previous = row[field]
+        const target = records.value[targetKey]
+        const value = targetKey === '' ? null : target ? getId(target) : targetKey
+        const from = levels.value[fromKey]
+        const index = from ? from.rows.indexOf(row) : -1
+        const to = levels.value[targetKey]
+
+        // Child counts of the old and new parents follow the move
+        const shift = (parentKey: string, by: number) => {
+            const parent = records.value[parentKey]
+            if (parent) {
+                parent.children_count = Math.max(0, (parent.children_count ?? 0) + by)
+            }
+        }
+
+        if (from && index >= 0) {
+            from.rows.splice(index, 1)
+            from.count--
+        }
+        shift(fromKey, -1)
+        if (to) {
+            to.rows.unshift(row)
+            to.count++
+        }
+        shift(targetKey, 1)
+        row[field] = value
+        moving.value = { ...moving.value, [key]: true }
+        debugLog('[useCRUD6Tree] Moving record', { model: toValue(model), id: getId(row), field, from: fromKey, to: targetKey })
+
+        try {
+            await updateField(String(getId(row)), field, value)
+            return true
+        } catch (error: any) {
+            if (to) {
+                to.rows.splice(to.rows.indexOf(row), 1)
+                to.count--
+            }
+            shift(targetKey, -1)
+            if (from && index >= 0) {
+                from.rows.splice(index, 0, row)
+                from.count++
+            }
+            shift(fromKey, 1)
+            row[field] = previous
+            alertsStore.push({
+                title: error?.title || 'Error',
+                description: error?.description || error?.message,
+                style: Severity.Danger
+            })
+            debugError('[useCRUD6Tree] Moving record failed, record put back', { model: toValue(model), id: getId(row), error })
+            return false
+        } finally {
+            const { [key]: _done, ...rest } = moving.value
+            moving.value = rest
+        }
+    }
+
+    return {
+        levels,
+        nodes,
+        expanded,
+        filters,
+        sorts,
+        loading,
+        load,
+        toggle,
+        loadMore,
+        isMoving,
+        canMove,
+        move
+    }
+}
@@ -7,8 +7,11 @@
  */
 
 import type { CRUD6Schema } from './useCRUD6Schema'
+import { isFieldActive, isFieldRequired } from '../utils/fieldConditions'
 import {
     required,
+    requiredIf,
+    applyIf,
     minLength,
     maxLength,
     email,
@@ -62,6 +65,10 @@ import type { InferRegleRoot } from '@regle/core'
  *   }
  * }
  * ```
+ * 
+ * Fields with `visible_when`, `required_when` or `disabled_when` conditions get
+ * rules evaluated against the form data: `required` becomes `requiredIf`, and
+ * the other rules only apply while the field is visible and enabled.
  */
 
 /**
@@ -69,14 +76,18 @@ import type { InferRegleRoot } from '@regle/core'
  * This bypasses UserFrosting's YAML-based adapter to prevent YAML imports.
  * 
  * @param schema CRUD6 schema object or Promise that resolves to schema
+ * @param data Getter of the form data the field conditions are evaluated against
  * @returns Regle validation rules object, or Promise of that
  */
-export function convertCRUD6ToRegleRules(schema: CRUD6Schema | Promise<CRUD6Schema | null> | null): any | Promise<any> {
+export function convertCRUD6ToRegleRules(
+    schema: CRUD6Schema | Promise<CRUD6Schema | null> | null,
+    data: () => Record<string, any> = () => ({})
+): any | Promise<any> {
     // If schema is a Promise, convert it when it resolves
     if (schema instanceof Promise) {
         return schema.then(resolvedSchema => {
             if (!resolvedSchema) return {}
-            return convertSchemaToRegleRules(resolvedSchema)
+            return convertSchemaToRegleRules(resolvedSchema, data)
         })
     }
 
@@ -85,16 +96,17 @@ export function convertCRUD6ToRegleRules(schema: CRUD6Schema | Promise<CRUD6Sche
         return {}
     }
 
-    return convertSchemaToRegleRules(schema)
+    return convertSchemaToRegleRules(schema, data)
 }
 
 /**
  * Synchronously convert CRUD6 schema to Regle validation rules.
  * 
  * @param schema CRUD6 schema object
+ * @param data Getter of the form data the field conditions are evaluated against
  * @returns Regle validation rules
  */
-function convertSchemaToRegleRules(schema: CRUD6Schema): any {
+function convertSchemaToRegleRules(schema: CRUD6Schema, data: () => Record<string, any>): any {
     if (!schema.fields) {
         return {}
     }
@@ -107,9 +119,17 @@ function convertSchemaToRegleRules(schema: CRUD6Schema): any {
 
         // Get field label for error messages
         const fieldLabel = field.label || fieldName
+        const conditional = !!(field.visible_when || field.required_when || field.disabled_when)
 
         // Handle 'required' - can be at field level or in validation object
-        if (field.required === true || field.validation?.required === true) {
+        if (conditional) {
+            if (field.required_when || field.required === true || field.validation?.required === true) {
+                fieldRules.required = withMessage(
+                    requiredIf(() => isFieldActive(field, data()) && isFieldRequired(field, data())),
+                    `${fieldLabel} is required`
+                )
+            }
+        } else if (field.required === true || field.validation?.required === true) {
             fieldRules.required = withMessage(required, `${fieldLabel} is required`)
         }
 
@@ -179,6 +199,15 @@ function convertSchemaToRegleRules(schema: CRUD6Schema): any {
             // or require custom implementation. They are not included in client-side rules.
         }
 
+        // Hidden and conditionally disabled fields are not validated
+        if (conditional) {
+            for (const [ruleName, rule] of Object.entries(fieldRules)) {
+                if (ruleName !== 'required') {
+                    fieldRules[ruleName] = applyIf(() => isFieldActive(field, data()), rule)
+                }
+            }
+        }
+
         // Only add field to rules if it has validators
         if (Object.keys(fieldRules).length > 0) {
             rules[fieldName] = fieldRules
@@ -0,0 +1,220 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { computed, ref, toValue } from 'vue'
+import type { MaybeRefOrGetter } from 'vue'
+import axios from 'axios'
+import type { CRUD6SprunjerResponse } from '../interfaces'
+import type { ScrollViewConfig } from './useCRUD6Schema'
+import { debugLog, debugError } from '../utils/debug'
+
+/**
+ * Records fetched per request when the schema sets no `page_size`
+ */
+export const VIRTUAL_LIST_PAGE_SIZE = 100
+
+/**
+ * Row height in pixels when the schema sets no `row_height`
+ */
+export const VIRTUAL_LIST_ROW_HEIGHT = 41
+
+/**
+ * Pages kept in memory; the pages farthest from the visible rows are dropped
+ */
+export const VIRTUAL_LIST_MAX_PAGES = 5
+
+/**
+ * Rows rendered above and below the visible ones
+ */
+export const VIRTUAL_LIST_OVERSCAN = 10
+
+/**
+ * Row of the rendered window; `row` is undefined while its page loads
+ */
+export interface CRUD6VirtualRow {
+    index: number
+    row: Record<string, any> | undefined
+}
+
+/**
+ * Rows to render for a scroll position: the visible rows and the overscan
+ * around them (`end` is exclusive)
+ *
+ * @param scrollTop - Scroll position of the viewport
+ * @param viewportHeight - Height of the viewport
+ * @param rowHeight - Height of a row
+ * @param count - Number of rows
+ * @param overscan - Rows rendered above and below the visible ones
+ */
+export function getVirtualRange(
+    scrollTop: number,
+    viewportHeight: number,
+    rowHeight: number,
+    count: number,
+    overscan = VIRTUAL_LIST_OVERSCAN
+): { start: number; end: number } {
+    const first = Math.floor(Math.max(0, scrollTop) / rowHeight)
+    const last = Math.ceil((Math.max(0, scrollTop) + viewportHeight) / rowHeight)
+    return {
+        start: Math.max(0, Math.min(first - overscan, count)),
+        end: Math.max(0, Math.min(last + overscan, count))
+    }
+}
+
+/**
+ * Vue composable for the scrolling list mode of large tables.
+ *
+ * Rows are fetched from the sprunje endpoint a page at a time as they scroll
+ * into view, and `count_filtered` of the first page sizes the scrollbar. Only
+ * `VIRTUAL_LIST_MAX_PAGES` pages stay in memory: scrolling far away drops the
+ * pages farthest from the visible rows, which are fetched again when needed.
+ * Pages are requested with `context=scroll`, so the backend skips the table
+ * aggregations.
+ *
+ * @param model - Model name (ref, getter or plain value)
+ * @param config - Scrolling list configuration (`list_views.scroll` of the list context)
+ * @returns Rendered window, row count and loaders
+ *
+ * @example
+ * ```typescript
+ * const list = useCRUD6VirtualList(model, () => schema.value?.list_views?.scroll)
+ *
+ * await list.reset({ search: 'smith' }, { created_at: 'desc' })
+ * await list.setRange(200, 260)
+ * ```
+ */
+export function useCRUD6VirtualList(
+    model: MaybeRefOrGetter<string>,
+    config: MaybeRefOrGetter<ScrollViewConfig | null | undefined>
+) {
+    const count = ref(0)
+    const filters = ref<Record<string, string>>({})
+    const sorts = ref<Record<string, 'asc' | 'desc'>>({})
+    // Rows the view asked for; the rendered range stops at the last row
+    const wanted = ref({ start: 0, end: 0 })
+    const loading = ref(false)
+    // Loaded pages by number
+    const pages = ref<Record<number, Record<string, any>[]>>({})
+    const requested = new Set<number>()
+    // Responses of an earlier query (filters or sorts changed meanwhile) are dropped
+    let generation = 0
+
+    const pageSize = computed(() => toValue(config)?.page_size || VIRTUAL_LIST_PAGE_SIZE)
+    const rowHeight = computed(() => toValue(config)?.row_height || VIRTUAL_LIST_ROW_HEIGHT)
+    const range = computed(() => ({
+        start: Math.min(wanted.value.start, count.value),
+        end: Math.min(wanted.value.end, count.value)
+    }))
+
+    const rows = computed<CRUD6VirtualRow[]>(() => {
+        const window: CRUD6VirtualRow[] = []
+        for (let index = range.value.start; index < range.value.end; index++) {
+            window.push({ index, row: pages.value[Math.floor(index / pageSize.value)]?.[index % pageSize.value] })
+        }
+        return window
+    })
+
+    async function fetchPage(page: number): Promise<void> {
+        if (requested.has(page)) {
+            return
+        }
+        const current = generation
+        requested.add(page)
+        loading.value = true
+
+        try {
+            const response = await axios.get<CRUD6SprunjerResponse>(`/api/crud6/${toValue(model)}`, {
+                params: { filters: filters.value, sorts: sorts.value, size: pageSize.value, page, context: 'scroll' }
+            })
+            if (current !== generation) {
+                return
+            }
+            pages.value = { ...pages.value, [page]: response.data.rows || [] }
+            count.value = response.data.count_filtered ?? count.value
+        } catch (error) {
+            requested.delete(page)
+            debugError('[useCRUD6VirtualList] Loading page failed', { model: toValue(model), page, error })
+        } finally {
+            if (current === generation) {
+                loading.value = requested.size > Object.keys(pages.value).length
+            }
+        }
+    }
+
+    // Drop the pages farthest from the rendered ones beyond the memory bound
+    function evict() {
+        const firstPage = Math.floor(range.value.start / pageSize.value)
+        const lastPage = Math.floor(Math.max(range.value.end - 1, range.value.start) / pageSize.value)
+        const loaded = Object.keys(pages.value).map(Number)
+        if (loaded.length <= VIRTUAL_LIST_MAX_PAGES) {
+            return
+        }
+        const distance = (page: number) => (page < firstPage ? firstPage - page : page > lastPage ? page - lastPage : 0)
+        const kept = loaded
+            .sort((a, b) => distance(a) - distance(b))
+            .slice(0, Math.max(VIRTUAL_LIST_MAX_PAGES, lastPage - firstPage + 1))
+
+        pages.value = Object.fromEntries(kept.map(page => [page, pages.value[page]]))
+        loaded.filter(page => !kept.includes(page)).forEach(page => requested.delete(page))
+    }
+
+    /**
+     * Render rows `start` to `end` (exclusive) and fetch the pages they are on
+     */
+    async function setRange(start: number, end: number): Promise<void> {
+        wanted.value = { start, end }
+        if (range.value.end <= range.value.start) {
+            return
+        }
+        const firstPage = Math.floor(range.value.start / pageSize.value)
+        const lastPage = Math.floor((range.value.end - 1) / pageSize.value)
+
+        const fetches: Promise<void>[] = []
+        for (let page = firstPage; page <= lastPage; page++) {
+            fetches.push(fetchPage(page))
+        }
+        await Promise.all(fetches)
+        // Scrolling may have moved the range meanwhile: evict around the current one
+        evict()
+    }
+
+    /**
+     * Query the list again (with other filters or sorts), keeping the rendered rows
+     *
+     * @param listFilters - Filters of the list (search box, column filters)
+     * @param listSorts - Sorts of the list
+     */
+    async function reset(
+        listFilters: Record<string, string> = filters.value,
+        listSorts: Record<string, 'asc' | 'desc'> = sorts.value
+    ): Promise<void> {
+        generation++
+        requested.clear()
+        filters.value = listFilters
+        sorts.value = listSorts
+        pages.value = {}
+        debugLog('[useCRUD6VirtualList] Loading list', { model: toValue(model), filters: listFilters, sorts: listSorts })
+
+        // The first page gives the row count, then the rendered rows are fetched
+        await fetchPage(0)
+        await setRange(wanted.value.start, wanted.value.end)
+    }
+
+    return {
+        count,
+        rows,
+        range,
+        rowHeight,
+        filters,
+        sorts,
+        loading,
+        pages,
+        setRange,
+        reset
+    }
+}
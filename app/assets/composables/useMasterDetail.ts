@@ -10,6 +10,7 @@ import { ref } from 'vue'
 import axios from 'axios'
 import { Severity, type ApiErrorResponse } from '@userfrosting/sprinkle-core/interfaces'
 import { useAlertsStore } from '@userfrosting/sprinkle-core/stores'
+import { VERSION_PARAM } from './useCRUD6Conflict'
 import { debugLog, debugWarn, debugError } from '../utils/debug'
 
 /**
@@ -69,13 +70,20 @@ export function useMasterDetail(
      * @param masterId - ID of master record (null for create, number for update)
      * @param masterData - Master record data
      * @param detailRecords - Array of detail records with _action flags
+     * @param options - `partial`: whether masterData only holds the changed
+     *                  fields of an update, sent with PATCH (and not sent at all
+     *                  when empty and without version); `version`: version of the
+     *                  loaded master record, for the server to refuse the update
+     *                  with a 409 conflict if the record changed since
      * @returns Promise<MasterDetailSaveResponse>
      */
     async function saveMasterWithDetails(
         masterId: string | number | null,
         masterData: Record<string, any>,
-        detailRecords: DetailRecord[]
+        detailRecords: DetailRecord[],
+        options: { partial?: boolean, version?: any } = {}
     ): Promise<MasterDetailSaveResponse> {
+        const { partial = false, version = null } = options
         debugLog('[useMasterDetail] ===== SAVE MASTER WITH DETAILS START =====', {
             masterModel,
             detailModel,
@@ -94,23 +102,35 @@ export function useMasterDetail(
                 ? `/api/crud6/${masterModel}/${masterId}`
                 : `/api/crud6/${masterModel}`
             
+            const masterMethod = !masterId ? 'POST' : partial ? 'PATCH' : 'PUT'
+            const masterChanged = Object.keys(masterData).length > 0
+            if (masterId && version !== null && version !== undefined) {
+                masterData = { ...masterData, [VERSION_PARAM]: version }
+            }
             debugLog('[useMasterDetail] Saving master record', {
                 url: masterUrl,
-                method: masterId ? 'PUT' : 'POST',
+                method: masterMethod,
                 data: masterData,
             })
 
-            const masterResponse = masterId
-                ? await axios.put(masterUrl, masterData)
-                : await axios.post(masterUrl, masterData)
+            let masterResponse = null
+            if (masterMethod === 'POST') {
+                masterResponse = await axios.post(masterUrl, masterData)
+            } else if (masterMethod === 'PUT') {
+                masterResponse = await axios.put(masterUrl, masterData)
+            } else if (masterChanged || version !== null) {
+                masterResponse = await axios.patch(masterUrl, masterData)
+            } else {
+                debugLog('[useMasterDetail] Master record unchanged, not sent')
+            }
 
             debugLog('[useMasterDetail] Master record saved', {
-                status: masterResponse.status,
-                data: masterResponse.data,
+                status: masterResponse?.status,
+                data: masterResponse?.data,
             })
 
             // Extract master ID from response
-            if (!masterId && masterResponse.data) {
+            if (!masterId && masterResponse?.data) {
                 // For create operations, get the ID from response
                 if (masterResponse.data.data?.id) {
                     masterRecordId = masterResponse.data.data.id
@@ -210,7 +230,7 @@ export function useMasterDetail(
             // Show error alert
             alertsStore.push({
                 title: 'Save Failed',
-                description: apiError.value.message || 'An error occurred while saving',
+                description: apiError.value?.message || apiError.value?.description || 'An error occurred while saving',
                 severity: Severity.DANGER,
             })
 
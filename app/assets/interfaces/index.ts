@@ -9,12 +9,16 @@
 // CRUD6 API Types - consolidated
 export type {
     CRUD6Response,
+    CRUD6TreeAncestor,
     CRUD6CreateRequest,
     CRUD6CreateResponse,
     CRUD6EditRequest,
     CRUD6EditResponse,
+    CRUD6ConflictResponse,
     CRUD6DeleteResponse,
-    CRUD6SprunjerResponse
+    CRUD6SprunjerResponse,
+    CRUD6AggregateValues,
+    CRUD6GroupSubtotal
 } from './types'
 
 // CRUD6 Model Interface
@@ -26,6 +26,14 @@ export interface CRUD6Response extends CRUD6Interface {
     [key: string]: any
 }
 
+/**
+ * Ancestor of a tree record (`ancestors` of GET /api/crud6/{model}/{id}), root first
+ */
+export interface CRUD6TreeAncestor {
+    id: string | number
+    breadcrumb: string
+}
+
 /**
  * Request for POST /api/crud6/{model}
  */
@@ -50,6 +58,18 @@ export interface CRUD6EditRequest {
  */
 export type CRUD6EditResponse = ApiResponse
 
+/**
+ * Error response from PUT/PATCH /api/crud6/{model}/{id} (409) when the
+ * record was changed since the `_version` sent with the update
+ */
+export interface CRUD6ConflictResponse {
+    title: string
+    description: string
+    status: 409
+    /** The record as it is now */
+    current: CRUD6Interface
+}
+
 /**
  * Response from DELETE /api/crud6/{model}/{id}
  */
@@ -59,9 +79,27 @@ export type CRUD6DeleteResponse = ApiResponse
 // List Operations (Sprunje)
 // ============================================================================
 
+/**
+ * Aggregate values of a list, keyed by field name, then function (sum, avg, min, max, count)
+ */
+export type CRUD6AggregateValues = Record<string, Record<string, number | string | null>>
+
+/**
+ * Record count and aggregates of a group of the list (over the filtered records)
+ */
+export interface CRUD6GroupSubtotal {
+    value: any
+    count: number
+    aggregates: CRUD6AggregateValues
+}
+
 /**
  * Response from GET /api/crud6/{model} (Sprunje endpoint)
  */
 export interface CRUD6SprunjerResponse extends Omit<SprunjerResponse, 'rows'> {
     rows: CRUD6Interface[]
+    /** Aggregations over the filtered records (schemas with `aggregate` fields) */
+    aggregates?: CRUD6AggregateValues
+    /** Subtotals of the groups on the page (schemas with `group_by`) */
+    groups?: CRUD6GroupSubtotal[]
 }
@@ -6,4 +6,5 @@
  * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
  */
 
-export { useCRUD6SchemaStore } from './useCRUD6SchemaStore'
+export { useCRUD6SchemaStore, DEFAULT_SCHEMA_REQUEST_TIMEOUT } from './useCRUD6SchemaStore'
+export type { LoadSchemaOptions, SchemaChangedEvent, SchemaChangedListener } from './useCRUD6SchemaStore'
@@ -7,11 +7,82 @@
  */
 
 import { defineStore } from 'pinia'
-import { ref, computed } from 'vue'
+import { ref, computed, onScopeDispose } from 'vue'
 import axios from 'axios'
 import type { CRUD6Schema } from '../composables/useCRUD6Schema'
 import type { ApiErrorResponse } from '@userfrosting/sprinkle-core/interfaces'
 import { debugLog, debugError } from '../utils/debug'
+import {
+    readPersistedSchema,
+    writePersistedSchema,
+    deletePersistedSchema,
+    clearPersistedSchemas
+} from '../utils/schemaCache'
+import { createSchemaChannel } from '../utils/schemaBroadcast'
+import type { SchemaBroadcastMessage } from '../utils/schemaBroadcast'
+
+/**
+ * Default timeout (ms) for schema requests
+ */
+export const DEFAULT_SCHEMA_REQUEST_TIMEOUT = 30000
+
+/**
+ * Per-call options for loadSchema
+ */
+export interface LoadSchemaOptions {
+    /** Cancels this caller's wait (e.g. on component unmount or route change) */
+    signal?: AbortSignal
+    /** Request timeout in ms, overrides the store-wide timeout (0 disables it) */
+    timeout?: number
+}
+
+/**
+ * Schema change notification delivered to onSchemaChanged() listeners
+ */
+export interface SchemaChangedEvent {
+    model: string
+    /** Affected cache key (`${model}:${context || 'full'}`) */
+    cacheKey: string
+    /** `updated`: a new schema is cached for the key, `invalidated`: the key was dropped */
+    reason: 'updated' | 'invalidated'
+    /** New schema (only for `updated`) */
+    schema?: CRUD6Schema
+    /** `remote` when the change came from another tab */
+    source: 'local' | 'remote'
+}
+
+export type SchemaChangedListener = (event: SchemaChangedEvent) => void
+
+/**
+ * Schema request shared by every caller waiting on the same cache key
+ */
+interface InFlightLoad {
+    promise: Promise<CRUD6Schema>
+    controller: AbortController
+    /**
+     * Callers still waiting on this load. Every join counts; only a caller
+     * that passed a signal is released again, when that signal aborts. The
+     * request is aborted when the count drops to zero, so a caller without
+     * a signal keeps it alive to completion.
+     */
+    waiters: number
+}
+
+/**
+ * Create the error used to reject cancelled schema loads
+ */
+function createAbortError(): Error {
+    const error = new Error('Schema load aborted')
+    error.name = 'AbortError'
+    return error
+}
+
+/**
+ * Check whether an error comes from a cancelled request (ours or axios')
+ */
+function isAbortError(err: any): boolean {
+    return err?.name === 'AbortError' || err?.name === 'CanceledError' || err?.code === 'ERR_CANCELED'
+}
 
 /**
  * Global Pinia store for CRUD6 schema management.
@@ -24,6 +95,23 @@ import { debugLog, debugError } from '../utils/debug'
  * - Cache key format: `${model}:${context || 'full'}`
  * - Different contexts of same model are cached separately
  * - This prevents duplicate API calls while supporting context filtering
+ * - Raw responses are also persisted (IndexedDB, localStorage fallback) under
+ *   the same key and revalidated with If-None-Match after a page reload, so an
+ *   unchanged schema costs a 304 instead of a full download
+ *
+ * Request Handling:
+ * - Concurrent loads of the same key (or a subset of a loading broader context)
+ *   share one in-flight promise; its result or error reaches every waiter
+ * - Callers can pass an AbortSignal; the request itself is aborted only once
+ *   every waiter has aborted (a waiter without a signal keeps it alive)
+ * - Requests time out after `requestTimeout` ms (see setRequestTimeout)
+ *
+ * Cross-Tab Sync:
+ * - Fresh schemas and invalidations are broadcast to other tabs of the same
+ *   origin (BroadcastChannel); a changed schema invalidates the other cached
+ *   contexts of that model in the receiving tab
+ * - onSchemaChanged() notifies listeners (e.g. useCRUD6Schema) so views can
+ *   re-render with the new field set without a manual refresh
  */
 export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
     // Map of cache key (model:context) to schema data
@@ -35,6 +123,26 @@ export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
     // Map of cache key to error state
     const errorStates = ref<Record<string, ApiErrorResponse | null>>({})
 
+    // Map of cache key to in-flight request (not reactive - promises only)
+    const inFlight = new Map<string, InFlightLoad>()
+
+    // Timeout (ms) applied to schema requests, 0 disables it
+    const requestTimeout = ref(DEFAULT_SCHEMA_REQUEST_TIMEOUT)
+
+    // Schema change listeners registered through onSchemaChanged()
+    const listeners = new Set<SchemaChangedListener>()
+
+    // Cross-tab channel, closed when the store is disposed
+    const channel = createSchemaChannel(handleBroadcast)
+    onScopeDispose(() => channel.close())
+
+    /**
+     * Configure the timeout (ms) used for schema requests (0 disables it)
+     */
+    function setRequestTimeout(timeout: number): void {
+        requestTimeout.value = Math.max(0, timeout)
+    }
+
     /**
      * Generate cache key for model and context
      */
@@ -157,8 +265,10 @@ export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
      * @param force Force reload even if cached
      * @param context Optional context for filtering ('list', 'form', 'detail', 'meta', or comma-separated for multiple)
      * @param includeRelated Whether to include related model schemas in the response (default: false)
+     * @param options Optional abort signal and timeout (ms) for this call
+     * @returns The schema, or null on error (see getError) or cancellation
      */
-    async function loadSchema(model: string, force: boolean = false, context?: string, includeRelated: boolean = false): Promise<CRUD6Schema | null> {
+    async function loadSchema(model: string, force: boolean = false, context?: string, includeRelated: boolean = false, options: LoadSchemaOptions = {}): Promise<CRUD6Schema | null> {
         const cacheKey = getCacheKey(model, context)
         
         debugLog('[LIST SCHEMA] [Store] ===== LOAD SCHEMA CALLED =====', {
@@ -186,36 +296,35 @@ export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
             return cachedSchema || null
         }
 
-        // Return existing promise if already loading
-        if (isLoading(model, context)) {
-            debugLog('[useCRUD6SchemaStore] ⏳ Schema already loading, waiting for completion - cacheKey:', cacheKey)
-            // Wait for the loading to complete by polling
-            return new Promise((resolve) => {
-                const checkInterval = setInterval(() => {
-                    if (!isLoading(model, context)) {
-                        clearInterval(checkInterval)
-                        debugLog('[useCRUD6SchemaStore] ✅ Wait complete, schema loaded - cacheKey:', cacheKey)
-                        resolve(schemas.value[cacheKey] || null)
-                    }
-                }, 100)
-            })
+        // Join the in-flight request for the same cache key instead of starting another one
+        const inFlightLoad = inFlight.get(cacheKey)
+        if (inFlightLoad) {
+            debugLog('[useCRUD6SchemaStore] ⏳ Schema already loading, joining in-flight request - cacheKey:', cacheKey)
+            return awaitLoad(inFlightLoad, model, cacheKey, options.signal)
         }
 
         // Check if a broader context is loading that would include this context
         const relatedLoadingKey = isRelatedContextLoading(model, context)
-        if (relatedLoadingKey) {
+        const relatedLoad = relatedLoadingKey ? inFlight.get(relatedLoadingKey) : undefined
+        if (relatedLoad) {
             debugLog('[useCRUD6SchemaStore] ⏳ Waiting for related context to finish loading - relatedKey:', relatedLoadingKey)
-            // Wait for the related context to complete, then check cache again
-            return new Promise((resolve) => {
-                const checkInterval = setInterval(() => {
-                    if (!loadingStates.value[relatedLoadingKey]) {
-                        clearInterval(checkInterval)
-                        debugLog('[useCRUD6SchemaStore] ✅ Related context loaded, checking cache - cacheKey:', cacheKey)
-                        // After the broader context loads, our specific context should be cached
-                        resolve(schemas.value[cacheKey] || null)
-                    }
-                }, 100)
-            })
+            try {
+                await joinLoad(relatedLoad, options.signal)
+            } catch (err: any) {
+                if (isAbortError(err)) {
+                    debugLog('[useCRUD6SchemaStore] Schema load cancelled by caller - cacheKey:', cacheKey)
+                    return null
+                }
+                // The broader request failed - report its error for this context as well
+                errorStates.value[cacheKey] = err
+                return null
+            }
+
+            if (schemas.value[cacheKey]) {
+                debugLog('[useCRUD6SchemaStore] ✅ Related context loaded, schema cached - cacheKey:', cacheKey)
+                return schemas.value[cacheKey]
+            }
+            // Otherwise the superset check below picks up the broader context
         }
 
         // Check if a superset context is already cached (e.g., "list,detail,form" cached when "list,form" requested)
@@ -236,113 +345,354 @@ export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
         }
 
         debugLog('[useCRUD6SchemaStore] 🌐 MAKING API CALL to load schema - cacheKey:', cacheKey, 'force:', force, 'context:', context || 'full')
+        const load = startLoad(model, cacheKey, force, context, includeRelated, options.timeout ?? requestTimeout.value)
+        return awaitLoad(load, model, cacheKey, options.signal)
+    }
+
+    /**
+     * Start a schema request and register it as in-flight for the cache key.
+     *
+     * The request is aborted when every waiter has cancelled, or when the
+     * timeout elapses. Errors are stored in errorStates and re-thrown so
+     * that every waiter sees the same failure.
+     */
+    function startLoad(model: string, cacheKey: string, force: boolean, context: string | undefined, includeRelated: boolean, timeout: number): InFlightLoad {
+        const controller = new AbortController()
+        let timedOut = false
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true
+                controller.abort()
+            }, timeout)
+            : null
+
         loadingStates.value[cacheKey] = true
         errorStates.value[cacheKey] = null
 
+        // Reject as soon as the request is aborted, even if the transport ignores the signal
+        const aborted = new Promise<never>((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(createAbortError()), { once: true })
+        })
+
+        const promise = Promise.race([
+            fetchSchema(model, cacheKey, force, context, includeRelated, controller.signal),
+            aborted
+        ])
+            .catch((err: any) => {
+                if (isAbortError(err) && !timedOut) {
+                    debugLog('[useCRUD6SchemaStore] Schema request aborted - cacheKey:', cacheKey)
+                    throw err
+                }
+
+                debugError('[useCRUD6SchemaStore] ❌ Schema load ERROR', {
+                    model,
+                    context: context || 'full',
+                    cacheKey,
+                    timedOut,
+                    errorType: err?.constructor?.name,
+                    message: err?.message,
+                    status: err?.response?.status,
+                    statusText: err?.response?.statusText,
+                    responseData: err?.response?.data,
+                    timestamp: new Date().toISOString()
+                })
+
+                const error: ApiErrorResponse = timedOut
+                    ? {
+                        title: 'Schema Load Timeout',
+                        description: `Schema request for model ${model} timed out after ${timeout}ms`
+                    } as ApiErrorResponse
+                    : err?.response?.data || {
+                        title: 'Schema Load Error',
+                        description: 'Failed to load schema for model: ' + model
+                    }
+                errorStates.value[cacheKey] = error
+                throw error
+            })
+            .finally(() => {
+                if (timer) {
+                    clearTimeout(timer)
+                }
+                inFlight.delete(cacheKey)
+                loadingStates.value[cacheKey] = false
+                debugLog('[useCRUD6SchemaStore] Loading state cleared for cacheKey:', cacheKey)
+            })
+
+        const load: InFlightLoad = { promise, controller, waiters: 0 }
+        inFlight.set(cacheKey, load)
+        return load
+    }
+
+    /**
+     * Wait for an in-flight load on behalf of one caller.
+     *
+     * Counts the caller as a waiter. Its signal only cancels its own wait
+     * and releases it; the shared request is aborted when the last waiter
+     * is released, which never happens while a signal-less caller waits.
+     */
+    function joinLoad(load: InFlightLoad, signal?: AbortSignal): Promise<CRUD6Schema> {
+        load.waiters++
+        if (!signal) {
+            return load.promise
+        }
+
+        const release = () => {
+            load.waiters--
+            if (load.waiters <= 0) {
+                load.controller.abort()
+            }
+        }
+
+        if (signal.aborted) {
+            release()
+            return Promise.reject(createAbortError())
+        }
+
+        return new Promise<CRUD6Schema>((resolve, reject) => {
+            const onAbort = () => {
+                release()
+                reject(createAbortError())
+            }
+            signal.addEventListener('abort', onAbort, { once: true })
+            load.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort))
+        })
+    }
+
+    /**
+     * Join an in-flight load and map the outcome to loadSchema's return contract
+     * (schema on success, null on error or cancellation with the error in errorStates)
+     */
+    async function awaitLoad(load: InFlightLoad, model: string, cacheKey: string, signal?: AbortSignal): Promise<CRUD6Schema | null> {
         try {
-            // Build URL with optional context and include_related parameters
-            let url = `/api/crud6/${model}/schema`
-            const params = new URLSearchParams()
-            
-            if (context) {
-                params.append('context', context)
+            return await joinLoad(load, signal)
+        } catch (err: any) {
+            if (isAbortError(err)) {
+                debugLog('[useCRUD6SchemaStore] Schema load cancelled - model:', model, 'cacheKey:', cacheKey)
+                return null
             }
-            
-            if (includeRelated) {
-                params.append('include_related', 'true')
+            errorStates.value[cacheKey] = err
+            return null
+        }
+    }
+
+    /**
+     * Fetch a schema from the API, parse the response and populate the cache
+     */
+    async function fetchSchema(model: string, cacheKey: string, force: boolean, context: string | undefined, includeRelated: boolean, signal: AbortSignal): Promise<CRUD6Schema> {
+        // Build URL with optional context and include_related parameters
+        let url = `/api/crud6/${model}/schema`
+        const params = new URLSearchParams()
+        
+        if (context) {
+            params.append('context', context)
+        }
+        
+        if (includeRelated) {
+            params.append('include_related', 'true')
+        }
+        
+        if (params.toString()) {
+            url += `?${params.toString()}`
+        }
+        
+        debugLog('[useCRUD6SchemaStore] 📤 HTTP GET REQUEST', {
+            url,
+            method: 'GET',
+            cacheKey,
+            timestamp: new Date().toISOString(),
+            requestNumber: Object.keys(loadingStates.value).filter(k => loadingStates.value[k]).length
+        })
+        
+        // Revalidate the persisted copy (if any) so an unchanged schema only costs a 304
+        const persisted = await readPersistedSchema(cacheKey)
+        const headers: Record<string, string> = {}
+        if (!force && persisted?.etag) {
+            headers['If-None-Match'] = persisted.etag
+        }
+
+        const response = await axios.get<any>(url, {
+            headers,
+            signal,
+            validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+        })
+
+        debugLog('[useCRUD6SchemaStore] 📥 HTTP RESPONSE RECEIVED', {
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            hasData: !!response.data,
+            dataKeys: response.data ? Object.keys(response.data) : [],
+            cacheKey,
+            timestamp: new Date().toISOString()
+        })
+
+        let responseData: any
+        let etag: string | null = null
+        if (response.status === 304) {
+            if (!persisted) {
+                throw new Error('Received 304 Not Modified without a persisted schema')
             }
+            debugLog('[useCRUD6SchemaStore] ✅ Schema NOT MODIFIED (304), using persisted copy - cacheKey:', cacheKey)
+            responseData = persisted.data
+            etag = persisted.etag
+        } else {
+            responseData = response.data
+            etag = response.headers?.['etag'] ?? null
+        }
+
+        // DEBUG: Log the raw response data structure
+        debugLog('[useCRUD6SchemaStore] 🔍 RAW RESPONSE DATA', {
+            responseData,
+            responseDataType: typeof responseData,
+            responseDataStringified: JSON.stringify(responseData, null, 2).substring(0, 500) + '...'
+        })
+
+        // Handle different response structures
+        let schemaData: CRUD6Schema
+        
+        // Log response structure for debugging
+        debugLog('[useCRUD6SchemaStore] Analyzing response structure', {
+            hasSchema: 'schema' in responseData,
+            hasFields: 'fields' in responseData,
+            hasContexts: 'contexts' in responseData,
+            contextsIsObject: responseData.contexts && typeof responseData.contexts === 'object',
+            contextsIsArray: Array.isArray(responseData.contexts),
+            contextsKeys: responseData.contexts ? Object.keys(responseData.contexts) : [],
+            dataKeys: Object.keys(responseData),
+            model: responseData.model
+        })
+        
+        // Check for multi-context response FIRST (priority order changed)
+        // Multi-context: has 'contexts' but NO 'fields' at root
+        
+        // DETAILED DEBUG: Check each condition separately
+        const hasContextsKey = 'contexts' in responseData
+        const contextsIsTruthy = !!responseData.contexts
+        const contextsType = typeof responseData.contexts
+        const contextsIsObject = responseData.contexts && typeof responseData.contexts === 'object'
+        const contextsIsArray = Array.isArray(responseData.contexts)
+        const contextsKeys = responseData.contexts && typeof responseData.contexts === 'object' && !Array.isArray(responseData.contexts) 
+            ? Object.keys(responseData.contexts) 
+            : []
+        const contextsLength = contextsKeys.length
+        
+        debugLog('[useCRUD6SchemaStore] 🔍 DETAILED validation check for contexts', {
+            hasContextsKey,
+            contextsIsTruthy,
+            contextsType,
+            contextsIsObject,
+            contextsIsArray,
+            contextsKeys,
+            contextsLength,
+            rawContextsValue: responseData.contexts,
+            allConditionsMet: hasContextsKey && contextsIsTruthy && contextsIsObject && !contextsIsArray && contextsLength > 0
+        })
+        
+        if ('contexts' in responseData && 
+            responseData.contexts && 
+            typeof responseData.contexts === 'object' && 
+            !Array.isArray(responseData.contexts) &&
+            Object.keys(responseData.contexts).length > 0) {
+            // Response has multi-context structure (e.g., context=list,form)
+            debugLog('[useCRUD6SchemaStore] ✅ Multi-context response detected', {
+                model: responseData.model,
+                contexts: Object.keys(responseData.contexts),
+                requestedContext: context
+            })
             
-            if (params.toString()) {
-                url += `?${params.toString()}`
-            }
+            // Extract base schema (keeping contexts for reference)
+            const baseSchema = { ...responseData }
+            const originalContexts = responseData.contexts
+            delete baseSchema.contexts
             
-            debugLog('[useCRUD6SchemaStore] 📤 HTTP GET REQUEST', {
-                url,
-                method: 'GET',
-                cacheKey,
-                timestamp: new Date().toISOString(),
-                requestNumber: Object.keys(loadingStates.value).filter(k => loadingStates.value[k]).length
-            })
+            // Cache each context separately for future single-context requests
+            for (const [ctxName, ctxData] of Object.entries(originalContexts)) {
+                const ctxCacheKey = getCacheKey(model, ctxName)
+                const ctxSchema = { ...baseSchema, ...ctxData }
+                schemas.value[ctxCacheKey] = ctxSchema as CRUD6Schema
+                debugLog('[useCRUD6SchemaStore] ✅ Cached context separately', {
+                    context: ctxName,
+                    cacheKey: ctxCacheKey,
+                    fieldCount: ctxData.fields ? Object.keys(ctxData.fields).length : 0
+                })
+            }
             
-            const response = await axios.get<any>(url)
+            // Reconstruct schema for the requested context with fields at root
+            // If multiple contexts requested (e.g., "list,form"), merge all their fields
+            const requestedContexts = context ? context.split(',').map(c => c.trim()) : []
+            let mergedFields: Record<string, any> = {}
+            let mergedContextData: any = {}
             
-            debugLog('[useCRUD6SchemaStore] 📥 HTTP RESPONSE RECEIVED', {
-                url,
-                status: response.status,
-                statusText: response.statusText,
-                hasData: !!response.data,
-                dataKeys: response.data ? Object.keys(response.data) : [],
-                cacheKey,
-                timestamp: new Date().toISOString()
+            debugLog('[useCRUD6SchemaStore] 🔍 Processing multi-context merge', {
+                requestedContexts,
+                availableContexts: Object.keys(responseData.contexts)
             })
             
-            // DEBUG: Log the raw response data structure
-            debugLog('[useCRUD6SchemaStore] 🔍 RAW RESPONSE DATA', {
-                responseData: response.data,
-                responseDataType: typeof response.data,
-                responseDataStringified: JSON.stringify(response.data, null, 2).substring(0, 500) + '...'
-            })
-
-            // Handle different response structures
-            let schemaData: CRUD6Schema
+            for (const ctxName of requestedContexts) {
+                if (responseData.contexts[ctxName]) {
+                    const ctxData = responseData.contexts[ctxName]
+                    debugLog(`[useCRUD6SchemaStore] 🔍 Merging context "${ctxName}"`, {
+                        hasFields: 'fields' in ctxData,
+                        fieldCount: ctxData.fields ? Object.keys(ctxData.fields).length : 0,
+                        ctxDataKeys: Object.keys(ctxData)
+                    })
+                    
+                    // Merge fields from this context
+                    if (ctxData.fields) {
+                        mergedFields = { ...mergedFields, ...ctxData.fields }
+                    }
+                    // Merge other context-specific properties (last one wins for non-field properties)
+                    // But EXCLUDE 'fields' since we're handling it separately
+                    const { fields: _, ...ctxDataWithoutFields } = ctxData
+                    mergedContextData = { ...mergedContextData, ...ctxDataWithoutFields }
+                } else {
+                    debugLog(`[useCRUD6SchemaStore] ⚠️ Requested context "${ctxName}" not found in response`)
+                }
+            }
             
-            // Log response structure for debugging
-            debugLog('[useCRUD6SchemaStore] Analyzing response structure', {
-                hasSchema: 'schema' in response.data,
-                hasFields: 'fields' in response.data,
-                hasContexts: 'contexts' in response.data,
-                contextsIsObject: response.data.contexts && typeof response.data.contexts === 'object',
-                contextsIsArray: Array.isArray(response.data.contexts),
-                contextsKeys: response.data.contexts ? Object.keys(response.data.contexts) : [],
-                dataKeys: Object.keys(response.data),
-                model: response.data.model
+            debugLog('[useCRUD6SchemaStore] 🔍 After merging contexts', {
+                mergedFieldsCount: Object.keys(mergedFields).length,
+                mergedFieldsKeys: Object.keys(mergedFields),
+                mergedContextDataKeys: Object.keys(mergedContextData)
             })
             
-            // Check for multi-context response FIRST (priority order changed)
-            // Multi-context: has 'contexts' but NO 'fields' at root
+            // Build final schema with:
+            // 1. Merged fields at root (for backward compatibility and when contexts aren't checked)
+            // 2. PRESERVE original contexts structure (so components can access individual context data)
+            schemaData = {
+                ...baseSchema,
+                ...mergedContextData,
+                fields: mergedFields,  // Merged fields at root for backward compatibility
+                contexts: originalContexts  // CRITICAL: Preserve contexts so PageList can use contexts.list.fields
+            } as CRUD6Schema
             
-            // DETAILED DEBUG: Check each condition separately
-            const hasContextsKey = 'contexts' in response.data
-            const contextsIsTruthy = !!response.data.contexts
-            const contextsType = typeof response.data.contexts
-            const contextsIsObject = response.data.contexts && typeof response.data.contexts === 'object'
-            const contextsIsArray = Array.isArray(response.data.contexts)
-            const contextsKeys = response.data.contexts && typeof response.data.contexts === 'object' && !Array.isArray(response.data.contexts) 
-                ? Object.keys(response.data.contexts) 
-                : []
-            const contextsLength = contextsKeys.length
-            
-            debugLog('[useCRUD6SchemaStore] 🔍 DETAILED validation check for contexts', {
-                hasContextsKey,
-                contextsIsTruthy,
-                contextsType,
-                contextsIsObject,
-                contextsIsArray,
-                contextsKeys,
-                contextsLength,
-                rawContextsValue: response.data.contexts,
-                allConditionsMet: hasContextsKey && contextsIsTruthy && contextsIsObject && !contextsIsArray && contextsLength > 0
+            debugLog('[useCRUD6SchemaStore] ✅ Reconstructed schema with fields at root AND contexts preserved', {
+                model: schemaData.model,
+                mergedFieldCount: Object.keys(mergedFields).length,
+                hasContexts: !!schemaData.contexts,
+                contextKeys: schemaData.contexts ? Object.keys(schemaData.contexts) : [],
+                contexts: requestedContexts
+            })
+        } else if (responseData.schema) {
+            // Response has nested schema property
+            schemaData = responseData.schema as CRUD6Schema
+            debugLog('[useCRUD6SchemaStore] ✅ Schema found in responseData.schema', {
+                model: schemaData.model,
+                fieldCount: schemaData.fields ? Object.keys(schemaData.fields).length : 0
             })
             
-            if ('contexts' in response.data && 
-                response.data.contexts && 
-                typeof response.data.contexts === 'object' && 
-                !Array.isArray(response.data.contexts) &&
-                Object.keys(response.data.contexts).length > 0) {
-                // Response has multi-context structure (e.g., context=list,form)
-                debugLog('[useCRUD6SchemaStore] ✅ Multi-context response detected', {
-                    model: response.data.model,
-                    contexts: Object.keys(response.data.contexts),
-                    requestedContext: context
+            // If schema has contexts (multi-context response), cache each context separately
+            if (schemaData.contexts) {
+                debugLog('[useCRUD6SchemaStore] 📦 Multi-context schema detected, caching contexts separately', {
+                    contexts: Object.keys(schemaData.contexts)
                 })
-                
-                // Extract base schema (keeping contexts for reference)
-                const baseSchema = { ...response.data }
-                const originalContexts = response.data.contexts
+                const baseSchema = { ...schemaData }
                 delete baseSchema.contexts
                 
                 // Cache each context separately for future single-context requests
-                for (const [ctxName, ctxData] of Object.entries(originalContexts)) {
+                for (const [ctxName, ctxData] of Object.entries(schemaData.contexts)) {
                     const ctxCacheKey = getCacheKey(model, ctxName)
                     const ctxSchema = { ...baseSchema, ...ctxData }
                     schemas.value[ctxCacheKey] = ctxSchema as CRUD6Schema
@@ -352,202 +702,105 @@ export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
                         fieldCount: ctxData.fields ? Object.keys(ctxData.fields).length : 0
                     })
                 }
-                
-                // Reconstruct schema for the requested context with fields at root
-                // If multiple contexts requested (e.g., "list,form"), merge all their fields
-                const requestedContexts = context ? context.split(',').map(c => c.trim()) : []
-                let mergedFields: Record<string, any> = {}
-                let mergedContextData: any = {}
-                
-                debugLog('[useCRUD6SchemaStore] 🔍 Processing multi-context merge', {
-                    requestedContexts,
-                    availableContexts: Object.keys(response.data.contexts)
-                })
-                
-                for (const ctxName of requestedContexts) {
-                    if (response.data.contexts[ctxName]) {
-                        const ctxData = response.data.contexts[ctxName]
-                        debugLog(`[useCRUD6SchemaStore] 🔍 Merging context "${ctxName}"`, {
-                            hasFields: 'fields' in ctxData,
-                            fieldCount: ctxData.fields ? Object.keys(ctxData.fields).length : 0,
-                            ctxDataKeys: Object.keys(ctxData)
-                        })
-                        
-                        // Merge fields from this context
-                        if (ctxData.fields) {
-                            mergedFields = { ...mergedFields, ...ctxData.fields }
-                        }
-                        // Merge other context-specific properties (last one wins for non-field properties)
-                        // But EXCLUDE 'fields' since we're handling it separately
-                        const { fields: _, ...ctxDataWithoutFields } = ctxData
-                        mergedContextData = { ...mergedContextData, ...ctxDataWithoutFields }
-                    } else {
-                        debugLog(`[useCRUD6SchemaStore] ⚠️ Requested context "${ctxName}" not found in response`)
-                    }
-                }
-                
-                debugLog('[useCRUD6SchemaStore] 🔍 After merging contexts', {
-                    mergedFieldsCount: Object.keys(mergedFields).length,
-                    mergedFieldsKeys: Object.keys(mergedFields),
-                    mergedContextDataKeys: Object.keys(mergedContextData)
-                })
-                
-                // Build final schema with:
-                // 1. Merged fields at root (for backward compatibility and when contexts aren't checked)
-                // 2. PRESERVE original contexts structure (so components can access individual context data)
-                schemaData = {
-                    ...baseSchema,
-                    ...mergedContextData,
-                    fields: mergedFields,  // Merged fields at root for backward compatibility
-                    contexts: originalContexts  // CRITICAL: Preserve contexts so PageList can use contexts.list.fields
-                } as CRUD6Schema
-                
-                debugLog('[useCRUD6SchemaStore] ✅ Reconstructed schema with fields at root AND contexts preserved', {
-                    model: schemaData.model,
-                    mergedFieldCount: Object.keys(mergedFields).length,
-                    hasContexts: !!schemaData.contexts,
-                    contextKeys: schemaData.contexts ? Object.keys(schemaData.contexts) : [],
-                    contexts: requestedContexts
-                })
-            } else if (response.data.schema) {
-                // Response has nested schema property
-                schemaData = response.data.schema as CRUD6Schema
-                debugLog('[useCRUD6SchemaStore] ✅ Schema found in response.data.schema', {
-                    model: schemaData.model,
-                    fieldCount: schemaData.fields ? Object.keys(schemaData.fields).length : 0
+            }
+            
+            // If schema has related_schemas, cache each related model separately
+            if (schemaData.related_schemas) {
+                debugLog('[useCRUD6SchemaStore] 📦 Related schemas detected, caching separately', {
+                    relatedModels: Object.keys(schemaData.related_schemas)
                 })
                 
-                // If schema has contexts (multi-context response), cache each context separately
-                if (schemaData.contexts) {
-                    debugLog('[useCRUD6SchemaStore] 📦 Multi-context schema detected, caching contexts separately', {
-                        contexts: Object.keys(schemaData.contexts)
+                for (const [relatedModel, relatedSchemaData] of Object.entries(schemaData.related_schemas)) {
+                    // Cache the related schema with 'list' context by default
+                    const relatedCacheKey = getCacheKey(relatedModel, 'list')
+                    schemas.value[relatedCacheKey] = relatedSchemaData as CRUD6Schema
+                    debugLog('[useCRUD6SchemaStore] ✅ Cached related schema', {
+                        model: relatedModel,
+                        cacheKey: relatedCacheKey,
+                        fieldCount: relatedSchemaData.fields ? Object.keys(relatedSchemaData.fields).length : 0
                     })
-                    const baseSchema = { ...schemaData }
-                    delete baseSchema.contexts
-                    
-                    // Cache each context separately for future single-context requests
-                    for (const [ctxName, ctxData] of Object.entries(schemaData.contexts)) {
-                        const ctxCacheKey = getCacheKey(model, ctxName)
-                        const ctxSchema = { ...baseSchema, ...ctxData }
-                        schemas.value[ctxCacheKey] = ctxSchema as CRUD6Schema
-                        debugLog('[useCRUD6SchemaStore] ✅ Cached context separately', {
-                            context: ctxName,
-                            cacheKey: ctxCacheKey,
-                            fieldCount: ctxData.fields ? Object.keys(ctxData.fields).length : 0
-                        })
-                    }
                 }
+            }
+        } else if ('fields' in responseData && responseData.fields) {
+            // Response is the schema itself (single context or full)
+            // Has 'fields' at root level
+            schemaData = responseData as CRUD6Schema
+            debugLog('[useCRUD6SchemaStore] ✅ Schema found in responseData (direct)', {
+                model: schemaData.model,
+                fieldCount: schemaData.fields ? Object.keys(schemaData.fields).length : 0
+            })
+        } else {
+            // DETAILED DEBUG: Show exactly why validation failed
+            const hasSchemaKey = 'schema' in responseData
+            const hasFieldsKey = 'fields' in responseData
+            const hasContextsKey = 'contexts' in responseData
+            const fieldsValue = responseData.fields
+            const schemaValue = responseData.schema
+            
+            debugError('[useCRUD6SchemaStore] ❌ Invalid schema response structure - DETAILED BREAKDOWN', {
+                // Top-level keys
+                dataKeys: Object.keys(responseData),
                 
-                // If schema has related_schemas, cache each related model separately
-                if (schemaData.related_schemas) {
-                    debugLog('[useCRUD6SchemaStore] 📦 Related schemas detected, caching separately', {
-                        relatedModels: Object.keys(schemaData.related_schemas)
-                    })
-                    
-                    for (const [relatedModel, relatedSchemaData] of Object.entries(schemaData.related_schemas)) {
-                        // Cache the related schema with 'list' context by default
-                        const relatedCacheKey = getCacheKey(relatedModel, 'list')
-                        schemas.value[relatedCacheKey] = relatedSchemaData as CRUD6Schema
-                        debugLog('[useCRUD6SchemaStore] ✅ Cached related schema', {
-                            model: relatedModel,
-                            cacheKey: relatedCacheKey,
-                            fieldCount: relatedSchemaData.fields ? Object.keys(relatedSchemaData.fields).length : 0
-                        })
+                // Check for each expected structure
+                checks: {
+                    multiContext: {
+                        hasContextsKey,
+                        contextsIsTruthy: !!responseData.contexts,
+                        contextsType: typeof responseData.contexts,
+                        contextsIsObject: responseData.contexts && typeof responseData.contexts === 'object',
+                        contextsIsArray: Array.isArray(responseData.contexts),
+                        contextsLength: responseData.contexts && typeof responseData.contexts === 'object' && !Array.isArray(responseData.contexts) 
+                            ? Object.keys(responseData.contexts).length 
+                            : 0,
+                        rawContextsValue: responseData.contexts
+                    },
+                    nestedSchema: {
+                        hasSchemaKey,
+                        schemaIsTruthy: !!schemaValue,
+                        schemaType: typeof schemaValue,
+                        schemaHasFields: schemaValue && typeof schemaValue === 'object' && 'fields' in schemaValue
+                    },
+                    directFields: {
+                        hasFieldsKey,
+                        fieldsIsTruthy: !!fieldsValue,
+                        fieldsType: typeof fieldsValue,
+                        fieldsIsObject: fieldsValue && typeof fieldsValue === 'object'
                     }
-                }
-            } else if ('fields' in response.data && response.data.fields) {
-                // Response is the schema itself (single context or full)
-                // Has 'fields' at root level
-                schemaData = response.data as CRUD6Schema
-                debugLog('[useCRUD6SchemaStore] ✅ Schema found in response.data (direct)', {
-                    model: schemaData.model,
-                    fieldCount: schemaData.fields ? Object.keys(schemaData.fields).length : 0
-                })
-            } else {
-                // DETAILED DEBUG: Show exactly why validation failed
-                const hasSchemaKey = 'schema' in response.data
-                const hasFieldsKey = 'fields' in response.data
-                const hasContextsKey = 'contexts' in response.data
-                const fieldsValue = response.data.fields
-                const schemaValue = response.data.schema
+                },
                 
-                debugError('[useCRUD6SchemaStore] ❌ Invalid schema response structure - DETAILED BREAKDOWN', {
-                    // Top-level keys
-                    dataKeys: Object.keys(response.data),
-                    
-                    // Check for each expected structure
-                    checks: {
-                        multiContext: {
-                            hasContextsKey,
-                            contextsIsTruthy: !!response.data.contexts,
-                            contextsType: typeof response.data.contexts,
-                            contextsIsObject: response.data.contexts && typeof response.data.contexts === 'object',
-                            contextsIsArray: Array.isArray(response.data.contexts),
-                            contextsLength: response.data.contexts && typeof response.data.contexts === 'object' && !Array.isArray(response.data.contexts) 
-                                ? Object.keys(response.data.contexts).length 
-                                : 0,
-                            rawContextsValue: response.data.contexts
-                        },
-                        nestedSchema: {
-                            hasSchemaKey,
-                            schemaIsTruthy: !!schemaValue,
-                            schemaType: typeof schemaValue,
-                            schemaHasFields: schemaValue && typeof schemaValue === 'object' && 'fields' in schemaValue
-                        },
-                        directFields: {
-                            hasFieldsKey,
-                            fieldsIsTruthy: !!fieldsValue,
-                            fieldsType: typeof fieldsValue,
-                            fieldsIsObject: fieldsValue && typeof fieldsValue === 'object'
-                        }
-                    },
-                    
-                    // Full response data for inspection
-                    fullResponseData: response.data,
-                    
-                    // Request context
-                    requestedModel: model,
-                    requestedContext: context
-                })
-                throw new Error('Invalid schema response - see debug logs for details')
-            }
-            
-            schemas.value[cacheKey] = schemaData
-            debugLog('[useCRUD6SchemaStore] ✅ Schema loaded and CACHED successfully', {
-                model,
-                context: context || 'full',
-                cacheKey,
-                schemaKeys: Object.keys(schemaData),
-                fieldCount: schemaData.fields ? Object.keys(schemaData.fields).length : 0,
-                hasContexts: !!schemaData.contexts,
-                timestamp: new Date().toISOString()
-            })
-            return schemaData
-        } catch (err: any) {
-            debugError('[useCRUD6SchemaStore] ❌ Schema load ERROR', {
-                model,
-                context: context || 'full',
-                cacheKey,
-                errorType: err.constructor.name,
-                message: err.message,
-                status: err.response?.status,
-                statusText: err.response?.statusText,
-                responseData: err.response?.data,
-                timestamp: new Date().toISOString()
+                // Full response data for inspection
+                fullResponseData: responseData,
+                
+                // Request context
+                requestedModel: model,
+                requestedContext: context
             })
-            
-            const error = err.response?.data || { 
-                title: 'Schema Load Error',
-                description: 'Failed to load schema for model: ' + model
+            throw new Error('Invalid schema response - see debug logs for details')
+        }
+        
+        schemas.value[cacheKey] = schemaData
+        debugLog('[useCRUD6SchemaStore] ✅ Schema loaded and CACHED successfully', {
+            model,
+            context: context || 'full',
+            cacheKey,
+            schemaKeys: Object.keys(schemaData),
+            fieldCount: schemaData.fields ? Object.keys(schemaData.fields).length : 0,
+            hasContexts: !!schemaData.contexts,
+            timestamp: new Date().toISOString()
+        })
+
+        // Persist the raw response for revalidation after a page reload,
+        // and share the fresh schema with other open tabs
+        if (response.status !== 304) {
+            if (etag) {
+                writePersistedSchema(cacheKey, { etag, data: responseData, storedAt: Date.now() })
             }
-            errorStates.value[cacheKey] = error
-            return null
-        } finally {
-            loadingStates.value[cacheKey] = false
-            debugLog('[useCRUD6SchemaStore] Loading state cleared for cacheKey:', cacheKey)
+            channel.post({ type: 'updated', model, cacheKey, schema: schemaData })
         }
+        return schemaData
     }
 
+
     /**
      * Set schema directly without making an API call
      * Useful when schema is already available from another source
@@ -571,27 +824,148 @@ export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
     }
 
     /**
-     * Clear cached schema for a model+context
+     * Clear cached schema for a model+context (memory and persistent cache)
+     * Other tabs drop their copy as well.
      */
     function clearSchema(model: string, context?: string): void {
         const cacheKey = getCacheKey(model, context)
-        delete schemas.value[cacheKey]
-        delete loadingStates.value[cacheKey]
-        delete errorStates.value[cacheKey]
+        dropSchema(model, cacheKey, 'local')
+        deletePersistedSchema(cacheKey)
+        channel.post({ type: 'invalidated', model, cacheKey })
+    }
+
+    /**
+     * Clear every cached context of a model (memory and persistent cache)
+     * Use after the model's schema changed on the server. Other tabs drop their copies as well.
+     */
+    function clearModelSchemas(model: string): void {
+        for (const cacheKey of getModelCacheKeys(model)) {
+            dropSchema(model, cacheKey, 'local')
+            deletePersistedSchema(cacheKey)
+        }
+        channel.post({ type: 'invalidated', model })
     }
 
     /**
-     * Clear all cached schemas
+     * Clear all cached schemas (memory and persistent cache)
+     * Other tabs clear their stores as well.
      */
     function clearAllSchemas(): void {
+        const cachedKeys = Object.keys(schemas.value)
         schemas.value = {}
         loadingStates.value = {}
         errorStates.value = {}
+        clearPersistedSchemas()
+        channel.post({ type: 'cleared' })
+        cachedKeys.forEach(cacheKey => emitSchemaChanged({
+            model: cacheKey.split(':')[0],
+            cacheKey,
+            reason: 'invalidated',
+            source: 'local'
+        }))
+    }
+
+    /**
+     * Subscribe to schema changes (local invalidations and changes from other tabs)
+     *
+     * Schemas loaded by this tab through loadSchema() are not reported, so a
+     * listener that reloads on change does not trigger itself.
+     *
+     * @returns Function that removes the listener
+     */
+    function onSchemaChanged(listener: SchemaChangedListener): () => void {
+        listeners.add(listener)
+        return () => listeners.delete(listener)
+    }
+
+    /**
+     * Notify all listeners, isolating them from each other's errors
+     */
+    function emitSchemaChanged(event: SchemaChangedEvent): void {
+        debugLog('[useCRUD6SchemaStore] 📣 Schema changed', event)
+        for (const listener of listeners) {
+            try {
+                listener(event)
+            } catch (err) {
+                debugError('[useCRUD6SchemaStore] Schema change listener failed', err)
+            }
+        }
+    }
+
+    /**
+     * Cache keys currently held in memory for a model
+     */
+    function getModelCacheKeys(model: string): string[] {
+        return Object.keys(schemas.value).filter(key => key.split(':')[0] === model)
+    }
+
+    /**
+     * Remove a schema from memory and notify listeners if it was cached
+     */
+    function dropSchema(model: string, cacheKey: string, source: 'local' | 'remote'): void {
+        const wasCached = !!schemas.value[cacheKey]
+        delete schemas.value[cacheKey]
+        delete errorStates.value[cacheKey]
+        if (source === 'local') {
+            delete loadingStates.value[cacheKey]
+        }
+        if (wasCached) {
+            emitSchemaChanged({ model, cacheKey, reason: 'invalidated', source })
+        }
+    }
+
+    /**
+     * Apply a message posted by another tab
+     *
+     * The persistent cache is shared between tabs, so only memory is updated here.
+     */
+    function handleBroadcast(message: SchemaBroadcastMessage): void {
+        debugLog('[useCRUD6SchemaStore] 📡 Schema message from another tab', {
+            type: message.type,
+            model: 'model' in message ? message.model : undefined
+        })
+
+        switch (message.type) {
+            case 'updated': {
+                const existing = schemas.value[message.cacheKey]
+                if (existing && JSON.stringify(existing) === JSON.stringify(message.schema)) {
+                    return
+                }
+
+                // A different schema means it changed on the server, so other
+                // contexts of the model cached in this tab are stale as well
+                if (existing) {
+                    getModelCacheKeys(message.model)
+                        .filter(key => key !== message.cacheKey)
+                        .forEach(key => dropSchema(message.model, key, 'remote'))
+                }
+
+                schemas.value[message.cacheKey] = message.schema as CRUD6Schema
+                errorStates.value[message.cacheKey] = null
+                emitSchemaChanged({
+                    model: message.model,
+                    cacheKey: message.cacheKey,
+                    reason: 'updated',
+                    schema: schemas.value[message.cacheKey],
+                    source: 'remote'
+                })
+                break
+            }
+            case 'invalidated': {
+                const keys = message.cacheKey ? [message.cacheKey] : getModelCacheKeys(message.model)
+                keys.forEach(key => dropSchema(message.model, key, 'remote'))
+                break
+            }
+            case 'cleared':
+                Object.keys(schemas.value).forEach(key => dropSchema(key.split(':')[0], key, 'remote'))
+                break
+        }
     }
 
     return {
         // State
         schemas: computed(() => schemas.value),
+        requestTimeout: computed(() => requestTimeout.value),
         
         // Getters
         hasSchema,
@@ -601,8 +975,11 @@ export const useCRUD6SchemaStore = defineStore('crud6-schemas', () => {
         
         // Actions
         loadSchema,
+        setRequestTimeout,
         setSchema,
         clearSchema,
-        clearAllSchemas
+        clearModelSchemas,
+        clearAllSchemas,
+        onSchemaChanged
     }
 })
@@ -0,0 +1,76 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * AggregateFooter and GroupHeader Component Tests
+ *
+ * Tests for the totals bar of the list and the group cell with its subtotals
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import AggregateFooter from '../../components/CRUD6/AggregateFooter.vue'
+import GroupHeader from '../../components/CRUD6/GroupHeader.vue'
+
+const fields = [
+  ['id', { label: 'Orders', type: 'integer', functions: ['count'] }],
+  ['total', { label: 'Total', type: 'decimal', functions: ['sum', 'avg'] }]
+]
+
+const global = {
+  mocks: {
+    $t: (key: string, params?: Record<string, any>) => (params ? `${key} ${JSON.stringify(params)}` : key)
+  }
+}
+
+describe('AggregateFooter.vue', () => {
+  it('renders every aggregation of the filtered records', () => {
+    const wrapper = mount(AggregateFooter, {
+      props: {
+        fields,
+        totals: { id: { count: 85 }, total: { sum: 1500, avg: null } },
+        countFiltered: 85
+      } as any,
+      global
+    })
+
+    expect(wrapper.find('[data-test="aggregate-id-count"]').text()).toBe('CRUD6.AGGREGATE.COUNT 85')
+    expect(wrapper.find('[data-test="aggregate-total-sum"] strong').text()).toBe(new Intl.NumberFormat().format(1500))
+    expect(wrapper.find('[data-test="aggregate-total-avg"] strong').text()).toBe('—')
+    expect(wrapper.text()).toContain('CRUD6.AGGREGATE.RECORDS {"count":85}')
+  })
+})
+
+describe('GroupHeader.vue', () => {
+  it('renders the group value, count and subtotals', () => {
+    const wrapper = mount(GroupHeader, {
+      props: {
+        groupBy: { field: 'paid', label: 'Paid', type: 'boolean' },
+        value: 1,
+        group: { value: 1, count: 3, aggregates: { total: { sum: 30, avg: 10 } } },
+        fields
+      } as any,
+      global
+    })
+
+    expect(wrapper.find('[data-test="group-value"]').text()).toBe('YES')
+    expect(wrapper.find('[data-test="group-count"]').text()).toBe('CRUD6.AGGREGATE.RECORDS {"count":3}')
+    expect(wrapper.find('[data-test="group-aggregate-total-sum"]').text()).toContain('30')
+    expect(wrapper.find('[data-test="group-aggregate-id-count"]').text()).toContain('—')
+  })
+
+  it('renders empty group values as a dash without subtotals', () => {
+    const wrapper = mount(GroupHeader, {
+      props: { groupBy: { field: 'status', label: 'Status', type: 'string' }, value: null, fields } as any,
+      global
+    })
+
+    expect(wrapper.find('[data-test="group-value"]').text()).toBe('—')
+    expect(wrapper.find('[data-test="group-count"]').exists()).toBe(false)
+  })
+})
@@ -0,0 +1,77 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * AutoLookup Component Tests
+ * 
+ * Tests for the AutoLookup component - multi-field search and result highlighting
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import axios from 'axios'
+import AutoLookup from '../../components/CRUD6/AutoLookup.vue'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+const customers = [
+  { id: 1, name: 'Ann Smith', email: 'ann@example.com', phone: '555-0100' },
+  { id: 2, name: 'Bob Jones', email: 'bob@example.com', phone: '555-0199' }
+]
+
+function mountLookup(props: Record<string, any> = {}) {
+  return mount(AutoLookup, {
+    props: { model: 'customers', debounceDelay: 0, ...props },
+    global: {
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+describe('AutoLookup.vue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockedAxios.get.mockResolvedValue({ data: { rows: customers } })
+  })
+
+  it('searches the schema searchable fields by default', async () => {
+    const wrapper = mountLookup()
+
+    await wrapper.find('input').setValue('ann')
+    await vi.waitFor(() => expect(mockedAxios.get).toHaveBeenCalled())
+
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/customers', { params: { search: 'ann', size: 20 } })
+  })
+
+  it('restricts the search to the given fields', async () => {
+    const wrapper = mountLookup({ searchFields: ['email', 'phone'] })
+
+    await wrapper.find('input').setValue('555')
+    await vi.waitFor(() => expect(mockedAxios.get).toHaveBeenCalled())
+
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/customers', {
+      params: { search: '555', search_fields: 'email,phone', size: 20 }
+    })
+  })
+
+  it('highlights matches and shows the matching value hidden from the display text', async () => {
+    const wrapper = mountLookup()
+
+    await wrapper.find('input').setValue('0199')
+    await vi.waitFor(() => expect(wrapper.findAll('li').length).toBe(2))
+    await flushPromises()
+
+    const items = wrapper.findAll('li')
+    expect(items[1].find('.uk-text-muted').text()).toBe('555-0199')
+    expect(items[1].find('mark').text()).toBe('0199')
+    expect(items[0].find('.uk-text-muted').exists()).toBe(false)
+  })
+})
@@ -0,0 +1,79 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * BulkActions Component Tests
+ * 
+ * Tests for the BulkActions component - toolbar for actions on selected rows
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import BulkActions from '../../components/CRUD6/BulkActions.vue'
+import type { CRUD6BulkAction } from '../../composables/useCRUD6BulkActions'
+
+const deleteAction: CRUD6BulkAction = { key: 'delete_action', action: { key: 'delete_action', type: 'delete', label: 'Delete' } }
+
+function mountBulkActions(props: Record<string, any> = {}) {
+  return mount(BulkActions, {
+    props: { actions: [deleteAction], selectedCount: 2, ...props },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+describe('BulkActions.vue', () => {
+  it('renders nothing to run without a selection', () => {
+    const wrapper = mountBulkActions({ selectedCount: 0 })
+
+    expect(wrapper.find('[data-test="btn-bulk-delete_action"]').exists()).toBe(false)
+  })
+
+  it('asks for confirmation before emitting run', async () => {
+    const wrapper = mountBulkActions()
+
+    await wrapper.find('[data-test="btn-bulk-delete_action"]').trigger('click')
+    expect(wrapper.emitted('run')).toBeUndefined()
+    expect(wrapper.find('[data-test="bulk-confirm"]').exists()).toBe(true)
+
+    await wrapper.find('[data-test="btn-bulk-confirm"]').trigger('click')
+    expect(wrapper.emitted('run')?.[0]).toEqual([deleteAction])
+  })
+
+  it('offers to select every filtered record once the page is selected', async () => {
+    const wrapper = mountBulkActions({ pageSelected: true, countFiltered: 200 })
+
+    await wrapper.find('[data-test="btn-bulk-select-all"]').trigger('click')
+
+    expect(wrapper.emitted('select-all')).toHaveLength(1)
+  })
+
+  it('renders the selection error', () => {
+    const wrapper = mountBulkActions({ pageSelected: true, countFiltered: 9000, selectionError: 'Too many records' })
+
+    expect(wrapper.find('[data-test="bulk-selection-error"]').text()).toBe('Too many records')
+  })
+
+  it('lists failed records in the summary', () => {
+    const wrapper = mountBulkActions({
+      selectedCount: 1,
+      summary: { succeeded: 1, failed: 1 },
+      failures: [{ id: 7, success: false, message: 'Not allowed' }]
+    })
+
+    const summary = wrapper.find('[data-test="bulk-summary"]')
+    expect(summary.classes()).toContain('uk-alert-warning')
+    expect(summary.text()).toContain('#7: Not allowed')
+  })
+})
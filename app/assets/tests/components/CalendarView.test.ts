@@ -0,0 +1,94 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CalendarView Component Tests
+ *
+ * Tests for the CalendarView component - days, events, navigation and
+ * dragging events to another day
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import CalendarView from '../../components/CRUD6/CalendarView.vue'
+import { getCalendarDays, toDayKey } from '../../composables/useCRUD6Calendar'
+import type { CRUD6CalendarDay } from '../../composables/useCRUD6Calendar'
+
+const event = { id: 7, name: 'Board meeting', starts_at: '2026-05-14 09:30:00' }
+
+const days: CRUD6CalendarDay[] = getCalendarDays('week', new Date(2026, 4, 14)).map(date => ({
+  key: toDayKey(date),
+  date,
+  outside: false,
+  events: toDayKey(date) === '2026-05-14' ? [event] : []
+}))
+
+function mountCalendar(props: Record<string, any> = {}) {
+  return mount(CalendarView, {
+    props: {
+      config: { start_field: 'starts_at', start_type: 'datetime', title_field: 'name' },
+      mode: 'week',
+      date: new Date(2026, 4, 14),
+      days,
+      model: 'events',
+      canMove: true,
+      ...props
+    } as any,
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true,
+        RouterLink: { template: '<a><slot /></a>' }
+      }
+    }
+  })
+}
+
+describe('CalendarView.vue', () => {
+  it('renders the days with their events', () => {
+    const wrapper = mountCalendar()
+
+    expect(wrapper.findAll('[data-test^="calendar-day-"]')).toHaveLength(7)
+    const link = wrapper.find('[data-test="calendar-day-2026-05-14"] [data-test="calendar-event-7"]')
+    expect(link.text()).toContain('Board meeting')
+    expect(link.text()).toMatch(/09.30/)
+    expect(wrapper.find('[data-test="calendar-day-2026-05-15"] [data-test="calendar-event-7"]').exists()).toBe(false)
+  })
+
+  it('emits the navigation and mode changes', async () => {
+    const wrapper = mountCalendar()
+
+    await wrapper.find('[data-test="btn-calendar-prev"]').trigger('click')
+    await wrapper.find('[data-test="btn-calendar-next"]').trigger('click')
+    await wrapper.find('[data-test="btn-calendar-today"]').trigger('click')
+    await wrapper.find('[data-test="btn-calendar-month"]').trigger('click')
+    await wrapper.find('[data-test="btn-calendar-week"]').trigger('click')
+
+    expect(wrapper.emitted('step')).toEqual([[-1], [1]])
+    expect(wrapper.emitted('today')).toHaveLength(1)
+    expect(wrapper.emitted('mode')).toEqual([['month']])
+  })
+
+  it('emits reschedule when an event is dropped on another day', async () => {
+    const wrapper = mountCalendar()
+
+    await wrapper.find('[data-test="calendar-event-7"]').trigger('dragstart')
+    await wrapper.find('[data-test="calendar-day-2026-05-16"]').trigger('dragover')
+    await wrapper.find('[data-test="calendar-day-2026-05-16"]').trigger('drop')
+
+    expect(wrapper.emitted('reschedule')?.[0]).toEqual([event, '2026-05-16'])
+  })
+
+  it('renders events as not draggable without the permission to move them', () => {
+    const wrapper = mountCalendar({ canMove: false })
+
+    expect(wrapper.find('[data-test="calendar-event-7"]').attributes('draggable')).toBe('false')
+  })
+})
@@ -0,0 +1,118 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CardGrid Component Tests
+ *
+ * Tests for the CardGrid component - card templates, sorting and row actions
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { computed, ref } from 'vue'
+import CardGrid from '../../components/CRUD6/CardGrid.vue'
+
+const rows = ref<Record<string, any>[]>([])
+const sorts = ref<Record<string, any>>({})
+const useSprunjer = vi.fn()
+
+vi.mock('@userfrosting/sprinkle-core/composables', () => ({
+  useSprunjer: (...args: any[]) => {
+    useSprunjer(...args)
+    return {
+      page: ref(0),
+      size: ref(args[3]),
+      sorts,
+      filters: ref({}),
+      loading: ref(false),
+      rows: computed(() => rows.value),
+      fetch: vi.fn()
+    }
+  }
+}))
+
+vi.mock('vue-router', () => ({
+  useRouter: () => ({ push: vi.fn(), replace: vi.fn() }),
+  useRoute: () => ({ name: 'crud6.list', query: {} })
+}))
+
+function mountGrid(props: Record<string, any> = {}) {
+  return mount(CardGrid, {
+    props: {
+      dataUrl: '/api/crud6/products',
+      model: 'products',
+      cardTemplate: '<b class="card-title">{{name}}</b> {{sku}}',
+      fields: [
+        ['name', { type: 'string', label: 'Name', sortable: true }],
+        ['sku', { type: 'string', label: 'SKU' }]
+      ],
+      ...props
+    } as any,
+    slots: {
+      actions: '<template #actions="{ row }"><button class="row-action">{{ row.id }}</button></template>'
+    },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true,
+        RouterLink: { template: '<a><slot /></a>' },
+        UFSprunjePaginator: true
+      }
+    }
+  })
+}
+
+describe('CardGrid.vue', () => {
+  beforeEach(() => {
+    rows.value = [{ id: 1, name: 'Hammer', sku: 'H-1' }, { id: 2, name: 'Saw', sku: 'S-2' }]
+    sorts.value = {}
+    useSprunjer.mockClear()
+  })
+
+  it('requests the card context with the page size', () => {
+    mountGrid({ pageSize: 24 })
+
+    const [dataUrl, , , size] = useSprunjer.mock.calls[0]
+    expect(dataUrl()).toBe('/api/crud6/products?context=card')
+    expect(size).toBe(24)
+  })
+
+  it('renders a card per record with the card template', () => {
+    const wrapper = mountGrid()
+
+    expect(wrapper.find('[data-test="grid-card-1"] .card-title').text()).toBe('Hammer')
+    expect(wrapper.find('[data-test="grid-card-2"]').text()).toContain('S-2')
+  })
+
+  it('renders the row actions under each card', () => {
+    const wrapper = mountGrid({ hasActions: true })
+
+    expect(wrapper.find('[data-test="grid-card-2"] .row-action').text()).toBe('2')
+  })
+
+  it('sorts on the chosen sortable field', async () => {
+    const wrapper = mountGrid()
+
+    expect(wrapper.findAll('[data-test="grid-sort"] option').map(option => option.attributes('value'))).toEqual(['', 'name'])
+
+    await wrapper.find('[data-test="grid-sort"]').setValue('name')
+    expect(sorts.value).toEqual({ name: 'asc' })
+
+    await wrapper.find('[data-test="grid-sort-direction"]').trigger('click')
+    expect(sorts.value).toEqual({ name: 'desc' })
+  })
+
+  it('renders an empty message without records', () => {
+    rows.value = []
+    const wrapper = mountGrid()
+
+    expect(wrapper.find('[data-test="grid-empty"]').text()).toBe('CRUD6.GRID.EMPTY')
+  })
+})
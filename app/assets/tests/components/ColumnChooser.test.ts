@@ -0,0 +1,62 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * ColumnChooser Component Tests
+ * 
+ * Tests for the ColumnChooser component - column visibility and drag reordering
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ColumnChooser from '../../components/CRUD6/ColumnChooser.vue'
+
+function mountColumnChooser(columns: { key: string; visible: boolean }[]) {
+  return mount(ColumnChooser, {
+    props: {
+      columns: columns.map(column => ({ ...column, field: { type: 'string', label: column.key.toUpperCase() } }))
+    },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+describe('ColumnChooser.vue', () => {
+  it('renders one checkbox per column and emits toggle', async () => {
+    const wrapper = mountColumnChooser([{ key: 'id', visible: false }, { key: 'name', visible: true }])
+
+    expect(wrapper.find('[data-test="column-id"]').text()).toContain('ID')
+    expect((wrapper.find('[data-test="column-toggle-id"]').element as HTMLInputElement).checked).toBe(false)
+
+    await wrapper.find('[data-test="column-toggle-id"]').trigger('change')
+    expect(wrapper.emitted('toggle')?.[0]).toEqual(['id'])
+  })
+
+  it('renders the last visible column as disabled', () => {
+    const wrapper = mountColumnChooser([{ key: 'id', visible: false }, { key: 'name', visible: true }])
+
+    expect(wrapper.find('[data-test="column-toggle-name"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('emits move when a column is dropped on another one', async () => {
+    const wrapper = mountColumnChooser([{ key: 'id', visible: true }, { key: 'name', visible: true }])
+
+    await wrapper.find('[data-test="column-name"]').trigger('dragstart')
+    await wrapper.find('[data-test="column-id"]').trigger('drop')
+    expect(wrapper.emitted('move')?.[0]).toEqual(['name', 'id'])
+
+    await wrapper.find('[data-test="btn-columns-reset"]').trigger('click')
+    expect(wrapper.emitted('reset')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,100 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * ColumnFilter Component Tests
+ * 
+ * Tests for the ColumnFilter component - filter widget in the list table header
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ColumnFilter from '../../components/CRUD6/ColumnFilter.vue'
+import type { CRUD6ColumnFilter } from '../../composables/useCRUD6Filters'
+
+function createFilter(overrides: Partial<CRUD6ColumnFilter>): CRUD6ColumnFilter {
+  return {
+    key: 'name',
+    label: 'Name',
+    widget: 'text',
+    field: { type: 'string', label: 'Name', filterable: true },
+    options: [],
+    ...overrides
+  }
+}
+
+function mountFilter(filter: CRUD6ColumnFilter, modelValue?: string) {
+  return mount(ColumnFilter, {
+    props: { filter, modelValue },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        CRUD6AutoLookup: true
+      }
+    }
+  })
+}
+
+describe('ColumnFilter.vue', () => {
+  it('emits the text value on change', async () => {
+    const wrapper = mountFilter(createFilter({}))
+
+    await wrapper.find('input').setValue(' Ann ')
+
+    expect(wrapper.emitted('update:modelValue')?.[0]).toEqual(['Ann'])
+  })
+
+  it('renders the schema options with an empty choice', () => {
+    const wrapper = mountFilter(createFilter({
+      key: 'status',
+      widget: 'select',
+      options: [{ value: 'A', label: 'Active' }, { value: 'I', label: 'Inactive' }]
+    }), 'I')
+
+    const options = wrapper.findAll('option')
+    expect(options.map(option => option.text())).toEqual(['CRUD6.FILTER.ANY', 'Active', 'Inactive'])
+    expect((wrapper.find('select').element as HTMLSelectElement).value).toBe('I')
+  })
+
+  it('encodes range bounds', async () => {
+    const wrapper = mountFilter(createFilter({
+      key: 'price',
+      widget: 'number_range',
+      field: { type: 'decimal', label: 'Price', filterable: true }
+    }), '10..')
+
+    const inputs = wrapper.findAll('input')
+    expect((inputs[0].element as HTMLInputElement).value).toBe('10')
+
+    await inputs[1].setValue('20')
+
+    expect(wrapper.emitted('update:modelValue')?.[0]).toEqual(['10..20'])
+  })
+
+  it('does not let clicks reach the sortable header', async () => {
+    let headerClicks = 0
+    const wrapper = mount({
+      components: { ColumnFilter },
+      data: () => ({ filter: createFilter({}) }),
+      methods: { sort: () => headerClicks++ },
+      template: '<a @click="sort"><ColumnFilter :filter="filter" /></a>'
+    }, {
+      global: {
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+
+    await wrapper.find('input').trigger('click')
+
+    expect(headerClicks).toBe(0)
+  })
+})
@@ -0,0 +1,66 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * ExportMenu Component Tests
+ * 
+ * Tests for the ExportMenu component - export button and progress of a list
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ExportMenu from '../../components/CRUD6/ExportMenu.vue'
+
+function mountExportMenu(props: Record<string, any> = {}) {
+  return mount(ExportMenu, {
+    props: { countFiltered: 10, ...props },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+describe('ExportMenu.vue', () => {
+  it('renders one entry per format and emits the chosen format', async () => {
+    const wrapper = mountExportMenu()
+
+    expect(wrapper.find('[data-test="btn-export-csv"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="btn-export-xlsx"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="btn-export-json"]').exists()).toBe(true)
+
+    await wrapper.find('[data-test="btn-export-xlsx"]').trigger('click')
+    expect(wrapper.emitted('export')?.[0]).toEqual(['xlsx'])
+  })
+
+  it('renders a disabled button for an empty list', () => {
+    const wrapper = mountExportMenu({ countFiltered: 0 })
+
+    expect(wrapper.find('[data-test="btn-export"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('renders the progress and a cancel button while exporting', async () => {
+    const wrapper = mountExportMenu({ exporting: true, progress: { done: 500, total: 1200 } })
+
+    expect(wrapper.find('[data-test="btn-export"]').exists()).toBe(false)
+    expect(wrapper.find('progress').attributes('value')).toBe('500')
+
+    await wrapper.find('[data-test="btn-export-cancel"]').trigger('click')
+    expect(wrapper.emitted('cancel')).toHaveLength(1)
+  })
+
+  it('renders the error of the last export', () => {
+    const wrapper = mountExportMenu({ error: 'Access Denied' })
+
+    expect(wrapper.find('[data-test="export-error"]').text()).toBe('CRUD6.EXPORT.FAILED')
+  })
+})
@@ -17,19 +17,34 @@ import { mount, flushPromises } from '@vue/test-utils'
 import { createRouter, createMemoryHistory } from 'vue-router'
 import { createPinia, setActivePinia } from 'pinia'
 import Form from '../../components/CRUD6/Form.vue'
+import { useCRUD6Api } from '../../composables/useCRUD6Api'
 
 // Mock composables
-vi.mock('../../composables/useCRUD6Api', () => ({
-  useCRUD6Api: () => ({
-    createRow: vi.fn(),
-    updateRow: vi.fn(),
-    r$: { value: {} },
-    formData: { value: {} },
-    apiLoading: { value: false },
-    resetForm: vi.fn(),
-    slugLocked: { value: false }
-  })
-}))
+vi.mock('../../composables/useCRUD6Api', async () => {
+  const { ref } = await import('vue')
+  // Draft state shared by the forms of a test
+  const draft = ref<any>(null)
+  const trackDraft = vi.fn()
+  const restoreDraft = vi.fn()
+  const discardDraft = vi.fn()
+  const patchRow = vi.fn(() => Promise.resolve())
+  return {
+    useCRUD6Api: () => ({
+      createRow: vi.fn(),
+      updateRow: vi.fn(),
+      patchRow,
+      r$: { value: {}, $validate: async () => ({ valid: true }) },
+      formData: ref({}),
+      apiLoading: ref(false),
+      resetForm: vi.fn(),
+      slugLocked: ref(false),
+      draft,
+      trackDraft,
+      restoreDraft,
+      discardDraft
+    })
+  }
+})
 
 vi.mock('../../composables/useCRUD6Schema', () => ({
   useCRUD6Schema: () => ({
@@ -261,6 +276,305 @@ describe('Form.vue', () => {
     expect(wrapper.exists()).toBe(true)
   })
 
+  it('renders conditional fields from the form data', async () => {
+    const schema = {
+      model: 'customers',
+      title: 'Customers',
+      table: 'customers',
+      primary_key: 'id',
+      fields: {
+        customer_type: { type: 'string', label: 'Customer type', editable: true },
+        company_name: {
+          type: 'string',
+          label: 'Company name',
+          editable: true,
+          visible_when: { customer_type: 'business' },
+          required_when: { customer_type: 'business' }
+        },
+        discount: {
+          type: 'decimal',
+          label: 'Discount',
+          editable: true,
+          disabled_when: { customer_type: 'person' }
+        }
+      }
+    }
+
+    const mountCustomer = (customerType: string) => mount(Form, {
+      props: {
+        crud6: { id: 1, customer_type: customerType },
+        model: 'customers',
+        schema
+      },
+      global: {
+        plugins: [router],
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+
+    const person = mountCustomer('person')
+    await flushPromises()
+    expect(person.find('[data-test="company_name"]').exists()).toBe(false)
+    expect(person.find('[data-test="discount"]').attributes('disabled')).toBeDefined()
+
+    const business = mountCustomer('business')
+    await flushPromises()
+    expect(business.find('[data-test="company_name"]').attributes('required')).toBeDefined()
+    expect(business.find('[data-test="discount"]').attributes('disabled')).toBeUndefined()
+  })
+
+  it('renders a wizard with a review step from form_steps', async () => {
+    const schema = {
+      model: 'customers',
+      title: 'Customers',
+      table: 'customers',
+      primary_key: 'id',
+      form_steps: [
+        { key: 'customer', title: 'Customer', fields: ['name'] },
+        { key: 'preferences', title: 'Preferences', fields: ['newsletter'] }
+      ],
+      fields: {
+        name: { type: 'string', label: 'Name', editable: true },
+        newsletter: { type: 'boolean', label: 'Newsletter', editable: true }
+      }
+    }
+
+    const wrapper = mount(Form, {
+      props: {
+        crud6: { id: 1, name: 'Ann', newsletter: true },
+        model: 'customers',
+        schema
+      },
+      global: {
+        plugins: [router],
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+    await flushPromises()
+
+    expect(wrapper.findAll('[data-test="form-steps"] li')).toHaveLength(3)
+    expect(wrapper.find('[data-test="name"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="newsletter"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="btn-submit"]').exists()).toBe(false)
+
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+    expect(wrapper.find('[data-test="name"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="newsletter"]').exists()).toBe(true)
+
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+    expect(wrapper.find('[data-test="review-name"]').text()).toBe('Ann')
+    expect(wrapper.find('[data-test="btn-submit"]').exists()).toBe(true)
+
+    await wrapper.find('[data-test="btn-back"]').trigger('click')
+    expect(wrapper.find('[data-test="newsletter"]').exists()).toBe(true)
+  })
+
+  it('renders fields in the sections, fieldsets and tabs of the layout', async () => {
+    const schema = {
+      model: 'customers',
+      title: 'Customers',
+      table: 'customers',
+      primary_key: 'id',
+      layout: {
+        tabs: [
+          { key: 'profile', title: 'Profile' },
+          { key: 'billing', title: 'Billing' }
+        ],
+        sections: [
+          { key: 'identity', title: 'Identity', fields: ['name', { field: 'bio', span: 'full' }] },
+          { key: 'address', title: 'Address', type: 'fieldset', collapsed: true, tab: 'profile', fields: ['city'] },
+          { key: 'tax', title: 'Tax', tab: 'billing', fields: ['vat_number'] }
+        ]
+      },
+      fields: {
+        name: { type: 'string', label: 'Name', editable: true },
+        bio: { type: 'text', label: 'Bio', editable: true },
+        city: { type: 'string', label: 'City', editable: true },
+        vat_number: { type: 'string', label: 'VAT number', editable: true },
+        notes: { type: 'string', label: 'Notes', editable: true }
+      }
+    }
+
+    const wrapper = mount(Form, {
+      props: {
+        model: 'customers',
+        schema
+      },
+      global: {
+        plugins: [router],
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="layout-section-identity"] [data-test="name"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="layout-field-bio"]').classes()).toContain('uk-width-1-1')
+    expect(wrapper.find('[data-test="layout-section-__rest"] [data-test="notes"]').exists()).toBe(true)
+    expect(wrapper.findAll('[data-test="layout-tabs"] li')).toHaveLength(2)
+    expect(wrapper.find('form').attributes('novalidate')).toBeDefined()
+
+    // Sections of hidden tabs and collapsed fieldsets stay mounted
+    const address = wrapper.find('[data-test="layout-section-address"]')
+    const isHidden = (selector: string) => wrapper.find(selector).attributes('style')?.includes('display: none') ?? false
+    expect(address.element.tagName).toBe('FIELDSET')
+    expect(isHidden('[data-test="layout-section-address"] [uk-grid]')).toBe(true)
+    expect(isHidden('[data-test="layout-section-tax"]')).toBe(true)
+
+    await wrapper.find('[data-test="layout-toggle-address"]').trigger('click')
+    expect(isHidden('[data-test="layout-section-address"] [uk-grid]')).toBe(false)
+
+    await wrapper.find('[data-test="layout-tab-billing"]').trigger('click')
+    expect(isHidden('[data-test="layout-section-tax"]')).toBe(false)
+    expect(isHidden('[data-test="layout-section-address"]')).toBe(true)
+  })
+
+  it('renders the draft of an earlier visit for restore', async () => {
+    const { draft, trackDraft, restoreDraft, discardDraft } = useCRUD6Api('products') as any
+    draft.value = { data: { name: 'Unsaved' }, savedAt: '2026-01-02T10:00:00.000Z' }
+
+    const wrapper = mount(Form, {
+      props: {
+        crud6: { id: 5, name: 'Saved' },
+        model: 'products',
+        schema: {
+          model: 'products',
+          title: 'Products',
+          table: 'products',
+          primary_key: 'id',
+          fields: {
+            name: { type: 'string', label: 'Name', editable: true }
+          }
+        }
+      },
+      global: {
+        plugins: [router],
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+    await flushPromises()
+
+    expect(trackDraft).toHaveBeenLastCalledWith(5)
+    expect(wrapper.find('[data-test="form-draft"]').text()).toContain('CRUD6.DRAFT.FOUND')
+
+    await wrapper.find('[data-test="btn-restore-draft"]').trigger('click')
+    expect(restoreDraft).toHaveBeenCalled()
+    await wrapper.find('[data-test="btn-discard-draft"]').trigger('click')
+    expect(discardDraft).toHaveBeenCalled()
+
+    draft.value = null
+  })
+
+  it('renders the unsaved changes and only sends the changed fields', async () => {
+    const { patchRow } = useCRUD6Api('products') as any
+    patchRow.mockClear()
+
+    const wrapper = mount(Form, {
+      props: {
+        crud6: { id: 5, name: 'Saved', price: 10 },
+        model: 'products',
+        schema: {
+          model: 'products',
+          title: 'Products',
+          table: 'products',
+          primary_key: 'id',
+          fields: {
+            name: { type: 'string', label: 'Name', editable: true },
+            price: { type: 'decimal', label: 'Price', editable: true }
+          }
+        }
+      },
+      global: {
+        plugins: [router],
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+    await flushPromises()
+
+    expect(wrapper.find('[data-test="form-dirty"]').exists()).toBe(false)
+
+    // Submitted unchanged: nothing to update
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+    expect(patchRow).not.toHaveBeenCalled()
+    expect(wrapper.emitted('success')).toHaveLength(1)
+
+    await wrapper.find('[data-test="name"]').setValue('Changed')
+    expect(wrapper.find('[data-test="form-dirty"]').text()).toContain('CRUD6.DIRTY.UNSAVED')
+    expect((wrapper.vm as any).isDirty).toBe(true)
+
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+    expect(patchRow).toHaveBeenCalledWith(5, { name: 'Changed' }, null)
+    expect(wrapper.emitted('success')).toHaveLength(2)
+    expect(wrapper.find('[data-test="form-dirty"]').exists()).toBe(false)
+  })
+
+  it('renders the conflict with a later save and saves again with the picked values', async () => {
+    const { patchRow } = useCRUD6Api('products') as any
+    patchRow.mockClear()
+    patchRow.mockRejectedValueOnce({
+      title: 'CRUD6.CONFLICT.TITLE',
+      description: 'CRUD6.CONFLICT.DESCRIPTION',
+      status: 409,
+      current: { id: 5, name: 'Theirs', price: '12', updated_at: '2026-10-19 10:00:00' }
+    })
+
+    const wrapper = mount(Form, {
+      props: {
+        crud6: { id: 5, name: 'Saved', price: '10', updated_at: '2026-10-19 09:00:00' },
+        model: 'products',
+        schema: {
+          model: 'products',
+          title: 'Products',
+          table: 'products',
+          primary_key: 'id',
+          version_field: 'updated_at',
+          fields: {
+            name: { type: 'string', label: 'Name', editable: true },
+            price: { type: 'decimal', label: 'Price', editable: true }
+          }
+        }
+      },
+      global: {
+        plugins: [router],
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+    await flushPromises()
+
+    await wrapper.find('[data-test="name"]').setValue('Mine')
+    await wrapper.find('form').trigger('submit')
+    await flushPromises()
+    expect(patchRow).toHaveBeenCalledWith(5, { name: 'Mine' }, '2026-10-19 09:00:00')
+    expect(wrapper.emitted('success')).toBeUndefined()
+
+    // Yours where you changed the field, theirs elsewhere
+    const dialog = wrapper.find('[data-test="conflict-dialog"]')
+    expect(dialog.exists()).toBe(true)
+    expect((dialog.find('[data-test="conflict-name-yours"]').element as HTMLInputElement).checked).toBe(true)
+    expect((dialog.find('[data-test="conflict-price-theirs"]').element as HTMLInputElement).checked).toBe(true)
+
+    await dialog.find('[data-test="btn-resolve-conflict"]').trigger('click')
+    await flushPromises()
+    expect(patchRow).toHaveBeenLastCalledWith(5, { name: 'Mine' }, '2026-10-19 10:00:00')
+    expect(wrapper.find('[data-test="conflict-dialog"]').exists()).toBe(false)
+    expect(wrapper.emitted('success')).toHaveLength(1)
+  })
+
   it('handles multi-context schema (form context)', async () => {
     const multiContextSchema = {
       model: 'users',
@@ -0,0 +1,87 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * ImportWizard Component Tests
+ * 
+ * Tests for the ImportWizard component - CSV/XLSX import with column mapping
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import axios from 'axios'
+import ImportWizard from '../../components/CRUD6/ImportWizard.vue'
+
+vi.mock('axios')
+
+const fields = {
+  name: { type: 'string', label: 'Name', required: true },
+  email: { type: 'email', label: 'Email' }
+}
+
+function mountImportWizard() {
+  return mount(ImportWizard, {
+    props: { model: 'customers', fields },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+async function upload(wrapper: ReturnType<typeof mountImportWizard>, content: string) {
+  const input = wrapper.find('[data-test="import-file"]')
+  const file = new File([content], 'customers.csv', { type: 'text/csv' })
+  Object.defineProperty(input.element, 'files', { value: [file] })
+  await input.trigger('change')
+  await flushPromises()
+}
+
+describe('ImportWizard.vue', () => {
+  it('renders the upload step first', () => {
+    const wrapper = mountImportWizard()
+
+    expect(wrapper.find('[data-test="import-step-upload"]').exists()).toBe(true)
+  })
+
+  it('renders the auto-matched column mapping after upload', async () => {
+    const wrapper = mountImportWizard()
+    await upload(wrapper, 'Name,Phone\nAcme,555\n')
+
+    expect(wrapper.find('[data-test="import-step-map"]').exists()).toBe(true)
+    expect((wrapper.find('[data-test="import-map-0"]').element as HTMLSelectElement).value).toBe('name')
+    expect((wrapper.find('[data-test="import-map-1"]').element as HTMLSelectElement).value).toBe('')
+  })
+
+  it('warns about required fields without a column', async () => {
+    const wrapper = mountImportWizard()
+    await upload(wrapper, 'Email\na@b.test\n')
+
+    expect(wrapper.find('[data-test="import-unmapped"]').exists()).toBe(true)
+  })
+
+  it('previews invalid rows and imports the valid ones', async () => {
+    vi.mocked(axios.post).mockResolvedValue({ data: {} })
+    const wrapper = mountImportWizard()
+    await upload(wrapper, 'Name,Email\nAcme,info@acme.test\n,broken\n')
+
+    await wrapper.find('[data-test="btn-import-next"]').trigger('click')
+    expect(wrapper.findAll('[data-test="import-invalid-row"]')).toHaveLength(1)
+
+    await wrapper.find('[data-test="btn-import-run"]').trigger('click')
+    await flushPromises()
+
+    expect(axios.post).toHaveBeenCalledTimes(1)
+    expect(wrapper.find('[data-test="import-summary"]').exists()).toBe(true)
+    expect(wrapper.emitted('imported')?.[0]).toEqual([{ created: 1, failed: 0 }])
+  })
+})
@@ -37,7 +37,8 @@ vi.mock('../../composables/useCRUD6Schema', () => ({
     },
     loading: { value: false },
     error: { value: null },
-    hasPermission: vi.fn(() => true)
+    hasPermission: vi.fn(() => true),
+    hasActionPermission: vi.fn(() => true)
   })
 }))
 
@@ -281,4 +282,40 @@ describe('Info.vue', () => {
     await flushPromises()
     expect(wrapper.exists()).toBe(true)
   })
+
+  it('lays out the filled fields in the sections of the layout', async () => {
+    router.push('/crud6/products/1')
+    await router.isReady()
+
+    const wrapper = mount(Info, {
+      props: {
+        crud6: { ...mockCrud6Data, name: null },
+        schema: {
+          ...mockSchema,
+          layout: {
+            sections: [
+              { key: 'pricing', title: 'Pricing', fields: ['price', 'name'] }
+            ]
+          }
+        }
+      },
+      global: {
+        plugins: [router],
+        components: {
+          CRUD6UnifiedModal
+        },
+        mocks: {
+          $t: (key: string) => key
+        }
+      }
+    })
+
+    await flushPromises()
+    const pricing = wrapper.find('[data-test="layout-section-pricing"]')
+    expect(pricing.find('h4').text()).toBe('Pricing')
+    expect(pricing.find('[data-test="layout-field-price"]').text()).toContain('99.99')
+    // Fields without a value are left out
+    expect(wrapper.find('[data-test="layout-field-name"]').exists()).toBe(false)
+    expect(wrapper.find('[data-test="layout-section-__rest"] [data-test="layout-field-id"]').exists()).toBe(true)
+  })
 })
@@ -0,0 +1,95 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * InlineCellEditor Component Tests
+ * 
+ * Tests for the InlineCellEditor component - editor of one list cell
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import InlineCellEditor from '../../components/CRUD6/InlineCellEditor.vue'
+
+function mountEditor(props: Record<string, any>) {
+  return mount(InlineCellEditor, {
+    props: { fieldKey: 'name', modelValue: '', ...props } as any,
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true,
+        AutoLookup: true
+      }
+    }
+  })
+}
+
+describe('InlineCellEditor.vue', () => {
+  it('renders the input of the field type and emits the typed value', async () => {
+    const wrapper = mountEditor({ field: { type: 'email', label: 'Email' }, fieldKey: 'email', modelValue: 'a@b.c' })
+    const input = wrapper.find('input')
+
+    expect(input.attributes('type')).toBe('email')
+    expect((input.element as HTMLInputElement).value).toBe('a@b.c')
+
+    await input.setValue('x@y.z')
+    expect(wrapper.emitted('update:modelValue')?.[0]).toEqual(['x@y.z'])
+  })
+
+  it('emits save on Enter and cancel on Escape', async () => {
+    const wrapper = mountEditor({ field: { type: 'string' } })
+
+    await wrapper.find('input').trigger('keydown', { key: 'Enter' })
+    await wrapper.find('input').trigger('keydown', { key: 'Escape' })
+
+    expect(wrapper.emitted('save')).toHaveLength(1)
+    expect(wrapper.emitted('cancel')).toHaveLength(1)
+  })
+
+  it('saves a text area only on Ctrl+Enter', async () => {
+    const wrapper = mountEditor({ field: { type: 'textarea' } })
+
+    await wrapper.find('textarea').trigger('keydown', { key: 'Enter' })
+    expect(wrapper.emitted('save')).toBeUndefined()
+
+    await wrapper.find('textarea').trigger('keydown', { key: 'Enter', ctrlKey: true })
+    expect(wrapper.emitted('save')).toHaveLength(1)
+  })
+
+  it('saves a checkbox as soon as it changes', async () => {
+    const wrapper = mountEditor({ field: { type: 'boolean' }, fieldKey: 'enabled', modelValue: false })
+
+    await wrapper.find('input[type="checkbox"]').setValue(true)
+    await new Promise(resolve => setTimeout(resolve))
+
+    expect(wrapper.emitted('update:modelValue')?.[0]).toEqual([true])
+    expect(wrapper.emitted('save')).toHaveLength(1)
+  })
+
+  it('renders a select for fields with options and the errors', () => {
+    const wrapper = mountEditor({
+      field: { type: 'string', options: [{ value: 'open', label: 'Open' }, 'closed'] },
+      fieldKey: 'status',
+      modelValue: 'open',
+      errors: ['Invalid status']
+    })
+
+    expect(wrapper.findAll('option').map(option => option.text())).toEqual(['', 'Open', 'closed'])
+    expect(wrapper.find('[data-test="inline-errors"]').text()).toContain('Invalid status')
+  })
+
+  it('renders the lookup component for smartlookup fields', () => {
+    const wrapper = mountEditor({ field: { type: 'smartlookup', lookup_model: 'categories' }, fieldKey: 'category_id', modelValue: 2 })
+
+    const lookup = wrapper.findComponent({ name: 'AutoLookup' })
+    expect(lookup.exists()).toBe(true)
+    expect(lookup.props('model')).toBe('categories')
+  })
+})
@@ -0,0 +1,88 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * KanbanBoard Component Tests
+ *
+ * Tests for the KanbanBoard component - columns, card rendering and dragging cards
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import KanbanBoard from '../../components/CRUD6/KanbanBoard.vue'
+import type { CRUD6KanbanColumn } from '../../composables/useCRUD6Kanban'
+
+const columns: CRUD6KanbanColumn[] = [
+  { key: 'open', value: 'open', label: 'Open', rows: [{ id: 1, title: 'Printer jam', priority: 'high' }], count: 3, page: 0, loading: false },
+  { key: 'closed', value: 'closed', label: 'Closed', rows: [], count: 0, page: 0, loading: false }
+]
+
+function mountBoard(props: Record<string, any> = {}) {
+  return mount(KanbanBoard, {
+    props: {
+      columns,
+      fields: [
+        ['title', { type: 'string', label: 'Title' }],
+        ['priority', { type: 'string', label: 'Priority' }]
+      ],
+      model: 'tickets',
+      canMove: true,
+      ...props
+    } as any,
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true,
+        RouterLink: { template: '<a><slot /></a>' }
+      }
+    }
+  })
+}
+
+describe('KanbanBoard.vue', () => {
+  it('renders the columns with their count and cards', () => {
+    const wrapper = mountBoard()
+
+    expect(wrapper.find('[data-test="kanban-column-open"]').text()).toContain('Open')
+    expect(wrapper.find('[data-test="kanban-column-open"] [data-test="kanban-count"]').text()).toBe('3')
+    expect(wrapper.find('[data-test="kanban-card-1"]').text()).toContain('Printer jam')
+    expect(wrapper.find('[data-test="kanban-card-1"]').text()).toContain('Priority: high')
+    expect(wrapper.find('[data-test="kanban-column-closed"] [data-test="kanban-empty"]').exists()).toBe(true)
+  })
+
+  it('renders cards with the board card template', () => {
+    const wrapper = mountBoard({ cardTemplate: '<b class="card-title">#{{id}} {{title}}</b>' })
+
+    expect(wrapper.find('[data-test="kanban-card-1"] .card-title').text()).toBe('#1 Printer jam')
+  })
+
+  it('emits move when a card is dropped in another column', async () => {
+    const wrapper = mountBoard()
+
+    await wrapper.find('[data-test="kanban-card-1"]').trigger('dragstart')
+    await wrapper.find('[data-test="kanban-column-closed"]').trigger('dragover')
+    await wrapper.find('[data-test="kanban-column-closed"]').trigger('drop')
+
+    expect(wrapper.emitted('move')?.[0]).toEqual([columns[0].rows[0], 'open', 'closed'])
+  })
+
+  it('renders cards as not draggable without the permission to move them', () => {
+    const wrapper = mountBoard({ canMove: false })
+
+    expect(wrapper.find('[data-test="kanban-card-1"]').attributes('draggable')).toBe('false')
+  })
+
+  it('emits load-more for columns with more records', async () => {
+    const wrapper = mountBoard()
+
+    await wrapper.find('[data-test="kanban-column-open"] [data-test="btn-kanban-more"]').trigger('click')
+    expect(wrapper.emitted('load-more')?.[0]).toEqual(['open'])
+  })
+})
@@ -0,0 +1,59 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * ListCell Component Tests
+ *
+ * Tests for the ListCell component - links, badges, booleans, templates and
+ * search highlighting
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ListCell from '../../components/CRUD6/ListCell.vue'
+
+const row = { id: 7, name: 'Ada Lovelace', active: true, status: 'open' }
+
+function mountCell(fieldKey: string, field: Record<string, any>, props: Record<string, any> = {}) {
+  return mount(ListCell, {
+    props: { field, fieldKey, row, model: 'users', ...props } as any,
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        RouterLink: { template: '<a><slot /></a>' }
+      }
+    }
+  })
+}
+
+describe('ListCell.vue', () => {
+  it('renders the primary key and link fields as links to the record', () => {
+    expect(mountCell('id', { type: 'integer' }).find('a').text()).toBe('7')
+    expect(mountCell('name', { type: 'link' }).find('a').text()).toBe('Ada Lovelace')
+    expect(mountCell('name', { type: 'string' }).find('a').exists()).toBe(false)
+  })
+
+  it('renders badges and booleans', () => {
+    expect(mountCell('status', { type: 'badge' }).find('.uk-badge').text()).toBe('open')
+    expect(mountCell('active', { type: 'boolean' }).find('.uk-text-success').text()).toBe('YES')
+  })
+
+  it('renders the field template', () => {
+    const wrapper = mountCell('name', { type: 'string', field_template: '<em>{{name}} ({{status}})</em>' })
+
+    expect(wrapper.find('em').text()).toBe('Ada Lovelace (open)')
+  })
+
+  it('highlights the search term in searchable fields', () => {
+    const wrapper = mountCell('name', { type: 'string', searchable: true }, { search: 'love' })
+
+    expect(wrapper.find('mark').text()).toBe('Love')
+  })
+})
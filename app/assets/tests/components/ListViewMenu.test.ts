@@ -0,0 +1,90 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * ListViewMenu Component Tests
+ * 
+ * Tests for the ListViewMenu component - saved views of a list
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import ListViewMenu from '../../components/CRUD6/ListViewMenu.vue'
+
+const view = (name: string) => ({ name, columns: { order: [], hidden: [] }, sorts: {}, filters: {}, size: 10 })
+
+function mountListViewMenu(props: Record<string, any> = {}) {
+  return mount(ListViewMenu, {
+    props,
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+describe('ListViewMenu.vue', () => {
+  it('renders an empty message without views', () => {
+    const wrapper = mountListViewMenu()
+
+    expect(wrapper.find('[data-test="views-empty"]').exists()).toBe(true)
+    expect(wrapper.find('[data-test="btn-view-save"]').attributes('disabled')).toBeDefined()
+  })
+
+  it('renders the views and emits apply, set-default and delete', async () => {
+    const wrapper = mountListViewMenu({ views: [view('Open'), view('Late')], defaultView: 'Late', activeView: 'Open' })
+
+    expect(wrapper.find('[data-test="btn-views"]').text()).toContain('Open')
+
+    await wrapper.find('[data-test="view-Open"]').trigger('click')
+    await wrapper.find('[data-test="view-default-Open"]').trigger('click')
+    await wrapper.find('[data-test="view-default-Late"]').trigger('click')
+    await wrapper.find('[data-test="view-delete-Late"]').trigger('click')
+
+    expect(wrapper.emitted('apply')?.slice(-1)[0]).toEqual(['Open'])
+    expect(wrapper.emitted('set-default')).toEqual([['Open'], [null]])
+    expect(wrapper.emitted('delete')?.[0]).toEqual(['Late'])
+  })
+
+  it('emits apply for the default view when mounted', () => {
+    const wrapper = mountListViewMenu({ views: [view('Late')], defaultView: 'Late' })
+
+    expect(wrapper.emitted('apply')?.[0]).toEqual(['Late'])
+  })
+
+  it('emits apply for the default view once the views are loaded', async () => {
+    const wrapper = mountListViewMenu({ loading: true })
+    expect(wrapper.emitted('apply')).toBeUndefined()
+
+    await wrapper.setProps({ views: [view('Late')], defaultView: 'Late', loading: false })
+    await wrapper.setProps({ loading: true })
+    await wrapper.setProps({ loading: false })
+
+    expect(wrapper.emitted('apply')).toEqual([['Late']])
+  })
+
+  it('does not apply the default view when applyDefault is false', () => {
+    const wrapper = mountListViewMenu({ views: [view('Late')], defaultView: 'Late', applyDefault: false })
+
+    expect(wrapper.emitted('apply')).toBeUndefined()
+  })
+
+  it('emits save with the trimmed view name', async () => {
+    const wrapper = mountListViewMenu()
+
+    await wrapper.find('[data-test="view-name"]').setValue('  Mine ')
+    await wrapper.find('form').trigger('submit')
+
+    expect(wrapper.emitted('save')?.[0]).toEqual(['Mine'])
+    expect((wrapper.find('[data-test="view-name"]').element as HTMLInputElement).value).toBe('')
+  })
+})
@@ -0,0 +1,96 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * TreeView Component Tests
+ *
+ * Tests for the TreeView component - nested rows, expanding and dragging records
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import TreeView from '../../components/CRUD6/TreeView.vue'
+import type { CRUD6TreeNode } from '../../composables/useCRUD6Tree'
+
+const tools = { id: 1, name: 'Tools', parent_id: null, children_count: 1 }
+const hammers = { id: 3, name: 'Hammers', parent_id: 1, children_count: 0 }
+
+const nodes: CRUD6TreeNode[] = [
+  { key: '1', row: tools, parentKey: '', depth: 0, expanded: true, hasChildren: true },
+  { key: '3', row: hammers, parentKey: '1', depth: 1, expanded: false, hasChildren: false },
+  { key: 'more:1', parentKey: '1', depth: 1, expanded: false, hasChildren: false, remaining: 4 }
+]
+
+function mountTree(props: Record<string, any> = {}) {
+  return mount(TreeView, {
+    props: {
+      nodes,
+      fields: [['name', { type: 'string', label: 'Name' }]],
+      canMove: true,
+      ...props
+    } as any,
+    slots: {
+      cell: '<template #cell="{ row, fieldKey }">{{ row[fieldKey] }}</template>'
+    },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+describe('TreeView.vue', () => {
+  it('renders the records indented under their parent', () => {
+    const wrapper = mountTree()
+
+    expect(wrapper.find('[data-test="tree-node-1"]').text()).toContain('Tools')
+    expect(wrapper.find('[data-test="tree-node-3"]').text()).toContain('Hammers')
+    expect(wrapper.find('[data-test="tree-node-3"] td div').attributes('style')).toContain('padding-left: 1.5rem')
+    expect(wrapper.find('[data-test="tree-toggle-1"]').attributes('aria-expanded')).toBe('true')
+    expect(wrapper.find('[data-test="tree-toggle-3"]').exists()).toBe(false)
+  })
+
+  it('emits toggle and load-more', async () => {
+    const wrapper = mountTree()
+
+    await wrapper.find('[data-test="tree-toggle-1"]').trigger('click')
+    expect(wrapper.emitted('toggle')?.[0]).toEqual([tools])
+
+    await wrapper.find('[data-test="btn-tree-more-1"]').trigger('click')
+    expect(wrapper.emitted('load-more')?.[0]).toEqual(['1'])
+  })
+
+  it('emits move when a record is dropped on another record or the top level', async () => {
+    const wrapper = mountTree({ canDrop: (_row: any, targetKey: string) => targetKey !== '1' })
+
+    await wrapper.find('[data-test="tree-node-3"]').trigger('dragstart')
+    await wrapper.find('[data-test="tree-node-1"]').trigger('drop')
+    expect(wrapper.emitted('move')).toBeUndefined()
+
+    await wrapper.find('[data-test="tree-node-3"]').trigger('dragstart')
+    await wrapper.find('[data-test="tree-root-drop"]').trigger('dragover')
+    await wrapper.find('[data-test="tree-root-drop"]').trigger('drop')
+    expect(wrapper.emitted('move')?.[0]).toEqual([hammers, ''])
+  })
+
+  it('renders records as not draggable without the permission to move them', () => {
+    const wrapper = mountTree({ canMove: false })
+
+    expect(wrapper.find('[data-test="tree-node-1"]').attributes('draggable')).toBe('false')
+  })
+
+  it('renders an empty message without records', () => {
+    const wrapper = mountTree({ nodes: [] })
+
+    expect(wrapper.find('[data-test="tree-empty"]').text()).toBe('CRUD6.TREE.EMPTY')
+  })
+})
@@ -0,0 +1,88 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * VirtualTable Component Tests
+ *
+ * Tests for the VirtualTable component - rendered rows, slots, sorting and
+ * the range requested on scroll
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import VirtualTable from '../../components/CRUD6/VirtualTable.vue'
+
+function mountTable(props: Record<string, any> = {}) {
+  return mount(VirtualTable, {
+    props: {
+      fields: [
+        ['name', { type: 'string', label: 'Name', sortable: true }],
+        ['status', { type: 'string', label: 'Status' }]
+      ],
+      rows: [
+        { index: 40, row: { id: 41, name: 'Ada', status: 'open' } },
+        { index: 41, row: undefined }
+      ],
+      count: 100000,
+      rowHeight: 40,
+      hasActions: true,
+      ...props
+    } as any,
+    slots: {
+      cell: '<span class="cell">{{ params.row[params.fieldKey] }}</span>',
+      actions: '<button class="actions">{{ params.row.id }}</button>'
+    },
+    global: {
+      mocks: {
+        $t: (key: string) => key
+      },
+      stubs: {
+        'font-awesome-icon': true
+      }
+    }
+  })
+}
+
+describe('VirtualTable.vue', () => {
+  it('renders the rows at their position with the cell and actions slots', () => {
+    const wrapper = mountTable()
+
+    const row = wrapper.find('[data-test="virtual-row-40"]')
+    expect(row.attributes('style')).toContain('translateY(1600px)')
+    expect(row.findAll('.cell').map(cell => cell.text())).toEqual(['Ada', 'open'])
+    expect(row.find('.actions').text()).toBe('41')
+    expect(wrapper.find('[data-test="virtual-row-41"] [data-test="virtual-placeholder"]').exists()).toBe(true)
+  })
+
+  it('sizes the scroll area for every row', () => {
+    const wrapper = mountTable()
+
+    expect(wrapper.find('.crud6-virtual-spacer').attributes('style')).toContain('height: 4000000px')
+  })
+
+  it('emits the range of the scroll position', async () => {
+    const wrapper = mountTable()
+    const viewport = wrapper.find('[data-test="virtual-viewport"]')
+
+    Object.defineProperty(viewport.element, 'clientHeight', { value: 400 })
+    viewport.element.scrollTop = 4000
+    await viewport.trigger('scroll')
+
+    const ranges = wrapper.emitted('range') || []
+    expect(ranges[ranges.length - 1]).toEqual([90, 120])
+  })
+
+  it('emits sort for sortable headers only', async () => {
+    const wrapper = mountTable()
+
+    await wrapper.find('[data-test="virtual-header-name"]').trigger('click')
+    await wrapper.find('[data-test="virtual-header-status"]').trigger('click')
+
+    expect(wrapper.emitted('sort')).toEqual([['name']])
+  })
+})
@@ -0,0 +1,64 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Export Formats Tests
+ *
+ * Unit tests for the CSV, JSON and XLSX builders used by the list export
+ */
+
+import { describe, it, expect } from 'vitest'
+import { toCsv, toJson, toXlsx, crc32, getColumnName } from '../utils/exportFormats'
+
+const columns = [
+  { key: 'name', label: 'Name' },
+  { key: 'total', label: 'Total' }
+]
+
+describe('exportFormats', () => {
+  it('should build CSV with a BOM, a header row and escaped values', () => {
+    const csv = toCsv(columns, [['Smith, Ann', 12.5], ['Say "hi"', '']])
+
+    expect(csv).toBe('\uFEFFName,Total\r\n"Smith, Ann",12.5\r\n"Say ""hi""",\r\n')
+  })
+
+  it('should keep spreadsheet formulas out of CSV text values', () => {
+    const csv = toCsv(columns, [['=SUM(A1:A2)', -5], ['-12', 0]])
+
+    expect(csv).toContain("'=SUM(A1:A2),-5")
+    expect(csv).toContain('-12,0')
+  })
+
+  it('should build JSON objects keyed by field name', () => {
+    expect(JSON.parse(toJson(columns, [['Ann', 3]]))).toEqual([{ name: 'Ann', total: 3 }])
+  })
+
+  it('should name spreadsheet columns', () => {
+    expect(getColumnName(0)).toBe('A')
+    expect(getColumnName(25)).toBe('Z')
+    expect(getColumnName(26)).toBe('AA')
+    expect(getColumnName(701)).toBe('ZZ')
+    expect(getColumnName(702)).toBe('AAA')
+  })
+
+  it('should compute the ZIP CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926)
+  })
+
+  it('should build an XLSX workbook with typed cells', () => {
+    const xlsx = toXlsx(columns, [['Ann & Bob', 42]], 'Orders')
+    const content = new TextDecoder().decode(xlsx)
+
+    // ZIP local file header signature
+    expect([...xlsx.slice(0, 4)]).toEqual([0x50, 0x4B, 0x03, 0x04])
+    expect(content).toContain('xl/worksheets/sheet1.xml')
+    expect(content).toContain('<sheet name="Orders"')
+    expect(content).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Ann &amp; Bob</t></is></c>')
+    expect(content).toContain('<c r="B2"><v>42</v></c>')
+  })
+})
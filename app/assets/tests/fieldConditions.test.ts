@@ -0,0 +1,80 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Field Conditions Tests
+ *
+ * Unit tests for evaluating visible_when, required_when and disabled_when
+ * against form data
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  matchesConditions,
+  isFieldVisible,
+  isFieldRequired,
+  isFieldDisabledWhen,
+  stripInactiveFields
+} from '../utils/fieldConditions'
+
+const companyName = {
+  visible_when: { customer_type: 'business' },
+  required_when: { customer_type: 'business' }
+}
+
+describe('fieldConditions', () => {
+  it('should match when every condition is met', () => {
+    const data = { customer_type: 'business', status: 'active' }
+
+    expect(matchesConditions(undefined, data)).toBe(true)
+    expect(matchesConditions({ customer_type: 'business' }, data)).toBe(true)
+    expect(matchesConditions({ customer_type: 'business', status: 'closed' }, data)).toBe(false)
+    expect(matchesConditions({ customer_type: 'business' }, null)).toBe(false)
+  })
+
+  it('should match database booleans and any of a list of values', () => {
+    expect(matchesConditions({ flag_enabled: true }, { flag_enabled: '1' })).toBe(true)
+    expect(matchesConditions({ flag_enabled: false }, { flag_enabled: 0 })).toBe(true)
+    expect(matchesConditions({ flag_enabled: false }, { flag_enabled: null })).toBe(true)
+    expect(matchesConditions({ status: ['active', 'pending'] }, { status: 'pending' })).toBe(true)
+    expect(matchesConditions({ status: ['active', 'pending'] }, { status: 'closed' })).toBe(false)
+  })
+
+  it('should require a field only while it is visible and its conditions match', () => {
+    expect(isFieldVisible(companyName, { customer_type: 'business' })).toBe(true)
+    expect(isFieldRequired(companyName, { customer_type: 'business' })).toBe(true)
+
+    expect(isFieldVisible(companyName, { customer_type: 'person' })).toBe(false)
+    expect(isFieldRequired(companyName, { customer_type: 'person' })).toBe(false)
+
+    // required_when replaces the static flag
+    expect(isFieldRequired({ required: true, required_when: { country: 'US' } }, { country: 'FR' })).toBe(false)
+    expect(isFieldRequired({ validation: { required: true } }, {})).toBe(true)
+  })
+
+  it('should disable a field only when its disabled_when conditions match', () => {
+    const discount = { disabled_when: { customer_type: 'person' } }
+
+    expect(isFieldDisabledWhen(discount, { customer_type: 'person' })).toBe(true)
+    expect(isFieldDisabledWhen(discount, { customer_type: 'business' })).toBe(false)
+    expect(isFieldDisabledWhen({}, {})).toBe(false)
+  })
+
+  it('should strip hidden and disabled fields from a payload', () => {
+    const fields = {
+      customer_type: {},
+      company_name: companyName,
+      discount: { disabled_when: { customer_type: 'person' } }
+    }
+
+    expect(stripInactiveFields({ id: 4, customer_type: 'person', company_name: 'Acme', discount: 5 }, fields))
+      .toEqual({ id: 4, customer_type: 'person' })
+    expect(stripInactiveFields({ customer_type: 'business', company_name: 'Acme', discount: 5 }, fields))
+      .toEqual({ customer_type: 'business', company_name: 'Acme', discount: 5 })
+  })
+})
@@ -0,0 +1,41 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Field Template Tests
+ *
+ * Unit tests for rendering HTML field templates with record values
+ */
+
+import { describe, it, expect } from 'vitest'
+import { renderFieldTemplate, isVueTemplate } from '../utils/fieldTemplates'
+
+describe('fieldTemplates', () => {
+  it('should replace placeholders with the record values', () => {
+    const html = renderFieldTemplate('<b>{{name}}</b> #{{id}} {{missing}}{{empty}}', { id: 7, name: 'Ann', empty: null })
+
+    expect(html).toBe('<b>Ann</b> #7 ')
+  })
+
+  it('should escape the record values', () => {
+    const html = renderFieldTemplate(
+      '<span title="{{name}}">{{name}}</span>',
+      { name: '<img src=x onerror="alert(1)"> & \'co\'' }
+    )
+
+    expect(html).toBe(
+      '<span title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;co&#39;">'
+      + '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;co&#39;</span>'
+    )
+  })
+
+  it('should tell Vue component templates apart', () => {
+    expect(isVueTemplate('ProductCard.vue')).toBe(true)
+    expect(isVueTemplate('product-card.html')).toBe(false)
+  })
+})
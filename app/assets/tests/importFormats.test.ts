@@ -0,0 +1,70 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Import Formats Tests
+ *
+ * Unit tests for the CSV and XLSX readers used by the import wizard
+ */
+
+import { describe, it, expect } from 'vitest'
+import { parseCsv, detectDelimiter, parseXlsx, getColumnIndex, excelSerialToDate, readImportFile } from '../utils/importFormats'
+import { toCsv, toXlsx } from '../utils/exportFormats'
+
+describe('importFormats', () => {
+  it('should parse quoted CSV values, doubled quotes and line breaks', () => {
+    const rows = parseCsv('name,notes\r\n"Smith, Ann","Said ""hi""\nthen left"\r\nBob,\n')
+
+    expect(rows).toEqual([
+      ['name', 'notes'],
+      ['Smith, Ann', 'Said "hi"\nthen left'],
+      ['Bob', '']
+    ])
+  })
+
+  it('should detect semicolon and tab delimiters', () => {
+    expect(detectDelimiter('name;email;phone\nAnn;a@b.c;1')).toBe(';')
+    expect(detectDelimiter('name\temail\nAnn\ta@b.c')).toBe('\t')
+    expect(detectDelimiter('"a;b",c\n')).toBe(',')
+    expect(parseCsv('name;total\nAnn;3')).toEqual([['name', 'total'], ['Ann', '3']])
+  })
+
+  it('should read back exported CSV', () => {
+    const csv = toCsv([{ key: 'name', label: 'Name' }], [['Smith, Ann']])
+
+    expect(parseCsv(csv)).toEqual([['Name'], ['Smith, Ann']])
+  })
+
+  it('should convert cell references and Excel dates', () => {
+    expect(getColumnIndex('A1')).toBe(0)
+    expect(getColumnIndex('AB12')).toBe(27)
+    expect(excelSerialToDate(45000).toISOString().slice(0, 10)).toBe('2023-03-15')
+  })
+
+  it('should read the first sheet of an XLSX workbook', async () => {
+    const xlsx = toXlsx(
+      [{ key: 'name', label: 'Name' }, { key: 'total', label: 'Total' }, { key: 'note', label: 'Note' }],
+      [['Ann & Bob', 42, ''], ['', 1.5, 'x']]
+    )
+
+    expect(await parseXlsx(xlsx)).toEqual([
+      ['Name', 'Total', 'Note'],
+      ['Ann & Bob', 42],
+      ['', 1.5, 'x']
+    ])
+  })
+
+  it('should use the first non-empty row of a file as the header', async () => {
+    const file = new File(['\n\nname,email\nAnn,ann@example.com\n,\n'], 'customers.csv', { type: 'text/csv' })
+
+    expect(await readImportFile(file)).toEqual({
+      headers: ['name', 'email'],
+      rows: [['Ann', 'ann@example.com']]
+    })
+  })
+})
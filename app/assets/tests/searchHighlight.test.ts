@@ -0,0 +1,51 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Search Highlight Tests
+ *
+ * Unit tests for splitting values into matched / unmatched search fragments
+ */
+
+import { describe, it, expect } from 'vitest'
+import { getSearchTerms, splitHighlight, matchesSearch } from '../utils/searchHighlight'
+
+describe('searchHighlight', () => {
+  it('should split the search term into words', () => {
+    expect(getSearchTerms('  ann   smith ')).toEqual(['ann', 'smith'])
+    expect(getSearchTerms('')).toEqual([])
+    expect(getSearchTerms(undefined)).toEqual([])
+  })
+
+  it('should flag every matching fragment, case-insensitively', () => {
+    expect(splitHighlight('Ann Smith', 'smi ANN')).toEqual([
+      { text: 'Ann', match: true },
+      { text: ' ', match: false },
+      { text: 'Smi', match: true },
+      { text: 'th', match: false }
+    ])
+  })
+
+  it('should treat regular expression characters literally', () => {
+    expect(splitHighlight('+1 (555) 010', '(555)')).toEqual([
+      { text: '+1 ', match: false },
+      { text: '(555)', match: true },
+      { text: ' 010', match: false }
+    ])
+  })
+
+  it('should return the whole value when there is nothing to highlight', () => {
+    expect(splitHighlight(42, '')).toEqual([{ text: '42', match: false }])
+    expect(splitHighlight(null, 'ann')).toEqual([])
+  })
+
+  it('should tell whether a value matches the search', () => {
+    expect(matchesSearch('ann@example.com', 'example')).toBe(true)
+    expect(matchesSearch('ann@example.com', 'bob')).toBe(false)
+  })
+})
@@ -31,6 +31,15 @@ vi.mock('@userfrosting/sprinkle-core/stores', () => ({
   })
 }))
 
+// Mock the account auth store - grant every permission unless a test overrides it
+vi.mock('@userfrosting/sprinkle-account/stores', () => ({
+  useAuthStore: () => ({
+    user: null,
+    isAuthenticated: true,
+    checkAccess: () => true
+  })
+}))
+
 // Set global config for test utils
 config.global.stubs = {
   // Stub router-link and other common components if needed
@@ -0,0 +1,80 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Aggregates Composable Tests
+ *
+ * Unit tests for the group cell spans, group subtotals lookup, value
+ * formatting and field permissions of useCRUD6Aggregates
+ */
+
+import { describe, it, expect } from 'vitest'
+import { useCRUD6Aggregates, formatAggregate, getGroupSpan, findGroup } from '../composables/useCRUD6Aggregates'
+
+const rows = [
+  { id: 1, status: 'open' },
+  { id: 2, status: 'open' },
+  { id: 3, status: 'paid' },
+  { id: 4, status: null },
+  { id: 5, status: 'open' }
+]
+
+describe('useCRUD6Aggregates', () => {
+  it('should span the consecutive rows of a group from its first row', () => {
+    expect(rows.map((_, index) => getGroupSpan(rows, index, 'status'))).toEqual([2, 0, 1, 1, 1])
+  })
+
+  it('should find the subtotals of a group value', () => {
+    const groups = [
+      { value: 1, count: 3, aggregates: {} },
+      { value: null, count: 2, aggregates: {} }
+    ]
+
+    expect(findGroup(groups, '1')?.count).toBe(3)
+    expect(findGroup(groups, undefined)?.count).toBe(2)
+    expect(findGroup(groups, 'other')).toBeUndefined()
+  })
+
+  it('should format counts as integers and other values with two decimals at most', () => {
+    expect(formatAggregate(1234, 'count')).toBe(new Intl.NumberFormat().format(1234))
+    expect(formatAggregate('179.1834', 'avg')).toBe(new Intl.NumberFormat(undefined, { maximumFractionDigits: 2 }).format(179.18))
+    expect(formatAggregate('2026-01-31', 'max')).toBe('2026-01-31')
+    expect(formatAggregate(null, 'sum')).toBe('—')
+  })
+
+  it('should leave out the aggregations of fields the user cannot view', () => {
+    const { aggregateFields, groupBy, totalsOf, groupSpan, groupOf } = useCRUD6Aggregates(
+      {
+        aggregates: {
+          total: { label: 'Total', type: 'decimal', functions: ['sum'] },
+          cost: { label: 'Cost', type: 'decimal', functions: ['sum'], permissions: { view: 'view_cost' } }
+        },
+        group_by: { field: 'status', label: 'Status', type: 'string' }
+      },
+      field => !field?.permissions?.view
+    )
+    const response = {
+      aggregates: { total: { sum: 42 } },
+      groups: [{ value: 'open', count: 3, aggregates: { total: { sum: 30 } } }]
+    }
+
+    expect(aggregateFields.value.map(([fieldKey]) => fieldKey)).toEqual(['total'])
+    expect(groupBy.value?.field).toBe('status')
+    expect(totalsOf(response)).toEqual({ total: { sum: 42 } })
+    expect(groupSpan(rows, rows[0])).toBe(2)
+    expect(groupOf(response, rows[4])?.count).toBe(3)
+  })
+
+  it('should not group lists without group_by', () => {
+    const { groupBy, groupSpan, groupOf } = useCRUD6Aggregates(undefined)
+
+    expect(groupBy.value).toBeUndefined()
+    expect(groupSpan(rows, rows[0])).toBe(0)
+    expect(groupOf({ groups: [] }, rows[0])).toBeUndefined()
+  })
+})
@@ -0,0 +1,178 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Bulk Actions Composable Tests
+ *
+ * Unit tests for row selection and bulk action execution in useCRUD6BulkActions
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ref, computed } from 'vue'
+import axios from 'axios'
+import { useCRUD6BulkActions, getBulkActions, BULK_SELECT_PAGE_SIZE, BULK_SELECTION_MAX } from '../composables/useCRUD6BulkActions'
+import type { ActionConfig } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+const actions: ActionConfig[] = [
+  { key: 'delete_action', type: 'delete' },
+  { key: 'toggle_enabled', type: 'field_update', field: 'flag_enabled', toggle: true },
+  { key: 'verify', type: 'field_update', field: 'flag_verified', value: 1 },
+  { key: 'password_action', type: 'field_update', requires_password_input: true },
+  { key: 'reset_password', type: 'api_call' },
+  { key: 'archive', type: 'api_call', bulk: false },
+  { key: 'edit_action', type: 'form' }
+]
+
+describe('useCRUD6BulkActions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should build bulk variants of the supported schema actions', () => {
+    const bulkActions = getBulkActions(actions)
+
+    expect(bulkActions.map(action => action.key)).toEqual([
+      'delete_action',
+      'toggle_enabled:on',
+      'toggle_enabled:off',
+      'verify',
+      'reset_password'
+    ])
+    expect(bulkActions[1]).toMatchObject({ field: 'flag_enabled', value: true })
+    expect(bulkActions[2]).toMatchObject({ field: 'flag_enabled', value: false })
+  })
+
+  it('should keep the selection across pages', () => {
+    const { selectedIds, toggleSelection, toggleRows, areAllSelected, clearSelection } = useCRUD6BulkActions('users')
+    const page1 = [{ id: 1 }, { id: 2 }]
+    const page2 = [{ id: 3 }]
+
+    toggleRows(page1)
+    toggleSelection(3)
+    expect(selectedIds.value).toEqual([1, 2, 3])
+    expect(areAllSelected(page1)).toBe(true)
+
+    toggleSelection(2)
+    expect(areAllSelected(page1)).toBe(false)
+    expect(areAllSelected(page2)).toBe(true)
+
+    clearSelection()
+    expect(selectedIds.value).toEqual([])
+  })
+
+  it('should use the schema primary key', () => {
+    const { selectedIds, toggleRows } = useCRUD6BulkActions('products', () => 'sku')
+
+    toggleRows([{ sku: 'A-1' }, { sku: 'B-2' }])
+
+    expect(selectedIds.value).toEqual(['A-1', 'B-2'])
+  })
+
+  it('should select every filtered record, fetching the IDs page by page', async () => {
+    const firstPage = Array.from({ length: BULK_SELECT_PAGE_SIZE }, (_, i) => ({ id: i + 1 }))
+    mockedAxios.get
+      .mockResolvedValueOnce({ data: { rows: firstPage, count_filtered: BULK_SELECT_PAGE_SIZE + 2 } })
+      .mockResolvedValueOnce({ data: { rows: [{ id: 501 }, { id: 502 }], count_filtered: BULK_SELECT_PAGE_SIZE + 2 } })
+    const { selectedIds, selectAllFiltered } = useCRUD6BulkActions('users')
+
+    await selectAllFiltered({ filters: ref({ flag_enabled: '1' }), countFiltered: computed(() => BULK_SELECT_PAGE_SIZE + 2) })
+
+    expect(mockedAxios.get).toHaveBeenCalledTimes(2)
+    expect(mockedAxios.get).toHaveBeenNthCalledWith(1, '/api/crud6/users', {
+      params: { filters: { flag_enabled: '1' }, sorts: { id: 'asc' }, size: BULK_SELECT_PAGE_SIZE, page: 0, context: 'ids' }
+    })
+    expect(mockedAxios.get).toHaveBeenNthCalledWith(2, '/api/crud6/users', {
+      params: { filters: { flag_enabled: '1' }, sorts: { id: 'asc' }, size: BULK_SELECT_PAGE_SIZE, page: 1, context: 'ids' }
+    })
+    expect(selectedIds.value).toHaveLength(BULK_SELECT_PAGE_SIZE + 2)
+    expect(selectedIds.value[BULK_SELECT_PAGE_SIZE + 1]).toBe(502)
+  })
+
+  it('should sort the ID pages on the primary key and drop duplicate IDs', async () => {
+    const firstPage = Array.from({ length: BULK_SELECT_PAGE_SIZE }, (_, i) => ({ uuid: `u${i + 1}` }))
+    // A record inserted while paging pushes the last row of page 0 onto page 1
+    mockedAxios.get
+      .mockResolvedValueOnce({ data: { rows: firstPage, count_filtered: BULK_SELECT_PAGE_SIZE + 1 } })
+      .mockResolvedValueOnce({ data: { rows: [{ uuid: `u${BULK_SELECT_PAGE_SIZE}` }, { uuid: 'u501' }], count_filtered: BULK_SELECT_PAGE_SIZE + 1 } })
+    const { selectedIds, selectAllFiltered } = useCRUD6BulkActions('users', 'uuid')
+
+    await selectAllFiltered({ filters: ref({}), countFiltered: computed(() => BULK_SELECT_PAGE_SIZE + 1) })
+
+    expect(mockedAxios.get).toHaveBeenNthCalledWith(2, '/api/crud6/users', {
+      params: { filters: {}, sorts: { uuid: 'asc' }, size: BULK_SELECT_PAGE_SIZE, page: 1, context: 'ids' }
+    })
+    expect(selectedIds.value).toHaveLength(BULK_SELECT_PAGE_SIZE + 1)
+    expect(new Set(selectedIds.value).size).toBe(selectedIds.value.length)
+  })
+
+  it('should refuse to select more than the selection limit', async () => {
+    const { selectedIds, selectionError, toggleRows, selectAllFiltered, clearSelection } = useCRUD6BulkActions('users')
+    toggleRows([{ id: 1 }])
+
+    await selectAllFiltered({ filters: ref({}), countFiltered: computed(() => BULK_SELECTION_MAX + 1) })
+
+    expect(mockedAxios.get).not.toHaveBeenCalled()
+    expect(selectedIds.value).toEqual([1])
+    expect(selectionError.value).toBe('CRUD6.BULK.TOO_MANY')
+
+    clearSelection()
+    expect(selectionError.value).toBeNull()
+  })
+
+  it('should refuse the selection when more records match than were counted', async () => {
+    mockedAxios.get.mockResolvedValueOnce({ data: { rows: [{ id: 1 }], count_filtered: BULK_SELECTION_MAX + 1 } })
+    const { selectedIds, selectionError, selectAllFiltered } = useCRUD6BulkActions('users', 'id', (key, params) => `${key}:${params?.max}`)
+
+    await selectAllFiltered({ filters: ref({}), countFiltered: computed(() => 10) })
+
+    expect(selectedIds.value).toEqual([])
+    expect(selectionError.value).toBe(`CRUD6.BULK.TOO_MANY:${BULK_SELECTION_MAX}`)
+  })
+
+  it('should call the per-record endpoints and report each outcome', async () => {
+    mockedAxios.put.mockImplementation(async (url: string) => {
+      if (url.includes('/2/')) {
+        throw { response: { data: { title: 'Forbidden', description: 'Not allowed' } } }
+      }
+      return { data: {} }
+    })
+    const { selectedIds, toggleRows, runBulkAction, summary, failures, progress } = useCRUD6BulkActions('users')
+    toggleRows([{ id: 1 }, { id: 2 }, { id: 3 }])
+
+    const disable = getBulkActions(actions).find(action => action.key === 'toggle_enabled:off')!
+    const results = await runBulkAction(disable)
+
+    expect(mockedAxios.put).toHaveBeenCalledTimes(3)
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/users/1/flag_enabled', { flag_enabled: false })
+    expect(results).toHaveLength(3)
+    expect(summary.value).toEqual({ succeeded: 2, failed: 1 })
+    expect(failures.value).toEqual([{ id: 2, success: false, message: 'Not allowed' }])
+    expect(progress.value).toEqual({ done: 3, total: 3 })
+    // Failed records stay selected for a retry
+    expect(selectedIds.value).toEqual([2])
+  })
+
+  it('should delete records and run API call actions', async () => {
+    mockedAxios.delete.mockResolvedValue({ data: {} })
+    mockedAxios.request.mockResolvedValue({ data: {} })
+    const { runBulkAction } = useCRUD6BulkActions('users')
+    const [deleteAction, , , , resetPassword] = getBulkActions(actions)
+
+    await runBulkAction(deleteAction, [5])
+    await runBulkAction(resetPassword, [5])
+
+    expect(mockedAxios.delete).toHaveBeenCalledWith('/api/crud6/users/5')
+    expect(mockedAxios.request).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'POST',
+      url: '/api/crud6/users/5/a/reset_password'
+    }))
+  })
+})
@@ -0,0 +1,170 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Calendar Composable Tests
+ *
+ * Unit tests for the visible days, loading the visible range and
+ * rescheduling records with useCRUD6Calendar
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { ref } from 'vue'
+import axios from 'axios'
+import { useCRUD6Calendar, getCalendarDays, parseCalendarDate, formatCalendarDate, toDayKey } from '../composables/useCRUD6Calendar'
+import type { CalendarViewConfig } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+const config: CalendarViewConfig = {
+  start_field: 'starts_at',
+  start_type: 'datetime',
+  end_field: 'ends_at',
+  end_type: 'datetime',
+  title_field: 'name',
+  mode: 'month'
+}
+
+function mockEvents(rows: Record<string, any>[]) {
+  mockedAxios.get.mockImplementation(async (url: string) => {
+    return { data: { rows, count: rows.length, count_filtered: rows.length } }
+  })
+}
+
+describe('useCRUD6Calendar', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should list the Monday to Sunday weeks of a month', () => {
+    const days = getCalendarDays('month', new Date(2026, 4, 14))
+
+    expect(days).toHaveLength(35)
+    expect(toDayKey(days[0])).toBe('2026-04-27')
+    expect(toDayKey(days[days.length - 1])).toBe('2026-05-31')
+    expect(getCalendarDays('week', new Date(2026, 4, 14)).map(toDayKey)).toEqual([
+      '2026-05-11', '2026-05-12', '2026-05-13', '2026-05-14', '2026-05-15', '2026-05-16', '2026-05-17'
+    ])
+    expect(getCalendarDays('day', new Date(2026, 4, 14, 15, 30)).map(toDayKey)).toEqual(['2026-05-14'])
+  })
+
+  it('should parse and format record dates in local time', () => {
+    const date = parseCalendarDate('2026-05-14 09:30:00')
+
+    expect(date).toEqual(new Date(2026, 4, 14, 9, 30, 0))
+    expect(formatCalendarDate(date as Date, 'datetime')).toBe('2026-05-14 09:30:00')
+    expect(formatCalendarDate(date as Date)).toBe('2026-05-14')
+    expect(parseCalendarDate(null)).toBeNull()
+  })
+
+  it('should load the visible range with date range filters and the calendar context', async () => {
+    mockEvents([])
+    const { date, setMode, load } = useCRUD6Calendar('events', config)
+    date.value = new Date(2026, 4, 14)
+
+    await load({ search: 'board' })
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/events', {
+      params: {
+        filters: { search: 'board', starts_at: '..2026-05-31', ends_at: '2026-04-27..' },
+        sorts: { starts_at: 'asc' },
+        size: 500,
+        page: 0,
+        context: 'calendar'
+      }
+    })
+
+    // Without an end field, on the start date only
+    const { date: dayDate, setMode: setDayMode } = useCRUD6Calendar('events', { start_field: 'due_on' })
+    dayDate.value = new Date(2026, 4, 14)
+    await setDayMode('day')
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/events', expect.objectContaining({
+      params: expect.objectContaining({ filters: { due_on: '2026-05-14..2026-05-14' } })
+    }))
+
+    // Changing the range keeps the list filters
+    await setMode('week')
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/events', expect.objectContaining({
+      params: expect.objectContaining({ filters: { search: 'board', starts_at: '..2026-05-17', ends_at: '2026-05-11..' } })
+    }))
+  })
+
+  it('should place events on every day from their start to their end', async () => {
+    mockEvents([
+      { id: 1, name: 'Board meeting', starts_at: '2026-05-14 09:00:00', ends_at: '2026-05-14 11:00:00' },
+      { id: 2, name: 'Trade fair', starts_at: '2026-05-13 08:00:00', ends_at: '2026-05-15 18:00:00' }
+    ])
+    const { date, days, load } = useCRUD6Calendar('events', config)
+    date.value = new Date(2026, 4, 14)
+    await load()
+
+    const eventsOn = (key: string) => days.value.find(day => day.key === key)?.events.map(row => row.id)
+    expect(eventsOn('2026-05-13')).toEqual([2])
+    expect(eventsOn('2026-05-14')).toEqual([2, 1])
+    expect(eventsOn('2026-05-16')).toEqual([])
+    expect(days.value[0].outside).toBe(true)
+  })
+
+  it('should move the dates of a rescheduled event and save them', async () => {
+    mockEvents([{ id: 1, name: 'Board meeting', starts_at: '2026-05-14 09:00:00', ends_at: '2026-05-15 11:00:00' }])
+    mockedAxios.put.mockResolvedValue({ data: {} })
+    const { events, date, load, reschedule } = useCRUD6Calendar('events', config)
+    date.value = new Date(2026, 4, 14)
+    await load()
+
+    const event = events.value[0]
+    expect(await reschedule(event, '2026-05-18')).toBe(true)
+
+    expect(event.starts_at).toBe('2026-05-18 09:00:00')
+    expect(event.ends_at).toBe('2026-05-19 11:00:00')
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/events/1/starts_at', { starts_at: '2026-05-18 09:00:00' })
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/events/1/ends_at', { ends_at: '2026-05-19 11:00:00' })
+  })
+
+  it('should save to the current model and load no form schema', async () => {
+    mockEvents([])
+    mockedAxios.put.mockResolvedValue({ data: {} })
+    const model = ref('events')
+    const { reschedule } = useCRUD6Calendar(model, config)
+
+    model.value = 'meetings'
+    await reschedule({ id: 1, starts_at: '2026-05-14 09:00:00' }, '2026-05-15')
+
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/meetings/1/starts_at', { starts_at: '2026-05-15 09:00:00' })
+    expect(mockedAxios.get).not.toHaveBeenCalled()
+  })
+
+  it('should put the dates back when saving fails', async () => {
+    mockEvents([{ id: 1, name: 'Board meeting', starts_at: '2026-05-14 09:00:00', ends_at: '2026-05-15 11:00:00' }])
+    mockedAxios.put
+      .mockResolvedValueOnce({ data: {} })
+      .mockRejectedValueOnce({ response: { data: { title: 'Invalid end date' } } })
+      .mockResolvedValue({ data: {} })
+    const { events, date, load, reschedule, isSaving } = useCRUD6Calendar('events', config)
+    date.value = new Date(2026, 4, 14)
+    await load()
+
+    const event = events.value[0]
+    expect(await reschedule(event, '2026-05-18')).toBe(false)
+
+    expect(event.starts_at).toBe('2026-05-14 09:00:00')
+    expect(event.ends_at).toBe('2026-05-15 11:00:00')
+    // The start date already saved is put back
+    expect(mockedAxios.put).toHaveBeenLastCalledWith('/api/crud6/events/1/starts_at', { starts_at: '2026-05-14 09:00:00' })
+    expect(isSaving(event)).toBe(false)
+  })
+
+  it('should ignore events dropped on their own day', async () => {
+    const { reschedule } = useCRUD6Calendar('events', config)
+
+    expect(await reschedule({ id: 1, starts_at: '2026-05-14 09:00:00' }, '2026-05-14')).toBe(true)
+    expect(mockedAxios.put).not.toHaveBeenCalled()
+  })
+})
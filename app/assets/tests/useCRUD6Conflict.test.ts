@@ -0,0 +1,78 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Conflict Composable Tests
+ *
+ * Unit tests for the version sent with an update and the resolution of the
+ * conflicts reported by the server with useCRUD6Conflict
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ref } from 'vue'
+import { useCRUD6Conflict, getConflictFields, isConflictResponse } from '../composables/useCRUD6Conflict'
+
+const conflictResponse = (current: Record<string, any>) => ({
+  title: 'CRUD6.CONFLICT.TITLE',
+  description: 'CRUD6.CONFLICT.DESCRIPTION',
+  status: 409,
+  current
+})
+
+describe('useCRUD6Conflict', () => {
+  it('should keep the version of the loaded record from the schema version field', () => {
+    const schema = ref<any>({ model: 'products', version_field: 'updated_at' })
+    const { version, setVersion } = useCRUD6Conflict(schema)
+
+    setVersion({ id: 5, updated_at: '2026-10-19 09:00:00' })
+    expect(version.value).toBe('2026-10-19 09:00:00')
+
+    schema.value = { model: 'products', version_field: 'lock_version' }
+    setVersion({ id: 5, lock_version: 3 })
+    expect(version.value).toBe(3)
+
+    // No version checked without a version field
+    schema.value = { model: 'products' }
+    setVersion({ id: 5, updated_at: '2026-10-19 09:00:00' })
+    expect(version.value).toBeNull()
+  })
+
+  it('should list the fields that differ, keeping your changes and theirs by default', () => {
+    const fields = getConflictFields({
+      original: { name: 'Ann', price: '10', sku: 'A-1', notes: null },
+      yours: { name: 'Anna', price: 10, sku: 'A-1', notes: 'Gift' },
+      theirs: { name: 'Annie', price: '10', sku: 'A-2', notes: 'Gift' }
+    }, ['name', 'price', 'sku', 'notes'])
+
+    expect(fields).toEqual([
+      { key: 'name', original: 'Ann', yours: 'Anna', theirs: 'Annie', conflict: true, pick: 'yours' },
+      { key: 'sku', original: 'A-1', yours: 'A-1', theirs: 'A-2', conflict: false, pick: 'theirs' }
+    ])
+  })
+
+  it('should hold a conflict error and resolve it on top of the current record', () => {
+    const { version, conflict, setVersion, detect, resolve } = useCRUD6Conflict({ version_field: 'updated_at' })
+    setVersion({ id: 5, updated_at: '2026-10-19 09:00:00' })
+
+    expect(detect({ status: 422, description: 'Invalid' }, {}, {})).toBe(false)
+    expect(conflict.value).toBeNull()
+
+    const original = { name: 'Ann', sku: 'A-1' }
+    const yours = { name: 'Anna', sku: 'A-1' }
+    const current = { id: 5, name: 'Annie', sku: 'A-2', updated_at: '2026-10-19 10:00:00' }
+    expect(isConflictResponse(conflictResponse(current))).toBe(true)
+    expect(detect(conflictResponse(current), original, yours)).toBe(true)
+    expect(conflict.value).toEqual({ original, yours, theirs: current })
+
+    const { loaded, merged } = resolve({ name: 'Anna', sku: 'A-2' })
+    expect(loaded).toEqual({ name: 'Annie', sku: 'A-2' })
+    expect(merged).toEqual({ name: 'Anna', sku: 'A-2' })
+    expect(version.value).toBe('2026-10-19 10:00:00')
+    expect(conflict.value).toBeNull()
+  })
+})
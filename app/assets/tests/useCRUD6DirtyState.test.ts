@@ -0,0 +1,118 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Dirty State Composable Tests
+ *
+ * Unit tests for tracking the unsaved changes of a form and guarding the
+ * navigation with useCRUD6DirtyState
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { defineComponent, h, ref } from 'vue'
+import { mount } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import { useCRUD6DirtyState, isSameFieldValue } from '../composables/useCRUD6DirtyState'
+
+describe('useCRUD6DirtyState', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should list the changed fields and pick them from a payload', () => {
+    const data = ref<Record<string, any>>({ name: 'Ann', price: '10.5', active: 1, notes: null })
+    const { isDirty, changedFields, markClean, getChanges } = useCRUD6DirtyState(data)
+
+    // Values as returned by the inputs
+    data.value.price = 10.5
+    data.value.active = true
+    data.value.notes = ''
+    expect(isDirty.value).toBe(false)
+
+    data.value.name = 'Anna'
+    data.value.password = 'secret'
+    expect(changedFields.value).toEqual(['name', 'password'])
+    expect(getChanges({ name: 'Anna', price: 10.5, password: 'secret' })).toEqual({ name: 'Anna', password: 'secret' })
+
+    markClean()
+    expect(isDirty.value).toBe(false)
+  })
+
+  it('should track the detail rows with their action flags and revert them', () => {
+    const data = ref<Record<string, any> | null>(null)
+    const details = ref<any[]>([])
+    const { isDirty, markClean, revert } = useCRUD6DirtyState(data, { details })
+
+    data.value = { order_number: 'A-1' }
+    details.value = [{ id: 1, sku: 'P-1', _action: 'update' }]
+    markClean()
+
+    details.value[0]._action = 'delete'
+    expect(isDirty.value).toBe(true)
+
+    data.value.order_number = 'A-2'
+    revert()
+    expect(isDirty.value).toBe(false)
+    expect(data.value).toEqual({ order_number: 'A-1' })
+    expect(details.value).toEqual([{ id: 1, sku: 'P-1', _action: 'update' }])
+  })
+
+  it('should confirm leaving the page with unsaved changes', async () => {
+    const router = createRouter({
+      history: createMemoryHistory(),
+      routes: [
+        { path: '/crud6/products/5', component: { render: () => null } },
+        { path: '/crud6/products', component: { render: () => null } }
+      ]
+    })
+    await router.push('/crud6/products/5')
+
+    const data = ref<Record<string, any>>({ name: 'Ann' })
+    let state: ReturnType<typeof useCRUD6DirtyState> | undefined
+    const wrapper = mount(defineComponent({
+      setup() {
+        state = useCRUD6DirtyState(data, { guard: true })
+        return () => h('div')
+      }
+    }), { global: { plugins: [router] } })
+
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false)
+    data.value.name = 'Anna'
+
+    // Query changes stay on the page
+    await router.push('/crud6/products/5?tab=details')
+    expect(confirm).not.toHaveBeenCalled()
+
+    await router.push('/crud6/products')
+    expect(confirm).toHaveBeenCalledWith('CRUD6.DIRTY.CONFIRM_LEAVE')
+    expect(router.currentRoute.value.path).toBe('/crud6/products/5')
+
+    const unload = new Event('beforeunload', { cancelable: true })
+    window.dispatchEvent(unload)
+    expect(unload.defaultPrevented).toBe(true)
+
+    state!.markClean()
+    await router.push('/crud6/products')
+    expect(router.currentRoute.value.path).toBe('/crud6/products')
+    expect(confirm).toHaveBeenCalledTimes(1)
+
+    // The guards go away with the form
+    wrapper.unmount()
+    data.value.name = 'Annie'
+    await router.push('/crud6/products/5')
+    expect(confirm).toHaveBeenCalledTimes(1)
+  })
+
+  it('should compare the field values once normalized', () => {
+    expect(isSameFieldValue(undefined, '')).toBe(true)
+    expect(isSameFieldValue(0, '0')).toBe(true)
+    expect(isSameFieldValue(false, 0)).toBe(true)
+    expect(isSameFieldValue(0, null)).toBe(false)
+    expect(isSameFieldValue({ a: 1 }, { a: 1 })).toBe(true)
+  })
+})
@@ -0,0 +1,101 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Export Composable Tests
+ *
+ * Unit tests for value formatting and the paged list export in useCRUD6Export
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ref } from 'vue'
+import axios from 'axios'
+import { useCRUD6Export, formatExportValue, EXPORT_PAGE_SIZE } from '../composables/useCRUD6Export'
+import type { SchemaField } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+const fields: [string, SchemaField][] = [
+  ['name', { type: 'string', label: 'Name' }],
+  ['customer_id', { type: 'smartlookup', label: 'Customer', lookup_model: 'customers', lookup_desc: 'company' }],
+  ['paid', { type: 'boolean', label: 'Paid' }]
+]
+
+describe('useCRUD6Export', () => {
+  let exported: Blob | null
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    exported = null
+    URL.createObjectURL = vi.fn((blob: Blob) => {
+      exported = blob
+      return 'blob:export'
+    })
+    URL.revokeObjectURL = vi.fn()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should format values like the list table', () => {
+    const translate = (key: string) => `t:${key}`
+
+    expect(formatExportValue(true, { type: 'boolean', label: '' }, translate)).toBe('t:YES')
+    expect(formatExportValue(0, { type: 'boolean-yn', label: '' }, translate)).toBe('t:NO')
+    expect(formatExportValue(null, { type: 'boolean', label: '' }, translate)).toBe('')
+    expect(formatExportValue('paid', { type: 'string', label: '', options: [{ value: 'paid', label: 'Paid' }] })).toBe('Paid')
+    expect(formatExportValue(7, { type: 'smartlookup', label: '' }, translate, { 7: 'Acme' })).toBe('Acme')
+    expect(formatExportValue(8, { type: 'smartlookup', label: '' }, translate, { 7: 'Acme' })).toBe('8')
+    expect(formatExportValue('2026-03-04', { type: 'date', label: '' })).toBe('2026-03-04')
+    expect(formatExportValue('12.50', { type: 'decimal', label: '' })).toBe(12.5)
+    expect(formatExportValue({ a: 1 }, { type: 'json', label: '' })).toBe('{"a":1}')
+  })
+
+  it('should fetch every page with the list filters and sorts', async () => {
+    const firstPage = Array.from({ length: EXPORT_PAGE_SIZE }, (_, index) => ({ name: `Order ${index}`, customer_id: 7, paid: 1 }))
+    mockedAxios.get.mockImplementation(async (url: string, config?: any) => {
+      if (url === '/api/crud6/customers/7') {
+        return { data: { data: { id: 7, company: 'Acme' } } }
+      }
+      const rows = config.params.page === 0 ? firstPage : [{ name: 'Last', customer_id: null, paid: 0 }]
+      return { data: { count: 900, count_filtered: EXPORT_PAGE_SIZE + 1, rows } }
+    })
+
+    const sprunjer = { filters: ref({ search: 'ord', status: 'paid' }), sorts: ref({ name: 'desc' }) }
+    const { exportList, progress, exporting } = useCRUD6Export('orders')
+
+    const result = await exportList('json', sprunjer, fields)
+
+    expect(result).toBe(true)
+    expect(exporting.value).toBe(false)
+    expect(progress.value).toEqual({ done: EXPORT_PAGE_SIZE + 1, total: EXPORT_PAGE_SIZE + 1 })
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/orders', expect.objectContaining({
+      params: { filters: { search: 'ord', status: 'paid' }, sorts: { name: 'desc' }, size: EXPORT_PAGE_SIZE, page: 1, context: 'export' }
+    }))
+    // Lookup IDs are resolved once
+    expect(mockedAxios.get.mock.calls.filter(([url]) => url === '/api/crud6/customers/7')).toHaveLength(1)
+
+    const records = JSON.parse(await exported!.text())
+    expect(records).toHaveLength(EXPORT_PAGE_SIZE + 1)
+    expect(records[0]).toEqual({ name: 'Order 0', customer_id: 'Acme', paid: 'YES' })
+    expect(records[EXPORT_PAGE_SIZE]).toEqual({ name: 'Last', customer_id: '', paid: 'NO' })
+  })
+
+  it('should report a failed export without downloading', async () => {
+    mockedAxios.get.mockRejectedValue({ response: { data: { title: 'Access Denied' } } })
+
+    const { exportList, error } = useCRUD6Export('orders')
+    const result = await exportList('csv', { filters: ref({}), sorts: ref({}) }, fields)
+
+    expect(result).toBe(false)
+    expect(error.value).toBe('Access Denied')
+    expect(exported).toBeNull()
+  })
+})
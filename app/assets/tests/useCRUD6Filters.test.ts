@@ -0,0 +1,115 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Column Filters Composable Tests
+ *
+ * Unit tests for the useCRUD6Filters composable and its filter value helpers
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ref } from 'vue'
+import {
+  useCRUD6Filters,
+  getFilterWidget,
+  getFilterOptions,
+  encodeRangeFilter,
+  decodeRangeFilter
+} from '../composables/useCRUD6Filters'
+import type { SchemaField } from '../composables/useCRUD6Schema'
+
+const fields: Record<string, SchemaField> = {
+  name: { type: 'string', label: 'Name', filterable: true },
+  status: { type: 'string', label: 'Status', filterable: true, options: [{ value: 'A', label: 'Active' }, { value: 'I', label: 'Inactive' }] } as SchemaField,
+  flag_enabled: { type: 'boolean', label: 'Enabled', filterable: true },
+  price: { type: 'decimal', label: 'Price', filterable: true },
+  created_at: { type: 'date', label: 'Created', filterable: true },
+  category_id: { type: 'smartlookup', label: 'Category', filterable: true },
+  notes: { type: 'text', label: 'Notes' }
+}
+
+function createSprunjer(filters: Record<string, any> = {}) {
+  return { filters: ref<Record<string, any>>(filters), page: ref(3) }
+}
+
+describe('useCRUD6Filters', () => {
+  it('should pick the filter widget from the field type', () => {
+    expect(getFilterWidget(fields.name)).toBe('text')
+    expect(getFilterWidget(fields.status)).toBe('select')
+    expect(getFilterWidget(fields.flag_enabled)).toBe('boolean')
+    expect(getFilterWidget(fields.price)).toBe('number_range')
+    expect(getFilterWidget(fields.created_at)).toBe('date_range')
+    expect(getFilterWidget(fields.category_id)).toBe('lookup')
+  })
+
+  it('should use a single value filter for numeric fields with an equality filter_type', () => {
+    expect(getFilterWidget({ type: 'integer', filter_type: 'equals' } as SchemaField)).toBe('text')
+  })
+
+  it('should normalize the different option formats', () => {
+    expect(getFilterOptions(fields.status)).toEqual([
+      { value: 'A', label: 'Active' },
+      { value: 'I', label: 'Inactive' }
+    ])
+    expect(getFilterOptions({ options: ['S', 'M'] } as unknown as SchemaField)).toEqual([
+      { value: 'S', label: 'S' },
+      { value: 'M', label: 'M' }
+    ])
+    expect(getFilterOptions({ options: { 1: 'One' } } as unknown as SchemaField)).toEqual([
+      { value: '1', label: 'One' }
+    ])
+  })
+
+  it('should encode and decode range values', () => {
+    expect(encodeRangeFilter(10, 20)).toBe('10..20')
+    expect(encodeRangeFilter('', '2026-01-31')).toBe('..2026-01-31')
+    expect(encodeRangeFilter('', null)).toBe('')
+    expect(decodeRangeFilter('10..')).toEqual({ min: '10', max: '' })
+    expect(decodeRangeFilter('5')).toEqual({ min: '5', max: '5' })
+    expect(decodeRangeFilter(undefined)).toEqual({ min: '', max: '' })
+  })
+
+  it('should only describe filterable fields', () => {
+    const { columnFilters, getColumnFilter } = useCRUD6Filters(Object.entries(fields))
+
+    expect(columnFilters.value.map(filter => filter.key)).not.toContain('notes')
+    expect(getColumnFilter('price')?.widget).toBe('number_range')
+    expect(getColumnFilter('notes')).toBeUndefined()
+  })
+
+  it('should follow field changes when given a ref', () => {
+    const source = ref<Record<string, SchemaField> | null>(null)
+    const { columnFilters } = useCRUD6Filters(source)
+
+    expect(columnFilters.value).toEqual([])
+    source.value = { name: fields.name }
+    expect(columnFilters.value.map(filter => filter.key)).toEqual(['name'])
+  })
+
+  it('should set and clear sprunjer filters and go back to the first page', () => {
+    const { setFilter } = useCRUD6Filters(fields)
+    const sprunjer = createSprunjer({ name: 'old' })
+
+    setFilter(sprunjer, 'price', '10..20')
+    expect(sprunjer.filters.value).toEqual({ name: 'old', price: '10..20' })
+    expect(sprunjer.page.value).toBe(0)
+
+    setFilter(sprunjer, 'name', '')
+    expect(sprunjer.filters.value).toEqual({ price: '10..20' })
+  })
+
+  it('should clear and count column filters only', () => {
+    const { clearFilters, countActiveFilters } = useCRUD6Filters(fields)
+    const sprunjer = createSprunjer({ name: 'Ann', flag_enabled: '1', search: 'x' })
+
+    expect(countActiveFilters(sprunjer)).toBe(2)
+    clearFilters(sprunjer)
+    expect(sprunjer.filters.value).toEqual({ search: 'x' })
+    expect(countActiveFilters(sprunjer)).toBe(0)
+  })
+})
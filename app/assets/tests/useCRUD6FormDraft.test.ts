@@ -0,0 +1,169 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Form Draft Composable Tests
+ *
+ * Unit tests for autosaving, restoring and clearing local form drafts with
+ * useCRUD6FormDraft
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { nextTick, ref } from 'vue'
+import { useCRUD6FormDraft, getDraftOmittedFields, FORM_DRAFT_STORAGE_PREFIX, FORM_DRAFT_DELAY } from '../composables/useCRUD6FormDraft'
+
+// Mocked current user
+const authStore = { user: { id: 7 } as { id: number } | null }
+
+vi.mock('@userfrosting/sprinkle-account/stores', () => ({
+  useAuthStore: () => authStore
+}))
+
+const key = (recordId: string | number) => `${FORM_DRAFT_STORAGE_PREFIX}7:customers:${recordId}`
+
+function stored(recordId: string | number) {
+  const raw = sessionStorage.getItem(key(recordId))
+  return raw ? JSON.parse(raw) : null
+}
+
+// Let the deep watcher run, then the autosave delay pass
+async function autosave() {
+  await nextTick()
+  vi.advanceTimersByTime(FORM_DRAFT_DELAY)
+}
+
+describe('useCRUD6FormDraft', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    sessionStorage.clear()
+    authStore.user = { id: 7 }
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should autosave the changes of a tracked record without the omitted fields', async () => {
+    const data = ref<Record<string, any>>({ name: 'Ann', password: '' })
+    const { track } = useCRUD6FormDraft('customers', data, { omit: ['password'] })
+
+    data.value.name = 'Not tracked'
+    await autosave()
+    expect(sessionStorage.length).toBe(0)
+
+    track(4)
+    data.value.name = 'Anna'
+    data.value.password = 'secret'
+    await autosave()
+
+    expect(stored(4).data).toEqual({ name: 'Anna' })
+    expect(stored(4).savedAt).toBeTruthy()
+
+    // Back to the saved state
+    data.value.name = 'Not tracked'
+    await autosave()
+    expect(stored(4)).toBeNull()
+  })
+
+  it('should offer the draft of an earlier visit for restore', async () => {
+    sessionStorage.setItem(key('new'), JSON.stringify({ data: { name: 'Draft' }, savedAt: '2026-01-02T10:00:00.000Z' }))
+    const data = ref<Record<string, any>>({ name: '', email: 'ann@example.com' })
+    const { draft, track, restore } = useCRUD6FormDraft('customers', data)
+
+    track()
+    expect(draft.value?.data).toEqual({ name: 'Draft' })
+
+    restore()
+    expect(data.value).toEqual({ name: 'Draft', email: 'ann@example.com' })
+    expect(draft.value).toBeNull()
+  })
+
+  it('should discard the offered draft, or replace it with new changes', async () => {
+    sessionStorage.setItem(key(4), JSON.stringify({ data: { name: 'Draft' }, savedAt: '' }))
+    const data = ref<Record<string, any>>({ name: 'Ann' })
+    const { draft, track, discard } = useCRUD6FormDraft('customers', data)
+
+    track(4)
+    data.value.name = 'Anna'
+    await autosave()
+    expect(draft.value).toBeNull()
+    expect(stored(4).data).toEqual({ name: 'Anna' })
+
+    // Reopened on the saved record
+    data.value = { name: 'Ann' }
+    track(4)
+    expect(draft.value?.data).toEqual({ name: 'Anna' })
+    discard()
+    expect(stored(4)).toBeNull()
+  })
+
+  it('should keep drafts per user and clear them once the record is saved', async () => {
+    const data = ref<Record<string, any>>({ name: 'Ann' })
+    const { track, clear } = useCRUD6FormDraft('customers', data)
+
+    track(4)
+    data.value.name = 'Anna'
+    await autosave()
+    expect(stored(4)).not.toBeNull()
+
+    authStore.user = { id: 8 }
+    const otherUser = useCRUD6FormDraft('customers', ref({ name: 'Ann' }))
+    otherUser.track(4)
+    expect(otherUser.draft.value).toBeNull()
+    authStore.user = { id: 7 }
+
+    clear(4)
+    data.value.name = 'Annie'
+    await autosave()
+    expect(stored(4)).toBeNull()
+  })
+
+  it('should save the detail rows with the master data', async () => {
+    const data = ref<Record<string, any>>({ order_number: 'A-1' })
+    const details = ref<any[]>([])
+    const { draft, track, restore } = useCRUD6FormDraft('customers', data, { details })
+
+    track()
+    details.value.push({ sku: 'P-1', quantity: 2, _action: 'create' })
+    await autosave()
+    expect(stored('new').details).toEqual([{ sku: 'P-1', quantity: 2, _action: 'create' }])
+
+    details.value = []
+    track()
+    restore()
+    expect(draft.value).toBeNull()
+    expect(details.value).toHaveLength(1)
+  })
+  it('should leave the omitted detail fields out and keep their loaded value on restore', async () => {
+    const data = ref<Record<string, any>>({ order_number: 'A-1' })
+    const details = ref<any[]>([{ id: 3, sku: 'P-1', cost: 9 }])
+    const { track, restore } = useCRUD6FormDraft('customers', data, { details, omitDetails: ['cost'] })
+
+    track(5)
+    details.value[0].sku = 'P-2'
+    await autosave()
+    expect(stored(5).details).toEqual([{ id: 3, sku: 'P-2' }])
+
+    details.value = [{ id: 3, sku: 'P-1', cost: 9 }]
+    track(5)
+    restore()
+    expect(details.value).toEqual([{ id: 3, sku: 'P-2', cost: 9 }])
+  })
+
+  it('should omit passwords, sensitive fields and the fields the user may not edit', () => {
+    const fields = {
+      name: { type: 'string', label: 'Name' },
+      password: { type: 'password', label: 'Password' },
+      api_token: { type: 'string', label: 'Token', sensitive: true },
+      salary: { type: 'decimal', label: 'Salary', permissions: { edit: 'edit_salary' } }
+    }
+
+    expect(getDraftOmittedFields(fields)).toEqual(['password', 'api_token'])
+    expect(getDraftOmittedFields(fields, field => !field.permissions?.edit)).toEqual(['password', 'api_token', 'salary'])
+  })
+})
@@ -0,0 +1,107 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Form Steps Composable Tests
+ *
+ * Unit tests for splitting a form into validated wizard steps with
+ * useCRUD6FormSteps
+ */
+
+import { describe, it, expect } from 'vitest'
+import { nextTick, ref } from 'vue'
+import { useCRUD6FormSteps } from '../composables/useCRUD6FormSteps'
+import type { FormStepConfig } from '../composables/useCRUD6Schema'
+
+const steps: FormStepConfig[] = [
+  { key: 'customer', title: 'Customer', fields: ['name', 'email'] },
+  { key: 'company', title: 'Company', fields: ['company_name'] },
+  { key: 'billing', title: 'Billing', fields: ['vat_number'] }
+]
+
+// Regle field statuses, invalid while their key is listed
+function mockRegle(invalid: string[]) {
+  const status = (key: string) => ({ $validate: async () => ({ valid: !invalid.includes(key) }) })
+  return Object.fromEntries(['name', 'email', 'company_name', 'vat_number', 'notes'].map(key => [key, status(key)]))
+}
+
+describe('useCRUD6FormSteps', () => {
+  it('should split the rendered fields into steps with the unlisted ones last', () => {
+    const { hasSteps, steps: formSteps, reviewIndex } = useCRUD6FormSteps(steps, ['name', 'email', 'company_name', 'vat_number', 'notes'])
+
+    expect(hasSteps.value).toBe(true)
+    expect(formSteps.value.map(step => [step.key, step.fields])).toEqual([
+      ['customer', ['name', 'email']],
+      ['company', ['company_name']],
+      ['billing', ['vat_number', 'notes']]
+    ])
+    expect(reviewIndex.value).toBe(3)
+  })
+
+  it('should skip steps without rendered fields', () => {
+    const fields = ref(['name', 'email', 'company_name', 'vat_number'])
+    const { steps: formSteps } = useCRUD6FormSteps(steps, fields)
+
+    // company_name hidden by its visible_when conditions
+    fields.value = ['name', 'email', 'vat_number']
+    expect(formSteps.value.map(step => step.key)).toEqual(['customer', 'billing'])
+  })
+
+  it('should only move on when the fields of the step are valid', async () => {
+    const invalid = ['email']
+    const { current, next, back, isReview, progress } = useCRUD6FormSteps(steps, ['name', 'email', 'company_name', 'vat_number'], mockRegle(invalid))
+
+    expect(progress.value).toBe(25)
+    expect(await next()).toBe(false)
+    expect(current.value).toBe(0)
+
+    invalid.length = 0
+    expect(await next()).toBe(true)
+    expect(await next()).toBe(true)
+    expect(await next()).toBe(true)
+    expect(isReview.value).toBe(true)
+    expect(progress.value).toBe(100)
+    expect(await next()).toBe(false)
+
+    back()
+    expect(current.value).toBe(2)
+  })
+
+  it('should validate the steps on the way when jumping forward', async () => {
+    const { current, goTo, reset } = useCRUD6FormSteps(steps, ['name', 'email', 'company_name', 'vat_number'], mockRegle(['company_name']))
+
+    expect(await goTo(3)).toBe(false)
+    expect(current.value).toBe(1)
+
+    expect(await goTo(0)).toBe(true)
+    expect(current.value).toBe(0)
+
+    await goTo(1)
+    reset()
+    expect(current.value).toBe(0)
+  })
+
+  it('should stay on the review step when conditions hide a step', async () => {
+    const fields = ref(['name', 'email', 'company_name', 'vat_number'])
+    const { current, goTo, isReview } = useCRUD6FormSteps(steps, fields, mockRegle([]))
+
+    await goTo(3)
+    fields.value = ['name', 'email', 'vat_number']
+    await nextTick()
+
+    expect(current.value).toBe(2)
+    expect(isReview.value).toBe(true)
+  })
+
+  it('should have no steps without form_steps', () => {
+    const { hasSteps, isReview } = useCRUD6FormSteps(undefined, ['name'])
+
+    expect(hasSteps.value).toBe(false)
+    expect(isReview.value).toBe(false)
+  })
+})
@@ -0,0 +1,121 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Import Composable Tests
+ *
+ * Unit tests for column mapping, validation and batched creation in useCRUD6Import
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import axios from 'axios'
+import {
+  useCRUD6Import,
+  getImportFields,
+  autoMapColumns,
+  normalizeImportValue,
+  IMPORT_BATCH_SIZE
+} from '../composables/useCRUD6Import'
+import type { SchemaField } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+const fields: Record<string, SchemaField> = {
+  name: { type: 'string', label: 'Company Name', required: true },
+  email: { type: 'email', label: 'Email' },
+  status: { type: 'string', label: 'Status', options: [{ value: 'active', label: 'Active' }, { value: 'lead', label: 'Lead' }] },
+  credit_limit: { type: 'decimal', label: 'Credit Limit' },
+  flag_vip: { type: 'boolean', label: 'VIP' }
+}
+
+function csvFile(content: string): File {
+  return new File([content], 'customers.csv', { type: 'text/csv' })
+}
+
+describe('useCRUD6Import', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should only import create fields the user may edit', () => {
+    const importFields = getImportFields({
+      name: { type: 'string', label: 'Name' },
+      id: { type: 'integer', label: 'ID', editable: false },
+      updated_by: { type: 'string', label: 'Updated by', show_in: ['edit'] },
+      salary: { type: 'decimal', label: 'Salary', permissions: { edit: 'edit_salary' } }
+    }, field => !field.permissions)
+
+    expect(Object.keys(importFields)).toEqual(['name'])
+  })
+
+  it('should match columns by field key or label', () => {
+    expect(autoMapColumns(['Company name', 'E-mail', 'credit_limit', 'Notes', 'EMAIL'], fields))
+      .toEqual(['name', 'email', 'credit_limit', '', ''])
+  })
+
+  it('should normalize values by field type', () => {
+    expect(normalizeImportValue('Yes', fields.flag_vip)).toBe(true)
+    expect(normalizeImportValue('0', fields.flag_vip)).toBe(false)
+    expect(normalizeImportValue('', fields.flag_vip)).toBeUndefined()
+    expect(normalizeImportValue('lead', fields.status)).toBe('lead')
+    expect(normalizeImportValue('Active', fields.status)).toBe('active')
+    expect(normalizeImportValue(' 12.50 ', fields.credit_limit)).toBe(12.5)
+    expect(normalizeImportValue('abc', fields.credit_limit)).toBe('abc')
+    expect(normalizeImportValue(45000, { type: 'date', label: '' })).toBe('2023-03-15')
+    expect(normalizeImportValue('  ', fields.name)).toBeUndefined()
+  })
+
+  it('should validate every row with the schema rules', async () => {
+    const { loadFile, mapping, rows, validRows, invalidRows, unmappedRequired } = useCRUD6Import('customers', fields)
+
+    await loadFile(csvFile('Company Name,Email,Credit Limit\nAcme,info@acme.test,100\n,bad-email,abc\n'))
+
+    expect(mapping.value).toEqual(['name', 'email', 'credit_limit'])
+    expect(unmappedRequired.value).toEqual([])
+    expect(rows.value[0].record).toEqual({ name: 'Acme', email: 'info@acme.test', credit_limit: 100 })
+    expect(validRows.value).toHaveLength(1)
+    expect(invalidRows.value).toHaveLength(1)
+    expect(invalidRows.value[0].line).toBe(3)
+    expect(Object.keys(invalidRows.value[0].errors)).toEqual(['name', 'email', 'credit_limit'])
+
+    // Unmapping the required column fails every row
+    mapping.value[0] = ''
+    expect(unmappedRequired.value).toEqual(['name'])
+    expect(validRows.value).toHaveLength(0)
+  })
+
+  it('should create the valid rows in batches and report failures', async () => {
+    const lines = Array.from({ length: IMPORT_BATCH_SIZE + 2 }, (_, index) => `Company ${index}`)
+    mockedAxios.post.mockImplementation(async (_url: string, data: any) => {
+      if (data.name === 'Company 3') {
+        throw { response: { data: { description: 'Name already exists' } } }
+      }
+      return { data: {} }
+    })
+
+    const { loadFile, importRows, summary, progress, errorRows } = useCRUD6Import('customers', fields)
+    await loadFile(csvFile(`name\n${lines.join('\n')}\n`))
+
+    const results = await importRows()
+
+    expect(mockedAxios.post).toHaveBeenCalledTimes(IMPORT_BATCH_SIZE + 2)
+    expect(mockedAxios.post).toHaveBeenCalledWith('/api/crud6/customers', { name: 'Company 0' })
+    expect(results).toHaveLength(IMPORT_BATCH_SIZE + 2)
+    expect(summary.value).toEqual({ created: IMPORT_BATCH_SIZE + 1, failed: 1 })
+    expect(progress.value).toEqual({ done: IMPORT_BATCH_SIZE + 2, total: IMPORT_BATCH_SIZE + 2 })
+    expect(errorRows.value).toEqual([{ line: 5, cells: ['Company 3'], messages: ['Name already exists'] }])
+  })
+
+  it('should report files without a header row', async () => {
+    const { loadFile, error } = useCRUD6Import('customers', fields)
+
+    expect(await loadFile(csvFile('\n\n'))).toBe(false)
+    expect(error.value).toBe('CRUD6.IMPORT.READ_FAILED')
+  })
+})
@@ -0,0 +1,150 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Inline Edit Composable Tests
+ *
+ * Unit tests for editing list cells in place with useCRUD6InlineEdit
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { reactive } from 'vue'
+import axios from 'axios'
+import { useCRUD6InlineEdit, getInlineEditFields, toInlineEditValue, fromInlineEditValue } from '../composables/useCRUD6InlineEdit'
+import type { SchemaField } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+const formFields: Record<string, SchemaField> = {
+  name: { type: 'string', label: 'Name', required: true, validation: { length: { max: 10 } } },
+  price: { type: 'decimal', label: 'Price', validation: { min: 0 } },
+  enabled: { type: 'boolean', label: 'Enabled' },
+  sku: { type: 'string', label: 'SKU', editable: false },
+  created: { type: 'datetime', label: 'Created', show_in: ['create'] },
+  password: { type: 'password', label: 'Password' }
+}
+
+const listFields: [string, SchemaField][] = [
+  ['id', { type: 'integer', label: 'ID' }],
+  ['name', { type: 'string', label: 'Name' }],
+  ['price', { type: 'decimal', label: 'Price' }],
+  ['enabled', { type: 'boolean', label: 'Enabled' }],
+  ['sku', { type: 'string', label: 'Sku' }],
+  ['created', { type: 'datetime', label: 'Created' }],
+  ['password', { type: 'password', label: 'Password' }],
+  ['badge', { type: 'string', label: 'Badge', field_template: 'badge.html' }]
+]
+
+describe('getInlineEditFields', () => {
+  it('should keep list columns editable on the edit form', () => {
+    expect(Object.keys(getInlineEditFields(listFields, formFields))).toEqual(['name', 'price', 'enabled'])
+  })
+
+  it('should leave out fields the user may not edit', () => {
+    const fields = getInlineEditFields(listFields, formFields, field => field.label !== 'Price')
+    expect(Object.keys(fields)).toEqual(['name', 'enabled'])
+  })
+
+  it('should return nothing without form fields', () => {
+    expect(getInlineEditFields(listFields, undefined)).toEqual({})
+  })
+})
+
+describe('inline edit values', () => {
+  it('should convert record values for the inputs and back', () => {
+    expect(toInlineEditValue('2026-03-01 14:30:00', { type: 'datetime', label: 'Datetime' })).toBe('2026-03-01T14:30')
+    expect(fromInlineEditValue('2026-03-01T14:30', { type: 'datetime', label: 'Datetime' })).toBe('2026-03-01 14:30:00')
+    expect(toInlineEditValue('1', { type: 'boolean', label: 'Boolean' })).toBe(true)
+    expect(toInlineEditValue(null, { type: 'string', label: 'String' })).toBe('')
+    expect(fromInlineEditValue('12.5', { type: 'decimal', label: 'Decimal' })).toBe(12.5)
+    expect(fromInlineEditValue('', { type: 'integer', label: 'Integer' })).toBeNull()
+  })
+})
+
+describe('useCRUD6InlineEdit', () => {
+  const fields = getInlineEditFields(listFields, formFields)
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should edit only editable fields, one cell at a time', () => {
+    const { editing, draft, startEdit, isEditing, isEditable } = useCRUD6InlineEdit('products', fields)
+    const row = { id: 1, name: 'Pen', sku: 'P-1' }
+
+    expect(isEditable('sku')).toBe(false)
+    startEdit(row, 'sku')
+    expect(editing.value).toBeNull()
+
+    startEdit(row, 'name')
+    expect(isEditing(row, 'name')).toBe(true)
+    expect(isEditing({ id: 2 }, 'name')).toBe(false)
+    expect(draft.value).toBe('Pen')
+  })
+
+  it('should keep the editor open with the validation errors', async () => {
+    const { draft, errors, editing, startEdit, saveEdit } = useCRUD6InlineEdit('products', fields)
+    const row = { id: 1, name: 'Pen' }
+
+    startEdit(row, 'name')
+    draft.value = ''
+    expect(await saveEdit(row)).toBe(false)
+
+    expect(errors.value.length).toBeGreaterThan(0)
+    expect(editing.value).not.toBeNull()
+    expect(mockedAxios.put).not.toHaveBeenCalled()
+  })
+
+  it('should update the row at once and save the field', async () => {
+    let resolve: (value: any) => void = () => {}
+    mockedAxios.put.mockReturnValue(new Promise(done => { resolve = done }))
+    const { draft, editing, startEdit, saveEdit, isSaving } = useCRUD6InlineEdit('products', fields)
+    const row = reactive({ id: 7, price: 3 })
+
+    startEdit(row, 'price')
+    draft.value = '4.5'
+    const saved = saveEdit(row)
+
+    expect(row.price).toBe(4.5)
+    expect(editing.value).toBeNull()
+    expect(isSaving(row, 'price')).toBe(true)
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/products/7/price', { price: 4.5 })
+
+    resolve({ data: {} })
+    expect(await saved).toBe(true)
+    expect(isSaving(row, 'price')).toBe(false)
+  })
+
+  it('should roll the value back when saving fails', async () => {
+    mockedAxios.put.mockRejectedValue({ response: { data: { title: 'Error', description: 'Denied' } } })
+    const { draft, startEdit, saveEdit } = useCRUD6InlineEdit('products', fields, 'product_id')
+    const row = reactive({ product_id: 3, enabled: false })
+
+    startEdit(row, 'enabled')
+    draft.value = true
+
+    expect(await saveEdit(row)).toBe(false)
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/products/3/enabled', { enabled: true })
+    expect(row.enabled).toBe(false)
+  })
+
+  it('should not send unchanged values', async () => {
+    const { editing, startEdit, saveEdit, cancelEdit } = useCRUD6InlineEdit('products', fields)
+    const row = { id: 1, price: '3.00', name: 'Pen' }
+
+    startEdit(row, 'name')
+    expect(await saveEdit(row)).toBe(true)
+
+    startEdit(row, 'price')
+    cancelEdit()
+
+    expect(editing.value).toBeNull()
+    expect(mockedAxios.put).not.toHaveBeenCalled()
+  })
+})
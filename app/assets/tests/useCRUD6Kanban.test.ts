@@ -0,0 +1,161 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Kanban Composable Tests
+ *
+ * Unit tests for loading the columns of the kanban board and moving cards
+ * with useCRUD6Kanban
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { ref } from 'vue'
+import axios from 'axios'
+import { useCRUD6Kanban, getKanbanColumnKey } from '../composables/useCRUD6Kanban'
+import type { KanbanViewConfig } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+vi.mock('vue-router', () => ({
+  useRouter: () => ({ push: vi.fn() }),
+  useRoute: () => ({ params: {} })
+}))
+
+const config: KanbanViewConfig = {
+  field: 'status',
+  columns: [
+    { value: 'open', label: 'Open' },
+    { value: 'closed', label: 'Closed' }
+  ],
+  page_size: 2
+}
+
+// Sprunje responses by the status filter of the request
+function mockColumns(rows: Record<string, Record<string, any>[]>, counts: Record<string, number> = {}) {
+  mockedAxios.get.mockImplementation(async (url: string, options?: any) => {
+    // Form schema of the field update actions
+    if (url.endsWith('/schema')) {
+      return { data: { model: 'tickets', fields: { status: { type: 'string', label: 'Status' } } } }
+    }
+    const status = options.params.filters.status
+    const page = options.params.page
+    const columnRows = (rows[status] || []).slice(page * 2, page * 2 + 2)
+    return { data: { rows: columnRows, count: 10, count_filtered: counts[status] ?? (rows[status] || []).length } }
+  })
+}
+
+describe('useCRUD6Kanban', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should load every column filtered on its value with the card context', async () => {
+    mockColumns({ open: [{ id: 1, status: 'open' }], closed: [{ id: 2, status: 'closed' }] })
+    const { columns, load } = useCRUD6Kanban('tickets', config)
+
+    await load({ search: 'printer' }, { id: 'desc' })
+
+    expect(columns.value.map(column => [column.key, column.rows.map(row => row.id), column.count])).toEqual([
+      ['open', [1], 1],
+      ['closed', [2], 1]
+    ])
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/tickets', {
+      params: {
+        filters: { search: 'printer', status: 'open' },
+        sorts: { id: 'desc' },
+        size: 2,
+        page: 0,
+        context: 'card'
+      }
+    })
+  })
+
+  it('should append the next page of a column', async () => {
+    mockColumns({ open: [{ id: 1 }, { id: 2 }, { id: 3 }], closed: [] })
+    const { columns, load, loadMore } = useCRUD6Kanban('tickets', config)
+
+    await load()
+    expect(columns.value[0].rows).toHaveLength(2)
+
+    await loadMore('open')
+    expect(columns.value[0].rows.map(row => row.id)).toEqual([1, 2, 3])
+    expect(mockedAxios.get).toHaveBeenLastCalledWith('/api/crud6/tickets', expect.objectContaining({
+      params: expect.objectContaining({ page: 1 })
+    }))
+
+    // Every card is loaded: nothing more to fetch
+    const requests = mockedAxios.get.mock.calls.length
+    await loadMore('open')
+    expect(mockedAxios.get).toHaveBeenCalledTimes(requests)
+  })
+
+  it('should save moves to the current model', async () => {
+    mockColumns({ open: [{ id: 1, status: 'open' }], closed: [] })
+    mockedAxios.put.mockResolvedValue({ data: {} })
+    const model = ref('tickets')
+    const { columns, load, moveCard } = useCRUD6Kanban(model, config)
+    await load()
+
+    model.value = 'issues'
+    await moveCard(columns.value[0].rows[0], 'open', 'closed')
+
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/issues/1/status', { status: 'closed' })
+  })
+
+  it('should move a card and save its value through the field update endpoint', async () => {
+    mockColumns({ open: [{ id: 1, status: 'open' }], closed: [] })
+    mockedAxios.put.mockResolvedValue({ data: {} })
+    const { columns, load, moveCard } = useCRUD6Kanban('tickets', config)
+    await load()
+
+    const card = columns.value[0].rows[0]
+    const moved = await moveCard(card, 'open', 'closed')
+
+    expect(moved).toBe(true)
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/tickets/1/status', { status: 'closed' })
+    expect(columns.value[0].rows).toEqual([])
+    expect(columns.value[0].count).toBe(0)
+    expect(columns.value[1].rows.map(row => row.id)).toEqual([1])
+    expect(columns.value[1].count).toBe(1)
+    expect(card.status).toBe('closed')
+  })
+
+  it('should put the card back when the update fails', async () => {
+    mockColumns({ open: [{ id: 1, status: 'open' }, { id: 2, status: 'open' }], closed: [] })
+    mockedAxios.put.mockRejectedValue({ response: { data: { title: 'Forbidden' } } })
+    const { columns, load, moveCard } = useCRUD6Kanban('tickets', config)
+    await load()
+
+    const card = columns.value[0].rows[1]
+    const moved = await moveCard(card, 'open', 'closed')
+
+    expect(moved).toBe(false)
+    expect(columns.value[0].rows.map(row => row.id)).toEqual([1, 2])
+    expect(columns.value[0].count).toBe(2)
+    expect(columns.value[1].rows).toEqual([])
+    expect(card.status).toBe('open')
+  })
+
+  it('should ignore cards dropped in their own column', async () => {
+    mockColumns({ open: [{ id: 1, status: 'open' }], closed: [] })
+    const { columns, load, moveCard } = useCRUD6Kanban('tickets', config)
+    await load()
+
+    expect(await moveCard(columns.value[0].rows[0], 'open', 'open')).toBe(true)
+    expect(mockedAxios.put).not.toHaveBeenCalled()
+  })
+
+  it('should key columns by their value as a string', () => {
+    expect(getKanbanColumnKey(1)).toBe('1')
+    expect(getKanbanColumnKey(true)).toBe('true')
+    expect(getKanbanColumnKey(null)).toBe('')
+  })
+})
@@ -0,0 +1,96 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Layout Composable Tests
+ *
+ * Unit tests for grouping fields into the sections, fieldsets and tabs of the
+ * schema layout with useCRUD6Layout
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ref } from 'vue'
+import { useCRUD6Layout, getLayoutGridClass, getLayoutSpanClass, LAYOUT_REST_SECTION } from '../composables/useCRUD6Layout'
+import type { LayoutConfig } from '../composables/useCRUD6Schema'
+
+const layout: LayoutConfig = {
+  tabs: [
+    { key: 'profile', title: 'Profile' },
+    { key: 'billing', title: 'Billing' }
+  ],
+  sections: [
+    { key: 'address', title: 'Address', tab: 'profile', type: 'fieldset', collapsed: true, fields: ['street', 'city'] },
+    { key: 'identity', title: 'Identity', columns: 3, fields: ['first_name', 'last_name', { field: 'bio', span: 'full' }] },
+    { key: 'tax', title: 'Tax', tab: 'billing', fields: ['vat_number'] }
+  ]
+}
+
+describe('useCRUD6Layout', () => {
+  it('should order the sections as rendered with the unlisted fields last', () => {
+    const { sections, tabs } = useCRUD6Layout(layout, ['first_name', 'last_name', 'bio', 'street', 'city', 'vat_number', 'notes'])
+
+    expect(sections.value.map(section => [section.key, section.tab, section.fields.map(field => field.key)])).toEqual([
+      ['identity', undefined, ['first_name', 'last_name', 'bio']],
+      ['address', 'profile', ['street', 'city']],
+      ['tax', 'billing', ['vat_number']],
+      [LAYOUT_REST_SECTION, undefined, ['notes']]
+    ])
+    expect(sections.value[0].fields[2]).toEqual({ key: 'bio', span: 3 })
+    expect(tabs.value.map(tab => tab.key)).toEqual(['profile', 'billing'])
+  })
+
+  it('should leave out the sections and tabs without rendered fields', () => {
+    const fields = ref(['first_name', 'street', 'vat_number'])
+    const { sections, tabs, activeTab } = useCRUD6Layout(layout, fields)
+
+    activeTab.value = 'billing'
+    // vat_number hidden by its visible_when conditions
+    fields.value = ['first_name', 'street']
+
+    expect(sections.value.map(section => section.key)).toEqual(['identity', 'address'])
+    expect(tabs.value.map(tab => tab.key)).toEqual(['profile'])
+    expect(activeTab.value).toBe('profile')
+  })
+
+  it('should reveal a field on a hidden tab in a collapsed fieldset', () => {
+    const { activeTab, isCollapsed, toggle, reveal } = useCRUD6Layout(layout, ['street', 'city', 'vat_number'])
+
+    activeTab.value = 'billing'
+    expect(isCollapsed('address')).toBe(true)
+
+    expect(reveal('city')).toBe(true)
+    expect(activeTab.value).toBe('profile')
+    expect(isCollapsed('address')).toBe(false)
+
+    toggle('address')
+    expect(isCollapsed('address')).toBe(true)
+    expect(reveal('unknown')).toBe(false)
+  })
+
+  it('should render every field in one section without a layout', () => {
+    const { hasLayout, sections, tabs } = useCRUD6Layout(undefined, ['name', 'description'], { columns: 3, fullWidth: ['description'] })
+
+    expect(hasLayout.value).toBe(false)
+    expect(tabs.value).toEqual([])
+    expect(sections.value).toEqual([{
+      key: LAYOUT_REST_SECTION,
+      collapsible: false,
+      columns: 3,
+      fields: [{ key: 'name', span: undefined }, { key: 'description', span: 3 }]
+    }])
+  })
+
+  it('should size the grid and the field spans with UIkit classes', () => {
+    expect(getLayoutGridClass(1)).toBe('uk-child-width-1-1')
+    expect(getLayoutGridClass(3)).toBe('uk-child-width-1-1 uk-child-width-1-2@s uk-child-width-1-3@m')
+    expect(getLayoutSpanClass(undefined, 3)).toBe('')
+    expect(getLayoutSpanClass(2, 3)).toBe('uk-width-1-1 uk-width-2-3@m')
+    expect(getLayoutSpanClass(2, 4)).toBe('uk-width-1-1 uk-width-1-2@l')
+    expect(getLayoutSpanClass(5, 2)).toBe('uk-width-1-1')
+  })
+})
@@ -0,0 +1,143 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * List Query Composable Tests
+ *
+ * Unit tests for the useCRUD6ListQuery composable - list state in the route query
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest'
+import { defineComponent, ref } from 'vue'
+import { mount, flushPromises } from '@vue/test-utils'
+import { createRouter, createMemoryHistory } from 'vue-router'
+import type { Router } from 'vue-router'
+import { useCRUD6ListQuery, serializeListState, parseListQuery, hasListQuery } from '../composables/useCRUD6ListQuery'
+
+function createSprunjer() {
+  return {
+    sorts: ref<Record<string, any>>({}),
+    filters: ref<Record<string, any>>({}),
+    size: ref(10),
+    page: ref(0)
+  }
+}
+
+describe('serializeListState', () => {
+  it('should leave default values out', () => {
+    expect(serializeListState({ page: 0, size: 10, sorts: {}, filters: { search: '' } }, 10)).toEqual({})
+  })
+
+  it('should write page, size, sorts, search and filters', () => {
+    const query = serializeListState({
+      page: 2,
+      size: 50,
+      sorts: { status: 'asc', created_at: 'desc' },
+      filters: { search: 'smith', status: 'open' }
+    }, 10)
+
+    expect(query).toEqual({
+      page: '3',
+      size: '50',
+      sort: 'status,-created_at',
+      search: 'smith',
+      'filters[status]': 'open'
+    })
+  })
+})
+
+describe('parseListQuery', () => {
+  it('should read the state written by serializeListState', () => {
+    const state = { page: 2, size: 50, sorts: { status: 'asc' as const, created_at: 'desc' as const }, filters: { search: 'smith', status: 'open' } }
+
+    expect(parseListQuery(serializeListState(state, 10), 10)).toEqual(state)
+  })
+
+  it('should fall back to defaults for invalid values', () => {
+    expect(parseListQuery({ page: 'x', size: '-5', sort: ',' }, 25)).toEqual({ page: 0, size: 25, sorts: {}, filters: {} })
+  })
+
+  it('should detect list state in a query', () => {
+    expect(hasListQuery({ 'filters[status]': 'open' })).toBe(true)
+    expect(hasListQuery({ tab: 'details' })).toBe(false)
+  })
+})
+
+describe('useCRUD6ListQuery', () => {
+  let router: Router
+
+  beforeEach(async () => {
+    router = createRouter({
+      history: createMemoryHistory(),
+      routes: [
+        { path: '/crud6/:model', name: 'crud6.list', component: { template: '<div />' } },
+        { path: '/crud6/:model/:id', name: 'crud6.view', component: { template: '<div />' } }
+      ]
+    })
+  })
+
+  async function mountWithQuery(path: string, sprunjer = createSprunjer()) {
+    await router.push(path)
+    await router.isReady()
+    mount(defineComponent({
+      setup() {
+        useCRUD6ListQuery(sprunjer)
+        return () => null
+      }
+    }), { global: { plugins: [router] } })
+    await flushPromises()
+    return sprunjer
+  }
+
+  it('should restore the list state from the URL', async () => {
+    const sprunjer = await mountWithQuery('/crud6/orders?page=2&size=25&sort=-id&search=smith&filters[status]=open')
+
+    expect(sprunjer.page.value).toBe(1)
+    expect(sprunjer.size.value).toBe(25)
+    expect(sprunjer.sorts.value).toEqual({ id: 'desc' })
+    expect(sprunjer.filters.value).toEqual({ search: 'smith', status: 'open' })
+  })
+
+  it('should push sprunjer changes to the URL and keep other parameters', async () => {
+    const sprunjer = await mountWithQuery('/crud6/orders?tab=1')
+
+    sprunjer.filters.value = { status: 'open' }
+    sprunjer.sorts.value = { name: 'asc' }
+    await flushPromises()
+
+    expect(router.currentRoute.value.query).toEqual({ tab: '1', sort: 'name', 'filters[status]': 'open' })
+  })
+
+  it('should apply the URL again when it changes', async () => {
+    const sprunjer = await mountWithQuery('/crud6/orders')
+
+    sprunjer.page.value = 3
+    await flushPromises()
+    expect(router.currentRoute.value.query).toEqual({ page: '4' })
+
+    sprunjer.page.value = 1
+    await flushPromises()
+
+    await router.push('/crud6/orders?page=4')
+    await flushPromises()
+    expect(sprunjer.page.value).toBe(3)
+
+    await router.push('/crud6/orders')
+    await flushPromises()
+    expect(sprunjer.page.value).toBe(0)
+  })
+
+  it('should ignore query changes of other routes', async () => {
+    const sprunjer = await mountWithQuery('/crud6/orders?search=smith')
+
+    await router.push('/crud6/orders/5')
+    await flushPromises()
+
+    expect(sprunjer.filters.value).toEqual({ search: 'smith' })
+  })
+})
@@ -0,0 +1,238 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * List Views Composable Tests
+ *
+ * Unit tests for the useCRUD6ListViews composable - column layout and saved views
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ref } from 'vue'
+import axios from 'axios'
+import { flushPromises } from '@vue/test-utils'
+import { useCRUD6ListViews, applyColumnLayout } from '../composables/useCRUD6ListViews'
+import type { SchemaField } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+// Mocked current user
+const authStore = { user: { id: 7 } as { id: number } | null }
+
+vi.mock('@userfrosting/sprinkle-account/stores', () => ({
+  useAuthStore: () => authStore
+}))
+
+const alertsStore = { push: vi.fn() }
+
+vi.mock('@userfrosting/sprinkle-core/stores', () => ({
+  useAlertsStore: () => alertsStore
+}))
+
+// Views stored by the mocked API, by user and URL
+const server = new Map<string, any>()
+const serverKey = (url: string) => `${authStore.user?.id}:${url}`
+
+const fields: [string, SchemaField][] = [
+  ['id', { type: 'integer', label: 'ID' }],
+  ['name', { type: 'string', label: 'Name' }],
+  ['status', { type: 'string', label: 'Status' }]
+]
+
+function createSprunjer() {
+  return {
+    sorts: ref<Record<string, any>>({ name: 'asc', id: null }),
+    filters: ref<Record<string, any>>({ status: 'open', search: '' }),
+    size: ref(25),
+    page: ref(3)
+  }
+}
+
+describe('applyColumnLayout', () => {
+  it('should order the fields and drop the hidden ones', () => {
+    const result = applyColumnLayout(fields, { order: ['status', 'id'], hidden: ['id'] })
+    expect(result.map(([key]) => key)).toEqual(['status', 'name'])
+  })
+
+  it('should keep hidden fields when asked and ignore unknown keys', () => {
+    const result = applyColumnLayout(fields, { order: ['removed', 'name'], hidden: ['id'] }, true)
+    expect(result.map(([key]) => key)).toEqual(['name', 'id', 'status'])
+  })
+})
+
+/**
+ * Create the composable and wait for its views to load
+ */
+async function loadListViews(model: Parameters<typeof useCRUD6ListViews>[0]) {
+  const listViews = useCRUD6ListViews(model, fields)
+  await flushPromises()
+  return listViews
+}
+
+describe('useCRUD6ListViews', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    server.clear()
+    authStore.user = { id: 7 }
+    mockedAxios.get.mockImplementation(async (url: string) => ({ data: server.get(serverKey(url)) ?? {} }))
+    mockedAxios.put.mockImplementation(async (url: string, data: any) => {
+      server.set(serverKey(url), JSON.parse(JSON.stringify(data)))
+      return { data }
+    })
+  })
+
+  it('should list every column in schema order by default', async () => {
+    const { columns, visibleFields } = await loadListViews('orders')
+
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/orders/views')
+    expect(columns.value.map(column => column.key)).toEqual(['id', 'name', 'status'])
+    expect(columns.value.every(column => column.visible)).toBe(true)
+    expect(visibleFields.value).toHaveLength(3)
+  })
+
+  it('should hide, show and move columns and save the layout', async () => {
+    const { visibleFields, toggleColumn, moveColumn } = await loadListViews('orders')
+
+    toggleColumn('id')
+    moveColumn('status', 'name')
+    expect(visibleFields.value.map(([key]) => key)).toEqual(['status', 'name'])
+    await flushPromises()
+    expect(mockedAxios.put).toHaveBeenLastCalledWith('/api/crud6/orders/views', {
+      layout: { order: ['id', 'status', 'name'], hidden: ['id'] },
+      views: [],
+      defaultView: null
+    })
+
+    const reloaded = await loadListViews('orders')
+    expect(reloaded.visibleFields.value.map(([key]) => key)).toEqual(['status', 'name'])
+
+    reloaded.toggleColumn('id')
+    expect(reloaded.visibleFields.value.map(([key]) => key)).toEqual(['id', 'status', 'name'])
+  })
+
+  it('should not hide the last visible column', async () => {
+    const { visibleFields, toggleColumn } = await loadListViews('orders')
+
+    toggleColumn('id')
+    toggleColumn('name')
+    toggleColumn('status')
+    expect(visibleFields.value.map(([key]) => key)).toEqual(['status'])
+  })
+
+  it('should save a view and apply it to the columns and sprunjer', async () => {
+    const { views, saveView, applyView, toggleColumn, resetColumns, visibleFields, activeView } = await loadListViews('orders')
+    const sprunjer = createSprunjer()
+
+    toggleColumn('id')
+    saveView('Open orders', sprunjer)
+    expect(views.value).toEqual([{
+      name: 'Open orders',
+      columns: { order: ['id', 'name', 'status'], hidden: ['id'] },
+      sorts: { name: 'asc' },
+      filters: { status: 'open' },
+      size: 25
+    }])
+
+    resetColumns()
+    const other = { sorts: ref({}), filters: ref({}), size: ref(10), page: ref(2) }
+    expect(applyView('Open orders', other)).toBe(true)
+
+    expect(visibleFields.value.map(([key]) => key)).toEqual(['name', 'status'])
+    expect(other.sorts.value).toEqual({ name: 'asc' })
+    expect(other.filters.value).toEqual({ status: 'open' })
+    expect(other.size.value).toBe(25)
+    expect(other.page.value).toBe(0)
+    expect(activeView.value).toBe('Open orders')
+  })
+
+  it('should replace a view saved under the same name', async () => {
+    const { views, saveView } = await loadListViews('orders')
+    const sprunjer = createSprunjer()
+
+    saveView('Mine', sprunjer)
+    sprunjer.size.value = 50
+    saveView(' Mine ', sprunjer)
+
+    expect(views.value).toHaveLength(1)
+    expect(views.value[0].size).toBe(50)
+  })
+
+  it('should apply the default view and clear it when the view is deleted', async () => {
+    const { saveView, setDefaultView, deleteView, defaultView, applyDefaultView } = await loadListViews('orders')
+    saveView('Mine', createSprunjer())
+
+    setDefaultView('Unknown')
+    expect(defaultView.value).toBeNull()
+
+    setDefaultView('Mine')
+    await flushPromises()
+    const sprunjer = { sorts: ref({}), filters: ref({}), size: ref(10), page: ref(0) }
+    expect((await loadListViews('orders')).applyDefaultView(sprunjer)).toBe(true)
+    expect(sprunjer.size.value).toBe(25)
+
+    deleteView('Mine')
+    expect(defaultView.value).toBeNull()
+    expect(applyDefaultView(sprunjer)).toBe(false)
+  })
+
+  it('should keep views per user and per model', async () => {
+    (await loadListViews('orders')).saveView('Mine', createSprunjer())
+    await flushPromises()
+
+    expect((await loadListViews('customers')).views.value).toEqual([])
+    expect(server.get('7:/api/crud6/orders/views').views).toHaveLength(1)
+
+    authStore.user = { id: 8 }
+    expect((await loadListViews('orders')).views.value).toEqual([])
+  })
+
+  it('should reload the views when the model changes', async () => {
+    (await loadListViews('orders')).saveView('Mine', createSprunjer())
+    await flushPromises()
+
+    const model = ref('customers')
+    const { views } = await loadListViews(model)
+    expect(views.value).toEqual([])
+
+    model.value = 'orders'
+    await flushPromises()
+    expect(views.value.map(view => view.name)).toEqual(['Mine'])
+  })
+
+  it('should report loading until the views are loaded', async () => {
+    const { loading } = useCRUD6ListViews('orders', fields)
+    expect(loading.value).toBe(true)
+
+    await flushPromises()
+    expect(loading.value).toBe(false)
+  })
+
+  it('should keep every column when the views cannot be loaded', async () => {
+    mockedAxios.get.mockRejectedValueOnce(new Error('Network Error'))
+
+    const { views, columns, loading } = await loadListViews('orders')
+    expect(views.value).toEqual([])
+    expect(columns.value).toHaveLength(3)
+    expect(loading.value).toBe(false)
+  })
+
+  it('should alert when the views cannot be saved', async () => {
+    mockedAxios.put.mockRejectedValueOnce({ response: { data: { title: 'Forbidden', description: 'Access denied' } } })
+    const { toggleColumn } = await loadListViews('orders')
+
+    toggleColumn('id')
+    await flushPromises()
+    expect(alertsStore.push).toHaveBeenCalledWith(expect.objectContaining({ title: 'Forbidden', description: 'Access denied' }))
+
+    // Later changes are still saved
+    toggleColumn('name')
+    await flushPromises()
+    expect(server.get('7:/api/crud6/orders/views').layout.hidden).toEqual(['id', 'name'])
+  })
+})
@@ -0,0 +1,51 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Media Query Composable Tests
+ *
+ * Unit tests for following a media query with useCRUD6MediaQuery
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { useCRUD6MediaQuery, SMALL_SCREEN_QUERY } from '../composables/useCRUD6MediaQuery'
+
+function mockMatchMedia(matches: boolean) {
+  const listeners: ((event: { matches: boolean }) => void)[] = []
+  const matchMedia = vi.fn(() => ({
+    matches,
+    addEventListener: (_type: string, listener: (event: { matches: boolean }) => void) => listeners.push(listener),
+    removeEventListener: vi.fn()
+  }))
+  vi.stubGlobal('matchMedia', matchMedia)
+  return { matchMedia, change: (value: boolean) => listeners.forEach(listener => listener({ matches: value })) }
+}
+
+describe('useCRUD6MediaQuery', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should follow the media query', () => {
+    const { matchMedia, change } = mockMatchMedia(true)
+
+    const smallScreen = useCRUD6MediaQuery(SMALL_SCREEN_QUERY)
+
+    expect(matchMedia).toHaveBeenCalledWith('(max-width: 639px)')
+    expect(smallScreen.value).toBe(true)
+
+    change(false)
+    expect(smallScreen.value).toBe(false)
+  })
+
+  it('should not match without matchMedia', () => {
+    vi.stubGlobal('matchMedia', undefined)
+
+    expect(useCRUD6MediaQuery(SMALL_SCREEN_QUERY).value).toBe(false)
+  })
+})
@@ -0,0 +1,173 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Permissions Composable Tests
+ *
+ * Unit tests for the useCRUD6Permissions composable
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ref } from 'vue'
+import { useCRUD6Permissions } from '../composables/useCRUD6Permissions'
+import type { CRUD6Schema } from '../composables/useCRUD6Schema'
+
+// Permission slugs granted to the mocked user
+const granted = new Set<string>()
+
+vi.mock('@userfrosting/sprinkle-account/stores', () => ({
+  useAuthStore: () => ({
+    checkAccess: (slug: string) => granted.has(slug)
+  })
+}))
+
+const usersSchema = {
+  model: 'users',
+  primary_key: 'id',
+  permissions: {
+    read: 'uri_crud6',
+    create: 'create_user',
+    update: 'update_user_field',
+    delete: 'delete_user'
+  },
+  fields: {}
+} as CRUD6Schema
+
+describe('useCRUD6Permissions', () => {
+  beforeEach(() => {
+    granted.clear()
+  })
+
+  it('should resolve CRUD operations through the schema permissions block', () => {
+    const { getPermissionSlug } = useCRUD6Permissions(usersSchema)
+
+    expect(getPermissionSlug('create')).toBe('create_user')
+    expect(getPermissionSlug('view')).toBe('uri_crud6')
+    expect(getPermissionSlug('update_field')).toBe('update_user_field')
+    expect(getPermissionSlug('delete')).toBe('delete_user')
+  })
+
+  it('should resolve record edits and field updates through their own keys, like the backend', () => {
+    const { getPermissionSlug } = useCRUD6Permissions(usersSchema)
+
+    // No `edit` key: record edits need the default slug, not the `update` one
+    expect(getPermissionSlug('update')).toBe('crud6.users.edit')
+    expect(getPermissionSlug('edit')).toBe('crud6.users.edit')
+
+    const withEdit = useCRUD6Permissions({
+      ...usersSchema,
+      permissions: { ...usersSchema.permissions, edit: 'edit_user' }
+    } as CRUD6Schema)
+    expect(withEdit.getPermissionSlug('edit')).toBe('edit_user')
+    expect(withEdit.getPermissionSlug('update_field')).toBe('update_user_field')
+  })
+
+  it('should fall back to the backend default slugs', () => {
+    const { getPermissionSlug } = useCRUD6Permissions({ model: 'products', primary_key: 'id', fields: {} } as CRUD6Schema)
+
+    expect(getPermissionSlug('read')).toBe('crud6.products.read')
+    expect(getPermissionSlug('update')).toBe('crud6.products.edit')
+    expect(getPermissionSlug('update_field')).toBe('crud6.products.update')
+    expect(getPermissionSlug('view_field')).toBe('view_crud6_field')
+  })
+
+  it('should check resolved slugs against the authenticated user', () => {
+    granted.add('create_user')
+    const { hasPermission } = useCRUD6Permissions(usersSchema)
+
+    expect(hasPermission('create')).toBe(true)
+    expect(hasPermission('delete')).toBe(false)
+    // Raw slugs are checked as-is
+    expect(hasPermission('create_user')).toBe(true)
+  })
+
+  it('should follow schema changes when given a ref', () => {
+    const schema = ref<CRUD6Schema | null>(null)
+    const { getPermissionSlug } = useCRUD6Permissions(schema, 'users')
+
+    expect(getPermissionSlug('create')).toBe('crud6.users.create')
+    schema.value = usersSchema
+    expect(getPermissionSlug('create')).toBe('create_user')
+  })
+
+  describe('hasActionPermission', () => {
+    it('should use an explicit action permission', () => {
+      granted.add('update_user_field')
+      const { hasActionPermission } = useCRUD6Permissions(usersSchema)
+
+      expect(hasActionPermission({ key: 'toggle_enabled', type: 'field_update', permission: 'update_user_field' } as any)).toBe(true)
+      expect(hasActionPermission({ key: 'delete_action', type: 'delete', permission: 'delete_user' } as any)).toBe(false)
+    })
+
+    it('should accept the inferred permission slug', () => {
+      granted.add('update_users_field')
+      const { hasActionPermission } = useCRUD6Permissions(usersSchema)
+
+      expect(hasActionPermission({ key: 'toggle_verified', type: 'field_update' } as any)).toBe(true)
+    })
+
+    it('should accept the operation the backend enforces for the action type', () => {
+      granted.add('update_user_field')
+      const { hasActionPermission } = useCRUD6Permissions(usersSchema)
+
+      expect(hasActionPermission({ key: 'reset_password', type: 'api_call' } as any)).toBe(true)
+      expect(hasActionPermission({ key: 'open_profile', type: 'route' } as any)).toBe(false)
+    })
+  })
+
+  describe('field permissions', () => {
+    const employeesSchema = {
+      model: 'employees',
+      primary_key: 'id',
+      fields: {
+        name: { type: 'string', label: 'Name' },
+        salary: { type: 'decimal', label: 'Salary', permissions: { view: 'view_salary', edit: 'edit_salary' } },
+        ssn: { type: 'string', label: 'SSN', permissions: { view: 'view_ssn' } }
+      }
+    } as unknown as CRUD6Schema
+
+    it('should treat fields without permissions as visible and editable', () => {
+      const { canViewField, canEditField } = useCRUD6Permissions(employeesSchema)
+
+      expect(canViewField(employeesSchema.fields.name)).toBe(true)
+      expect(canEditField(employeesSchema.fields.name)).toBe(true)
+    })
+
+    it('should hide fields without the view permission', () => {
+      granted.add('view_salary')
+      const { canViewField, filterViewableFields } = useCRUD6Permissions(employeesSchema)
+
+      expect(canViewField(employeesSchema.fields.salary)).toBe(true)
+      expect(canViewField(employeesSchema.fields.ssn)).toBe(false)
+      expect(Object.keys(filterViewableFields(employeesSchema.fields))).toEqual(['name', 'salary'])
+    })
+
+    it('should lock fields without the edit permission', () => {
+      granted.add('view_salary')
+      const { canEditField } = useCRUD6Permissions(employeesSchema)
+
+      expect(canEditField(employeesSchema.fields.salary)).toBe(false)
+      granted.add('edit_salary')
+      expect(canEditField(employeesSchema.fields.salary)).toBe(true)
+    })
+
+    it('should never treat hidden fields as editable', () => {
+      granted.add('edit_salary')
+      const { canEditField } = useCRUD6Permissions(employeesSchema)
+
+      expect(canEditField(employeesSchema.fields.salary)).toBe(false)
+    })
+
+    it('should strip restricted fields from payloads', () => {
+      granted.add('view_salary')
+      const { stripRestrictedFields } = useCRUD6Permissions(employeesSchema)
+
+      expect(stripRestrictedFields({ id: 7, name: 'Ann', salary: 1000, ssn: '123-45-6789' })).toEqual({ id: 7, name: 'Ann' })
+    })
+  })
+})
@@ -0,0 +1,277 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Schema Store Tests
+ *
+ * Unit tests for the useCRUD6SchemaStore persistent cache, ETag revalidation
+ * in-flight request sharing and cross-tab synchronization
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import axios from 'axios'
+import { useCRUD6SchemaStore } from '../stores/useCRUD6SchemaStore'
+import { readPersistedSchema, clearPersistedSchemas } from '../utils/schemaCache'
+
+// Mock axios
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+const productsSchema = {
+  model: 'products',
+  title: 'Products',
+  primary_key: 'id',
+  fields: {
+    id: { type: 'integer', label: 'ID' },
+    name: { type: 'string', label: 'Name' }
+  }
+}
+
+describe('useCRUD6SchemaStore', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    await clearPersistedSchemas()
+    setActivePinia(createPinia())
+  })
+
+  it('should persist the schema response together with its ETag', async () => {
+    mockedAxios.get.mockResolvedValueOnce({
+      status: 200,
+      data: productsSchema,
+      headers: { etag: '"abc123"' }
+    })
+
+    const store = useCRUD6SchemaStore()
+    const schema = await store.loadSchema('products', false, 'list')
+
+    expect(schema?.model).toBe('products')
+
+    // Persisting happens in the background so it never delays the caller
+    await vi.waitFor(async () => {
+      const persisted = await readPersistedSchema('products:list')
+      expect(persisted?.etag).toBe('"abc123"')
+      expect(persisted?.data.fields.name.label).toBe('Name')
+    })
+  })
+
+  it('should revalidate with If-None-Match and reuse the persisted schema on 304', async () => {
+    mockedAxios.get.mockResolvedValueOnce({
+      status: 200,
+      data: productsSchema,
+      headers: { etag: '"abc123"' }
+    })
+    await useCRUD6SchemaStore().loadSchema('products', false, 'list')
+    await vi.waitFor(async () => {
+      expect(await readPersistedSchema('products:list')).not.toBeNull()
+    })
+
+    // Simulate a page reload - fresh in-memory store, persisted cache kept
+    setActivePinia(createPinia())
+    mockedAxios.get.mockResolvedValueOnce({ status: 304, data: '', headers: {} })
+
+    const schema = await useCRUD6SchemaStore().loadSchema('products', false, 'list')
+
+    expect(mockedAxios.get).toHaveBeenLastCalledWith(
+      '/api/crud6/products/schema?context=list',
+      expect.objectContaining({ headers: { 'If-None-Match': '"abc123"' } })
+    )
+    expect(schema?.fields.name.label).toBe('Name')
+  })
+
+  it('should skip If-None-Match when forcing a reload', async () => {
+    mockedAxios.get.mockResolvedValueOnce({
+      status: 200,
+      data: productsSchema,
+      headers: { etag: '"abc123"' }
+    })
+    const store = useCRUD6SchemaStore()
+    await store.loadSchema('products', false, 'list')
+    await vi.waitFor(async () => {
+      expect(await readPersistedSchema('products:list')).not.toBeNull()
+    })
+
+    mockedAxios.get.mockResolvedValueOnce({
+      status: 200,
+      data: productsSchema,
+      headers: { etag: '"def456"' }
+    })
+    await store.loadSchema('products', true, 'list')
+
+    expect(mockedAxios.get).toHaveBeenLastCalledWith(
+      '/api/crud6/products/schema?context=list',
+      expect.objectContaining({ headers: {} })
+    )
+    await vi.waitFor(async () => {
+      expect((await readPersistedSchema('products:list'))?.etag).toBe('"def456"')
+    })
+  })
+
+  it('should remove the persisted copy when a schema is cleared', async () => {
+    mockedAxios.get.mockResolvedValueOnce({
+      status: 200,
+      data: productsSchema,
+      headers: { etag: '"abc123"' }
+    })
+    const store = useCRUD6SchemaStore()
+    await store.loadSchema('products', false, 'list')
+    await vi.waitFor(async () => {
+      expect(await readPersistedSchema('products:list')).not.toBeNull()
+    })
+
+    store.clearSchema('products', 'list')
+    await vi.waitFor(async () => {
+      expect(await readPersistedSchema('products:list')).toBeNull()
+    })
+    expect(store.hasSchema('products', 'list')).toBe(false)
+  })
+
+  describe('in-flight requests', () => {
+    it('should share one request between concurrent callers', async () => {
+      let resolveRequest: (value: any) => void = () => {}
+      mockedAxios.get.mockReturnValueOnce(new Promise(resolve => { resolveRequest = resolve }) as any)
+
+      const store = useCRUD6SchemaStore()
+      const first = store.loadSchema('products', false, 'list')
+      const second = store.loadSchema('products', false, 'list')
+
+      await vi.waitFor(() => expect(mockedAxios.get).toHaveBeenCalledTimes(1))
+      resolveRequest({ status: 200, data: productsSchema, headers: {} })
+
+      const [a, b] = await Promise.all([first, second])
+      expect(a?.model).toBe('products')
+      expect(b).toBe(a)
+      expect(mockedAxios.get).toHaveBeenCalledTimes(1)
+    })
+
+    it('should propagate a broader context failure to waiting subset requests', async () => {
+      let rejectRequest: (reason: any) => void = () => {}
+      mockedAxios.get.mockReturnValueOnce(new Promise((_, reject) => { rejectRequest = reject }) as any)
+
+      const store = useCRUD6SchemaStore()
+      const broader = store.loadSchema('products', false, 'list,form')
+      await vi.waitFor(() => expect(store.isLoading('products', 'list,form')).toBe(true))
+      const subset = store.loadSchema('products', false, 'form')
+
+      rejectRequest({ response: { status: 500, data: { title: 'Server Error', description: 'Boom' } } })
+
+      expect(await broader).toBeNull()
+      expect(await subset).toBeNull()
+      expect(store.getError('products', 'list,form')?.title).toBe('Server Error')
+      expect(store.getError('products', 'form')?.title).toBe('Server Error')
+      expect(mockedAxios.get).toHaveBeenCalledTimes(1)
+    })
+
+    it('should fail with a timeout error when the request takes too long', async () => {
+      mockedAxios.get.mockReturnValueOnce(new Promise(() => {}) as any)
+
+      const store = useCRUD6SchemaStore()
+      const result = await store.loadSchema('products', false, 'list', false, { timeout: 20 })
+
+      expect(result).toBeNull()
+      expect(store.getError('products', 'list')?.title).toBe('Schema Load Timeout')
+      expect(store.isLoading('products', 'list')).toBe(false)
+    })
+
+    it('should abort the request once every cancellable waiter has cancelled', async () => {
+      mockedAxios.get.mockReturnValueOnce(new Promise(() => {}) as any)
+
+      const store = useCRUD6SchemaStore()
+      const controller = new AbortController()
+      const pending = store.loadSchema('products', false, 'list', false, { signal: controller.signal })
+      await vi.waitFor(() => expect(mockedAxios.get).toHaveBeenCalledTimes(1))
+
+      const requestSignal: AbortSignal = mockedAxios.get.mock.calls[0][1]!.signal as AbortSignal
+      controller.abort()
+
+      expect(await pending).toBeNull()
+      expect(requestSignal.aborted).toBe(true)
+      expect(store.getError('products', 'list')).toBeNull()
+      await vi.waitFor(() => expect(store.isLoading('products', 'list')).toBe(false))
+    })
+  })
+
+  describe('cross-tab synchronization', () => {
+    // Each Pinia instance plays the role of a separate browser tab
+    function createTab() {
+      setActivePinia(createPinia())
+      return useCRUD6SchemaStore()
+    }
+
+    it('should share freshly fetched schemas with other tabs', async () => {
+      const tabA = createTab()
+      const tabB = createTab()
+      const listener = vi.fn()
+      tabB.onSchemaChanged(listener)
+
+      mockedAxios.get.mockResolvedValueOnce({ status: 200, data: productsSchema, headers: {} })
+      await tabA.loadSchema('products', false, 'list')
+
+      await vi.waitFor(() => expect(tabB.hasSchema('products', 'list')).toBe(true))
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        model: 'products',
+        cacheKey: 'products:list',
+        reason: 'updated',
+        source: 'remote'
+      }))
+    })
+
+    it('should invalidate other contexts when another tab fetches a changed schema', async () => {
+      const tabA = createTab()
+      const tabB = createTab()
+      tabB.setSchema('products', productsSchema as any, 'list')
+      tabB.setSchema('products', productsSchema as any, 'form')
+      const listener = vi.fn()
+      tabB.onSchemaChanged(listener)
+
+      const changedSchema = {
+        ...productsSchema,
+        fields: { ...productsSchema.fields, sku: { type: 'string', label: 'SKU' } }
+      }
+      mockedAxios.get.mockResolvedValueOnce({ status: 200, data: changedSchema, headers: {} })
+      await tabA.loadSchema('products', true, 'list')
+
+      await vi.waitFor(() => expect(tabB.getSchema('products', 'list')?.fields.sku).toBeDefined())
+      expect(tabB.hasSchema('products', 'form')).toBe(false)
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        cacheKey: 'products:form',
+        reason: 'invalidated'
+      }))
+    })
+
+    it('should broadcast invalidations to other tabs', async () => {
+      const tabA = createTab()
+      const tabB = createTab()
+      tabA.setSchema('products', productsSchema as any, 'list')
+      tabB.setSchema('products', productsSchema as any, 'list')
+      const listener = vi.fn()
+      tabB.onSchemaChanged(listener)
+
+      tabA.clearSchema('products', 'list')
+
+      await vi.waitFor(() => expect(tabB.hasSchema('products', 'list')).toBe(false))
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        cacheKey: 'products:list',
+        reason: 'invalidated',
+        source: 'remote'
+      }))
+    })
+
+    it('should stop notifying after unsubscribe', () => {
+      const store = createTab()
+      store.setSchema('products', productsSchema as any, 'list')
+      const listener = vi.fn()
+      const unsubscribe = store.onSchemaChanged(listener)
+
+      unsubscribe()
+      store.clearSchema('products', 'list')
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,173 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Tree Composable Tests
+ *
+ * Unit tests for loading the levels of the tree and re-parenting records
+ * with useCRUD6Tree
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import axios from 'axios'
+import { useCRUD6Tree, getTreeKey } from '../composables/useCRUD6Tree'
+import type { TreeViewConfig } from '../composables/useCRUD6Schema'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+vi.mock('vue-router', () => ({
+  useRouter: () => ({ push: vi.fn() }),
+  useRoute: () => ({ params: {} })
+}))
+
+const config: TreeViewConfig = { parent_field: 'parent_id', page_size: 2 }
+
+// Sprunje responses by the parent parameter of the request
+function mockLevels(rows: Record<string, Record<string, any>[]>) {
+  mockedAxios.get.mockImplementation(async (url: string, options?: any) => {
+    // Form schema of the field update actions
+    if (url.endsWith('/schema')) {
+      return { data: { model: 'categories', fields: { parent_id: { type: 'integer', label: 'Parent' } } } }
+    }
+    const parent = options.params.parent
+    const page = options.params.page
+    const levelRows = (rows[parent] || []).slice(page * 2, page * 2 + 2)
+    return { data: { rows: levelRows, count: 10, count_filtered: (rows[parent] || []).length } }
+  })
+}
+
+// Fresh records for each test: moves update them in place
+const categories = () => ({
+  '': [{ id: 1, parent_id: null, children_count: 2 }, { id: 2, parent_id: null, children_count: 0 }],
+  '1': [{ id: 3, parent_id: 1, children_count: 1 }, { id: 4, parent_id: 1, children_count: 0 }],
+  '3': [{ id: 5, parent_id: 3, children_count: 0 }]
+})
+
+describe('useCRUD6Tree', () => {
+  beforeEach(() => {
+    setActivePinia(createPinia())
+    vi.clearAllMocks()
+  })
+
+  it('should load the roots with the tree context', async () => {
+    mockLevels(categories())
+    const { nodes, load } = useCRUD6Tree('categories', config)
+
+    await load({ search: 'tools' }, { name: 'asc' })
+
+    expect(nodes.value.map(node => [node.key, node.depth, node.hasChildren])).toEqual([
+      ['1', 0, true],
+      ['2', 0, false]
+    ])
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/categories', {
+      params: {
+        filters: { search: 'tools' },
+        sorts: { name: 'asc' },
+        size: 2,
+        page: 0,
+        context: 'tree',
+        parent: ''
+      }
+    })
+  })
+
+  it('should load the children of a record on first expand', async () => {
+    mockLevels(categories())
+    const { nodes, load, toggle } = useCRUD6Tree('categories', config)
+    await load()
+
+    await toggle(nodes.value[0].row!)
+    expect(mockedAxios.get).toHaveBeenLastCalledWith('/api/crud6/categories', expect.objectContaining({
+      params: expect.objectContaining({ parent: '1' })
+    }))
+    expect(nodes.value.map(node => [node.key, node.depth])).toEqual([
+      ['1', 0],
+      ['3', 1],
+      ['4', 1],
+      ['2', 0]
+    ])
+
+    // Collapsing and expanding again reuses the loaded children
+    const requests = mockedAxios.get.mock.calls.length
+    await toggle(nodes.value[0].row!)
+    expect(nodes.value.map(node => node.key)).toEqual(['1', '2'])
+    await toggle(nodes.value[0].row!)
+    expect(mockedAxios.get).toHaveBeenCalledTimes(requests)
+  })
+
+  it('should add a load more entry to levels with more children', async () => {
+    mockLevels({ '': [{ id: 1 }, { id: 2 }, { id: 3 }] })
+    const { nodes, load, loadMore } = useCRUD6Tree('categories', config)
+    await load()
+
+    expect(nodes.value.map(node => node.key)).toEqual(['1', '2', 'more:'])
+    expect(nodes.value[2].remaining).toBe(1)
+
+    await loadMore('')
+    expect(nodes.value.map(node => node.key)).toEqual(['1', '2', '3'])
+  })
+
+  it('should refuse moves under the record itself or its descendants', async () => {
+    mockLevels(categories())
+    const { nodes, load, toggle, canMove } = useCRUD6Tree('categories', config)
+    await load()
+    await toggle(nodes.value[0].row!)
+    await toggle(nodes.value[1].row!)
+
+    const root = nodes.value[0].row!
+    expect(canMove(root, '1')).toBe(false)
+    expect(canMove(root, '3')).toBe(false)
+    expect(canMove(root, '5')).toBe(false)
+    expect(canMove(root, '')).toBe(false)
+    expect(canMove(root, '2')).toBe(true)
+    expect(canMove(nodes.value[2].row!, '')).toBe(true)
+  })
+
+  it('should move a record and save its parent through the field update endpoint', async () => {
+    mockLevels(categories())
+    mockedAxios.put.mockResolvedValue({ data: {} })
+    const { levels, nodes, load, toggle, move } = useCRUD6Tree('categories', config)
+    await load()
+    await toggle(nodes.value[0].row!)
+
+    const row = levels.value['1'].rows[1]
+    const moved = await move(row, '')
+
+    expect(moved).toBe(true)
+    expect(mockedAxios.put).toHaveBeenCalledWith('/api/crud6/categories/4/parent_id', { parent_id: null })
+    expect(levels.value['1'].rows.map(child => child.id)).toEqual([3])
+    expect(levels.value[''].rows.map(child => child.id)).toEqual([4, 1, 2])
+    expect(levels.value[''].rows[1].children_count).toBe(1)
+    expect(row.parent_id).toBeNull()
+  })
+
+  it('should put the record back when the update fails', async () => {
+    mockLevels(categories())
+    mockedAxios.put.mockRejectedValue({ response: { data: { title: 'Validation error' } } })
+    const { levels, nodes, load, toggle, move } = useCRUD6Tree('categories', config)
+    await load()
+    await toggle(nodes.value[0].row!)
+
+    const row = levels.value['1'].rows[0]
+    const moved = await move(row, '2')
+
+    expect(moved).toBe(false)
+    expect(levels.value['1'].rows.map(child => child.id)).toEqual([3, 4])
+    expect(levels.value['1'].count).toBe(2)
+    expect(levels.value[''].rows.map(child => child.children_count)).toEqual([2, 0])
+    expect(row.parent_id).toBe(1)
+  })
+
+  it('should key records by their ID as a string', () => {
+    expect(getTreeKey(12)).toBe('12')
+    expect(getTreeKey(null)).toBe('')
+    expect(getTreeKey(undefined)).toBe('')
+  })
+})
@@ -15,6 +15,8 @@
  */
 
 import { describe, it, expect } from 'vitest'
+import { ref } from 'vue'
+import { useRegle } from '@regle/core'
 import { convertCRUD6ToRegleRules, useCRUD6RegleAdapter } from '../composables/useCRUD6ValidationAdapter'
 import type { CRUD6Schema } from '../composables/useCRUD6Schema'
 
@@ -257,6 +259,45 @@ describe('useCRUD6ValidationAdapter', () => {
     })
   })
 
+  describe('Field conditions', () => {
+    const schema: CRUD6Schema = {
+      model: 'customers',
+      title: 'Customers',
+      table: 'customers',
+      primary_key: 'id',
+      fields: {
+        customer_type: {
+          type: 'string',
+          label: 'Customer type'
+        },
+        company_name: {
+          type: 'string',
+          label: 'Company name',
+          visible_when: { customer_type: 'business' },
+          required_when: { customer_type: 'business' },
+          validation: { length: { min: 3 } }
+        }
+      }
+    }
+
+    it('should only validate a conditional field while its conditions match', async () => {
+      const formData = ref<Record<string, any>>({ customer_type: 'person', company_name: 'A' })
+      const { r$ } = useRegle(formData, convertCRUD6ToRegleRules(schema, () => formData.value))
+
+      expect((await r$.$validate()).valid).toBe(true)
+
+      formData.value.customer_type = 'business'
+      expect((await r$.$validate()).valid).toBe(false)
+
+      formData.value.company_name = ''
+      expect((await r$.$validate()).valid).toBe(false)
+      expect((r$.$errors as any).company_name).toContain('Company name is required')
+
+      formData.value.company_name = 'Acme'
+      expect((await r$.$validate()).valid).toBe(true)
+    })
+  })
+
   describe('Validation without YAML imports', () => {
     it('should not import or reference UserFrosting YAML files', () => {
       // This test verifies that the adapter works independently
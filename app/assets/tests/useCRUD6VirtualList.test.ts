@@ -0,0 +1,112 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * Virtual List Composable Tests
+ *
+ * Unit tests for the rendered range, fetching pages on scroll and the memory
+ * bound of useCRUD6VirtualList
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import axios from 'axios'
+import { useCRUD6VirtualList, getVirtualRange, VIRTUAL_LIST_MAX_PAGES } from '../composables/useCRUD6VirtualList'
+
+vi.mock('axios')
+const mockedAxios = vi.mocked(axios, true)
+
+// Sprunje with `total` rows numbered from 0
+function mockRows(total: number) {
+  mockedAxios.get.mockImplementation(async (_url: string, options?: any) => {
+    const { page, size } = options.params
+    const rows = Array.from({ length: Math.max(0, Math.min(size, total - page * size)) }, (_, index) => ({ id: page * size + index }))
+    return { data: { rows, count: total, count_filtered: total } }
+  })
+}
+
+function requestedPages(): number[] {
+  return mockedAxios.get.mock.calls.map(([, options]: any[]) => options.params.page)
+}
+
+describe('useCRUD6VirtualList', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should render the visible rows and the overscan around them', () => {
+    expect(getVirtualRange(0, 400, 40, 1000, 5)).toEqual({ start: 0, end: 15 })
+    expect(getVirtualRange(4000, 400, 40, 1000, 5)).toEqual({ start: 95, end: 115 })
+    expect(getVirtualRange(39800, 400, 40, 1000, 5)).toEqual({ start: 990, end: 1000 })
+    expect(getVirtualRange(0, 400, 40, 0, 5)).toEqual({ start: 0, end: 0 })
+  })
+
+  it('should size the list with count_filtered and fetch the pages of the rendered rows', async () => {
+    mockRows(250000)
+    const { count, rows, reset, setRange } = useCRUD6VirtualList('orders', { page_size: 50 })
+
+    await reset({ search: 'smith' }, { created_at: 'desc' })
+    expect(count.value).toBe(250000)
+    expect(mockedAxios.get).toHaveBeenCalledWith('/api/crud6/orders', {
+      params: { filters: { search: 'smith' }, sorts: { created_at: 'desc' }, size: 50, page: 0, context: 'scroll' }
+    })
+
+    await setRange(1990, 2030)
+    expect(requestedPages()).toEqual([0, 39, 40])
+    expect(rows.value).toHaveLength(40)
+    expect(rows.value[0]).toEqual({ index: 1990, row: { id: 1990 } })
+    expect(rows.value[39]).toEqual({ index: 2029, row: { id: 2029 } })
+
+    // Pages already loaded are not fetched again
+    await setRange(1995, 2035)
+    expect(requestedPages()).toEqual([0, 39, 40])
+  })
+
+  it('should keep a bounded number of pages in memory', async () => {
+    mockRows(10000)
+    const { pages, reset, setRange } = useCRUD6VirtualList('orders', { page_size: 100 })
+    await reset()
+
+    for (let page = 1; page <= 10; page++) {
+      await setRange(page * 100, page * 100 + 50)
+    }
+    expect(Object.keys(pages.value)).toHaveLength(VIRTUAL_LIST_MAX_PAGES)
+    expect(pages.value[10]).toBeDefined()
+    expect(pages.value[0]).toBeUndefined()
+
+    // Scrolling back fetches the dropped page again
+    await setRange(0, 50)
+    expect(requestedPages().filter(page => page === 0)).toHaveLength(2)
+  })
+
+  it('should fetch the rendered rows again when the list is reloaded', async () => {
+    mockRows(1000)
+    const { rows, reset, setRange } = useCRUD6VirtualList('orders', { page_size: 100 })
+    await reset()
+    await setRange(500, 520)
+
+    vi.clearAllMocks()
+    await reset({ status: 'open' })
+
+    expect(requestedPages()).toEqual([0, 5])
+    expect(mockedAxios.get).toHaveBeenLastCalledWith('/api/crud6/orders', {
+      params: { filters: { status: 'open' }, sorts: {}, size: 100, page: 5, context: 'scroll' }
+    })
+    expect(rows.value[0]).toEqual({ index: 500, row: { id: 500 } })
+  })
+
+  it('should leave rows of pages still loading empty', async () => {
+    mockRows(1000)
+    const { rows, reset, setRange } = useCRUD6VirtualList('orders', { page_size: 100 })
+    await reset()
+
+    const loading = setRange(300, 310)
+    expect(rows.value[0]).toEqual({ index: 300, row: undefined })
+    await loading
+    expect(rows.value[0]).toEqual({ index: 300, row: { id: 300 } })
+  })
+})
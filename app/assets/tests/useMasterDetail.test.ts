@@ -157,6 +157,54 @@ describe('useMasterDetail', () => {
       expect(mockedAxios.delete).toHaveBeenCalledTimes(1)
     })
 
+    it('should patch only the changed master fields, or skip an unchanged master', async () => {
+      // Arrange
+      const { saveMasterWithDetails } = useMasterDetail('orders', 'order_details', 'order_id')
+
+      const detailRecords: DetailRecord[] = [
+        { id: 3, line_number: 1, sku: 'PROD-001', _action: 'delete' }
+      ]
+
+      mockedAxios.patch.mockResolvedValueOnce({ status: 200, data: { success: true } })
+      mockedAxios.delete.mockResolvedValue({ status: 200, data: { success: true } })
+
+      // Act
+      await saveMasterWithDetails(123, { customer_name: 'Jane Doe' }, detailRecords, { partial: true })
+      const result = await saveMasterWithDetails(123, {}, detailRecords, { partial: true })
+
+      // Assert
+      expect(mockedAxios.patch).toHaveBeenCalledTimes(1)
+      expect(mockedAxios.patch).toHaveBeenCalledWith('/api/crud6/orders/123', { customer_name: 'Jane Doe' })
+      expect(mockedAxios.put).not.toHaveBeenCalled()
+      expect(result.master_id).toBe(123)
+      expect(result.details_deleted).toBe(1)
+    })
+
+    it('should send the master version, and stop on a conflict before the details', async () => {
+      // Arrange
+      const { saveMasterWithDetails, apiError } = useMasterDetail('orders', 'order_details', 'order_id')
+
+      const detailRecords: DetailRecord[] = [
+        { id: 3, line_number: 1, sku: 'PROD-001', _action: 'delete' }
+      ]
+      const conflict = {
+        title: 'CRUD6.CONFLICT.TITLE',
+        description: 'CRUD6.CONFLICT.DESCRIPTION',
+        status: 409,
+        current: { id: 123, customer_name: 'Joe', updated_at: '2026-10-19 10:00:00' }
+      }
+
+      mockedAxios.patch.mockRejectedValueOnce({ response: { status: 409, data: conflict } })
+
+      // Act & Assert - an unchanged master is still checked against its version
+      await expect(
+        saveMasterWithDetails(123, {}, detailRecords, { partial: true, version: '2026-10-19 09:00:00' })
+      ).rejects.toMatchObject({ status: 409 })
+      expect(mockedAxios.patch).toHaveBeenCalledWith('/api/crud6/orders/123', { _version: '2026-10-19 09:00:00' })
+      expect(mockedAxios.delete).not.toHaveBeenCalled()
+      expect(apiError.value).toEqual(conflict)
+    })
+
     it('should handle errors gracefully', async () => {
       // Arrange
       const { saveMasterWithDetails } = useMasterDetail('orders', 'order_details', 'order_id')
@@ -38,7 +38,8 @@ vi.mock('../../composables/useCRUD6Schema', () => ({
     loading: { value: false },
     error: { value: null },
     loadSchema: vi.fn(() => Promise.resolve()),
-    hasPermission: vi.fn(() => true)
+    hasPermission: vi.fn(() => true),
+    hasActionPermission: vi.fn(() => true)
   })
 }))
 
@@ -0,0 +1,270 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CRUD6 Export Formats
+ *
+ * Builds CSV, JSON and XLSX files from a header row and value rows. XLSX is
+ * written directly (a single-sheet workbook in an uncompressed ZIP) so the
+ * sprinkle does not need a spreadsheet library.
+ */
+
+/**
+ * Supported export formats
+ */
+export type ExportFormat = 'csv' | 'xlsx' | 'json';
+
+/**
+ * Exported cell value: numbers stay numbers in XLSX and JSON
+ */
+export type ExportValue = string | number;
+
+/**
+ * Export column
+ */
+export interface ExportColumn {
+    key: string;
+    label: string;
+}
+
+/**
+ * MIME type and file extension of each format
+ */
+export const EXPORT_FORMATS: Record<ExportFormat, { mime: string; extension: string }> = {
+    csv: { mime: 'text/csv;charset=utf-8', extension: 'csv' },
+    xlsx: { mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { mime: 'application/json;charset=utf-8', extension: 'json' },
+};
+
+function escapeCsv(value: ExportValue): string {
+    // Text that spreadsheets would run as a formula is prefixed with a quote
+    const text = typeof value === 'string' && /^(?:[=+@\t\r]|-(?!\d))/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file (RFC 4180, with a BOM so Excel detects UTF-8)
+ */
+export function toCsv(columns: ExportColumn[], rows: ExportValue[][]): string {
+    const lines = [columns.map(column => escapeCsv(column.label)), ...rows.map(row => row.map(escapeCsv))];
+    return '\uFEFF' + lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a JSON file: an array of objects keyed by field name
+ */
+export function toJson(columns: ExportColumn[], rows: ExportValue[][]): string {
+    const records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column.key, row[index]])));
+    return JSON.stringify(records, null, 2);
+}
+
+function escapeXml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Spreadsheet column name of a zero based index (0 => A, 26 => AA)
+ */
+export function getColumnName(index: number): string {
+    let name = '';
+    for (let current = index + 1; current > 0; current = Math.floor((current - 1) / 26)) {
+        name = String.fromCharCode(65 + ((current - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function toSheetXml(columns: ExportColumn[], rows: ExportValue[][]): string {
+    const cell = (value: ExportValue, ref: string, style = '') => typeof value === 'number' && Number.isFinite(value)
+        ? `<c r="${ref}"${style}><v>${value}</v></c>`
+        : `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+
+    const header = columns.map((column, index) => cell(column.label, `${getColumnName(index)}1`, ' s="1"')).join('');
+    const body = rows.map((row, rowIndex) => {
+        const cells = row
+            .map((value, index) => (value === '' ? '' : cell(value, `${getColumnName(index)}${rowIndex + 2}`)))
+            .join('');
+        return `<row r="${rowIndex + 2}">${cells}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData><row r="1">${header}</row>${body.join('')}</sheetData>`
+        + '</worksheet>';
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum (as used by ZIP)
+ */
+export function crc32(data: Uint8Array): number {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 1980-01-01, the earliest date a ZIP entry can carry
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Build a ZIP archive with uncompressed ("stored") entries
+ */
+export function createZip(files: { name: string; content: string }[]): Uint8Array {
+    const encoder = new TextEncoder();
+    const parts: Uint8Array[] = [];
+    const central: Uint8Array[] = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(12, DOS_DATE, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        parts.push(new Uint8Array(local.buffer), name, data);
+
+        // Central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, DOS_DATE, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const chunks = [...parts, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+    let position = 0;
+    for (const chunk of chunks) {
+        zip.set(chunk, position);
+        position += chunk.length;
+    }
+    return zip;
+}
+
+/**
+ * Build an XLSX workbook with a single sheet (bold, frozen header row)
+ */
+export function toXlsx(columns: ExportColumn[], rows: ExportValue[][], sheetName = 'Export'): Uint8Array {
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const name = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Export');
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+                + '</styleSheet>',
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: toSheetXml(columns, rows) },
+    ]);
+}
+
+/**
+ * Build the file contents of an export
+ */
+export function buildExportFile(format: ExportFormat, columns: ExportColumn[], rows: ExportValue[][], sheetName?: string): Blob {
+    const content = format === 'xlsx'
+        ? toXlsx(columns, rows, sheetName)
+        : format === 'json' ? toJson(columns, rows) : toCsv(columns, rows);
+    return new Blob([content as BlobPart], { type: EXPORT_FORMATS[format].mime });
+}
+
+/**
+ * Download a file in the browser
+ */
+export function downloadFile(blob: Blob, filename: string): void {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,113 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CRUD6 Field Conditions
+ *
+ * Evaluates the `visible_when`, `required_when` and `disabled_when` field
+ * expressions (and the action `visible_when`) against record or form data.
+ * Conditions map field names to the expected value and are all required to
+ * match; CRUD6 Base::matchesConditions() evaluates them the same way on the
+ * server.
+ *
+ * @example
+ * "company_name": {
+ *     "type": "string",
+ *     "visible_when": { "customer_type": "business" },
+ *     "required_when": { "customer_type": "business" }
+ * }
+ */
+
+/**
+ * Field name → expected value. Booleans also match 0/1 and '0'/'1',
+ * arrays match any of their values.
+ */
+export type FieldConditions = Record<string, any>
+
+interface ConditionalField {
+    required?: boolean
+    validation?: any
+    visible_when?: FieldConditions
+    required_when?: FieldConditions
+    disabled_when?: FieldConditions
+}
+
+function matchesValue(actual: any, expected: any): boolean {
+    if (Array.isArray(expected)) {
+        return expected.some(value => matchesValue(actual, value))
+    }
+
+    // Database booleans may be 0/1, '0'/'1', true/false or null
+    if (typeof expected === 'boolean') {
+        return (actual === 1 || actual === '1' || actual === true) === expected
+    }
+
+    return actual === expected
+}
+
+/**
+ * Check whether data meets every condition (no conditions always match)
+ */
+export function matchesConditions(conditions: FieldConditions | null | undefined, data: Record<string, any> | null | undefined): boolean {
+    if (!conditions) {
+        return true
+    }
+
+    return Object.entries(conditions).every(([field, expected]) => matchesValue(data?.[field], expected))
+}
+
+/**
+ * Check whether a field is shown (`visible_when`)
+ */
+export function isFieldVisible(field: ConditionalField, data: Record<string, any> | null | undefined): boolean {
+    return matchesConditions(field.visible_when, data)
+}
+
+/**
+ * Check whether a field must be filled: `required_when` replaces the static
+ * `required` flag, and hidden fields are never required
+ */
+export function isFieldRequired(field: ConditionalField, data: Record<string, any> | null | undefined): boolean {
+    if (!isFieldVisible(field, data)) {
+        return false
+    }
+
+    if (field.required_when) {
+        return matchesConditions(field.required_when, data)
+    }
+
+    return field.required === true || field.validation?.required === true
+}
+
+/**
+ * Check whether a field is locked by its `disabled_when` conditions
+ */
+export function isFieldDisabledWhen(field: ConditionalField, data: Record<string, any> | null | undefined): boolean {
+    return !!field.disabled_when && matchesConditions(field.disabled_when, data)
+}
+
+/**
+ * Check whether a field takes part in validation and submission: it is
+ * visible and not disabled by its conditions
+ */
+export function isFieldActive(field: ConditionalField, data: Record<string, any> | null | undefined): boolean {
+    return isFieldVisible(field, data) && !isFieldDisabledWhen(field, data)
+}
+
+/**
+ * Remove the values of hidden and conditionally disabled fields from a payload.
+ * Keys that are not schema fields are kept.
+ */
+export function stripInactiveFields<T extends Record<string, any>>(
+    data: T,
+    fields: Record<string, ConditionalField> | null | undefined
+): Partial<T> {
+    return Object.fromEntries(
+        Object.entries(data).filter(([key]) => !fields?.[key] || isFieldActive(fields[key], data))
+    ) as Partial<T>
+}
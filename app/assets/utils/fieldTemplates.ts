@@ -0,0 +1,81 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+import { debugError } from './debug';
+
+/**
+ * CRUD6 Field Templates
+ *
+ * Rendering of `field_template` values (list cells, kanban cards). A template
+ * is either inline HTML, an HTML file or a Vue component of
+ * `templates/crud6/`. HTML templates replace `{{field_name}}` placeholders
+ * with the HTML-escaped record values; Vue templates receive the record as
+ * `rowData`.
+ */
+
+// Import all template files eagerly (HTML templates)
+const templateFiles = import.meta.glob('../templates/crud6/*.html', { as: 'raw', eager: true });
+
+// Import all Vue component templates
+const vueTemplateFiles = import.meta.glob('../templates/crud6/*.vue', { eager: true });
+
+/**
+ * Check if a template is a Vue component
+ */
+export function isVueTemplate(template: string): boolean {
+    return template.endsWith('.vue');
+}
+
+/**
+ * Get the Vue component of a template file (null when not found)
+ */
+export function getVueTemplateComponent(template: string): any {
+    const templatePath = `../templates/crud6/${template}`;
+    return (vueTemplateFiles[templatePath] as any)?.default || null;
+}
+
+function escapeHtml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an HTML template with record data
+ *
+ * @param template - Inline HTML, or an `.html` / `.htm` file of templates/crud6
+ * @param row - Record whose values replace the `{{field_name}}` placeholders,
+ *              escaped so they render as text (the template itself is trusted)
+ * @returns Rendered HTML (empty when the template file does not exist)
+ */
+export function renderFieldTemplate(template: string, row: Record<string, any>): string {
+    if (!template) return '';
+
+    let templateContent = template;
+
+    // Check if template is a file reference (ends with .html or .htm)
+    if (template.endsWith('.html') || template.endsWith('.htm')) {
+        const templatePath = `../templates/crud6/${template}`;
+
+        if (templateFiles[templatePath]) {
+            templateContent = templateFiles[templatePath] as string;
+        } else {
+            debugError(`Template file not found: ${template}`);
+            return '';
+        }
+    }
+
+    // Replace placeholders like {{field_name}} with the escaped values from row
+    return templateContent.replace(/\{\{(\w+)\}\}/g, (match, fieldName) => {
+        const value = row[fieldName];
+        return value !== null && value !== undefined ? escapeHtml(String(value)) : '';
+    });
+}
@@ -0,0 +1,234 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CRUD6 Import Formats
+ *
+ * Reads CSV and XLSX files into a header row and value rows. XLSX files are
+ * unzipped with the browser `DecompressionStream`, so no spreadsheet library
+ * is needed; only the first worksheet is read.
+ */
+
+/**
+ * Imported cell value: XLSX numbers (including date serials) stay numbers
+ */
+export type ImportCell = string | number;
+
+/**
+ * Parsed import file
+ */
+export interface ImportTable {
+    headers: string[];
+    rows: ImportCell[][];
+}
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the CSV delimiter from the first line (comma, semicolon or tab)
+ */
+export function detectDelimiter(text: string): string {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    return DELIMITERS.reduce((best, delimiter) =>
+        firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+    );
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted values, doubled quotes, line breaks in quotes)
+ */
+export function parseCsv(text: string, delimiter = detectDelimiter(text)): string[][] {
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let value = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+async function inflateRaw(data: Uint8Array): Promise<Uint8Array> {
+    const stream = new Blob([data as BlobPart]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read the entries of a ZIP archive (stored or deflated)
+ */
+export async function readZip(bytes: Uint8Array): Promise<Record<string, Uint8Array>> {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory record, searched from the end (it may be followed by a comment)
+    let end = bytes.length - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) {
+        end--;
+    }
+    if (end < 0) {
+        throw new Error('Not a ZIP file');
+    }
+
+    const entries: Record<string, Uint8Array> = {};
+    const count = view.getUint16(end + 10, true);
+    const decoder = new TextDecoder();
+    let position = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(position + 10, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+        const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = bytes.subarray(start, start + size);
+        entries[name] = method === 8 ? await inflateRaw(data) : data;
+
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+function parseXml(bytes: Uint8Array | undefined): Document | null {
+    return bytes ? new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml') : null;
+}
+
+// Matched on the local name, so prefixed (x:row) and unprefixed elements are both found
+function elements(parent: Document | Element | null, name: string): Element[] {
+    return parent ? Array.from(parent.getElementsByTagName('*')).filter(element => element.localName === name) : [];
+}
+
+/**
+ * Zero based column index of a cell reference (B3 => 1)
+ */
+export function getColumnIndex(ref: string): number {
+    const letters = ref.replace(/\d+$/, '').toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Parse the first worksheet of an XLSX workbook into rows
+ */
+export async function parseXlsx(bytes: Uint8Array): Promise<ImportCell[][]> {
+    const files = await readZip(bytes);
+
+    // First sheet of the workbook, through the workbook relationships
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const sheet = elements(parseXml(files['xl/workbook.xml']), 'sheet')[0];
+    const relationId = sheet?.getAttribute('r:id');
+    const relation = elements(parseXml(files['xl/_rels/workbook.xml.rels']), 'Relationship')
+        .find(item => item.getAttribute('Id') === relationId);
+    if (relation) {
+        const target = relation.getAttribute('Target') || '';
+        sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+
+    const sharedStrings = elements(parseXml(files['xl/sharedStrings.xml']), 'si')
+        .map(item => elements(item, 't').map(text => text.textContent || '').join(''));
+
+    const sheetXml = parseXml(files[sheetPath]);
+    if (!sheetXml) {
+        throw new Error('The workbook has no worksheet');
+    }
+
+    return elements(sheetXml, 'row').map((rowElement) => {
+        const row: ImportCell[] = [];
+
+        elements(rowElement, 'c').forEach((cell, position) => {
+            const ref = cell.getAttribute('r');
+            const index = ref ? getColumnIndex(ref) : position;
+            const type = cell.getAttribute('t');
+            const raw = elements(cell, 'v')[0]?.textContent ?? '';
+
+            let value: ImportCell;
+            if (type === 's') {
+                value = sharedStrings[Number(raw)] ?? '';
+            } else if (type === 'inlineStr') {
+                value = elements(cell, 't').map(text => text.textContent || '').join('');
+            } else if (type === 'b') {
+                value = raw === '1' ? 'true' : 'false';
+            } else if (type === 'str' || type === 'e' || raw === '' || !Number.isFinite(Number(raw))) {
+                value = raw;
+            } else {
+                value = Number(raw);
+            }
+
+            while (row.length < index) {
+                row.push('');
+            }
+            row[index] = value;
+        });
+
+        return row;
+    });
+}
+
+/**
+ * Convert an Excel date serial number to a `Date` (UTC)
+ */
+export function excelSerialToDate(serial: number): Date {
+    // Serial 25569 is 1970-01-01 (Excel counts from 1899-12-30)
+    return new Date(Math.round((serial - 25569) * 86400 * 1000));
+}
+
+/**
+ * Read an uploaded CSV or XLSX file: the first non-empty row is the header
+ */
+export async function readImportFile(file: File): Promise<ImportTable> {
+    const isXlsx = /\.xlsx$/i.test(file.name)
+        || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    const rows: ImportCell[][] = isXlsx
+        ? await parseXlsx(new Uint8Array(await file.arrayBuffer()))
+        : parseCsv(await file.text());
+
+    const isEmpty = (row: ImportCell[]) => row.every(cell => String(cell).trim() === '');
+    const [header = [], ...data] = rows.filter(row => !isEmpty(row));
+
+    return {
+        headers: header.map(cell => String(cell).trim()),
+        rows: data,
+    };
+}
@@ -14,3 +14,10 @@ export * from './apiClient';
 export * from './debug';
 export * from './fieldTypes';
 export * from './actionInference';
+export * from './schemaCache';
+export * from './schemaBroadcast';
+export * from './searchHighlight';
+export * from './exportFormats';
+export * from './importFormats';
+export * from './fieldTemplates';
+export * from './fieldConditions';
@@ -0,0 +1,90 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CRUD6 Schema Broadcast Channel
+ *
+ * Thin wrapper around BroadcastChannel used by the schema store to share
+ * invalidations and freshly fetched schemas between tabs of the same origin.
+ *
+ * When BroadcastChannel is not available (older browsers, SSR, tests) the
+ * returned channel is a no-op, so callers never need to feature-detect.
+ */
+
+import { debugLog, debugWarn } from './debug';
+
+/**
+ * Name of the BroadcastChannel shared by all tabs
+ */
+export const SCHEMA_CHANNEL_NAME = 'crud6-schemas';
+
+/**
+ * Messages exchanged between tabs
+ *
+ * - `updated`: a tab fetched a fresh schema from the API
+ * - `invalidated`: a tab cleared one schema (or all contexts of a model when context is omitted)
+ * - `cleared`: a tab cleared every cached schema
+ */
+export type SchemaBroadcastMessage =
+    | { type: 'updated'; sender: string; model: string; cacheKey: string; schema: any }
+    | { type: 'invalidated'; sender: string; model: string; cacheKey?: string }
+    | { type: 'cleared'; sender: string };
+
+/**
+ * Schema channel handle
+ */
+export interface SchemaChannel {
+    /** Unique id of this tab's channel, used to ignore our own messages */
+    readonly id: string;
+    /** Post a message to the other tabs (sender is filled in automatically) */
+    post(message: DistributiveOmit<SchemaBroadcastMessage, 'sender'>): void;
+    /** Close the channel */
+    close(): void;
+}
+
+type DistributiveOmit<T, K extends keyof any> = T extends any ? Omit<T, K> : never;
+
+/**
+ * Open the schema channel
+ *
+ * @param onMessage Called for every message posted by another tab
+ */
+export function createSchemaChannel(onMessage: (message: SchemaBroadcastMessage) => void): SchemaChannel {
+    const id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+    if (typeof BroadcastChannel === 'undefined') {
+        debugLog('[schemaBroadcast] BroadcastChannel unavailable - cross-tab schema sync disabled');
+        return { id, post: () => {}, close: () => {} };
+    }
+
+    const channel = new BroadcastChannel(SCHEMA_CHANNEL_NAME);
+    channel.onmessage = (event: MessageEvent<SchemaBroadcastMessage>) => {
+        if (!event.data || event.data.sender === id) {
+            return;
+        }
+        onMessage(event.data);
+    };
+
+    // Node (tests) keeps the process alive while a channel is open
+    (channel as any).unref?.();
+
+    return {
+        id,
+        post(message) {
+            try {
+                // Structured clone rejects reactive proxies, so send a plain JSON copy
+                channel.postMessage(JSON.parse(JSON.stringify({ ...message, sender: id })));
+            } catch (error) {
+                debugWarn('[schemaBroadcast] Failed to broadcast schema message', message.type, error);
+            }
+        },
+        close() {
+            channel.close();
+        }
+    };
+}
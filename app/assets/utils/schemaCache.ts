@@ -0,0 +1,206 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CRUD6 Persistent Schema Cache
+ *
+ * Persists raw schema API responses across page reloads so the schema store
+ * can revalidate them with `If-None-Match` instead of downloading them again.
+ *
+ * Storage Strategy:
+ * - IndexedDB (`crud6-schema-cache` database) when available
+ * - localStorage (`crud6-schema:` key prefix) as a fallback
+ * - Entries are keyed by the schema store cache key (`${model}:${context || 'full'}`)
+ *
+ * All functions fail silently: a broken or full storage backend only
+ * means the schema is fetched from the API as before.
+ */
+
+import { debugWarn } from './debug';
+
+/**
+ * Persisted schema entry
+ */
+export interface PersistedSchemaEntry {
+    /** ETag returned by the schema endpoint (used for If-None-Match) */
+    etag: string | null;
+    /** Raw response body of the schema endpoint */
+    data: any;
+    /** Timestamp (ms) when the entry was written */
+    storedAt: number;
+}
+
+const DB_NAME = 'crud6-schema-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'schemas';
+const LOCAL_STORAGE_PREFIX = 'crud6-schema:';
+
+/**
+ * Lazily opened IndexedDB connection (null when IndexedDB is unavailable)
+ */
+let dbPromise: Promise<IDBDatabase | null> | null = null;
+
+/**
+ * Open (once) the IndexedDB database used for schema persistence
+ */
+function openDatabase(): Promise<IDBDatabase | null> {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                    request.result.createObjectStore(STORE_NAME);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                debugWarn('[schemaCache] IndexedDB unavailable, falling back to localStorage', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        } catch (error) {
+            debugWarn('[schemaCache] IndexedDB open failed, falling back to localStorage', error);
+            resolve(null);
+        }
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against the schema object store
+ */
+async function withStore<T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+    const db = await openDatabase();
+    if (!db) {
+        throw new Error('IndexedDB unavailable');
+    }
+
+    return new Promise<T>((resolve, reject) => {
+        const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Check whether localStorage can be used
+ */
+function hasLocalStorage(): boolean {
+    try {
+        return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Read a persisted schema entry
+ *
+ * @param key Schema store cache key
+ * @returns The persisted entry, or null when nothing usable is stored
+ */
+export async function readPersistedSchema(key: string): Promise<PersistedSchemaEntry | null> {
+    try {
+        const entry = await withStore<PersistedSchemaEntry | undefined>('readonly', (store) => store.get(key));
+        return entry ?? null;
+    } catch {
+        // Fall through to localStorage
+    }
+
+    if (!hasLocalStorage()) {
+        return null;
+    }
+
+    try {
+        const raw = localStorage.getItem(LOCAL_STORAGE_PREFIX + key);
+        return raw ? JSON.parse(raw) as PersistedSchemaEntry : null;
+    } catch (error) {
+        debugWarn('[schemaCache] Failed to read persisted schema', key, error);
+        return null;
+    }
+}
+
+/**
+ * Persist a schema entry
+ *
+ * @param key   Schema store cache key
+ * @param entry Entry to store (raw response body plus ETag)
+ */
+export async function writePersistedSchema(key: string, entry: PersistedSchemaEntry): Promise<void> {
+    try {
+        // Structured clone rejects reactive proxies, so store a plain JSON copy
+        const plainEntry = JSON.parse(JSON.stringify(entry));
+        await withStore('readwrite', (store) => store.put(plainEntry, key));
+        return;
+    } catch {
+        // Fall through to localStorage
+    }
+
+    if (!hasLocalStorage()) {
+        return;
+    }
+
+    try {
+        localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (error) {
+        // Most likely a quota error - the schema will simply be fetched next time
+        debugWarn('[schemaCache] Failed to persist schema', key, error);
+    }
+}
+
+/**
+ * Remove a persisted schema entry
+ *
+ * @param key Schema store cache key
+ */
+export async function deletePersistedSchema(key: string): Promise<void> {
+    try {
+        await withStore('readwrite', (store) => store.delete(key));
+    } catch {
+        // IndexedDB unavailable - localStorage cleanup below still applies
+    }
+
+    if (hasLocalStorage()) {
+        try {
+            localStorage.removeItem(LOCAL_STORAGE_PREFIX + key);
+        } catch {
+            // Ignore storage errors
+        }
+    }
+}
+
+/**
+ * Remove all persisted schema entries
+ */
+export async function clearPersistedSchemas(): Promise<void> {
+    try {
+        await withStore('readwrite', (store) => store.clear());
+    } catch {
+        // IndexedDB unavailable - localStorage cleanup below still applies
+    }
+
+    if (hasLocalStorage()) {
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(LOCAL_STORAGE_PREFIX))
+                .forEach(key => localStorage.removeItem(key));
+        } catch {
+            // Ignore storage errors
+        }
+    }
+}
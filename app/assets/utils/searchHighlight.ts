@@ -0,0 +1,69 @@
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+/**
+ * CRUD6 Search Highlighting
+ *
+ * Splits text into matched / unmatched segments for the words of a global
+ * search term, the same way CRUD6Sprunje splits the term (on whitespace,
+ * case-insensitive "contains" per word). Rendering segments instead of HTML
+ * keeps record values escaped.
+ */
+
+/**
+ * Part of a text, flagged when it matches a search word
+ */
+export interface HighlightSegment {
+    text: string;
+    match: boolean;
+}
+
+/**
+ * Split a search term into words
+ */
+export function getSearchTerms(search?: string | null): string[] {
+    return (search || '').trim().split(/\s+/).filter(term => term !== '');
+}
+
+function escapeRegExp(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split text into segments, flagging the fragments that match a search word
+ *
+ * @example
+ * splitHighlight('Ann Smith', 'smi')
+ * // [{ text: 'Ann ', match: false }, { text: 'Smi', match: true }, { text: 'th', match: false }]
+ */
+export function splitHighlight(text: unknown, search?: string | null): HighlightSegment[] {
+    const value = text === null || text === undefined ? '' : String(text);
+    const terms = getSearchTerms(search);
+
+    if (value === '' || terms.length === 0) {
+        return value === '' ? [] : [{ text: value, match: false }];
+    }
+
+    // Longest words first so "smith" wins over "s"
+    const sorted = [...terms].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`(${sorted.map(escapeRegExp).join('|')})`, 'gi');
+    const lowerTerms = new Set(terms.map(term => term.toLowerCase()));
+
+    // split() with a capture group keeps the matched fragments as separate parts
+    return value
+        .split(pattern)
+        .filter(part => part !== '')
+        .map(part => ({ text: part, match: lowerTerms.has(part.toLowerCase()) }));
+}
+
+/**
+ * Check if a value contains any word of the search term
+ */
+export function matchesSearch(text: unknown, search?: string | null): boolean {
+    return splitHighlight(text, search).some(segment => segment.match);
+}
@@ -107,6 +107,174 @@ return array (
     array (
       'SUCCESS' => 'Retrieved {{model}} schema successfully',
     ),
+    'BULK' => 
+    array (
+      'CLEAR' => 'Clear selection',
+      'CONFIRM' => 'Run "{{action}}" on {{count}} selected records?',
+      'RUNNING' => 'Processing {{done}} of {{total}}...',
+      'SELECT_ALL' => 'Select all {{count}} records',
+      'SELECT_PAGE' => 'Select all rows on this page',
+      'SELECT_ROW' => 'Select row',
+      'SELECTED' => '{{count}} selected',
+      'SET_VALUE' => 'Set {{field}} to {{value}}',
+      'SUMMARY' => '{{succeeded}} succeeded, {{failed}} failed',
+      'TOO_MANY' => '{{count}} records match the filters; select all is limited to {{max}}. Narrow the filters first.',
+    ),
+    'EXPORT' => 
+    array (
+      'CSV' => 'CSV (.csv)',
+      'FAILED' => 'Export failed: {{message}}',
+      'JSON' => 'JSON (.json)',
+      'LABEL' => 'Export',
+      'RUNNING' => 'Exporting {{done}} of {{total}} records...',
+      'XLSX' => 'Excel (.xlsx)',
+    ),
+    'IMPORT' => 
+    array (
+      'ANOTHER' => 'Import another file',
+      'BACK' => 'Back',
+      'COLUMN' => 'Column',
+      'DONE' => 'Done',
+      'DOWNLOAD_ERRORS' => 'Download error report',
+      'EMPTY_FILE' => 'The file has no header row',
+      'ERRORS' => 'Errors',
+      'FAILED_ROW' => 'The record could not be created',
+      'FIELD' => 'Field',
+      'FILE_HELP' => 'Choose a CSV or Excel (.xlsx) file. The first row must contain the column names.',
+      'LABEL' => 'Import',
+      'LINE' => 'Line',
+      'MAP_HELP' => '{{rows}} rows found. Choose the field each column is imported into.',
+      'MORE_ERRORS' => '... and {{count}} more rows with errors (see the error report)',
+      'NEXT' => 'Next',
+      'READ_FAILED' => 'The file could not be read: {{message}}',
+      'RUN' => 'Import {{count}} valid rows',
+      'RUNNING' => 'Importing {{done}} of {{total}}...',
+      'SAMPLE' => 'Sample',
+      'SKIP' => 'Do not import',
+      'SUMMARY' => '{{created}} created, {{failed}} failed, {{skipped}} skipped (invalid)',
+      'TITLE' => 'Import {{model}}',
+      'UNMAPPED_REQUIRED' => 'Required fields without a column: {{fields}}',
+      'VALIDATION_SUMMARY' => '{{valid}} rows are valid, {{invalid}} rows have errors and will be skipped.',
+    ),
+    'INLINE' => 
+    array (
+      'HINT' => 'Double-click to edit',
+    ),
+    'KANBAN' => 
+    array (
+      'EMPTY' => 'No records',
+      'LABEL' => 'Board',
+      'LOAD_MORE' => 'Show {{count}} more',
+      'MOVED' => 'Card moved.',
+      'SEARCH' => 'Search',
+      'TABLE' => 'Table',
+    ),
+    'CALENDAR' => 
+    array (
+      'DAY' => 'Day',
+      'LABEL' => 'Calendar',
+      'MONTH' => 'Month',
+      'TODAY' => 'Today',
+      'WEEK' => 'Week',
+    ),
+    'SCROLL' => 
+    array (
+      'COUNT' => '{{count}} records',
+      'LABEL' => 'Scroll',
+    ),
+    'AGGREGATE' => 
+    array (
+      'AVG' => 'Average',
+      'COUNT' => 'Count',
+      'MAX' => 'Max',
+      'MIN' => 'Min',
+      'RECORDS' => '{{count}} records',
+      'SUM' => 'Sum',
+      'TOTALS' => 'Totals',
+    ),
+    'TREE' => 
+    array (
+      'COLLAPSE' => 'Collapse',
+      'CYCLE' => 'A record can\'t be moved under itself or one of its descendants',
+      'EMPTY' => 'No records found',
+      'EXPAND' => 'Expand',
+      'LABEL' => 'Tree',
+      'LOAD_MORE' => 'Show {{count}} more',
+      'MOVE_TO_ROOT' => 'Drop here to move to the top level',
+    ),
+    'GRID' => 
+    array (
+      'ASC' => 'Ascending',
+      'DESC' => 'Descending',
+      'EMPTY' => 'No records found',
+      'LABEL' => 'Cards',
+      'SORT' => 'Sort by',
+      'UNSORTED' => 'Default order',
+      'VIEW' => 'View',
+    ),
+    'WIZARD' => 
+    array (
+      'BACK' => 'Back',
+      'EDIT' => 'Edit',
+      'NEXT' => 'Next',
+      'NO' => 'No',
+      'REVIEW' => 'Review',
+      'REVIEW_HELP' => 'Check the values below before saving.',
+      'STEP' => 'Step {{current}} of {{total}}',
+      'YES' => 'Yes',
+    ),
+    'LAYOUT' => 
+    array (
+      'COLLAPSE' => 'Collapse',
+      'EXPAND' => 'Expand',
+    ),
+    'DRAFT' => 
+    array (
+      'DISCARD' => 'Discard',
+      'FOUND' => 'You have unsaved changes from {{date}}.',
+      'RESTORE' => 'Restore draft',
+    ),
+    'DIRTY' => 
+    array (
+      'CONFIRM_CLOSE' => 'You have unsaved changes. Close the form and discard them?',
+      'CONFIRM_LEAVE' => 'You have unsaved changes. Leave this page and discard them?',
+      'UNSAVED' => 'Unsaved changes',
+    ),
+    'CONFLICT' => 
+    array (
+      'APPLY' => 'Save with these values',
+      'BOTH_CHANGED' => 'Changed on both sides',
+      'DESCRIPTION' => 'This {{model}} was changed by someone else since you loaded it.',
+      'HELP' => 'Pick the value to keep for each field that differs, then save again.',
+      'ORIGINAL' => 'Original',
+      'THEIRS' => 'Theirs',
+      'TITLE' => 'Edit conflict',
+      'YOURS' => 'Yours',
+    ),
+    'VIEWS' => 
+    array (
+      'COLUMNS' => 'Columns',
+      'COLUMNS_HELP' => 'Drag to reorder the columns.',
+      'DELETE' => 'Delete view',
+      'EMPTY' => 'No saved views yet',
+      'LABEL' => 'Views',
+      'NAME' => 'View name',
+      'RESET_COLUMNS' => 'Show all columns',
+      'SAVE' => 'Save',
+      'SAVE_HELP' => 'Saves the columns, sort, filters and page size.',
+      'SET_DEFAULT' => 'Open the list with this view',
+      'UNSET_DEFAULT' => 'Stop opening the list with this view',
+    ),
+    'FILTER' => 
+    array (
+      'ANY' => 'Any',
+      'CLEAR' => 'Clear filters',
+      'CONTAINS' => 'Contains...',
+      'FROM' => 'From',
+      'TO' => 'To',
+      'YES' => 'Yes',
+      'NO' => 'No',
+    ),
     'USERS' => 
     array (
       1 => 'Users',
@@ -96,5 +96,173 @@ return [
         'API' => [
             'SUCCESS' => 'Schéma de {{model}} récupéré avec succès',
         ],
+
+        'BULK' => [
+            'CLEAR'       => 'Effacer la sélection',
+            'CONFIRM'     => 'Exécuter « {{action}} » sur {{count}} enregistrements sélectionnés ?',
+            'RUNNING'     => 'Traitement {{done}} sur {{total}}...',
+            'SELECT_ALL'  => 'Sélectionner les {{count}} enregistrements',
+            'SELECT_PAGE' => 'Sélectionner toutes les lignes de la page',
+            'SELECT_ROW'  => 'Sélectionner la ligne',
+            'SELECTED'    => '{{count}} sélectionné(s)',
+            'SET_VALUE'   => 'Définir {{field}} à {{value}}',
+            'SUMMARY'     => '{{succeeded}} réussi(s), {{failed}} échoué(s)',
+            'TOO_MANY'    => '{{count}} enregistrements correspondent aux filtres ; la sélection est limitée à {{max}}. Affinez d\'abord les filtres.',
+        ],
+
+        'EXPORT' => [
+            'CSV'     => 'CSV (.csv)',
+            'FAILED'  => 'Échec de l\'export : {{message}}',
+            'JSON'    => 'JSON (.json)',
+            'LABEL'   => 'Exporter',
+            'RUNNING' => 'Export de {{done}} sur {{total}} enregistrements...',
+            'XLSX'    => 'Excel (.xlsx)',
+        ],
+
+        'IMPORT' => [
+            'ANOTHER'            => 'Importer un autre fichier',
+            'BACK'               => 'Retour',
+            'COLUMN'             => 'Colonne',
+            'DONE'               => 'Terminé',
+            'DOWNLOAD_ERRORS'    => 'Télécharger le rapport d\'erreurs',
+            'EMPTY_FILE'         => 'Le fichier n\'a pas de ligne d\'en-tête',
+            'ERRORS'             => 'Erreurs',
+            'FAILED_ROW'         => 'L\'enregistrement n\'a pas pu être créé',
+            'FIELD'              => 'Champ',
+            'FILE_HELP'          => 'Choisissez un fichier CSV ou Excel (.xlsx). La première ligne doit contenir les noms de colonnes.',
+            'LABEL'              => 'Importer',
+            'LINE'               => 'Ligne',
+            'MAP_HELP'           => '{{rows}} lignes trouvées. Choisissez le champ de chaque colonne.',
+            'MORE_ERRORS'        => '... et {{count}} autres lignes en erreur (voir le rapport d\'erreurs)',
+            'NEXT'               => 'Suivant',
+            'READ_FAILED'        => 'Le fichier n\'a pas pu être lu : {{message}}',
+            'RUN'                => 'Importer {{count}} lignes valides',
+            'RUNNING'            => 'Import {{done}} sur {{total}}...',
+            'SAMPLE'             => 'Exemple',
+            'SKIP'               => 'Ne pas importer',
+            'SUMMARY'            => '{{created}} créé(s), {{failed}} échoué(s), {{skipped}} ignoré(s) (invalides)',
+            'TITLE'              => 'Importer {{model}}',
+            'UNMAPPED_REQUIRED'  => 'Champs obligatoires sans colonne : {{fields}}',
+            'VALIDATION_SUMMARY' => '{{valid}} lignes sont valides, {{invalid}} lignes ont des erreurs et seront ignorées.',
+        ],
+
+        'INLINE' => [
+            'HINT' => 'Double-cliquez pour modifier',
+        ],
+
+        'KANBAN' => [
+            'EMPTY'     => 'Aucun enregistrement',
+            'LABEL'     => 'Tableau',
+            'LOAD_MORE' => 'Afficher {{count}} de plus',
+            'MOVED'     => 'Carte déplacée.',
+            'SEARCH'    => 'Rechercher',
+            'TABLE'     => 'Liste',
+        ],
+
+        'CALENDAR' => [
+            'DAY'   => 'Jour',
+            'LABEL' => 'Calendrier',
+            'MONTH' => 'Mois',
+            'TODAY' => "Aujourd'hui",
+            'WEEK'  => 'Semaine',
+        ],
+
+        'SCROLL' => [
+            'COUNT' => '{{count}} enregistrements',
+            'LABEL' => 'Défilement',
+        ],
+
+        'AGGREGATE' => [
+            'AVG'     => 'Moyenne',
+            'COUNT'   => 'Nombre',
+            'MAX'     => 'Max',
+            'MIN'     => 'Min',
+            'RECORDS' => '{{count}} enregistrements',
+            'SUM'     => 'Somme',
+            'TOTALS'  => 'Totaux',
+        ],
+
+        'TREE' => [
+            'COLLAPSE'     => 'Réduire',
+            'CYCLE'        => 'Un enregistrement ne peut pas être déplacé sous lui-même ou l\'un de ses descendants',
+            'EMPTY'        => 'Aucun enregistrement trouvé',
+            'EXPAND'       => 'Développer',
+            'LABEL'        => 'Arborescence',
+            'LOAD_MORE'    => 'Afficher {{count}} de plus',
+            'MOVE_TO_ROOT' => 'Déposez ici pour déplacer au premier niveau',
+        ],
+
+        'GRID' => [
+            'ASC'      => 'Croissant',
+            'DESC'     => 'Décroissant',
+            'EMPTY'    => 'Aucun enregistrement trouvé',
+            'LABEL'    => 'Cartes',
+            'SORT'     => 'Trier par',
+            'UNSORTED' => 'Ordre par défaut',
+            'VIEW'     => 'Voir',
+        ],
+
+        'WIZARD' => [
+            'BACK'        => 'Précédent',
+            'EDIT'        => 'Modifier',
+            'NEXT'        => 'Suivant',
+            'NO'          => 'Non',
+            'REVIEW'      => 'Vérification',
+            'REVIEW_HELP' => 'Vérifiez les valeurs ci-dessous avant d\'enregistrer.',
+            'STEP'        => 'Étape {{current}} sur {{total}}',
+            'YES'         => 'Oui',
+        ],
+
+        'LAYOUT' => [
+            'COLLAPSE' => 'Replier',
+            'EXPAND'   => 'Déplier',
+        ],
+
+        'DRAFT' => [
+            'DISCARD' => 'Ignorer',
+            'FOUND'   => 'Vous avez des modifications non enregistrées du {{date}}.',
+            'RESTORE' => 'Restaurer le brouillon',
+        ],
+
+        'DIRTY' => [
+            'CONFIRM_CLOSE' => 'Vous avez des modifications non enregistrées. Fermer le formulaire et les abandonner ?',
+            'CONFIRM_LEAVE' => 'Vous avez des modifications non enregistrées. Quitter cette page et les abandonner ?',
+            'UNSAVED'       => 'Modifications non enregistrées',
+        ],
+
+        'CONFLICT' => [
+            'APPLY'         => 'Enregistrer avec ces valeurs',
+            'BOTH_CHANGED'  => 'Modifié des deux côtés',
+            'DESCRIPTION'   => 'Ce {{model}} a été modifié par quelqu\'un d\'autre depuis son chargement.',
+            'HELP'          => 'Choisissez la valeur à conserver pour chaque champ qui diffère, puis enregistrez à nouveau.',
+            'ORIGINAL'      => 'Original',
+            'THEIRS'        => 'La leur',
+            'TITLE'         => 'Conflit de modification',
+            'YOURS'         => 'La vôtre',
+        ],
+
+        'VIEWS' => [
+            'COLUMNS'       => 'Colonnes',
+            'COLUMNS_HELP'  => 'Glissez les colonnes pour les réordonner.',
+            'DELETE'        => 'Supprimer la vue',
+            'EMPTY'         => 'Aucune vue enregistrée',
+            'LABEL'         => 'Vues',
+            'NAME'          => 'Nom de la vue',
+            'RESET_COLUMNS' => 'Afficher toutes les colonnes',
+            'SAVE'          => 'Enregistrer',
+            'SAVE_HELP'     => 'Enregistre les colonnes, le tri, les filtres et la taille de page.',
+            'SET_DEFAULT'   => 'Ouvrir la liste avec cette vue',
+            'UNSET_DEFAULT' => 'Ne plus ouvrir la liste avec cette vue',
+        ],
+
+        'FILTER' => [
+            'ANY'      => 'Tous',
+            'CLEAR'    => 'Effacer les filtres',
+            'CONTAINS' => 'Contient...',
+            'FROM'     => 'De',
+            'TO'       => 'À',
+            'YES'      => 'Oui',
+            'NO'       => 'Non',
+        ],
     ],
 ];
@@ -26,6 +26,7 @@ use UserFrosting\Sprinkle\CRUD6\ServicesProvider\FieldTypeServiceProvider;
 use UserFrosting\Sprinkle\CRUD6\ServicesProvider\SchemaServiceProvider;
 use UserFrosting\Sprinkle\CRUD6\Bakery\GenerateSchemaCommand;
 use UserFrosting\Sprinkle\CRUD6\Bakery\ScanDatabaseCommand;
+use UserFrosting\Sprinkle\CRUD6\Database\Migrations\v600\ListViewsTable;
 use UserFrosting\Sprinkle\CRUD6\Database\Seeds\DefaultPermissions;
 use UserFrosting\Sprinkle\CRUD6\Database\Seeds\DefaultRoles;
 
@@ -140,7 +141,9 @@ class CRUD6 implements SprinkleRecipe, MigrationRecipe, SeedRecipe, BakeryRecipe
      */
     public function getMigrations(): array
     {
-        return [];
+        return [
+            ListViewsTable::class,
+        ];
     }
 
     /**
@@ -153,13 +153,33 @@ class ApiAction extends Base
             $filteredSchema // Merge schema fields at root level
         );
 
+            $json = json_encode($responseData);
+
+            // ETag lets the frontend persistent schema cache revalidate with If-None-Match.
+            // `no-cache` forces revalidation so a changed schema is never served stale.
+            $etag = '"' . md5($json) . '"';
+            $response = $response
+                ->withHeader('ETag', $etag)
+                ->withHeader('Cache-Control', 'private, no-cache');
+
+            if ($this->etagMatches($request, $etag)) {
+                $this->debugLog("CRUD6 [ApiAction] ===== SCHEMA NOT MODIFIED (304) =====", [
+                    'model' => $filteredSchema['model'],
+                    'context' => $context ?? 'null/full',
+                    'etag' => $etag,
+                ]);
+
+                return $response->withStatus(304);
+            }
+
             $this->debugLog("CRUD6 [ApiAction] ===== SCHEMA API RESPONSE =====", [
                 'model' => $filteredSchema['model'],
                 'context' => $context ?? 'null/full',
-                'response_size' => strlen(json_encode($responseData)) . ' bytes',
+                'response_size' => strlen($json) . ' bytes',
+                'etag' => $etag,
             ]);
 
-            $response->getBody()->write(json_encode($responseData));
+            $response->getBody()->write($json);
             return $response->withHeader('Content-Type', 'application/json');
             
         } catch (ForbiddenException $e) {
@@ -178,4 +198,38 @@ class ApiAction extends Base
             return $this->jsonResponse($response, 'An error occurred while processing the schema request', 500);
         }
     }
+
+    /**
+     * Check whether the request's If-None-Match header matches the given ETag.
+     *
+     * Handles the `*` wildcard, comma-separated lists and weak validators (W/"...").
+     *
+     * @param ServerRequestInterface $request The HTTP request
+     * @param string                 $etag    The current ETag of the schema response
+     *
+     * @return bool True if the client copy is still current
+     */
+    protected function etagMatches(ServerRequestInterface $request, string $etag): bool
+    {
+        $header = trim($request->getHeaderLine('If-None-Match'));
+        if ($header === '') {
+            return false;
+        }
+
+        if ($header === '*') {
+            return true;
+        }
+
+        foreach (explode(',', $header) as $candidate) {
+            $candidate = trim($candidate);
+            if (str_starts_with($candidate, 'W/')) {
+                $candidate = substr($candidate, 2);
+            }
+            if ($candidate === $etag) {
+                return true;
+            }
+        }
+
+        return false;
+    }
 }
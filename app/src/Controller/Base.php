@@ -42,6 +42,11 @@ abstract class Base
 {
     use HandlesErrorLogging;
 
+    /**
+     * Maximum number of ancestors followed up a tree (`list_views.tree`).
+     */
+    public const TREE_MAX_DEPTH = 100;
+
     /**
      * @var array<string, array> Cache of loaded schemas by model name
      */
@@ -185,6 +190,182 @@ abstract class Base
         }
     }
 
+    /**
+     * Check if the current user may see a field.
+     * 
+     * Fields without a `permissions.view` slug are visible to everyone who
+     * can read the model.
+     * 
+     * @param array $field The field configuration
+     * 
+     * @return bool True if the field may be shown to the current user
+     */
+    protected function canViewField(array $field): bool
+    {
+        $permission = $field['permissions']['view'] ?? null;
+
+        return $permission === null || $this->authenticator->checkAccess($permission);
+    }
+
+    /**
+     * Check if the current user may change a field.
+     * 
+     * A field the user cannot see is never editable. Fields without a
+     * `permissions.edit` slug fall back to the model level permissions.
+     * 
+     * @param array $field The field configuration
+     * 
+     * @return bool True if the field may be written by the current user
+     */
+    protected function canEditField(array $field): bool
+    {
+        if (!$this->canViewField($field)) {
+            return false;
+        }
+
+        $permission = $field['permissions']['edit'] ?? null;
+
+        return $permission === null || $this->authenticator->checkAccess($permission);
+    }
+
+    /**
+     * Check that a record was not changed since the client loaded it.
+     * 
+     * Clients send the `version_field` value of the record they loaded as
+     * `_version`; requests without it are not checked. Dates sent in another
+     * format than the current value are compared as timestamps.
+     * 
+     * @param array $schema The schema configuration
+     * @param array $record The current record data
+     * @param array $params The request parameters
+     * 
+     * @return bool True when the versions match, or the request is not checked
+     */
+    protected function versionMatches(array $schema, array $record, array $params): bool
+    {
+        $versionField = $schema['version_field'] ?? null;
+        if ($versionField === null || !isset($params['_version'])) {
+            return true;
+        }
+
+        $current = (string) ($record[$versionField] ?? '');
+        $sent = (string) $params['_version'];
+        if ($current === $sent) {
+            return true;
+        }
+
+        if (is_numeric($current) || is_numeric($sent)) {
+            return false;
+        }
+        $currentTime = strtotime($current);
+
+        return $currentTime !== false && $currentTime === strtotime($sent);
+    }
+
+    /**
+     * Next version of a record, written with every update.
+     * 
+     * A version counter is incremented. An `updated_at` version moves on to
+     * the current time, and at least one second past its current value: two
+     * updates within the same second still get different versions.
+     * 
+     * @param array $schema The schema configuration
+     * @param array $record The current record data, as stored
+     * 
+     * @return array The version field and its next value (empty without version field)
+     */
+    protected function nextVersion(array $schema, array $record): array
+    {
+        $versionField = $schema['version_field'] ?? null;
+        if ($versionField === null) {
+            return [];
+        }
+
+        $current = $record[$versionField] ?? null;
+        if ($versionField !== 'updated_at') {
+            return [$versionField => (int) $current + 1];
+        }
+
+        $next = time();
+        $currentTime = $current !== null ? strtotime((string) $current) : false;
+        if ($currentTime !== false && $next <= $currentTime) {
+            $next = $currentTime + 1;
+        }
+
+        return [$versionField => date('Y-m-d H:i:s', $next)];
+    }
+
+    /**
+     * Remove the fields the current user may not see from record data.
+     * 
+     * @param array $schema The schema configuration
+     * @param array $data   The record data
+     * 
+     * @return array The record data without restricted fields
+     */
+    protected function hideRestrictedFields(array $schema, array $data): array
+    {
+        foreach ($schema['fields'] ?? [] as $name => $field) {
+            if (!$this->canViewField($field)) {
+                unset($data[$name]);
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Check whether data meets every field condition (`visible_when`,
+     * `required_when`, `disabled_when`).
+     * 
+     * Conditions map field names to the expected value, the same way as the
+     * frontend (utils/fieldConditions): booleans also match 0/1 and '0'/'1',
+     * arrays match any of their values, other values are compared strictly.
+     * 
+     * @param array|null $conditions Field name => expected value
+     * @param array      $data       The record or request data
+     * 
+     * @return bool True when every condition matches (or there are none)
+     */
+    protected function matchesConditions(?array $conditions, array $data): bool
+    {
+        foreach ($conditions ?? [] as $field => $expected) {
+            if (!$this->matchesConditionValue($data[$field] ?? null, $expected)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Compare a value with the expected value of a field condition.
+     * 
+     * @param mixed $actual   The data value
+     * @param mixed $expected The expected value (or list of values)
+     * 
+     * @return bool
+     */
+    private function matchesConditionValue(mixed $actual, mixed $expected): bool
+    {
+        if (is_array($expected)) {
+            foreach ($expected as $value) {
+                if ($this->matchesConditionValue($actual, $value)) {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        // Database booleans may be 0/1, '0'/'1', true/false or null
+        if (is_bool($expected)) {
+            return in_array($actual, [1, '1', true], true) === $expected;
+        }
+
+        return $actual === $expected;
+    }
+
     /**
      * Get the schema for the model name.
      * 
@@ -230,7 +411,7 @@ abstract class Base
         $fields = $this->getFields($modelName);
 
         foreach ($fields as $name => $field) {
-            if ($field['sortable'] ?? false) {
+            if (($field['sortable'] ?? false) && $this->canViewField($field)) {
                 $sortable[] = $name;
             }
         }
@@ -250,13 +431,37 @@ abstract class Base
         $fields = $this->getFields($modelName);
 
         foreach ($fields as $name => $field) {
-            if ($field['filterable'] ?? false) {
+            if (($field['filterable'] ?? false) && $this->canViewField($field)) {
                 $filterable[] = $name;
             }
         }
         return $filterable;
     }
 
+    /**
+     * Get searchable fields from the model schema with their search weight.
+     * 
+     * Fields marked `searchable: true` are searched by the global search box
+     * and AutoLookup. `search_weight` (default 1) ranks results matching that
+     * field higher. Fields the current user may not view are never searched.
+     * 
+     * @param string $modelName The model name
+     * 
+     * @return array<string, float> Search weights keyed by field name
+     */
+    protected function getSearchableFields(string $modelName): array
+    {
+        $searchable = [];
+        $fields = $this->getFields($modelName);
+
+        foreach ($fields as $name => $field) {
+            if (($field['searchable'] ?? false) === true && $this->canViewField($field)) {
+                $searchable[$name] = (float) ($field['search_weight'] ?? 1);
+            }
+        }
+        return $searchable;
+    }
+
     /**
      * Get listable fields from the model schema.
      * 
@@ -266,7 +471,7 @@ abstract class Base
      * 
      * By default, fields are NOT listable unless explicitly marked as such.
      * This prevents sensitive fields (password, timestamps, etc.) from being
-     * exposed accidentally.
+     * exposed accidentally. Fields the current user may not view are never listed.
      * 
      * @param string $modelName The model name
      * 
@@ -291,13 +496,247 @@ abstract class Base
             }
             // Default: false - fields must be explicitly marked as listable
             
-            if ($isListable) {
+            if ($isListable && $this->canViewField($field)) {
                 $listable[] = $name;
             }
         }
         return $listable;
     }
 
+    /**
+     * Get exportable fields from the model schema.
+     *
+     * A field is exported if it has `show_in` containing 'export' or explicit
+     * `exportable: true`. When no field is marked, the export uses the listable
+     * fields so it matches the list table. Fields the current user may not
+     * view are never exported.
+     *
+     * @param string $modelName The model name
+     *
+     * @return string[] Array of exportable field names
+     */
+    protected function getExportableFields(string $modelName): array
+    {
+        $exportable = [];
+        $fields = $this->getFields($modelName);
+
+        foreach ($fields as $name => $field) {
+            $isExportable = in_array('export', $field['show_in'] ?? [])
+                || ($field['exportable'] ?? false) === true;
+
+            if ($isExportable && $this->canViewField($field)) {
+                $exportable[] = $name;
+            }
+        }
+
+        return $exportable !== [] ? $exportable : $this->getListableFields($modelName);
+    }
+
+    /**
+     * Get the field the kanban board groups records by.
+     *
+     * The field is set by `list_views.kanban.field` in the schema. It is
+     * ignored when it is not a field of the model or the current user may not
+     * view it.
+     *
+     * @param string $modelName The model name
+     *
+     * @return string|null The field name, or null without a kanban board
+     */
+    protected function getKanbanField(string $modelName): ?string
+    {
+        $fieldName = $this->getSchema($modelName)['list_views']['kanban']['field'] ?? null;
+        $field = $fieldName !== null ? ($this->getFields($modelName)[$fieldName] ?? null) : null;
+
+        return $field !== null && $this->canViewField($field) ? $fieldName : null;
+    }
+
+    /**
+     * Get card fields from the model schema.
+     *
+     * Cards of the kanban board show the fields with `show_in` containing
+     * 'card', or the listable fields when no field is marked. The primary key
+     * and the kanban field are always included so cards can be moved between
+     * columns. Fields the current user may not view are never included.
+     *
+     * @param string $modelName The model name
+     *
+     * @return string[] Array of card field names
+     */
+    protected function getCardFields(string $modelName): array
+    {
+        $card = [];
+        $fields = $this->getFields($modelName);
+
+        foreach ($fields as $name => $field) {
+            if (in_array('card', $field['show_in'] ?? []) && $this->canViewField($field)) {
+                $card[] = $name;
+            }
+        }
+
+        if ($card === []) {
+            $card = $this->getListableFields($modelName);
+        }
+
+        $required = [$this->getSchema($modelName)['primary_key'] ?? 'id'];
+        $kanbanField = $this->getKanbanField($modelName);
+        if ($kanbanField !== null) {
+            $required[] = $kanbanField;
+        }
+
+        return array_values(array_unique(array_merge($required, $card)));
+    }
+
+    /**
+     * Get the date fields of the calendar view.
+     *
+     * The fields are set by `list_views.calendar.start_field` and the optional
+     * `list_views.calendar.end_field`. Fields that are not fields of the model
+     * or the current user may not view are ignored; without a start field the
+     * model has no calendar.
+     *
+     * @param string $modelName The model name
+     *
+     * @return string[] The start field, then the end field when set
+     */
+    protected function getCalendarDateFields(string $modelName): array
+    {
+        $calendar = $this->getSchema($modelName)['list_views']['calendar'] ?? [];
+        $fields = $this->getFields($modelName);
+        $dateFields = [];
+
+        foreach ([$calendar['start_field'] ?? null, $calendar['end_field'] ?? null] as $fieldName) {
+            $field = $fieldName !== null ? ($fields[$fieldName] ?? null) : null;
+            if ($field !== null && $this->canViewField($field)) {
+                $dateFields[] = $fieldName;
+            } elseif ($dateFields === []) {
+                return [];
+            }
+        }
+
+        return $dateFields;
+    }
+
+    /**
+     * Get calendar fields from the model schema.
+     *
+     * Calendar events carry the primary key, the date fields and the title
+     * field (`list_views.calendar.title_field`, or the schema `title_field`).
+     *
+     * @param string $modelName The model name
+     *
+     * @return string[] Array of calendar field names
+     */
+    protected function getCalendarFields(string $modelName): array
+    {
+        $schema = $this->getSchema($modelName);
+        $titleField = $schema['list_views']['calendar']['title_field'] ?? $schema['title_field'] ?? null;
+        $calendar = [$schema['primary_key'] ?? 'id', ...$this->getCalendarDateFields($modelName)];
+
+        $field = $titleField !== null ? ($this->getFields($modelName)[$titleField] ?? null) : null;
+        if ($field !== null && $this->canViewField($field)) {
+            $calendar[] = $titleField;
+        }
+
+        return array_values(array_unique($calendar));
+    }
+
+    /**
+     * Get the list aggregations from the model schema.
+     *
+     * Fields declare them with `aggregate` (one of, or a list of, sum, avg,
+     * min, max and count). Sums and averages are only kept for numeric
+     * fields; fields the current user may not view are left out.
+     *
+     * @param string $modelName The model name
+     *
+     * @return array<string, string[]> Aggregate functions keyed by field name
+     */
+    protected function getAggregateFields(string $modelName): array
+    {
+        $aggregates = [];
+
+        foreach ($this->getFields($modelName) as $name => $field) {
+            $functions = array_intersect((array) ($field['aggregate'] ?? []), ['sum', 'avg', 'min', 'max', 'count']);
+            if (!in_array($field['type'] ?? 'string', ['integer', 'number', 'decimal', 'float'], true)) {
+                $functions = array_diff($functions, ['sum', 'avg']);
+            }
+            if ($functions !== [] && $this->canViewField($field)) {
+                $aggregates[$name] = array_values($functions);
+            }
+        }
+
+        return $aggregates;
+    }
+
+    /**
+     * Get the field list rows are grouped by (`group_by` of the schema).
+     *
+     * @param string $modelName The model name
+     *
+     * @return string|null The field name, or null when the list is not grouped
+     */
+    protected function getGroupByField(string $modelName): ?string
+    {
+        $groupBy = $this->getSchema($modelName)['group_by'] ?? null;
+        $field = is_string($groupBy) ? ($this->getFields($modelName)[$groupBy] ?? null) : null;
+
+        return $field !== null && $this->canViewField($field) ? $groupBy : null;
+    }
+
+    /**
+     * Get the field referencing the parent record of a self-referencing model.
+     *
+     * The field is set by `list_views.tree.parent_field` in the schema. It is
+     * ignored when it is not a field of the model or the current user may not
+     * view it.
+     *
+     * @param string|array $modelNameOrSchema The model name or schema array
+     *
+     * @return string|null The field name, or null without a tree
+     */
+    protected function getTreeParentField(string|array $modelNameOrSchema): ?string
+    {
+        $schema = is_string($modelNameOrSchema) ? $this->getSchema($modelNameOrSchema) : $modelNameOrSchema;
+        $fieldName = $schema['list_views']['tree']['parent_field'] ?? null;
+        $field = is_string($fieldName) ? ($schema['fields'][$fieldName] ?? null) : null;
+
+        return $field !== null && $this->canViewField($field) ? $fieldName : null;
+    }
+
+    /**
+     * Get the ancestors of a record of a tree, following the parent field.
+     *
+     * The walk starts at the given parent and stops at a root, a missing
+     * record, a record already visited (a cycle in existing data) or
+     * `TREE_MAX_DEPTH` records.
+     *
+     * @param array               $crudSchema The schema configuration
+     * @param CRUD6ModelInterface $crudModel  A model instance of the schema
+     * @param mixed               $parentId   Parent of the record (null for a root)
+     *
+     * @return array<int, array<string, mixed>> Ancestor records, root first
+     */
+    protected function getTreeAncestors(array $crudSchema, CRUD6ModelInterface $crudModel, mixed $parentId): array
+    {
+        $parentField = $this->getTreeParentField($crudSchema);
+        $primaryKey = $crudSchema['primary_key'] ?? 'id';
+        $ancestors = [];
+        $visited = [];
+
+        while ($parentField !== null && $parentId !== null && $parentId !== '' && !isset($visited[(string) $parentId]) && count($ancestors) < self::TREE_MAX_DEPTH) {
+            $visited[(string) $parentId] = true;
+            $parent = $crudModel->newQuery()->where($primaryKey, $parentId)->first();
+            if ($parent === null) {
+                break;
+            }
+            $ancestors[] = $parent->toArray();
+            $parentId = $parent->getAttribute($parentField);
+        }
+
+        return array_reverse($ancestors);
+    }
+
     /**
      * Get editable fields from the model schema.
      * 
@@ -305,6 +744,7 @@ abstract class Base
      * - They have `editable: true` explicitly set, OR
      * - They don't have `editable: false`, `readonly: true`, `auto_increment: true`, or `computed: true`
      * - They are not timestamp fields (created_at, updated_at, deleted_at) unless explicitly editable
+     * - The current user passes their `permissions.view` / `permissions.edit` checks
      * 
      * @param string|array $modelNameOrSchema The model name or schema array
      * 
@@ -338,6 +778,11 @@ abstract class Base
                 continue;
             }
 
+            // Exclude fields restricted by field level permissions
+            if (!$this->canEditField($field)) {
+                continue;
+            }
+
             // Field is editable by default
             $editable[] = $name;
         }
@@ -500,6 +945,8 @@ abstract class Base
      * Handles timestamps if configured in schema.
      * Password fields are hashed via hashPasswordFields() hook method.
      * Excludes virtual fields (like multiselect) that don't map to database columns.
+     * Values of fields the user may not edit (field level permissions) are
+     * ignored, like on update: those fields only get their schema default.
      * 
      * @param array $schema The schema configuration
      * @param array $data   The input data
@@ -520,7 +967,7 @@ abstract class Base
                 $this->isVirtualField($fieldConfig)) {
                 continue;
             }
-            if (isset($data[$fieldName])) {
+            if (isset($data[$fieldName]) && $this->canEditField($fieldConfig)) {
                 $insertData[$fieldName] = $this->transformFieldValue($fieldConfig, $data[$fieldName]);
             } elseif (isset($fieldConfig['default'])) {
                 $insertData[$fieldName] = $fieldConfig['default'];
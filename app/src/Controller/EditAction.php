@@ -33,6 +33,7 @@ use UserFrosting\Sprinkle\CRUD6\Controller\Traits\HashesPasswords;
 use UserFrosting\Sprinkle\CRUD6\Controller\Traits\ProcessesRelationshipActions;
 use UserFrosting\Sprinkle\CRUD6\Controller\Traits\TransformsData;
 use UserFrosting\Sprinkle\CRUD6\Database\Models\Interfaces\CRUD6ModelInterface;
+use UserFrosting\Sprinkle\CRUD6\Exceptions\RecordConflictException;
 use UserFrosting\Sprinkle\CRUD6\ServicesProvider\SchemaService;
 
 /**
@@ -40,13 +41,16 @@ use UserFrosting\Sprinkle\CRUD6\ServicesProvider\SchemaService;
  *
  * For GET requests: Returns the record data for viewing or editing.
  * For PUT requests: Updates the record with new data.
+ * For PATCH requests: Updates the fields sent, validating only those.
+ * Updates sending the `_version` of the loaded record are refused with a 409
+ * conflict when the record was changed since.
  * 
  * Processes the request from the record update form, checking that:
  * 1. The user has the necessary permissions to update the posted field(s);
  * 2. The submitted data is valid.
  * This route requires authentication.
  *
- * Request type: GET (read) or PUT (update)
+ * Request type: GET (read), PUT (update) or PATCH (partial update)
  * 
  * @see \UserFrosting\Sprinkle\Admin\Controller\Group\GroupEditAction
  */
@@ -117,9 +121,9 @@ class EditAction extends Base
                 return $this->handleRead($crudSchema, $crudModel, $request, $response);
             }
             
-            // Handle PUT request (update operation)
-            if ($method === 'PUT') {
-                $this->debugLog("CRUD6 [EditAction] Processing PUT request", [
+            // Handle PUT and PATCH requests (update operation)
+            if ($method === 'PUT' || $method === 'PATCH') {
+                $this->debugLog("CRUD6 [EditAction] Processing {$method} request", [
                     'model' => $crudSchema['model'],
                     'record_id' => $crudModel->getAttribute($crudSchema['primary_key'] ?? 'id'),
                 ]);
@@ -130,7 +134,7 @@ class EditAction extends Base
             $this->logger->warning("CRUD6 [EditAction] Method not allowed", [
                 'model' => $crudSchema['model'],
                 'method' => $method,
-                'allowed_methods' => ['GET', 'PUT'],
+                'allowed_methods' => ['GET', 'PUT', 'PATCH'],
             ]);
 
             $response->getBody()->write(json_encode(['error' => 'Method not allowed']));
@@ -209,7 +213,8 @@ class EditAction extends Base
             // Translate the model display name if it's a translation key
             $translatedModel = $this->translator->translate($modelDisplayName);
             
-            $recordData = $crudModel->toArray();
+            // Fields restricted by `permissions.view` never leave the server
+            $recordData = $this->hideRestrictedFields($crudSchema, $crudModel->toArray());
             
             $this->debugLog("CRUD6 [EditAction] Record data retrieved", [
                 'model' => $crudSchema['model'],
@@ -252,6 +257,18 @@ class EditAction extends Base
                 $responseData['details'] = $details;
             }
 
+            // Ancestors of tree records (root first), for the breadcrumb trail
+            $parentField = $this->getTreeParentField($crudSchema);
+            if ($parentField !== null) {
+                $responseData['ancestors'] = array_map(
+                    fn (array $ancestor): array => [
+                        'id' => $ancestor[$primaryKey] ?? null,
+                        'breadcrumb' => $this->calculateBreadcrumbName($crudSchema, $this->hideRestrictedFields($crudSchema, $ancestor), $ancestor[$primaryKey] ?? null),
+                    ],
+                    $this->getTreeAncestors($crudSchema, $crudModel, $crudModel->getAttribute($parentField))
+                );
+            }
+
             $this->debugLog("CRUD6 [EditAction] ===== READ RESPONSE PREPARED =====", [
                 'model' => $crudSchema['model'],
                 'record_id' => $recordId,
@@ -283,7 +300,7 @@ class EditAction extends Base
     }
 
     /**
-     * Handle PUT request to update a record.
+     * Handle PUT or PATCH request to update a record.
      *
      * @param array               $crudSchema The schema configuration
      * @param CRUD6ModelInterface $crudModel  The configured model instance with record loaded
@@ -309,7 +326,14 @@ class EditAction extends Base
             'record_id' => $recordId,
         ]);
 
-        $updatedModel = $this->handle($crudSchema, $crudModel, $request);
+        try {
+            $updatedModel = $this->handle($crudSchema, $crudModel, $request);
+        } catch (RecordConflictException $e) {
+            // The record changed since the client loaded it, nothing was written
+            $crudModel->refresh();
+
+            return $this->conflictResponse($crudSchema, $crudModel, $response);
+        }
 
         // Get a display name for the model
         $modelDisplayName = $this->getModelDisplayName($crudSchema);
@@ -334,6 +358,37 @@ class EditAction extends Base
         return $response->withHeader('Content-Type', 'application/json');
     }
 
+    /**
+     * Respond to the update of a record changed since the client loaded it.
+     * 
+     * The 409 response carries the record as it is now (`current`), so the
+     * client can merge its changes and send them again with the new version.
+     *
+     * @param array               $crudSchema The schema configuration
+     * @param CRUD6ModelInterface $crudModel  The configured model instance with record loaded
+     * @param Response            $response
+     *
+     * @return Response
+     */
+    protected function conflictResponse(array $crudSchema, CRUD6ModelInterface $crudModel, Response $response): Response
+    {
+        $this->debugLog("CRUD6 [EditAction] Update refused, record changed since it was loaded", [
+            'model' => $crudSchema['model'],
+            'record_id' => $crudModel->getAttribute($crudSchema['primary_key'] ?? 'id'),
+            'version_field' => $crudSchema['version_field'] ?? null,
+        ]);
+
+        $translatedModel = $this->translator->translate($this->getModelDisplayName($crudSchema));
+
+        return $this->jsonDataResponse($response, [
+            'title' => $this->translator->translate('CRUD6.CONFLICT.TITLE'),
+            'description' => $this->translator->translate('CRUD6.CONFLICT.DESCRIPTION', ['model' => $translatedModel]),
+            'status' => 409,
+            // Fields restricted by `permissions.view` never leave the server
+            'current' => $this->hideRestrictedFields($crudSchema, $crudModel->toArray()),
+        ], 409);
+    }
+
     /**
      * Handle the update request.
      *
@@ -345,8 +400,9 @@ class EditAction extends Base
      */
     protected function handle(array $crudSchema, CRUD6ModelInterface $crudModel, Request $request): CRUD6ModelInterface
     {
-        // Get PUT parameters
+        // Get PUT/PATCH parameters
         $params = (array) $request->getParsedBody();
+        $partial = $request->getMethod() === 'PATCH';
         
         $this->debugLog("CRUD6 [EditAction] Update parameters received", [
             'model' => $crudSchema['model'],
@@ -355,7 +411,12 @@ class EditAction extends Base
         ]);
 
         // Transform and validate data using TransformsData trait
-        $data = $this->transformAndValidate($crudSchema, $params);
+        // Field conditions read the current record values the request does not change,
+        // a PATCH request only validates the fields it sends
+        $data = $this->transformAndValidate($crudSchema, $params, $crudModel->toArray(), $partial);
+
+        // A tree record can't be moved under itself or one of its descendants
+        $this->validateTreeParent($crudSchema, $crudModel, $data);
         
         $this->debugLog("CRUD6 [EditAction] Data transformed and validated", [
             'model' => $crudSchema['model'],
@@ -370,14 +431,33 @@ class EditAction extends Base
         $recordId = $crudModel->getAttribute($primaryKey);
 
         // Begin transaction - DB will be rolled back if an exception occurs
-        $this->db->transaction(function () use ($crudSchema, $crudModel, $data, $currentUser, $recordId) {
+        $this->db->transaction(function () use ($crudSchema, $crudModel, $params, $data, $currentUser, $recordId) {
             // Prepare update data
             $updateData = $this->prepareUpdateData($crudSchema, $data);
             
             // Update the record using query builder
             $table = $crudModel->getTable();
             $primaryKey = $crudSchema['primary_key'] ?? 'id';
-            $affected = $this->db->table($table)->where($primaryKey, $recordId)->update($updateData);
+            $query = $this->db->table($table)->where($primaryKey, $recordId);
+
+            $versionField = $crudSchema['version_field'] ?? null;
+            if ($versionField !== null) {
+                // The record must not have changed since the client loaded it
+                $stored = (array) $this->db->table($table)->where($primaryKey, $recordId)->lockForUpdate()->first();
+                if (!$this->versionMatches($crudSchema, $stored, $params)) {
+                    throw new RecordConflictException();
+                }
+
+                // The version moves on with every update, written only over the version checked
+                $updateData = array_merge($updateData, $this->nextVersion($crudSchema, $stored));
+                $query->where($versionField, $stored[$versionField] ?? null);
+            }
+
+            // A PATCH may send no field at all (only the version of a master-detail save)
+            if ($updateData !== [] && $query->update($updateData) === 0 && $versionField !== null) {
+                // Another update wrote the record since the version was checked
+                throw new RecordConflictException();
+            }
 
             // Reload the model to get updated data
             $crudModel->refresh();
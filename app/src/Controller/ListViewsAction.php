@@ -0,0 +1,180 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+namespace UserFrosting\Sprinkle\CRUD6\Controller;
+
+use Psr\Http\Message\ResponseInterface;
+use Psr\Http\Message\ServerRequestInterface;
+use UserFrosting\Config\Config;
+use UserFrosting\Sprinkle\Account\Authenticate\Authenticator;
+use UserFrosting\Sprinkle\Account\Authorize\AuthorizationManager;
+use UserFrosting\Sprinkle\Account\Database\Models\Interfaces\UserInterface;
+use UserFrosting\Sprinkle\Account\Exceptions\ForbiddenException;
+use UserFrosting\Sprinkle\Core\Log\DebugLoggerInterface;
+use UserFrosting\Sprinkle\CRUD6\Database\Models\Interfaces\CRUD6ModelInterface;
+use UserFrosting\Sprinkle\CRUD6\Database\Models\ListViews;
+use UserFrosting\Sprinkle\CRUD6\ServicesProvider\SchemaService;
+
+/**
+ * Saved list views of the current user for a model.
+ *
+ * GET returns the column layout, the named views and the default view of
+ * the user's list; PUT replaces them. Anyone who can read the list can keep
+ * views of it; they are never shared with other users.
+ *
+ * Routes:
+ * - GET /api/crud6/{model}/views
+ * - PUT /api/crud6/{model}/views
+ *
+ * Stored state:
+ * ```json
+ * {
+ *   "layout": { "order": ["name", "id"], "hidden": ["id"] },
+ *   "views": [{ "name": "Open", "columns": { "order": [], "hidden": [] }, "sorts": { "name": "asc" }, "filters": { "status": "open" }, "size": 25 }],
+ *   "defaultView": "Open"
+ * }
+ * ```
+ */
+class ListViewsAction extends Base
+{
+    /**
+     * Most views kept per user and model
+     */
+    public const MAX_VIEWS = 50;
+
+    /**
+     * Inject dependencies.
+     */
+    public function __construct(
+        protected AuthorizationManager $authorizer,
+        protected Authenticator $authenticator,
+        protected DebugLoggerInterface $logger,
+        protected SchemaService $schemaService,
+        protected Config $config,
+    ) {
+        parent::__construct($authorizer, $authenticator, $logger, $schemaService, $config);
+    }
+
+    /**
+     * Return (GET) or replace (PUT) the saved views of the current user.
+     *
+     * @param array                  $crudSchema The schema configuration array (auto-injected)
+     * @param CRUD6ModelInterface    $crudModel  The configured model instance (auto-injected)
+     * @param ServerRequestInterface $request    The HTTP request
+     * @param ResponseInterface      $response   The HTTP response
+     *
+     * @return ResponseInterface JSON response with the stored views
+     */
+    public function __invoke(array $crudSchema, CRUD6ModelInterface $crudModel, ServerRequestInterface $request, ResponseInterface $response): ResponseInterface
+    {
+        try {
+            $this->validateAccess($crudSchema, 'read');
+
+            // Won't be null, since it's AuthGuarded.
+            /** @var UserInterface $currentUser */
+            $currentUser = $this->authenticator->user();
+            $owner = ['user_id' => $currentUser->id, 'model' => $crudSchema['model']];
+
+            if ($request->getMethod() === 'PUT') {
+                $data = $this->normalizeViews((array) $request->getParsedBody());
+                ListViews::updateOrCreate($owner, ['data' => $data]);
+
+                $this->debugLog("CRUD6 [ListViewsAction] List views saved", [
+                    'model' => $crudSchema['model'],
+                    'user_id' => $currentUser->id,
+                    'view_count' => count($data['views']),
+                ]);
+
+                return $this->jsonDataResponse($response, $data);
+            }
+
+            /** @var ListViews|null $stored */
+            $stored = ListViews::where($owner)->first();
+
+            return $this->jsonDataResponse($response, $this->normalizeViews($stored->data ?? []));
+        } catch (ForbiddenException $e) {
+            // Let ForbiddenException bubble up to framework's error handler
+            throw $e;
+        } catch (\Exception $e) {
+            $this->logger->error("CRUD6 [ListViewsAction] Unexpected error: " . $e->getMessage(), [
+                'model' => $crudSchema['model'] ?? 'unknown',
+                'exception' => get_class($e),
+                'trace' => $e->getTraceAsString(),
+            ]);
+            return $this->jsonResponse($response, 'An error occurred while processing the list views', 500);
+        }
+    }
+
+    /**
+     * Keep only well-formed list view state.
+     *
+     * Views without a name are dropped (later views replace earlier ones of
+     * the same name), at most MAX_VIEWS are kept, and a default view must
+     * name one of them.
+     *
+     * @param array $data Submitted or stored state
+     *
+     * @return array{layout: array{order: string[], hidden: string[]}, views: array[], defaultView: string|null}
+     */
+    protected function normalizeViews(array $data): array
+    {
+        $views = [];
+        foreach (is_array($data['views'] ?? null) ? $data['views'] : [] as $view) {
+            $name = is_array($view) && is_string($view['name'] ?? null) ? trim($view['name']) : '';
+            if ($name === '') {
+                continue;
+            }
+
+            unset($views[$name]);
+            $views[$name] = [
+                'name' => $name,
+                'columns' => $this->normalizeLayout($view['columns'] ?? []),
+                'sorts' => array_filter(
+                    is_array($view['sorts'] ?? null) ? $view['sorts'] : [],
+                    fn ($direction, $field) => is_string($field) && ($direction === 'asc' || $direction === 'desc'),
+                    ARRAY_FILTER_USE_BOTH
+                ),
+                'filters' => is_array($view['filters'] ?? null) ? $view['filters'] : [],
+                'size' => max(1, (int) ($view['size'] ?? 10)),
+            ];
+        }
+        $views = array_slice(array_values($views), -self::MAX_VIEWS);
+
+        $defaultView = $data['defaultView'] ?? null;
+        if (!in_array($defaultView, array_column($views, 'name'), true)) {
+            $defaultView = null;
+        }
+
+        return [
+            'layout' => $this->normalizeLayout($data['layout'] ?? []),
+            'views' => $views,
+            'defaultView' => $defaultView,
+        ];
+    }
+
+    /**
+     * Keep the field keys of a column layout.
+     *
+     * @param mixed $layout Column order and hidden columns
+     *
+     * @return array{order: string[], hidden: string[]}
+     */
+    protected function normalizeLayout(mixed $layout): array
+    {
+        $keys = fn (mixed $list): array => is_array($list) ? array_values(array_filter($list, 'is_string')) : [];
+
+        return [
+            'order' => $keys($layout['order'] ?? null),
+            'hidden' => $keys($layout['hidden'] ?? null),
+        ];
+    }
+}
@@ -227,6 +227,10 @@ class SprunjeAction extends Base
                     $filterableFields,
                     $listFields
                 );
+                $this->sprunje->setFilterFields(
+                    array_intersect_key($relatedSchema['fields'] ?? [], array_flip($filterableFields))
+                );
+                $this->sprunje->setSearchFields($this->getSearchableFieldsFromSchema($relatedSchema));
 
                 $this->sprunje->setOptions($params);
 
@@ -405,6 +409,70 @@ class SprunjeAction extends Base
             $filterableFields = $this->getFilterableFields($modelName);
             $listFields = $this->getListableFields($modelName);
 
+            // Exports (context=export) return the export context fields instead of the list columns
+            if (($params['context'] ?? null) === 'export') {
+                $listFields = $this->getExportableFields($modelName);
+            }
+
+            // Selecting every filtered record (context=ids) needs the primary keys only,
+            // paged in primary key order so that pages neither overlap nor skip records
+            if (($params['context'] ?? null) === 'ids') {
+                $primaryKey = $this->getSchema($modelName)['primary_key'] ?? 'id';
+                $listFields = [$primaryKey];
+                $sortableFields = array_values(array_unique([...$sortableFields, $primaryKey]));
+                $params['sorts'] = [$primaryKey => 'asc'];
+            }
+
+            $filterFields = array_intersect_key($this->getFields($modelName), array_flip($filterableFields));
+
+            // Kanban and grid cards (context=card) return the card fields, and each kanban column filters on its exact field value
+            if (($params['context'] ?? null) === 'card') {
+                $listFields = $this->getCardFields($modelName);
+                $kanbanField = $this->getKanbanField($modelName);
+                if ($kanbanField !== null) {
+                    $filterableFields = array_values(array_unique([...$filterableFields, $kanbanField]));
+                    $filterFields[$kanbanField] = ['filter_type' => 'equals'] + $this->getFields($modelName)[$kanbanField];
+                }
+            }
+
+            // Calendar events (context=calendar) return the event fields, filtered on the visible date range
+            if (($params['context'] ?? null) === 'calendar') {
+                $listFields = $this->getCalendarFields($modelName);
+                foreach ($this->getCalendarDateFields($modelName) as $dateField) {
+                    $filterableFields = array_values(array_unique([...$filterableFields, $dateField]));
+                    $filterFields[$dateField] = $this->getFields($modelName)[$dateField];
+                }
+            }
+
+            // Tree nodes (context=tree) are the children of one parent (`parent`, empty for the roots)
+            $treeField = null;
+            $treeParent = '';
+            if (($params['context'] ?? null) === 'tree') {
+                $treeField = $this->getTreeParentField($modelName);
+                $treeParent = (string) ($params['parent'] ?? '');
+                if ($treeField !== null) {
+                    $listFields = array_values(array_unique([$this->getSchema($modelName)['primary_key'] ?? 'id', $treeField, ...$listFields]));
+                }
+                unset($params['parent']);
+            }
+
+            // The list table (no context) carries the aggregations and group subtotals of the schema;
+            // the other contexts (exports, cards, events, the scrolling list pages) skip them
+            $groupBy = null;
+            $aggregates = [];
+            if (!isset($params['context'])) {
+                $groupBy = $this->getGroupByField($modelName);
+                $aggregates = $this->getAggregateFields($modelName);
+                if ($groupBy !== null) {
+                    // Rows of a group stay together: the group field sorts first
+                    $listFields = array_values(array_unique([...$listFields, $groupBy]));
+                    $sortableFields = array_values(array_unique([...$sortableFields, $groupBy]));
+                    $sorts = is_array($params['sorts'] ?? null) ? $params['sorts'] : [];
+                    $params['sorts'] = [$groupBy => $sorts[$groupBy] ?? 'asc'] + $sorts;
+                }
+            }
+            unset($params['context']);
+
             // CRITICAL: Filter out empty field names to prevent SQL errors like "table".""
             $sortableFields = $this->filterEmptyFieldNames($sortableFields);
             $filterableFields = $this->filterEmptyFieldNames($filterableFields);
@@ -425,6 +493,12 @@ class SprunjeAction extends Base
                 $filterableFields,
                 $listFields
             );
+            $this->sprunje->setFilterFields($filterFields);
+            $this->sprunje->setSearchFields($this->getSearchableFields($modelName));
+            $this->sprunje->setAggregates($aggregates, $this->getFields($modelName), $groupBy);
+            if ($treeField !== null) {
+                $this->sprunje->setTree($treeField, $treeParent, $this->getSchema($modelName)['primary_key'] ?? 'id');
+            }
 
             $this->sprunje->setOptions($params);
 
@@ -486,7 +560,7 @@ class SprunjeAction extends Base
 
         if (isset($schema['fields'])) {
             foreach ($schema['fields'] as $fieldName => $fieldConfig) {
-                if (isset($fieldConfig['sortable']) && $fieldConfig['sortable'] === true) {
+                if (isset($fieldConfig['sortable']) && $fieldConfig['sortable'] === true && $this->canViewField($fieldConfig)) {
                     $sortable[] = $fieldName;
                 }
             }
@@ -508,7 +582,7 @@ class SprunjeAction extends Base
 
         if (isset($schema['fields'])) {
             foreach ($schema['fields'] as $fieldName => $fieldConfig) {
-                if (isset($fieldConfig['filterable']) && $fieldConfig['filterable'] === true) {
+                if (isset($fieldConfig['filterable']) && $fieldConfig['filterable'] === true && $this->canViewField($fieldConfig)) {
                     $filterable[] = $fieldName;
                 }
             }
@@ -517,6 +591,28 @@ class SprunjeAction extends Base
         return $filterable;
     }
 
+    /**
+     * Get searchable fields from a schema array with their search weight.
+     * 
+     * @param array $schema The schema configuration
+     * 
+     * @return array<string, float> Search weights keyed by field name
+     */
+    protected function getSearchableFieldsFromSchema(array $schema): array
+    {
+        $searchable = [];
+
+        if (isset($schema['fields'])) {
+            foreach ($schema['fields'] as $fieldName => $fieldConfig) {
+                if (isset($fieldConfig['searchable']) && $fieldConfig['searchable'] === true && $this->canViewField($fieldConfig)) {
+                    $searchable[$fieldName] = (float) ($fieldConfig['search_weight'] ?? 1);
+                }
+            }
+        }
+
+        return $searchable;
+    }
+
     /**
      * Get listable fields from a schema array.
      * 
@@ -552,7 +648,7 @@ class SprunjeAction extends Base
                 // This prevents sensitive fields (password, tokens, etc.) from being exposed
                 // and enforces secure-by-default behavior
                 
-                if ($isListable) {
+                if ($isListable && $this->canViewField($fieldConfig)) {
                     $listable[] = $fieldName;
                 }
             }
@@ -15,6 +15,7 @@ namespace UserFrosting\Sprinkle\CRUD6\Controller\Traits;
 use UserFrosting\Fortress\RequestSchema;
 use UserFrosting\Fortress\RequestSchema\RequestSchemaInterface;
 use UserFrosting\Sprinkle\Core\Exceptions\ValidationException;
+use UserFrosting\Sprinkle\CRUD6\Database\Models\Interfaces\CRUD6ModelInterface;
 
 /**
  * Provides common data transformation and validation functionality for CRUD6 controllers.
@@ -33,6 +34,10 @@ use UserFrosting\Sprinkle\Core\Exceptions\ValidationException;
  * - debugLog(string $message, array $context = []): void - For debug logging
  * - getValidationRules(string|array $modelNameOrSchema): array - To extract validation rules from schema
  * 
+ * `validateTreeParent()` also needs `$translator`, `getTreeParentField()` and
+ * `getTreeAncestors()` (see Base), `applyFieldConditions()` needs
+ * `matchesConditions()` (see Base).
+ * 
  * @see \UserFrosting\Sprinkle\CRUD6\Controller\CreateAction
  * @see \UserFrosting\Sprinkle\CRUD6\Controller\EditAction
  * @see \UserFrosting\Sprinkle\CRUD6\Controller\UpdateFieldAction
@@ -43,19 +48,26 @@ trait TransformsData
      * Transform and validate request data in one step.
      * 
      * Combines the common pattern of:
-     * 1. Building request schema from CRUD6 schema
-     * 2. Transforming request params using the schema
-     * 3. Validating the transformed data
+     * 1. Applying the field conditions to the CRUD6 schema
+     * 2. Building request schema from CRUD6 schema
+     * 3. Transforming request params using the schema
+     * 4. Validating the transformed data
      * 
-     * @param array $schema The CRUD6 schema configuration
-     * @param array $params The raw request parameters
+     * @param array $schema  The CRUD6 schema configuration
+     * @param array $params  The raw request parameters
+     * @param array $record  The current record values, for the conditions of an update
+     * @param bool  $partial Whether only the fields sent are transformed and validated (PATCH)
      * 
      * @return array The transformed and validated data
      * 
      * @throws ValidationException If validation fails
      */
-    protected function transformAndValidate(array $schema, array $params): array
+    protected function transformAndValidate(array $schema, array $params, array $record = [], bool $partial = false): array
     {
+        $schema = $this->applyFieldConditions($schema, array_merge($record, $params));
+        if ($partial) {
+            $schema = $this->restrictToParams($schema, $params);
+        }
         $requestSchema = $this->buildRequestSchema($schema);
         $data = $this->transformRequestData($requestSchema, $params, $schema);
         $this->validateRequestData($requestSchema, $data, $schema);
@@ -63,6 +75,62 @@ trait TransformsData
         return $data;
     }
 
+    /**
+     * Apply the `visible_when`, `required_when` and `disabled_when` field conditions.
+     * 
+     * Fields hidden or disabled by their conditions are removed from the schema,
+     * so their values are neither validated nor saved. `required_when` replaces
+     * the `required` validation rule of the field.
+     * 
+     * @param array $schema The CRUD6 schema configuration
+     * @param array $values The values the conditions are evaluated against
+     * 
+     * @return array The schema for these values
+     */
+    protected function applyFieldConditions(array $schema, array $values): array
+    {
+        foreach ($schema['fields'] ?? [] as $name => $field) {
+            $hidden = isset($field['visible_when']) && !$this->matchesConditions($field['visible_when'], $values);
+            $disabled = isset($field['disabled_when']) && $this->matchesConditions($field['disabled_when'], $values);
+
+            if ($hidden || $disabled) {
+                unset($schema['fields'][$name]);
+                continue;
+            }
+
+            if (isset($field['required_when'])) {
+                $required = $this->matchesConditions($field['required_when'], $values);
+                $schema['fields'][$name]['required'] = $required;
+
+                if ($required) {
+                    $schema['fields'][$name]['validation']['required'] = true;
+                } else {
+                    unset($schema['fields'][$name]['validation']['required']);
+                }
+            }
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Restrict the schema fields to the ones sent in the request.
+     * 
+     * Used by partial (PATCH) updates: the fields left out keep their current
+     * value, so neither their `required` rule nor their default applies.
+     * 
+     * @param array $schema The CRUD6 schema configuration
+     * @param array $params The raw request parameters
+     * 
+     * @return array The schema with the sent fields only
+     */
+    protected function restrictToParams(array $schema, array $params): array
+    {
+        $schema['fields'] = array_intersect_key($schema['fields'] ?? [], $params);
+
+        return $schema;
+    }
+
     /**
      * Build a RequestSchema from CRUD6 schema configuration.
      * 
@@ -201,4 +269,44 @@ trait TransformsData
 
         return $data;
     }
+
+    /**
+     * Reject a parent making a record its own ancestor (`list_views.tree`).
+     * 
+     * The new parent may neither be the record itself nor one of its
+     * descendants, whose ancestors include the record.
+     * 
+     * @param array               $crudSchema The CRUD6 schema
+     * @param CRUD6ModelInterface $crudModel  The record being updated
+     * @param array               $data       The transformed data
+     * 
+     * @return void
+     * 
+     * @throws ValidationException If the new parent would create a cycle
+     */
+    protected function validateTreeParent(array $crudSchema, CRUD6ModelInterface $crudModel, array $data): void
+    {
+        $parentField = $this->getTreeParentField($crudSchema);
+        if ($parentField === null || !array_key_exists($parentField, $data)) {
+            return;
+        }
+
+        $primaryKey = $crudSchema['primary_key'] ?? 'id';
+        $recordId = (string) $crudModel->getAttribute($primaryKey);
+
+        foreach ($this->getTreeAncestors($crudSchema, $crudModel, $data[$parentField]) as $ancestor) {
+            if ((string) ($ancestor[$primaryKey] ?? '') === $recordId) {
+                $this->logger->error("CRUD6 [TransformsData] Parent would create a cycle", [
+                    'model' => $crudSchema['model'] ?? 'unknown',
+                    'record_id' => $recordId,
+                    'parent' => $data[$parentField],
+                ]);
+
+                $e = new ValidationException();
+                $e->addErrors([$parentField => [$this->translator->translate('CRUD6.TREE.CYCLE')]]);
+
+                throw $e;
+            }
+        }
+    }
 }
@@ -23,6 +23,7 @@ use UserFrosting\Sprinkle\Account\Authenticate\Hasher;
 use UserFrosting\Sprinkle\Account\Authorize\AuthorizationManager;
 use UserFrosting\Sprinkle\Account\Exceptions\ForbiddenException;
 use UserFrosting\Sprinkle\Core\Exceptions\NotFoundException;
+use UserFrosting\Sprinkle\Core\Exceptions\ValidationException;
 use UserFrosting\Config\Config;
 use UserFrosting\Sprinkle\Account\Database\Models\Interfaces\UserInterface;
 use UserFrosting\Sprinkle\Account\Log\UserActivityLogger;
@@ -132,6 +133,17 @@ class UpdateFieldAction extends Base
                 throw new \RuntimeException("Field '{$fieldName}' is not editable and cannot be updated");
             }
             
+            // Check field level permissions
+            if (!$this->canEditField($fieldConfig)) {
+                $this->logger->debug("CRUD6 [UpdateFieldAction] Access denied for restricted field", [
+                    'model' => $crudSchema['model'],
+                    'record_id' => $recordId,
+                    'field' => $fieldName,
+                    'required_permission' => $fieldConfig['permissions']['edit'] ?? $fieldConfig['permissions']['view'] ?? null,
+                ]);
+                throw new ForbiddenException();
+            }
+            
             $this->debugLog("CRUD6 [UpdateFieldAction] Field validations passed", [
                 'model' => $crudSchema['model'],
                 'field' => $fieldName,
@@ -150,6 +162,9 @@ class UpdateFieldAction extends Base
 
             // Transform and validate single field using TransformsData trait
             $data = $this->transformAndValidateField($fieldName, $fieldConfig, $params, $crudSchema);
+
+            // A tree record can't be moved under itself or one of its descendants
+            $this->validateTreeParent($crudSchema, $crudModel, $data);
             
             $this->debugLog("CRUD6 [UpdateFieldAction] Data transformed and validated", [
                 'model' => $crudSchema['model'],
@@ -185,6 +200,11 @@ class UpdateFieldAction extends Base
                     ]);
                 }
 
+                // The version moves on, so the forms loaded before see the change as a conflict
+                foreach ($this->nextVersion($crudSchema, $crudModel->getAttributes()) as $versionField => $version) {
+                    $crudModel->{$versionField} = $version;
+                }
+
                 $crudModel->save();
 
                 // Get the current user for logging
@@ -259,6 +279,9 @@ class UpdateFieldAction extends Base
         } catch (ForbiddenException $e) {
             // Let ForbiddenException bubble up to framework's error handler
             throw $e;
+        } catch (ValidationException $e) {
+            // Validation errors - let them bubble up to framework's error handler
+            throw $e;
         } catch (NotFoundException $e) {
             // Resource not found - return 404
             return $this->jsonResponse($response, $e->getMessage(), 404);
@@ -0,0 +1,63 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+namespace UserFrosting\Sprinkle\CRUD6\Database\Migrations\v600;
+
+use Illuminate\Database\Schema\Blueprint;
+use UserFrosting\Sprinkle\Account\Database\Migrations\v400\UsersTable;
+use UserFrosting\Sprinkle\Core\Database\Migration;
+
+/**
+ * Saved list views table migration.
+ *
+ * One row per user and model, holding the column layout and the saved views
+ * of that user's list of the model as JSON.
+ */
+class ListViewsTable extends Migration
+{
+    /**
+     * {@inheritdoc}
+     */
+    public static $dependencies = [
+        UsersTable::class,
+    ];
+
+    /**
+     * {@inheritdoc}
+     */
+    public function up(): void
+    {
+        if (!$this->schema->hasTable('crud6_list_views')) {
+            $this->schema->create('crud6_list_views', function (Blueprint $table) {
+                $table->increments('id');
+                $table->integer('user_id')->unsigned();
+                $table->string('model', 100);
+                $table->text('data');
+                $table->timestamps();
+
+                $table->engine = 'InnoDB';
+                $table->collation = 'utf8_unicode_ci';
+                $table->charset = 'utf8';
+                $table->unique(['user_id', 'model']);
+                $table->foreign('user_id')->references('id')->on('users')->onDelete('cascade');
+            });
+        }
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function down(): void
+    {
+        $this->schema->drop('crud6_list_views');
+    }
+}
@@ -0,0 +1,56 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+namespace UserFrosting\Sprinkle\CRUD6\Database\Models;
+
+use UserFrosting\Sprinkle\Core\Database\Models\Model;
+
+/**
+ * Saved list views of one user for one model.
+ *
+ * `data` holds the column layout, the named views and the default view
+ * (see ListViewsAction) as JSON.
+ *
+ * @property int    $id
+ * @property int    $user_id
+ * @property string $model
+ * @property array  $data
+ */
+class ListViews extends Model
+{
+    /**
+     * @var string The name of the table for the current model.
+     */
+    protected $table = 'crud6_list_views';
+
+    /**
+     * @var string[] The attributes that are mass assignable.
+     */
+    protected $fillable = [
+        'user_id',
+        'model',
+        'data',
+    ];
+
+    /**
+     * @var array<string, string> The attributes that should be cast.
+     */
+    protected $casts = [
+        'user_id' => 'integer',
+        'data'    => 'array',
+    ];
+
+    /**
+     * @var bool Enable timestamps for this class.
+     */
+    public $timestamps = true;
+}
@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+namespace UserFrosting\Sprinkle\CRUD6\Exceptions;
+
+use UserFrosting\Sprinkle\Core\Exceptions\UserFacingException;
+use UserFrosting\Support\Message\UserMessage;
+
+/**
+ * Record Conflict Exception.
+ *
+ * Thrown inside the update transaction when the record was changed since the
+ * client loaded it: the version sent with the update no longer matches, or
+ * another update wrote the record first. The transaction is rolled back, and
+ * EditAction answers with a 409 conflict carrying the current record.
+ *
+ * @example
+ * ```php
+ * throw new RecordConflictException();
+ * ```
+ *
+ * @see \UserFrosting\Sprinkle\CRUD6\Controller\EditAction
+ */
+final class RecordConflictException extends UserFacingException
+{
+    /**
+     * @var string Translation key for exception title
+     */
+    protected string $title = 'CRUD6.CONFLICT.TITLE';
+
+    /**
+     * @var string|UserMessage Translation key or message for exception description
+     */
+    protected string|UserMessage $description = 'CRUD6.CONFLICT.DESCRIPTION';
+}
@@ -23,6 +23,7 @@ use UserFrosting\Sprinkle\CRUD6\Controller\CreateAction;
 use UserFrosting\Sprinkle\CRUD6\Controller\CustomActionController;
 use UserFrosting\Sprinkle\CRUD6\Controller\DeleteAction;
 use UserFrosting\Sprinkle\CRUD6\Controller\EditAction;
+use UserFrosting\Sprinkle\CRUD6\Controller\ListViewsAction;
 use UserFrosting\Sprinkle\CRUD6\Controller\RelationshipAction;
 use UserFrosting\Sprinkle\CRUD6\Controller\SprunjeAction;
 use UserFrosting\Sprinkle\CRUD6\Controller\UpdateFieldAction;
@@ -36,10 +37,13 @@ use UserFrosting\Sprinkle\CRUD6\Middlewares\CRUD6Injector;
  * 
  * RESTful API endpoints:
  * - GET    /api/crud6/{model}/schema                - Get schema metadata
+ * - GET    /api/crud6/{model}/views                 - Get the current user's saved list views (ListViewsAction)
+ * - PUT    /api/crud6/{model}/views                 - Save the current user's list views (ListViewsAction)
  * - GET    /api/crud6/{model}                       - List records (Sprunje with filter/sort/paginate)
  * - POST   /api/crud6/{model}                       - Create new record
  * - GET    /api/crud6/{model}/{id}                  - Read single record (EditAction)
  * - PUT    /api/crud6/{model}/{id}                  - Update record (EditAction)
+ * - PATCH  /api/crud6/{model}/{id}                  - Update the fields sent (EditAction)
  * - PUT    /api/crud6/{model}/{id}/{field}          - Update single field (UpdateFieldAction)
  * - DELETE /api/crud6/{model}/{id}                  - Delete record
  * - POST   /api/crud6/{model}/{id}/a/{actionKey}    - Execute custom action (CustomActionController) - /a/ is shortcode for /actions/
@@ -80,6 +84,11 @@ class CRUD6Routes implements RouteDefinitionInterface
             // API meta/schema endpoint (must be before /{id} routes)
             $group->get('/schema', ApiAction::class)
                 ->setName('api.crud6.schema');
+            // Saved list views of the current user (must be before /{id} routes)
+            $group->get('/views', ListViewsAction::class)
+                ->setName('api.crud6.views');
+            $group->put('/views', ListViewsAction::class)
+                ->setName('api.crud6.views.save');
             // Sprunje listing (filter/sort/paginate)
             $group->get('', SprunjeAction::class)
                 ->setName('api.crud6.list');
@@ -99,11 +108,13 @@ class CRUD6Routes implements RouteDefinitionInterface
             $group->post('/{id}/a/{actionKey}', CustomActionController::class)
                 ->setName('api.crud6.custom_action');
 
-            // Read single record (GET) and Update record (PUT) - both handled by EditAction
+            // Read single record (GET) and Update record (PUT, or PATCH for the fields sent) - all handled by EditAction
             $group->get('/{id}', EditAction::class)
                 ->setName('api.crud6.read');
             $group->put('/{id}', EditAction::class)
                 ->setName('api.crud6.update');
+            $group->patch('/{id}', EditAction::class)
+                ->setName('api.crud6.patch');
             // Update single field (PUT)
             $group->put('/{id}/{field}', UpdateFieldAction::class)
                 ->setName('api.crud6.update_field');
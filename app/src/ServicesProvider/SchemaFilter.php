@@ -44,6 +44,8 @@ class SchemaFilter
      * - 'list': Fields for listing/table view (listable fields only)
      * - 'form': Fields for create/edit forms (editable fields with validation)
      * - 'detail': Full field information for detail/view pages
+     * - 'export': Fields for list exports (export fields, or the listable fields)
+     * - 'card': Fields of the kanban and grid cards (card fields, or the listable fields)
      * - 'meta': Just model metadata (no field details)
      * - null/'full': Complete schema (backward compatible, but not recommended)
      * 
@@ -123,6 +125,11 @@ class SchemaFilter
             $filtered['permissions'] = $schema['permissions'];
         }
 
+        // Add version_field if present (sent back with updates to detect conflicts)
+        if (isset($schema['version_field'])) {
+            $filtered['version_field'] = $schema['version_field'];
+        }
+
         // Add actions at root level (all actions available for all contexts)
         if (isset($schema['actions'])) {
             $filtered['actions'] = $schema['actions'];
@@ -173,6 +180,11 @@ class SchemaFilter
             $filtered['permissions'] = $schema['permissions'];
         }
 
+        // Add version_field if present (sent back with updates to detect conflicts)
+        if (isset($schema['version_field'])) {
+            $filtered['version_field'] = $schema['version_field'];
+        }
+
         // Get context-specific data
         $contextData = $this->getContextSpecificData($schema, $context);
         
@@ -220,6 +232,12 @@ class SchemaFilter
             case 'detail':
                 return $this->getDetailContextData($schema);
 
+            case 'export':
+                return $this->getExportContextData($schema);
+
+            case 'card':
+                return $this->getCardContextData($schema);
+
             default:
                 // Unknown context - return null to signal fallback to full schema
                 return null;
@@ -269,9 +287,49 @@ class SchemaFilter
                 if (isset($field['filter_type']) && ($field['filterable'] ?? false)) {
                     $data['fields'][$fieldKey]['filter_type'] = $field['filter_type'];
                 }
+
+                // Include what the column filter widgets need (select options, lookup model)
+                if ($field['filterable'] ?? false) {
+                    if (isset($field['options'])) {
+                        $data['fields'][$fieldKey]['options'] = $field['options'];
+                    }
+                    if (($field['type'] ?? '') === 'smartlookup') {
+                        $this->includeSmartlookupFields($field, $data['fields'][$fieldKey]);
+                    }
+                }
+
+                // Include searchable flag (matches are highlighted in the list)
+                if ($field['searchable'] ?? false) {
+                    $data['fields'][$fieldKey]['searchable'] = true;
+                }
+
+                // Include field level permissions (hidden / locked columns)
+                if (isset($field['permissions'])) {
+                    $data['fields'][$fieldKey]['permissions'] = $field['permissions'];
+                }
             }
         }
 
+        // Include the list aggregations and the group field (footer totals, group subtotals)
+        $aggregates = $this->getAggregatesData($schema);
+        if ($aggregates !== []) {
+            $data['aggregates'] = $aggregates;
+        }
+        $groupField = $schema['fields'][$schema['group_by'] ?? ''] ?? null;
+        if (is_string($schema['group_by'] ?? null) && $groupField !== null) {
+            $data['group_by'] = [
+                'field' => $schema['group_by'],
+                'label' => $groupField['label'] ?? $schema['group_by'],
+                'type' => $groupField['type'] ?? 'string',
+            ];
+        }
+
+        // Include the alternate list views (kanban board, calendar, scrolling list, tree, card grid)
+        $listViews = $this->getListViewsData($schema);
+        if ($listViews !== []) {
+            $data['list_views'] = $listViews;
+        }
+
         // Include all actions
         if (isset($schema['actions'])) {
             $data['actions'] = $schema['actions'];
@@ -284,6 +342,253 @@ class SchemaFilter
         return $data;
     }
 
+    /**
+     * Get the list aggregations of the schema.
+     * 
+     * Fields declare them with `aggregate`: one of, or a list of, sum, avg,
+     * min, max and count. Sums and averages of non-numeric fields are dropped.
+     * 
+     * @param array $schema The complete schema array
+     * 
+     * @return array<string, array{label: string, type: string, functions: string[]}> Aggregations keyed by field name
+     */
+    protected function getAggregatesData(array $schema): array
+    {
+        $aggregates = [];
+
+        foreach ($schema['fields'] ?? [] as $fieldKey => $field) {
+            $type = $field['type'] ?? 'string';
+            $functions = array_intersect((array) ($field['aggregate'] ?? []), ['sum', 'avg', 'min', 'max', 'count']);
+            if (!in_array($type, ['integer', 'number', 'decimal', 'float'], true)) {
+                $functions = array_diff($functions, ['sum', 'avg']);
+            }
+            if ($functions !== []) {
+                $aggregates[$fieldKey] = [
+                    'label' => $field['label'] ?? $fieldKey,
+                    'type' => $type,
+                    'functions' => array_values($functions),
+                ];
+                if (isset($field['permissions'])) {
+                    $aggregates[$fieldKey]['permissions'] = $field['permissions'];
+                }
+            }
+        }
+
+        return $aggregates;
+    }
+
+    /**
+     * Get the alternate list views of the schema (`list_views`).
+     * 
+     * The kanban board groups records by `list_views.kanban.field`. Its columns
+     * are `list_views.kanban.columns` (values, or value / label objects) or the
+     * field's options, normalized to value / label objects so the board does
+     * not need the field options.
+     * 
+     * The calendar places records on `list_views.calendar.start_field` (and
+     * `end_field` for records spanning several days), titled by `title_field`
+     * (the schema `title_field` by default). The field types are included so
+     * dates and times are handled alike on both sides.
+     * 
+     * The scrolling list (`list_views.scroll`, `true` or its `row_height` and
+     * `page_size`) loads pages of the list as they scroll into view.
+     * 
+     * The tree of self-referencing models (`list_views.tree`) nests records
+     * under the record their `parent_field` references, loading `page_size`
+     * children at a time.
+     * 
+     * The card grid renders each record with the schema `card_template` (also
+     * the default template of the kanban cards); `list_views.grid` sets its
+     * `page_size` and whether it replaces the table on small screens
+     * (`small_screen`, true by default).
+     * 
+     * Views on unknown fields are left out. `list_views.default` ('table',
+     * 'kanban', 'calendar', 'scroll', 'tree' or 'grid') is the view the list
+     * opens with.
+     * 
+     * @param array $schema The complete schema array
+     * 
+     * @return array List views keyed by view name
+     */
+    protected function getListViewsData(array $schema): array
+    {
+        $listViews = [];
+
+        $kanban = $schema['list_views']['kanban'] ?? null;
+        $field = is_array($kanban) ? ($schema['fields'][$kanban['field'] ?? ''] ?? null) : null;
+        if ($field !== null) {
+            $columns = array_map(
+                fn ($column): array => is_array($column)
+                    ? ['value' => $column['value'] ?? null, 'label' => $column['label'] ?? (string) ($column['value'] ?? '')] + $column
+                    : ['value' => $column, 'label' => (string) $column],
+                array_values($kanban['columns'] ?? $field['options'] ?? [])
+            );
+
+            $listViews['kanban'] = array_merge($kanban, [
+                'label' => $kanban['label'] ?? $field['label'] ?? $kanban['field'],
+                'columns' => $columns,
+            ]);
+            if (!isset($kanban['card_template']) && is_string($schema['card_template'] ?? null)) {
+                $listViews['kanban']['card_template'] = $schema['card_template'];
+            }
+        }
+
+        $calendar = $schema['list_views']['calendar'] ?? null;
+        $startField = is_array($calendar) ? ($schema['fields'][$calendar['start_field'] ?? ''] ?? null) : null;
+        if ($startField !== null) {
+            $endField = $schema['fields'][$calendar['end_field'] ?? ''] ?? null;
+            $titleField = $calendar['title_field'] ?? $schema['title_field'] ?? null;
+
+            $listViews['calendar'] = array_merge($calendar, [
+                'start_type' => $startField['type'] ?? 'date',
+                'title_field' => isset($schema['fields'][$titleField ?? '']) ? $titleField : null,
+                'mode' => in_array($calendar['mode'] ?? null, ['month', 'week', 'day'], true) ? $calendar['mode'] : 'month',
+            ]);
+            if ($endField !== null) {
+                $listViews['calendar']['end_type'] = $endField['type'] ?? 'date';
+            } else {
+                unset($listViews['calendar']['end_field']);
+            }
+        }
+
+        $scroll = $schema['list_views']['scroll'] ?? null;
+        if ($scroll === true || is_array($scroll)) {
+            $options = is_array($scroll) ? $scroll : [];
+            $listViews['scroll'] = array_filter([
+                'row_height' => (int) ($options['row_height'] ?? 0),
+                'page_size' => (int) ($options['page_size'] ?? 0),
+            ], fn (int $value): bool => $value > 0);
+        }
+
+        $tree = $schema['list_views']['tree'] ?? null;
+        if (is_array($tree) && isset($schema['fields'][$tree['parent_field'] ?? ''])) {
+            $listViews['tree'] = ['parent_field' => $tree['parent_field']];
+            if ((int) ($tree['page_size'] ?? 0) > 0) {
+                $listViews['tree']['page_size'] = (int) $tree['page_size'];
+            }
+        }
+
+        // The schema `card_template` renders the cards of the grid (`list_views.grid: false` turns the grid off)
+        $cardTemplate = $schema['card_template'] ?? null;
+        $grid = $schema['list_views']['grid'] ?? [];
+        if (is_string($cardTemplate) && $cardTemplate !== '' && $grid !== false) {
+            $options = is_array($grid) ? $grid : [];
+            $listViews['grid'] = [
+                'card_template' => $cardTemplate,
+                'small_screen' => (bool) ($options['small_screen'] ?? true),
+            ];
+            if ((int) ($options['page_size'] ?? 0) > 0) {
+                $listViews['grid']['page_size'] = (int) $options['page_size'];
+            }
+        }
+
+        // View the list opens with
+        $default = $schema['list_views']['default'] ?? null;
+        if ($listViews !== [] && ($default === 'table' || isset($listViews[$default ?? '']))) {
+            $listViews['default'] = $default;
+        }
+
+        return $listViews;
+    }
+
+    /**
+     * Get card context data.
+     * 
+     * Fields shown on the cards of the kanban board and the card grid: fields with `show_in`
+     * containing 'card', or the listable fields when no field is marked.
+     * 
+     * @param array $schema The complete schema array
+     * 
+     * @return array Card context data
+     */
+    protected function getCardContextData(array $schema): array
+    {
+        $data = [
+            'fields' => [],
+        ];
+
+        $isCard = fn (array $field): bool => in_array('card', $field['show_in'] ?? []);
+        $isListable = fn (array $field): bool => isset($field['show_in'])
+            ? in_array('list', $field['show_in'])
+            : ($field['listable'] ?? false);
+
+        $fields = array_filter($schema['fields'], $isCard);
+        if ($fields === []) {
+            $fields = array_filter($schema['fields'], $isListable);
+        }
+
+        foreach ($fields as $fieldKey => $field) {
+            $data['fields'][$fieldKey] = [
+                'type' => $field['type'] ?? 'string',
+                'label' => $field['label'] ?? $fieldKey,
+            ];
+
+            // Include field_template if specified (for custom rendering)
+            if (isset($field['field_template'])) {
+                $data['fields'][$fieldKey]['field_template'] = $field['field_template'];
+            }
+
+            // Include field level permissions (hidden fields are not shown on cards)
+            if (isset($field['permissions'])) {
+                $data['fields'][$fieldKey]['permissions'] = $field['permissions'];
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Get export context data.
+     * 
+     * Fields with `show_in` containing 'export' or `exportable: true`; when no
+     * field is marked, the listable fields (same columns as the list table).
+     * Options and lookup configuration are included so values can be exported
+     * as labels.
+     * 
+     * @param array $schema The complete schema array
+     * 
+     * @return array Export context data
+     */
+    protected function getExportContextData(array $schema): array
+    {
+        $data = [
+            'fields' => [],
+        ];
+
+        $isExportable = fn (array $field): bool => in_array('export', $field['show_in'] ?? [])
+            || ($field['exportable'] ?? false) === true;
+        $isListable = fn (array $field): bool => isset($field['show_in'])
+            ? in_array('list', $field['show_in'])
+            : ($field['listable'] ?? false);
+
+        $fields = array_filter($schema['fields'], $isExportable);
+        if ($fields === []) {
+            $fields = array_filter($schema['fields'], $isListable);
+        }
+
+        foreach ($fields as $fieldKey => $field) {
+            $data['fields'][$fieldKey] = [
+                'type' => $field['type'] ?? 'string',
+                'label' => $field['label'] ?? $fieldKey,
+            ];
+
+            if (isset($field['options'])) {
+                $data['fields'][$fieldKey]['options'] = $field['options'];
+            }
+
+            if (($field['type'] ?? '') === 'smartlookup') {
+                $this->includeSmartlookupFields($field, $data['fields'][$fieldKey]);
+            }
+
+            // Include field level permissions (hidden columns are not exported)
+            if (isset($field['permissions'])) {
+                $data['fields'][$fieldKey]['permissions'] = $field['permissions'];
+            }
+        }
+
+        return $data;
+    }
+
     /**
      * Get detail context data.
      * 
@@ -330,6 +635,11 @@ class SchemaFilter
                 if (isset($field['default'])) {
                     $data['fields'][$fieldKey]['default'] = $field['default'];
                 }
+
+                // Include field level permissions
+                if (isset($field['permissions'])) {
+                    $data['fields'][$fieldKey]['permissions'] = $field['permissions'];
+                }
             }
         }
 
@@ -371,6 +681,11 @@ class SchemaFilter
         if (isset($schema['title_field'])) {
             $data['title_field'] = $schema['title_field'];
         }
+
+        // Include the sections and tabs of the info panel, shared with the form
+        if (isset($schema['layout'])) {
+            $data['layout'] = $schema['layout'];
+        }
         
         return $data;
     }
@@ -413,6 +728,11 @@ class SchemaFilter
                     $data['fields'][$fieldKey]['validation'] = $field['validation'];
                 }
 
+                // Include options (select fields; the import maps option labels to values)
+                if (isset($field['options'])) {
+                    $data['fields'][$fieldKey]['options'] = $field['options'];
+                }
+
                 // Include placeholder if present
                 if (isset($field['placeholder'])) {
                     $data['fields'][$fieldKey]['placeholder'] = $field['placeholder'];
@@ -448,12 +768,42 @@ class SchemaFilter
                     $data['fields'][$fieldKey]['show_in'] = $field['show_in'];
                 }
 
+                // Include field level permissions
+                if (isset($field['permissions'])) {
+                    $data['fields'][$fieldKey]['permissions'] = $field['permissions'];
+                }
+
+                // Include the sensitive flag (never written to local form drafts)
+                if ($field['sensitive'] ?? false) {
+                    $data['fields'][$fieldKey]['sensitive'] = true;
+                }
+
+                // Include the conditions on the other form values
+                foreach (['visible_when', 'required_when', 'disabled_when'] as $condition) {
+                    if (isset($field[$condition])) {
+                        $data['fields'][$fieldKey][$condition] = $field[$condition];
+                    }
+                }
+
                 // Include smartlookup configuration if present
                 if (($field['type'] ?? '') === 'smartlookup') {
                     $this->includeSmartlookupFields($field, $data['fields'][$fieldKey]);
                 }
             }
         }
+
+        // Include the wizard steps splitting the form fields
+        if (isset($schema['form_steps'])) {
+            $data['form_steps'] = $schema['form_steps'];
+        }
+
+        // Include the grid columns, sections and tabs of the form fields
+        if (isset($schema['form_layout'])) {
+            $data['form_layout'] = $schema['form_layout'];
+        }
+        if (isset($schema['layout'])) {
+            $data['layout'] = $schema['layout'];
+        }
         
         return $data;
     }
@@ -481,7 +831,15 @@ class SchemaFilter
             }
         }
         
-        return ['fields' => $mergedFields];
+        $data = ['fields' => $mergedFields];
+
+        foreach (['form_steps', 'form_layout', 'layout'] as $key) {
+            if (isset($createData[$key])) {
+                $data[$key] = $createData[$key];
+            }
+        }
+
+        return $data;
     }
 
     /**
@@ -44,6 +44,29 @@ class SchemaNormalizer
         // Normalize boolean field types with UI specification
         $schema = $this->normalizeBooleanTypes($schema);
 
+        // Default the version field of the optimistic concurrency checks
+        $schema = $this->normalizeVersionField($schema);
+
+        return $schema;
+    }
+
+    /**
+     * Normalize the version field of the schema.
+     * 
+     * Updates send back the `version_field` value of the record they were
+     * made on, and are refused when the record changed since. Schemas with
+     * timestamps use `updated_at` unless they declare a version column.
+     * 
+     * @param array $schema The schema array
+     * 
+     * @return array The schema with its version field, if any
+     */
+    public function normalizeVersionField(array $schema): array
+    {
+        if (!isset($schema['version_field']) && ($schema['timestamps'] ?? false)) {
+            $schema['version_field'] = 'updated_at';
+        }
+
         return $schema;
     }
 
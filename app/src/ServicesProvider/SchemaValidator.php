@@ -62,6 +62,13 @@ class SchemaValidator
                 "Schema for model '{$model}' must have a non-empty 'fields' array"
             );
         }
+
+        // Without timestamps, nothing would keep updated_at current as a version
+        if (($schema['version_field'] ?? null) === 'updated_at' && ($schema['timestamps'] ?? true) === false) {
+            throw new SchemaValidationException(
+                "Schema for model '{$model}' can't use 'updated_at' as its version_field without timestamps"
+            );
+        }
     }
 
     /**
@@ -50,6 +50,76 @@ class CRUD6Sprunje extends Sprunje
      */
     protected array $listable = [];
 
+    /**
+     * @var array<string, array> Schema configuration of the filterable fields, keyed by field name
+     */
+    protected array $filterFields = [];
+
+    /**
+     * @var array<string, float> Search weights of the searchable fields, keyed by field name
+     */
+    protected array $searchFields = [];
+
+    /**
+     * @var array<string, string[]> Aggregate functions of the list, keyed by field name
+     */
+    protected array $aggregates = [];
+
+    /**
+     * @var array<string, array> Schema configuration of the aggregated fields, keyed by field name
+     */
+    protected array $aggregateFields = [];
+
+    /**
+     * @var string|null Field the list rows are grouped by
+     */
+    protected ?string $groupBy = null;
+
+    /**
+     * @var string|null Field referencing the parent record (tree nodes)
+     */
+    protected ?string $treeField = null;
+
+    /**
+     * @var string Parent of the listed tree nodes, empty for the roots
+     */
+    protected string $treeParent = '';
+
+    /**
+     * @var string Primary key of the tree records
+     */
+    protected string $treePrimaryKey = 'id';
+
+    /**
+     * @var string Global search term (`search` parameter or `filters[search]`)
+     */
+    protected string $search = '';
+
+    /**
+     * @var string[] Fields the request asked to search (`search_fields`), empty for all
+     */
+    protected array $requestedSearchFields = [];
+
+    /**
+     * Name of the global search parameter / filter.
+     */
+    public const SEARCH_PARAM = 'search';
+
+    /**
+     * Name of the parameter restricting the searched fields (comma separated).
+     */
+    public const SEARCH_FIELDS_PARAM = 'search_fields';
+
+    /**
+     * Separator between the bounds of a range filter value (`min..max`).
+     */
+    public const RANGE_SEPARATOR = '..';
+
+    /**
+     * Separator between alternative filter values (`a||b`), same as the core Sprunje.
+     */
+    public const VALUE_SEPARATOR = '||';
+
     /**
      * Constructor for CRUD6Sprunje.
      * 
@@ -96,6 +166,287 @@ class CRUD6Sprunje extends Sprunje
         $this->query = $query;
     }
 
+    /**
+     * Set the schema configuration of the filterable fields.
+     * 
+     * Column filters (`filters[field]=value`) for these fields are applied
+     * according to the field type and `filter_type` instead of the default
+     * Sprunje "LIKE" filter.
+     * 
+     * @param array<string, array> $fields Field configurations keyed by field name
+     * 
+     * @return void
+     */
+    public function setFilterFields(array $fields): void
+    {
+        $this->filterFields = $fields;
+    }
+
+    /**
+     * Set the searchable fields and their search weight.
+     * 
+     * When no searchable fields are set, the global search falls back to the
+     * filterable fields with equal weight.
+     * 
+     * @param array<string, float> $fields Search weights keyed by field name
+     * 
+     * @return void
+     */
+    public function setSearchFields(array $fields): void
+    {
+        $this->searchFields = $fields;
+    }
+
+    /**
+     * Set the list aggregations and the group field.
+     * 
+     * The response then carries `aggregates` (every function of every field
+     * over the filtered records) and, with a group field, `groups`: the record
+     * count and aggregates of each group present on the current page, also
+     * over the filtered records.
+     * 
+     * @param array<string, string[]> $aggregates Aggregate functions (sum, avg, min, max, count) keyed by field name
+     * @param array<string, array>    $fields     Schema configuration of the fields
+     * @param string|null             $groupBy    Field the rows are grouped by
+     * 
+     * @return void
+     */
+    public function setAggregates(array $aggregates, array $fields = [], ?string $groupBy = null): void
+    {
+        $this->aggregates = $aggregates;
+        $this->aggregateFields = $fields;
+        $this->groupBy = $groupBy;
+    }
+
+    /**
+     * List the children of one parent of a self-referencing model.
+     * 
+     * Rows are restricted to the children of `$parent` (the roots when
+     * empty) and each row gets a `children_count`.
+     * 
+     * @param string $field      Field referencing the parent record
+     * @param string $parent     Parent record ID, empty for the roots
+     * @param string $primaryKey Primary key of the records
+     * 
+     * @return void
+     */
+    public function setTree(string $field, string $parent = '', string $primaryKey = 'id'): void
+    {
+        $this->treeField = $field;
+        $this->treeParent = $parent;
+        $this->treePrimaryKey = $primaryKey;
+    }
+
+    /**
+     * Get the response data, with the tree child counts, aggregations and group subtotals.
+     * 
+     * @return array<string, mixed>
+     */
+    public function getArray(): array
+    {
+        $result = parent::getArray();
+
+        if ($this->treeField !== null) {
+            $result['rows'] = $this->addChildrenCounts($result['rows'] ?? []);
+        }
+
+        if ($this->aggregates === [] && $this->groupBy === null) {
+            return $result;
+        }
+
+        $query = clone $this->query;
+        $this->applyFilters($query);
+
+        $result['aggregates'] = $this->getAggregates($query);
+
+        if ($this->groupBy !== null) {
+            $values = collect($result['rows'] ?? [])->pluck($this->groupBy)->unique()->values()->all();
+            $result['groups'] = $this->getGroups($query, $values);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Add the number of children (`children_count`) to tree rows.
+     * 
+     * @param array<int, array<string, mixed>> $rows The rows of the page
+     * 
+     * @return array<int, array<string, mixed>>
+     */
+    protected function addChildrenCounts(array $rows): array
+    {
+        $ids = array_values(array_filter(array_column($rows, $this->treePrimaryKey), fn ($id) => $id !== null));
+        $counts = [];
+
+        if ($ids !== []) {
+            $query = $this->model->newQuery();
+            $grammar = $query->getQuery()->getGrammar();
+            $column = $this->qualifyColumn((string) $this->treeField);
+            $counts = $query->toBase()
+                ->reorder()
+                ->select([])
+                ->selectRaw($grammar->wrap($column) . ' as ' . $grammar->wrap('tree_parent') . ', COUNT(*) as ' . $grammar->wrap('tree_children'))
+                ->whereIn($column, $ids)
+                ->groupBy($column)
+                ->pluck('tree_children', 'tree_parent')
+                ->all();
+        }
+
+        return array_map(function (array $row) use ($counts): array {
+            $row['children_count'] = (int) ($counts[$row[$this->treePrimaryKey] ?? ''] ?? 0);
+
+            return $row;
+        }, $rows);
+    }
+
+    /**
+     * Compute the aggregations over a (filtered) query.
+     * 
+     * @param \Illuminate\Database\Eloquent\Builder $query The filtered query
+     * 
+     * @return array<string, array<string, mixed>> Values keyed by field name, then function
+     */
+    protected function getAggregates($query): array
+    {
+        if ($this->aggregates === []) {
+            return [];
+        }
+
+        $row = (array) (clone $query)->toBase()->reorder()->select([])->selectRaw($this->getAggregateSelect($query))->first();
+
+        return $this->readAggregates($row);
+    }
+
+    /**
+     * Compute the record count and aggregations of groups over a (filtered) query.
+     * 
+     * @param \Illuminate\Database\Eloquent\Builder $query  The filtered query
+     * @param mixed[]                               $values The group values
+     * 
+     * @return array<int, array{value: mixed, count: int, aggregates: array}> One entry per group
+     */
+    protected function getGroups($query, array $values): array
+    {
+        if ($values === []) {
+            return [];
+        }
+
+        $grammar = $query->getQuery()->getGrammar();
+        $column = $this->qualifyColumn((string) $this->groupBy);
+        $present = array_values(array_filter($values, fn ($value) => $value !== null));
+
+        $select = $grammar->wrap($column) . ' as ' . $grammar->wrap('group_value')
+            . ', COUNT(*) as ' . $grammar->wrap('group_count');
+        if ($this->aggregates !== []) {
+            $select .= ', ' . $this->getAggregateSelect($query);
+        }
+
+        $rows = (clone $query)->toBase()
+            ->reorder()
+            ->select([])
+            ->selectRaw($select)
+            ->where(function ($subQuery) use ($column, $present, $values) {
+                $subQuery->whereIn($column, $present);
+                if (count($present) !== count($values)) {
+                    $subQuery->orWhereNull($column);
+                }
+            })
+            ->groupBy($column)
+            ->get();
+
+        $groups = [];
+        foreach ($rows as $row) {
+            $row = (array) $row;
+            $groups[] = [
+                'value' => $row['group_value'],
+                'count' => (int) $row['group_count'],
+                'aggregates' => $this->readAggregates($row),
+            ];
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Build the select expression of the aggregations (`sum__total` etc.).
+     * 
+     * @param \Illuminate\Database\Eloquent\Builder $query The query
+     * 
+     * @return string
+     */
+    protected function getAggregateSelect($query): string
+    {
+        $grammar = $query->getQuery()->getGrammar();
+        $selects = [];
+
+        foreach ($this->aggregates as $field => $functions) {
+            $column = $grammar->wrap($this->qualifyColumn($field));
+            foreach ($functions as $function) {
+                $selects[] = strtoupper($function) . "({$column}) as " . $grammar->wrap("{$function}__{$field}");
+            }
+        }
+
+        return implode(', ', $selects);
+    }
+
+    /**
+     * Read the aggregations of a result row, with numbers as numbers.
+     * 
+     * @param array<string, mixed> $row The result row
+     * 
+     * @return array<string, array<string, mixed>> Values keyed by field name, then function
+     */
+    protected function readAggregates(array $row): array
+    {
+        $aggregates = [];
+
+        foreach ($this->aggregates as $field => $functions) {
+            $numeric = $this->isNumericFilterType($this->aggregateFields[$field]['type'] ?? 'string');
+            foreach ($functions as $function) {
+                $value = $row["{$function}__{$field}"] ?? null;
+                if ($function === 'count') {
+                    $value = (int) $value;
+                } elseif ($value !== null && $numeric) {
+                    $value = (float) $value;
+                }
+                $aggregates[$field][$function] = $value;
+            }
+        }
+
+        return $aggregates;
+    }
+
+    /**
+     * Set the Sprunje options.
+     * 
+     * The global search term is taken from the `search` parameter (AutoLookup)
+     * or the `search` filter (list search box) and applied separately from the
+     * column filters, together with the optional `search_fields` restriction.
+     * 
+     * @param mixed[] $options The request options
+     * 
+     * @return static
+     */
+    public function setOptions($options): static
+    {
+        $search = $options[self::SEARCH_PARAM] ?? $options['filters'][self::SEARCH_PARAM] ?? null;
+        if ($search !== null) {
+            $this->search = trim((string) $search);
+        }
+
+        if (isset($options[self::SEARCH_FIELDS_PARAM])) {
+            $requested = $options[self::SEARCH_FIELDS_PARAM];
+            $this->requestedSearchFields = array_values(array_filter(
+                array_map('trim', is_array($requested) ? $requested : explode(',', (string) $requested))
+            ));
+        }
+
+        unset($options[self::SEARCH_PARAM], $options[self::SEARCH_FIELDS_PARAM], $options['filters'][self::SEARCH_PARAM]);
+
+        return parent::setOptions($options);
+    }
+
     /**
      * Get the base query for the Sprunje.
      * 
@@ -111,78 +462,317 @@ class CRUD6Sprunje extends Sprunje
     }
 
     /**
-     * Apply global search filter across filterable fields.
+     * Apply the column filters and the tree parent, then the global search.
+     * 
+     * @param \Illuminate\Database\Eloquent\Builder $query The query builder
+     * 
+     * @return static
+     */
+    protected function applyFilters($query): static
+    {
+        parent::applyFilters($query);
+
+        if ($this->treeField !== null) {
+            $column = $this->qualifyColumn($this->treeField);
+            if ($this->treeParent === '') {
+                $query->whereNull($column);
+            } else {
+                $query->where($column, $this->treeParent);
+            }
+        }
+
+        if ($this->search !== '') {
+            $this->filterSearch($query, $this->search);
+        }
+
+        return $this;
+    }
+
+    /**
+     * Apply the requested sorts, or rank search results by relevance.
      * 
-     * This filter method is automatically called by the Sprunje when the "search"
-     * parameter is present in the request. It applies OR filtering across all
-     * fields defined in the $filterable array.
+     * Without explicit sorts, search results are ordered by the summed weight
+     * of the fields each search word matches (prefix matches count double).
+     * 
+     * @param \Illuminate\Database\Eloquent\Builder $query The query builder
+     * 
+     * @return static
+     */
+    protected function applySorts($query): static
+    {
+        parent::applySorts($query);
+
+        $terms = $this->getSearchTerms($this->search);
+        $fields = $this->getSearchFields();
+
+        if (!empty($this->options['sorts']) || empty($terms) || empty($fields)) {
+            return $this;
+        }
+
+        $grammar = $query->getQuery()->getGrammar();
+        $cases = [];
+        $bindings = [];
+
+        foreach ($fields as $field => $weight) {
+            $column = $grammar->wrap($this->qualifyColumn($field));
+            foreach ($terms as $term) {
+                $cases[] = "CASE WHEN {$column} LIKE ? THEN ? WHEN {$column} LIKE ? THEN ? ELSE 0 END";
+                array_push($bindings, "{$term}%", $weight * 2, "%{$term}%", $weight);
+            }
+        }
+
+        $query->orderByRaw('(' . implode(' + ', $cases) . ') DESC', $bindings);
+
+        return $this;
+    }
+
+    /**
+     * Apply global search across the searchable fields.
+     * 
+     * The search term is split into words; every word must match at least one
+     * searchable field (OR across fields, AND across words), so "ann smith"
+     * finds a record with first name "Ann" and last name "Smith".
      * 
      * Field names are qualified with the table name to avoid ambiguity when
      * joins are present in the query.
      * 
-     * @param \Illuminate\Database\Eloquent\Builder $query      The query builder
-     * @param string                                 $value      The search term
+     * @param \Illuminate\Database\Eloquent\Builder $query The query builder
+     * @param string                                 $value The search term
      * 
      * @return \Illuminate\Database\Eloquent\Builder The modified query
      */
     protected function filterSearch($query, $value)
     {
-        // DEBUG: Log entry to filterSearch with field analysis
+        $terms = $this->getSearchTerms((string) $value);
+        $fields = $this->getSearchFields();
+
         $this->debugLogger->debug("CRUD6 [CRUD6Sprunje] filterSearch() called", [
             'table' => $this->name,
             'search_value' => $value,
-            'filterable_fields' => $this->filterable,
-            'filterable_count' => count($this->filterable),
-            'has_empty_strings' => in_array('', $this->filterable, true),
-            'empty_after_trim' => count(array_filter($this->filterable, fn($f) => is_string($f) && trim($f) === '')),
+            'terms' => $terms,
+            'search_fields' => $fields,
+            'requested_fields' => $this->requestedSearchFields,
         ]);
 
-        // Only apply search if we have filterable fields and non-empty search value
-        if (empty($this->filterable) || trim($value) === '') {
+        // Only apply search if we have searchable fields and a non-empty search value
+        if (empty($fields) || empty($terms)) {
             $this->debugLogger->debug("CRUD6 [CRUD6Sprunje] filterSearch() skipped", [
-                'reason' => empty($this->filterable) ? 'no filterable fields' : 'empty search value',
+                'reason' => empty($fields) ? 'no searchable fields' : 'empty search value',
             ]);
             return $query;
         }
 
-        // Get the table name for qualifying field names
-        $tableName = $this->name;
+        foreach ($terms as $term) {
+            $query->where(function ($subQuery) use ($term, $fields) {
+                foreach (array_keys($fields) as $field) {
+                    $subQuery->orWhere($this->qualifyColumn($field), 'LIKE', "%{$term}%");
+                }
+            });
+        }
 
-        // Filter out empty field names before applying search
-        $validFields = array_filter($this->filterable, function($field) {
-            return !empty(trim($field));
-        });
+        return $query;
+    }
 
-        // If no valid filterable fields after filtering, return query unchanged
-        if (empty($validFields)) {
-            $this->debugLogger->debug("CRUD6 [CRUD6Sprunje] filterSearch() no valid fields after filtering", [
-                'original_filterable' => $this->filterable,
-            ]);
-            return $query;
+    /**
+     * Get the fields searched by the global search with their weight.
+     * 
+     * Uses the searchable fields (falling back to the filterable fields),
+     * restricted to the `search_fields` of the request when given.
+     * 
+     * @return array<string, float> Search weights keyed by field name
+     */
+    protected function getSearchFields(): array
+    {
+        $fields = !empty($this->searchFields)
+            ? $this->searchFields
+            : array_fill_keys($this->filterable, 1.0);
+
+        // Filter out empty field names to prevent SQL errors like "table".""
+        $fields = array_filter($fields, fn ($weight, $field) => trim((string) $field) !== '', ARRAY_FILTER_USE_BOTH);
+
+        if (!empty($this->requestedSearchFields)) {
+            $requested = array_intersect_key($fields, array_flip($this->requestedSearchFields));
+            if (!empty($requested)) {
+                $fields = $requested;
+            }
         }
 
-        $this->debugLogger->debug("CRUD6 [CRUD6Sprunje] filterSearch() applying to fields", [
-            'valid_fields' => array_values($validFields),
-            'qualified_fields' => array_map(fn($f) => "{$tableName}.{$f}", $validFields),
+        return $fields;
+    }
+
+    /**
+     * Split a search term into words.
+     * 
+     * @param string $value The search term
+     * 
+     * @return string[] The search words
+     */
+    protected function getSearchTerms(string $value): array
+    {
+        return array_values(array_filter(preg_split('/\s+/', trim($value)) ?: [], fn ($term) => $term !== ''));
+    }
+
+    /**
+     * Qualify a field name with the table name, unless already qualified.
+     * 
+     * @param string $field The field name
+     * 
+     * @return string The qualified column name
+     */
+    protected function qualifyColumn(string $field): string
+    {
+        return strpos($field, '.') !== false ? $field : "{$this->name}.{$field}";
+    }
+
+    /**
+     * Apply a column filter using the schema configuration of the field.
+     * 
+     * Supported `filter_type` values: equals, not_equals, like, starts_with,
+     * ends_with, in, between, greater_than, less_than. Without `filter_type`,
+     * text fields use "like" and every other type uses "equals".
+     * 
+     * Values of numeric and date fields containing `..` are treated as a range
+     * (`min..max`, either bound may be empty). Alternative values are separated
+     * by `||` and combined with OR.
+     * 
+     * Fields without schema configuration fall back to the core Sprunje filter.
+     * 
+     * @param \Illuminate\Database\Eloquent\Builder $query The query builder
+     * @param string                                 $name  The field name
+     * @param mixed                                  $value The filter value
+     * 
+     * @return static
+     */
+    protected function buildFilterDefaultFieldQuery($query, $name, $value): static
+    {
+        $field = $this->filterFields[$name] ?? null;
+
+        if ($field === null) {
+            return parent::buildFilterDefaultFieldQuery($query, $name, $value);
+        }
+
+        $column = $this->qualifyColumn($name);
+        $type = $field['type'] ?? 'string';
+        $isDate = in_array($type, ['date', 'datetime'], true);
+        $value = trim((string) $value);
+
+        $this->debugLogger->debug("CRUD6 [CRUD6Sprunje] Column filter", [
+            'table' => $this->name,
+            'field' => $name,
+            'type' => $type,
+            'filter_type' => $field['filter_type'] ?? null,
+            'value' => $value,
         ]);
 
-        // Apply search to all valid filterable fields using OR logic
-        return $query->where(function ($subQuery) use ($value, $tableName, $validFields) {
-            $isFirst = true;
-            foreach ($validFields as $field) {
-                // Qualify field with table name if not already qualified
-                $qualifiedField = strpos($field, '.') !== false 
-                    ? $field 
-                    : "{$tableName}.{$field}";
-                
-                if ($isFirst) {
-                    $subQuery->where($qualifiedField, 'LIKE', "%{$value}%");
-                    $isFirst = false;
-                } else {
-                    $subQuery->orWhere($qualifiedField, 'LIKE', "%{$value}%");
-                }
+        if ($value === '') {
+            return $this;
+        }
+
+        // Range filter: "min..max", "min.." or "..max"
+        if (($isDate || $this->isNumericFilterType($type)) && strpos($value, self::RANGE_SEPARATOR) !== false) {
+            [$min, $max] = array_map('trim', explode(self::RANGE_SEPARATOR, $value, 2));
+            $where = $isDate ? 'whereDate' : 'where';
+
+            if ($min !== '') {
+                $query->{$where}($column, '>=', $min);
+            }
+            if ($max !== '') {
+                $query->{$where}($column, '<=', $max);
             }
-        });
+
+            return $this;
+        }
+
+        $values = array_values(array_filter(
+            array_map('trim', explode(self::VALUE_SEPARATOR, $value)),
+            fn ($item) => $item !== ''
+        ));
+
+        $operator = $this->getFilterOperator($field);
+
+        switch ($operator) {
+            case 'in':
+                $query->whereIn($column, $values);
+                break;
+            case 'not_equals':
+                $query->whereNotIn($column, $values);
+                break;
+            default:
+                foreach ($values as $item) {
+                    $this->applyFilterCondition($query, $column, $operator, $item, $isDate);
+                }
+        }
+
+        return $this;
+    }
+
+    /**
+     * Add one OR condition of a column filter to the query.
+     * 
+     * @param \Illuminate\Database\Eloquent\Builder $query    The query builder
+     * @param string                                 $column   The qualified column name
+     * @param string                                 $operator The filter type
+     * @param string                                 $value    The filter value
+     * @param bool                                   $isDate   Compare the date part only
+     * 
+     * @return void
+     */
+    protected function applyFilterCondition($query, string $column, string $operator, string $value, bool $isDate): void
+    {
+        switch ($operator) {
+            case 'like':
+                $query->orWhere($column, 'LIKE', "%{$value}%");
+                break;
+            case 'starts_with':
+                $query->orWhere($column, 'LIKE', "{$value}%");
+                break;
+            case 'ends_with':
+                $query->orWhere($column, 'LIKE', "%{$value}");
+                break;
+            case 'greater_than':
+                $isDate ? $query->orWhereDate($column, '>', $value) : $query->orWhere($column, '>', $value);
+                break;
+            case 'less_than':
+                $isDate ? $query->orWhereDate($column, '<', $value) : $query->orWhere($column, '<', $value);
+                break;
+            default:
+                // equals (and between with a single value)
+                $isDate ? $query->orWhereDate($column, '=', $value) : $query->orWhere($column, '=', $value);
+        }
+    }
+
+    /**
+     * Get the filter type of a field, defaulting on the field type.
+     * 
+     * @param array $field The field configuration
+     * 
+     * @return string The filter type
+     */
+    protected function getFilterOperator(array $field): string
+    {
+        if (!empty($field['filter_type'])) {
+            return $field['filter_type'];
+        }
+
+        $type = $field['type'] ?? 'string';
+        $isText = !$this->isNumericFilterType($type)
+            && !in_array($type, ['date', 'datetime', 'smartlookup'], true)
+            && strpos($type, 'boolean') !== 0
+            && empty($field['options']);
+
+        return $isText ? 'like' : 'equals';
+    }
+
+    /**
+     * Check if a field type holds numbers.
+     * 
+     * @param string $type The field type
+     * 
+     * @return bool
+     */
+    protected function isNumericFilterType(string $type): bool
+    {
+        return in_array($type, ['integer', 'number', 'decimal', 'float'], true);
     }
 
     /**
@@ -17,6 +17,7 @@ use UserFrosting\Sprinkle\Core\Sprinkle\Recipe\MigrationRecipe;
 use UserFrosting\Sprinkle\Core\Sprinkle\Recipe\SeedRecipe;
 use UserFrosting\Sprinkle\SprinkleRecipe;
 use UserFrosting\Sprinkle\CRUD6\CRUD6;
+use UserFrosting\Sprinkle\CRUD6\Database\Migrations\v600\ListViewsTable;
 
 /**
  * Test CRUD6 sprinkle configuration.
@@ -54,20 +55,17 @@ class CRUD6Test extends TestCase
     }
 
     /**
-     * Test that getMigrations returns empty array.
+     * Test that getMigrations returns the saved list views table.
      * 
-     * CRUD6 sprinkle does not define any migrations - it works with existing tables
-     * defined by JSON schemas. This is intentional design as CRUD6 is schema-driven
-     * and doesn't require its own database migrations.
+     * CRUD6 works with existing tables defined by JSON schemas; its only own
+     * table holds the saved list views of each user.
      */
-    public function testGetMigrationsReturnsEmptyArray(): void
+    public function testGetMigrationsReturnsListViewsTable(): void
     {
         $sprinkle = new CRUD6();
         $migrations = $sprinkle->getMigrations();
 
-        // Assert that migrations is an empty array (CRUD6 has no migrations by design)
-        $this->assertIsArray($migrations);
-        $this->assertEmpty($migrations);
+        $this->assertSame([ListViewsTable::class], $migrations);
     }
 
     /**
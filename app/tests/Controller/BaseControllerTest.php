@@ -16,8 +16,10 @@ use PHPUnit\Framework\TestCase;
 use UserFrosting\Config\Config;
 use UserFrosting\Sprinkle\Account\Authenticate\Authenticator;
 use UserFrosting\Sprinkle\Account\Authorize\AuthorizationManager;
+use UserFrosting\Sprinkle\Account\Exceptions\ForbiddenException;
 use UserFrosting\Sprinkle\Core\Log\DebugLoggerInterface;
 use UserFrosting\Sprinkle\CRUD6\Controller\Base;
+use UserFrosting\Sprinkle\CRUD6\Controller\Traits\TransformsData;
 use UserFrosting\Sprinkle\CRUD6\ServicesProvider\SchemaService;
 
 /**
@@ -224,15 +226,462 @@ class BaseControllerTest extends TestCase
         $this->assertEquals([], $validationRules['notes']);
     }
     
+    /**
+     * Test field level permissions restrict editable and listable fields
+     */
+    public function testFieldPermissionsRestrictEditableAndListableFields(): void
+    {
+        $controller = $this->createBaseController(['view_salary']);
+        
+        $schema = [
+            'model' => 'test',
+            'fields' => [
+                'name' => [
+                    'type' => 'string',
+                    'listable' => true,
+                ],
+                'salary' => [
+                    'type' => 'decimal',
+                    'listable' => true,
+                    'permissions' => ['view' => 'view_salary', 'edit' => 'edit_salary'],
+                ],
+                'ssn' => [
+                    'type' => 'string',
+                    'listable' => true,
+                    'permissions' => ['view' => 'view_ssn'],
+                ],
+            ]
+        ];
+        
+        $editableFields = $this->invokeMethod($controller, 'getEditableFields', [$schema]);
+        $this->assertContains('name', $editableFields);
+        $this->assertNotContains('salary', $editableFields);
+        $this->assertNotContains('ssn', $editableFields);
+        
+        $record = $this->invokeMethod($controller, 'hideRestrictedFields', [$schema, ['name' => 'Ann', 'salary' => 100, 'ssn' => '123']]);
+        $this->assertEquals(['name' => 'Ann', 'salary' => 100], $record);
+    }
+    
+    /**
+     * Test that a create request leaves the fields the user may not edit unset
+     */
+    public function testPrepareInsertDataSkipsRestrictedFields(): void
+    {
+        $controller = $this->createBaseController(['view_salary']);
+
+        $schema = [
+            'model' => 'test',
+            'fields' => [
+                'name' => ['type' => 'string'],
+                'salary' => [
+                    'type' => 'decimal',
+                    'permissions' => ['view' => 'view_salary', 'edit' => 'edit_salary'],
+                ],
+                'ssn' => [
+                    'type' => 'string',
+                    'permissions' => ['view' => 'view_ssn'],
+                ],
+                'level' => [
+                    'type' => 'integer',
+                    'default' => 1,
+                    'permissions' => ['edit' => 'edit_level'],
+                ],
+            ]
+        ];
+
+        $insertData = $this->invokeMethod($controller, 'prepareInsertData', [$schema, [
+            'name' => 'Ann',
+            'salary' => '100000',
+            'ssn' => '123',
+            'level' => 9,
+        ]]);
+
+        $this->assertSame('Ann', $insertData['name']);
+        $this->assertArrayNotHasKey('salary', $insertData);
+        $this->assertArrayNotHasKey('ssn', $insertData);
+        $this->assertSame(1, $insertData['level']);
+    }
+
+    /**
+     * Test that searchable fields are returned with their search weight
+     */
+    public function testGetSearchableFieldsReturnsWeights(): void
+    {
+        $controller = $this->createBaseController([], [
+            'model' => 'customers',
+            'fields' => [
+                'name' => ['type' => 'string', 'searchable' => true, 'search_weight' => 3],
+                'email' => ['type' => 'email', 'searchable' => true],
+                'notes' => ['type' => 'text'],
+                'tax_id' => [
+                    'type' => 'string',
+                    'searchable' => true,
+                    'permissions' => ['view' => 'view_tax_id'],
+                ],
+            ]
+        ]);
+        
+        $searchable = $this->invokeMethod($controller, 'getSearchableFields', ['customers']);
+        
+        $this->assertSame(['name' => 3.0, 'email' => 1.0], $searchable);
+    }
+    
+    /**
+     * Test exportable fields fall back to the listable fields and skip hidden fields
+     */
+    public function testGetExportableFields(): void
+    {
+        $schema = [
+            'model' => 'orders',
+            'fields' => [
+                'number' => ['type' => 'string', 'show_in' => ['list', 'export']],
+                'total' => ['type' => 'decimal', 'exportable' => true],
+                'notes' => ['type' => 'text', 'show_in' => ['list']],
+                'margin' => [
+                    'type' => 'decimal',
+                    'show_in' => ['export'],
+                    'permissions' => ['view' => 'view_margin'],
+                ],
+            ]
+        ];
+        
+        $controller = $this->createBaseController([], $schema);
+        $this->assertSame(['number', 'total'], $this->invokeMethod($controller, 'getExportableFields', ['orders']));
+        
+        // Without export fields the export uses the list columns
+        unset($schema['fields']['total'], $schema['fields']['margin']);
+        $schema['fields']['number']['show_in'] = ['list'];
+        $controller = $this->createBaseController([], $schema);
+        $this->assertSame(['number', 'notes'], $this->invokeMethod($controller, 'getExportableFields', ['orders']));
+    }
+    
+    /**
+     * Test card fields always carry the primary key and the kanban field
+     */
+    public function testGetCardFields(): void
+    {
+        $schema = [
+            'model' => 'tickets',
+            'primary_key' => 'id',
+            'list_views' => ['kanban' => ['field' => 'status']],
+            'fields' => [
+                'id' => ['type' => 'integer', 'show_in' => ['list']],
+                'title' => ['type' => 'string', 'show_in' => ['list', 'card']],
+                'status' => ['type' => 'string', 'show_in' => ['list']],
+                'notes' => ['type' => 'text', 'show_in' => ['list']],
+                'cost' => [
+                    'type' => 'decimal',
+                    'show_in' => ['card'],
+                    'permissions' => ['view' => 'view_cost'],
+                ],
+            ]
+        ];
+        
+        $controller = $this->createBaseController([], $schema);
+        $this->assertSame('status', $this->invokeMethod($controller, 'getKanbanField', ['tickets']));
+        $this->assertSame(['id', 'status', 'title'], $this->invokeMethod($controller, 'getCardFields', ['tickets']));
+        
+        // Without card fields the cards show the list columns
+        $schema['fields']['title']['show_in'] = ['list'];
+        unset($schema['fields']['cost']);
+        $controller = $this->createBaseController([], $schema);
+        $this->assertSame(['id', 'status', 'title', 'notes'], $this->invokeMethod($controller, 'getCardFields', ['tickets']));
+        
+        // A board on an unknown field is ignored
+        $schema['list_views']['kanban']['field'] = 'missing';
+        $controller = $this->createBaseController([], $schema);
+        $this->assertNull($this->invokeMethod($controller, 'getKanbanField', ['tickets']));
+    }
+    
+    /**
+     * Test calendar fields carry the primary key, the viewable dates and the title
+     */
+    public function testGetCalendarFields(): void
+    {
+        $schema = [
+            'model' => 'events',
+            'primary_key' => 'id',
+            'title_field' => 'name',
+            'list_views' => ['calendar' => ['start_field' => 'starts_at', 'end_field' => 'ends_at']],
+            'fields' => [
+                'id' => ['type' => 'integer'],
+                'name' => ['type' => 'string'],
+                'starts_at' => ['type' => 'datetime'],
+                'ends_at' => [
+                    'type' => 'datetime',
+                    'permissions' => ['view' => 'view_event_end'],
+                ],
+            ]
+        ];
+        
+        $controller = $this->createBaseController(['view_event_end'], $schema);
+        $this->assertSame(['starts_at', 'ends_at'], $this->invokeMethod($controller, 'getCalendarDateFields', ['events']));
+        $this->assertSame(['id', 'starts_at', 'ends_at', 'name'], $this->invokeMethod($controller, 'getCalendarFields', ['events']));
+        
+        // An end date the user may not view is left out
+        $controller = $this->createBaseController([], $schema);
+        $this->assertSame(['starts_at'], $this->invokeMethod($controller, 'getCalendarDateFields', ['events']));
+        
+        // No calendar without a start field
+        $schema['list_views']['calendar']['start_field'] = 'missing';
+        $controller = $this->createBaseController(['view_event_end'], $schema);
+        $this->assertSame([], $this->invokeMethod($controller, 'getCalendarDateFields', ['events']));
+    }
+    
+    /**
+     * Test the list aggregations and the group field
+     */
+    public function testGetAggregateFields(): void
+    {
+        $schema = [
+            'model' => 'orders',
+            'group_by' => 'status',
+            'fields' => [
+                'id' => ['type' => 'integer', 'aggregate' => 'count'],
+                'status' => ['type' => 'string'],
+                'total' => ['type' => 'decimal', 'aggregate' => ['sum', 'avg', 'median']],
+                'ordered_at' => ['type' => 'date', 'aggregate' => ['sum', 'min', 'max']],
+                'cost' => [
+                    'type' => 'decimal',
+                    'aggregate' => 'sum',
+                    'permissions' => ['view' => 'view_order_cost'],
+                ],
+            ]
+        ];
+        
+        $controller = $this->createBaseController(['view_order_cost'], $schema);
+        $this->assertSame([
+            'id' => ['count'],
+            'total' => ['sum', 'avg'],
+            'ordered_at' => ['min', 'max'],
+            'cost' => ['sum'],
+        ], $this->invokeMethod($controller, 'getAggregateFields', ['orders']));
+        $this->assertSame('status', $this->invokeMethod($controller, 'getGroupByField', ['orders']));
+        
+        // Aggregations of fields the user may not view are left out
+        $controller = $this->createBaseController([], $schema);
+        $this->assertArrayNotHasKey('cost', $this->invokeMethod($controller, 'getAggregateFields', ['orders']));
+        
+        // No grouping by an unknown field
+        $schema['group_by'] = 'missing';
+        $controller = $this->createBaseController([], $schema);
+        $this->assertNull($this->invokeMethod($controller, 'getGroupByField', ['orders']));
+    }
+    
+    /**
+     * Test the parent field of a tree
+     */
+    public function testGetTreeParentField(): void
+    {
+        $schema = [
+            'model' => 'categories',
+            'list_views' => ['tree' => ['parent_field' => 'parent_id']],
+            'fields' => [
+                'id' => ['type' => 'integer'],
+                'name' => ['type' => 'string'],
+                'parent_id' => [
+                    'type' => 'integer',
+                    'permissions' => ['view' => 'view_category_parent'],
+                ],
+            ]
+        ];
+        
+        $controller = $this->createBaseController(['view_category_parent'], $schema);
+        $this->assertSame('parent_id', $this->invokeMethod($controller, 'getTreeParentField', ['categories']));
+        
+        // No tree on a parent field the user may not view
+        $controller = $this->createBaseController([], $schema);
+        $this->assertNull($this->invokeMethod($controller, 'getTreeParentField', ['categories']));
+        
+        // No tree on an unknown field
+        $schema['list_views']['tree']['parent_field'] = 'missing';
+        $controller = $this->createBaseController(['view_category_parent'], $schema);
+        $this->assertNull($this->invokeMethod($controller, 'getTreeParentField', ['categories']));
+    }
+    
+    /**
+     * Test matching field conditions against record data
+     */
+    public function testMatchesConditions(): void
+    {
+        $controller = $this->createBaseController();
+        $data = ['customer_type' => 'business', 'flag_enabled' => 1, 'status' => 'active'];
+        
+        $this->assertTrue($this->invokeMethod($controller, 'matchesConditions', [null, $data]));
+        $this->assertTrue($this->invokeMethod($controller, 'matchesConditions', [['customer_type' => 'business'], $data]));
+        $this->assertFalse($this->invokeMethod($controller, 'matchesConditions', [['customer_type' => 'person'], $data]));
+        
+        // Booleans match database 0/1 values, arrays match any of their values
+        $this->assertTrue($this->invokeMethod($controller, 'matchesConditions', [['flag_enabled' => true], $data]));
+        $this->assertFalse($this->invokeMethod($controller, 'matchesConditions', [['flag_enabled' => false], $data]));
+        $this->assertTrue($this->invokeMethod($controller, 'matchesConditions', [['status' => ['active', 'pending']], $data]));
+        
+        // All conditions must match
+        $this->assertFalse($this->invokeMethod($controller, 'matchesConditions', [['customer_type' => 'business', 'status' => 'closed'], $data]));
+    }
+    
+    /**
+     * Test that hidden and disabled fields are left out of the request schema
+     * and required_when replaces the required rule
+     */
+    public function testApplyFieldConditions(): void
+    {
+        $controller = new class(
+            $this->createMock(AuthorizationManager::class),
+            $this->createMock(Authenticator::class),
+            $this->createMock(DebugLoggerInterface::class),
+            $this->createMock(SchemaService::class),
+            $this->createMock(Config::class)
+        ) extends Base {
+            use TransformsData;
+        };
+        
+        $schema = [
+            'model' => 'customers',
+            'fields' => [
+                'customer_type' => ['type' => 'string'],
+                'company_name' => [
+                    'type' => 'string',
+                    'visible_when' => ['customer_type' => 'business'],
+                    'required_when' => ['customer_type' => 'business'],
+                ],
+                'vat_number' => [
+                    'type' => 'string',
+                    'validation' => ['required' => true],
+                    'required_when' => ['customer_type' => 'business'],
+                ],
+                'discount' => [
+                    'type' => 'decimal',
+                    'disabled_when' => ['customer_type' => 'person'],
+                ],
+            ]
+        ];
+        
+        $business = $this->invokeMethod($controller, 'applyFieldConditions', [$schema, ['customer_type' => 'business']]);
+        $this->assertSame(['customer_type', 'company_name', 'vat_number', 'discount'], array_keys($business['fields']));
+        $this->assertTrue($business['fields']['company_name']['validation']['required']);
+        $this->assertTrue($business['fields']['vat_number']['validation']['required']);
+        
+        $person = $this->invokeMethod($controller, 'applyFieldConditions', [$schema, ['customer_type' => 'person']]);
+        $this->assertSame(['customer_type', 'vat_number'], array_keys($person['fields']));
+        $this->assertFalse($person['fields']['vat_number']['required']);
+        $this->assertArrayNotHasKey('required', $person['fields']['vat_number']['validation']);
+    }
+
+    /**
+     * Test that updates of a record changed since it was loaded are detected
+     */
+    public function testVersionMatches(): void
+    {
+        $controller = $this->createBaseController();
+        $schema = ['model' => 'customers', 'version_field' => 'updated_at'];
+        $record = ['id' => 4, 'updated_at' => '2026-01-02T10:00:00.000000Z'];
+
+        $this->assertTrue($this->invokeMethod($controller, 'versionMatches', [$schema, $record, []]));
+        $this->assertTrue($this->invokeMethod($controller, 'versionMatches', [$schema, $record, ['_version' => '2026-01-02T10:00:00.000000Z']]));
+        $this->assertTrue($this->invokeMethod($controller, 'versionMatches', [$schema, $record, ['_version' => '2026-01-02 10:00:00 UTC']]));
+        $this->assertFalse($this->invokeMethod($controller, 'versionMatches', [$schema, $record, ['_version' => '2026-01-02T09:59:00.000000Z']]));
+
+        $counter = ['model' => 'customers', 'version_field' => 'lock_version'];
+        $this->assertTrue($this->invokeMethod($controller, 'versionMatches', [$counter, ['lock_version' => 3], ['_version' => 3]]));
+        $this->assertFalse($this->invokeMethod($controller, 'versionMatches', [$counter, ['lock_version' => 4], ['_version' => '3']]));
+
+        // Schemas without a version field are not checked
+        $this->assertTrue($this->invokeMethod($controller, 'versionMatches', [['model' => 'customers'], $record, ['_version' => 'old']]));
+    }
+
+    /**
+     * Test that every update moves the version on, also within the same second
+     */
+    public function testNextVersion(): void
+    {
+        $controller = $this->createBaseController();
+        $schema = ['model' => 'customers', 'version_field' => 'updated_at'];
+
+        // A version in the future (or the current second) still moves on
+        $future = date('Y-m-d H:i:s', time() + 60);
+        $next = $this->invokeMethod($controller, 'nextVersion', [$schema, ['updated_at' => $future]]);
+        $this->assertSame(['updated_at' => date('Y-m-d H:i:s', strtotime($future) + 1)], $next);
+
+        $next = $this->invokeMethod($controller, 'nextVersion', [$schema, ['updated_at' => '2026-01-02 10:00:00']]);
+        $this->assertGreaterThan(strtotime('2026-01-02 10:00:00'), strtotime($next['updated_at']));
+
+        $counter = ['model' => 'customers', 'version_field' => 'lock_version'];
+        $this->assertSame(['lock_version' => 4], $this->invokeMethod($controller, 'nextVersion', [$counter, ['lock_version' => '3']]));
+        $this->assertSame(['lock_version' => 1], $this->invokeMethod($controller, 'nextVersion', [$counter, ['lock_version' => null]]));
+
+        $this->assertSame([], $this->invokeMethod($controller, 'nextVersion', [['model' => 'customers'], ['updated_at' => $future]]));
+    }
+
+    /**
+     * Test that validateAccess() checks the schema slug of the action itself,
+     * and crud6.{model}.{action} without one (the frontend resolves the same way)
+     */
+    public function testValidateAccessPermissionKeys(): void
+    {
+        $schema = [
+            'model' => 'groups',
+            'permissions' => ['read' => 'uri_crud6', 'update' => 'update_group_field'],
+        ];
+
+        // Field updates use the `update` key, reads the `read` key
+        $controller = $this->createBaseController(['update_group_field', 'uri_crud6', 'crud6.groups.edit']);
+        $this->invokeMethod($controller, 'validateAccess', [$schema, 'update']);
+        $this->invokeMethod($controller, 'validateAccess', [$schema, 'read']);
+
+        // Record edits have no `edit` key here: crud6.groups.edit is required
+        $this->invokeMethod($controller, 'validateAccess', [$schema, 'edit']);
+
+        // The `update` slug alone does not allow record edits
+        $this->expectException(ForbiddenException::class);
+        $this->invokeMethod($this->createBaseController(['update_group_field']), 'validateAccess', [$schema, 'edit']);
+    }
+
+    /**
+     * Test that a partial (PATCH) update only validates the fields it sends
+     */
+    public function testRestrictToParams(): void
+    {
+        $controller = new class(
+            $this->createMock(AuthorizationManager::class),
+            $this->createMock(Authenticator::class),
+            $this->createMock(DebugLoggerInterface::class),
+            $this->createMock(SchemaService::class),
+            $this->createMock(Config::class)
+        ) extends Base {
+            use TransformsData;
+        };
+
+        $schema = [
+            'model' => 'customers',
+            'fields' => [
+                'name' => ['type' => 'string', 'validation' => ['required' => true]],
+                'email' => ['type' => 'email', 'validation' => ['required' => true]],
+                'notes' => ['type' => 'text'],
+            ]
+        ];
+
+        $restricted = $this->invokeMethod($controller, 'restrictToParams', [$schema, ['notes' => '', 'unknown' => 1]]);
+        $this->assertSame(['notes'], array_keys($restricted['fields']));
+        $this->assertSame('customers', $restricted['model']);
+    }
+
     /**
      * Create a mock Base controller instance for testing
+     *
+     * @param string[] $granted Permission slugs the mocked user holds
+     * @param array    $schema  Schema returned by the mocked schema service
      */
-    private function createBaseController(): Base
+    private function createBaseController(array $granted = [], array $schema = []): Base
     {
         $authorizer = $this->createMock(AuthorizationManager::class);
         $authenticator = $this->createMock(Authenticator::class);
+        $authenticator->method('checkAccess')->willReturnCallback(
+            fn (string $slug): bool => in_array($slug, $granted, true)
+        );
         $logger = $this->createMock(DebugLoggerInterface::class);
         $schemaService = $this->createMock(SchemaService::class);
+        $schemaService->method('getSchema')->willReturn($schema);
         $config = $this->createMock(Config::class);
         
         // Create an anonymous class that extends Base for testing
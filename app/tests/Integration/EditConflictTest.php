@@ -0,0 +1,90 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+namespace UserFrosting\Sprinkle\CRUD6\Tests\Integration;
+
+use Mockery\Adapter\Phpunit\MockeryPHPUnitIntegration;
+use UserFrosting\Sprinkle\Account\Database\Models\Group;
+use UserFrosting\Sprinkle\Account\Database\Models\User;
+use UserFrosting\Sprinkle\Account\Testing\WithTestUser;
+use UserFrosting\Sprinkle\CRUD6\Tests\CRUD6TestCase;
+use UserFrosting\Sprinkle\Core\Testing\RefreshDatabase;
+
+/**
+ * Edit Conflict Integration Test
+ *
+ * Updates sending the `_version` of the record they were made on are written
+ * only over that version: of two updates made on the same version, the second
+ * one is refused with a 409 conflict and changes nothing. Uses the groups
+ * example schema, whose `updated_at` timestamp is its version.
+ */
+class EditConflictTest extends CRUD6TestCase
+{
+    use RefreshDatabase;
+    use WithTestUser;
+    use MockeryPHPUnitIntegration;
+
+    public function setUp(): void
+    {
+        parent::setUp();
+        $this->refreshDatabase();
+        $this->seedDatabase();
+    }
+
+    /**
+     * Test that the second of two updates carrying the same version gets a 409
+     */
+    public function testSecondUpdateWithTheSameVersionIsAConflict(): void
+    {
+        /** @var User */
+        $user = User::factory()->create();
+        $this->actAsUser($user, permissions: ['uri_crud6', 'crud6.groups.edit', 'update_group_field']);
+
+        /** @var Group */
+        $group = Group::factory()->create(['name' => 'Staff', 'description' => 'Everyone']);
+        $version = $group->fresh()->getRawOriginal('updated_at');
+
+        // Both made within the same second as the record was created
+        $request = $this->createJsonRequest('PATCH', "/api/crud6/groups/{$group->id}", [
+            'name' => 'Staff A',
+            '_version' => $version,
+        ]);
+        $response = $this->handleRequest($request);
+        $this->assertSame(200, $response->getStatusCode());
+
+        $request = $this->createJsonRequest('PATCH', "/api/crud6/groups/{$group->id}", [
+            'description' => 'Only some',
+            '_version' => $version,
+        ]);
+        $response = $this->handleRequest($request);
+        $this->assertSame(409, $response->getStatusCode());
+
+        $body = json_decode((string) $response->getBody(), true);
+        $this->assertSame(409, $body['status']);
+        $this->assertSame('Staff A', $body['current']['name']);
+
+        // The second update wrote nothing
+        $group = $group->fresh();
+        $this->assertSame('Staff A', $group->name);
+        $this->assertSame('Everyone', $group->description);
+        $this->assertNotSame($version, $group->getRawOriginal('updated_at'));
+
+        // Sent again over the current version, it goes through
+        $request = $this->createJsonRequest('PATCH', "/api/crud6/groups/{$group->id}", [
+            'description' => 'Only some',
+            '_version' => $body['current']['updated_at'],
+        ]);
+        $response = $this->handleRequest($request);
+        $this->assertSame(200, $response->getStatusCode());
+        $this->assertSame('Only some', $group->fresh()->description);
+    }
+}
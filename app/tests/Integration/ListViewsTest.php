@@ -0,0 +1,100 @@
+<?php
+
+declare(strict_types=1);
+
+/*
+ * UserFrosting CRUD6 Sprinkle (http://www.userfrosting.com)
+ *
+ * @link      https://github.com/ssnukala/sprinkle-crud6
+ * @copyright Copyright (c) 2026 Srinivas Nukala
+ * @license   https://github.com/ssnukala/sprinkle-crud6/blob/master/LICENSE.md (MIT License)
+ */
+
+namespace UserFrosting\Sprinkle\CRUD6\Tests\Integration;
+
+use Mockery\Adapter\Phpunit\MockeryPHPUnitIntegration;
+use UserFrosting\Sprinkle\Account\Database\Models\User;
+use UserFrosting\Sprinkle\Account\Testing\WithTestUser;
+use UserFrosting\Sprinkle\CRUD6\Tests\CRUD6TestCase;
+use UserFrosting\Sprinkle\Core\Testing\RefreshDatabase;
+
+/**
+ * Saved List Views Integration Test
+ *
+ * The column layout and saved views of a list are stored on the server per
+ * user and model (`/api/crud6/{model}/views`), so they follow the user to
+ * another browser and are never shared with other users. Uses the groups
+ * example schema.
+ */
+class ListViewsTest extends CRUD6TestCase
+{
+    use RefreshDatabase;
+    use WithTestUser;
+    use MockeryPHPUnitIntegration;
+
+    public function setUp(): void
+    {
+        parent::setUp();
+        $this->refreshDatabase();
+        $this->seedDatabase();
+    }
+
+    /**
+     * Test that saved views are returned to their user only
+     */
+    public function testViewsAreSavedPerUser(): void
+    {
+        /** @var User */
+        $user = User::factory()->create();
+        $this->actAsUser($user, permissions: ['uri_crud6']);
+
+        // Nothing saved yet
+        $response = $this->handleRequest($this->createJsonRequest('GET', '/api/crud6/groups/views'));
+        $this->assertSame(200, $response->getStatusCode());
+        $this->assertSame(
+            ['layout' => ['order' => [], 'hidden' => []], 'views' => [], 'defaultView' => null],
+            json_decode((string) $response->getBody(), true)
+        );
+
+        $request = $this->createJsonRequest('PUT', '/api/crud6/groups/views', [
+            'layout' => ['order' => ['name', 'id'], 'hidden' => ['id']],
+            'views' => [
+                ['name' => ' Staff ', 'columns' => ['order' => ['name'], 'hidden' => []], 'sorts' => ['name' => 'asc', 'id' => null], 'filters' => ['name' => 'Staff'], 'size' => 25],
+                ['name' => '', 'size' => 10],
+            ],
+            'defaultView' => 'Staff',
+        ]);
+        $response = $this->handleRequest($request);
+        $this->assertSame(200, $response->getStatusCode());
+
+        // Stored normalized: the nameless view and the empty sort are dropped
+        $response = $this->handleRequest($this->createJsonRequest('GET', '/api/crud6/groups/views'));
+        $body = json_decode((string) $response->getBody(), true);
+        $this->assertSame(['order' => ['name', 'id'], 'hidden' => ['id']], $body['layout']);
+        $this->assertCount(1, $body['views']);
+        $this->assertSame('Staff', $body['views'][0]['name']);
+        $this->assertSame(['name' => 'asc'], $body['views'][0]['sorts']);
+        $this->assertSame('Staff', $body['defaultView']);
+
+        // Another user does not see them
+        /** @var User */
+        $other = User::factory()->create();
+        $this->actAsUser($other, permissions: ['uri_crud6']);
+
+        $response = $this->handleRequest($this->createJsonRequest('GET', '/api/crud6/groups/views'));
+        $this->assertSame([], json_decode((string) $response->getBody(), true)['views']);
+    }
+
+    /**
+     * Test that views need access to the list
+     */
+    public function testViewsRequireReadPermission(): void
+    {
+        /** @var User */
+        $user = User::factory()->create();
+        $this->actAsUser($user);
+
+        $response = $this->handleRequest($this->createJsonRequest('PUT', '/api/crud6/groups/views', ['views' => []]));
+        $this->assertSame(403, $response->getStatusCode());
+    }
+}
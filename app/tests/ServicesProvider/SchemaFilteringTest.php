@@ -795,4 +795,400 @@ class SchemaFilteringTest extends TestCase
         $detailData = $method->invoke($schemaFilter, $schema, 'detail');
         $this->assertEquals('order_number', $detailData['title_field']);
     }
+
+    /**
+     * Test export context fields
+     * 
+     * Fields marked for export (show_in 'export' or exportable: true) are
+     * exported with their options and lookup configuration; without any marked
+     * field the export falls back to the listable fields.
+     */
+    public function testExportContextFiltering(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $schema = [
+            'model' => 'orders',
+            'title' => 'Orders',
+            'table' => 'orders',
+            'fields' => [
+                'number' => ['type' => 'string', 'label' => 'Number', 'show_in' => ['list', 'export']],
+                'status' => [
+                    'type' => 'string',
+                    'label' => 'Status',
+                    'show_in' => ['list'],
+                    'exportable' => true,
+                    'options' => [['value' => 'paid', 'label' => 'Paid']],
+                ],
+                'customer_id' => [
+                    'type' => 'smartlookup',
+                    'label' => 'Customer',
+                    'show_in' => ['export'],
+                    'lookup_model' => 'customers',
+                    'lookup_desc' => 'name',
+                ],
+                'notes' => ['type' => 'text', 'label' => 'Notes', 'show_in' => ['list', 'form']],
+            ],
+        ];
+
+        $exportData = $method->invoke($schemaFilter, $schema, 'export');
+        $this->assertEquals(['number', 'status', 'customer_id'], array_keys($exportData['fields']));
+        $this->assertEquals('Paid', $exportData['fields']['status']['options'][0]['label']);
+        $this->assertEquals('customers', $exportData['fields']['customer_id']['lookup_model']);
+        $this->assertEquals('name', $exportData['fields']['customer_id']['lookup_desc']);
+
+        // No field marked for export: same columns as the list
+        unset($schema['fields']['customer_id'], $schema['fields']['status']['exportable']);
+        $schema['fields']['number']['show_in'] = ['list'];
+        $exportData = $method->invoke($schemaFilter, $schema, 'export');
+        $this->assertEquals(['number', 'status', 'notes'], array_keys($exportData['fields']));
+    }
+
+    /**
+     * Test kanban list views and card context fields
+     * 
+     * The list context carries the kanban board with its columns (the field
+     * options by default); the card context holds the card fields, or the
+     * listable fields when no field is marked for cards.
+     */
+    public function testKanbanListViewsAndCardContext(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $schema = [
+            'model' => 'tickets',
+            'title' => 'Tickets',
+            'table' => 'tickets',
+            'list_views' => [
+                'kanban' => ['field' => 'status', 'card_template' => 'ticket-card.html'],
+                'default' => 'kanban',
+            ],
+            'fields' => [
+                'title' => ['type' => 'string', 'label' => 'Title', 'show_in' => ['list', 'card']],
+                'status' => [
+                    'type' => 'string',
+                    'label' => 'Status',
+                    'show_in' => ['list'],
+                    'options' => ['open', ['value' => 'closed', 'label' => 'Closed']],
+                ],
+                'notes' => ['type' => 'text', 'label' => 'Notes', 'show_in' => ['list', 'form']],
+            ],
+        ];
+
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertEquals('status', $listData['list_views']['kanban']['field']);
+        $this->assertEquals('Status', $listData['list_views']['kanban']['label']);
+        $this->assertEquals('ticket-card.html', $listData['list_views']['kanban']['card_template']);
+        $this->assertEquals([
+            ['value' => 'open', 'label' => 'open'],
+            ['value' => 'closed', 'label' => 'Closed'],
+        ], $listData['list_views']['kanban']['columns']);
+        $this->assertEquals('kanban', $listData['list_views']['default']);
+
+        $cardData = $method->invoke($schemaFilter, $schema, 'card');
+        $this->assertEquals(['title'], array_keys($cardData['fields']));
+
+        // No field marked for cards: same fields as the list
+        $schema['fields']['title']['show_in'] = ['list'];
+        $cardData = $method->invoke($schemaFilter, $schema, 'card');
+        $this->assertEquals(['title', 'status', 'notes'], array_keys($cardData['fields']));
+
+        // A board on an unknown field is left out
+        $schema['list_views']['kanban']['field'] = 'missing';
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertArrayNotHasKey('list_views', $listData);
+    }
+
+    /**
+     * Test the calendar view of the list context
+     * 
+     * The calendar carries the types of its date fields, its title field and
+     * mode; an unknown end field is dropped and an unknown start field leaves
+     * the calendar out.
+     */
+    public function testCalendarListViews(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $schema = [
+            'model' => 'events',
+            'title' => 'Events',
+            'table' => 'events',
+            'title_field' => 'name',
+            'list_views' => [
+                'calendar' => ['start_field' => 'starts_at', 'end_field' => 'ends_at', 'mode' => 'week'],
+                'default' => 'calendar',
+            ],
+            'fields' => [
+                'name' => ['type' => 'string', 'label' => 'Name', 'show_in' => ['list']],
+                'starts_at' => ['type' => 'datetime', 'label' => 'Starts', 'show_in' => ['list']],
+                'ends_at' => ['type' => 'date', 'label' => 'Ends', 'show_in' => ['list']],
+            ],
+        ];
+
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertEquals([
+            'start_field' => 'starts_at',
+            'end_field' => 'ends_at',
+            'mode' => 'week',
+            'start_type' => 'datetime',
+            'title_field' => 'name',
+            'end_type' => 'date',
+        ], $listData['list_views']['calendar']);
+        $this->assertEquals('calendar', $listData['list_views']['default']);
+
+        // Unknown end field and mode
+        $schema['list_views']['calendar']['end_field'] = 'missing';
+        $schema['list_views']['calendar']['mode'] = 'year';
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertArrayNotHasKey('end_field', $listData['list_views']['calendar']);
+        $this->assertEquals('month', $listData['list_views']['calendar']['mode']);
+
+        // Unknown start field: no calendar, and no default pointing at it
+        $schema['list_views']['calendar']['start_field'] = 'missing';
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertArrayNotHasKey('list_views', $listData);
+    }
+
+    /**
+     * Test the scrolling list view of the list context
+     * 
+     * `list_views.scroll` is `true` or its row height and page size; other
+     * options are dropped.
+     */
+    public function testScrollListView(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $schema = [
+            'model' => 'orders',
+            'title' => 'Orders',
+            'table' => 'orders',
+            'list_views' => ['scroll' => true, 'default' => 'scroll'],
+            'fields' => [
+                'number' => ['type' => 'string', 'label' => 'Number', 'show_in' => ['list']],
+            ],
+        ];
+
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertSame([], $listData['list_views']['scroll']);
+        $this->assertEquals('scroll', $listData['list_views']['default']);
+
+        $schema['list_views']['scroll'] = ['row_height' => '48', 'page_size' => 200, 'height' => '50vh'];
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertSame(['row_height' => 48, 'page_size' => 200], $listData['list_views']['scroll']);
+
+        $schema['list_views']['scroll'] = false;
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertArrayNotHasKey('list_views', $listData);
+    }
+
+    /**
+     * Test the tree view of the list context
+     * 
+     * `list_views.tree` keeps its parent field and page size; a tree on an
+     * unknown field is left out.
+     */
+    public function testTreeListView(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $schema = [
+            'model' => 'categories',
+            'title' => 'Categories',
+            'table' => 'categories',
+            'list_views' => [
+                'tree' => ['parent_field' => 'parent_id', 'page_size' => '50', 'icon' => 'folder'],
+                'default' => 'tree',
+            ],
+            'fields' => [
+                'name' => ['type' => 'string', 'label' => 'Name', 'show_in' => ['list']],
+                'parent_id' => ['type' => 'integer', 'label' => 'Parent', 'show_in' => ['form']],
+            ],
+        ];
+
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertSame(['parent_field' => 'parent_id', 'page_size' => 50], $listData['list_views']['tree']);
+        $this->assertEquals('tree', $listData['list_views']['default']);
+
+        $schema['list_views']['tree']['parent_field'] = 'missing';
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertArrayNotHasKey('list_views', $listData);
+    }
+
+    /**
+     * Test the card grid of the list context
+     * 
+     * The schema `card_template` turns the grid on, with the options of
+     * `list_views.grid`, and is the default template of the kanban cards.
+     */
+    public function testGridListView(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $schema = [
+            'model' => 'products',
+            'title' => 'Products',
+            'table' => 'products',
+            'card_template' => 'product-card.html',
+            'list_views' => [
+                'grid' => ['page_size' => '24', 'small_screen' => false],
+                'kanban' => ['field' => 'status'],
+                'default' => 'grid',
+            ],
+            'fields' => [
+                'name' => ['type' => 'string', 'label' => 'Name', 'show_in' => ['list']],
+                'status' => ['type' => 'string', 'label' => 'Status', 'show_in' => ['list'], 'options' => ['draft']],
+            ],
+        ];
+
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertSame([
+            'card_template' => 'product-card.html',
+            'small_screen' => false,
+            'page_size' => 24,
+        ], $listData['list_views']['grid']);
+        $this->assertEquals('product-card.html', $listData['list_views']['kanban']['card_template']);
+        $this->assertEquals('grid', $listData['list_views']['default']);
+
+        // Defaults
+        unset($schema['list_views']['grid']);
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertSame(['card_template' => 'product-card.html', 'small_screen' => true], $listData['list_views']['grid']);
+
+        // Turned off
+        $schema['list_views']['grid'] = false;
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertArrayNotHasKey('grid', $listData['list_views']);
+        $this->assertArrayNotHasKey('default', $listData['list_views']);
+    }
+
+    /**
+     * Test that the form context includes the wizard steps
+     */
+    public function testFormSteps(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $steps = [
+            ['key' => 'customer', 'title' => 'Customer', 'fields' => ['name']],
+            ['key' => 'billing', 'title' => 'Billing', 'fields' => ['vat_number']],
+        ];
+        $schema = [
+            'model' => 'customers',
+            'title' => 'Customers',
+            'table' => 'customers',
+            'form_steps' => $steps,
+            'fields' => [
+                'name' => ['type' => 'string', 'label' => 'Name'],
+                'vat_number' => ['type' => 'string', 'label' => 'VAT number'],
+            ],
+        ];
+
+        $this->assertSame($steps, $method->invoke($schemaFilter, $schema, 'form')['form_steps']);
+        $this->assertSame($steps, $method->invoke($schemaFilter, $schema, 'create')['form_steps']);
+        $this->assertArrayNotHasKey('form_steps', $method->invoke($schemaFilter, $schema, 'list'));
+    }
+
+    /**
+     * Test that the form and detail contexts include the layout of the fields
+     */
+    public function testLayout(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $layout = [
+            'tabs' => [['key' => 'billing', 'title' => 'Billing']],
+            'sections' => [
+                ['key' => 'identity', 'title' => 'Identity', 'fields' => ['name']],
+                ['key' => 'tax', 'type' => 'fieldset', 'tab' => 'billing', 'fields' => [['field' => 'vat_number', 'span' => 'full']]],
+            ],
+        ];
+        $schema = [
+            'model' => 'customers',
+            'title' => 'Customers',
+            'table' => 'customers',
+            'form_layout' => '3-column',
+            'layout' => $layout,
+            'fields' => [
+                'name' => ['type' => 'string', 'label' => 'Name'],
+                'vat_number' => ['type' => 'string', 'label' => 'VAT number'],
+            ],
+        ];
+
+        $this->assertSame($layout, $method->invoke($schemaFilter, $schema, 'form')['layout']);
+        $this->assertSame('3-column', $method->invoke($schemaFilter, $schema, 'form')['form_layout']);
+        $this->assertSame($layout, $method->invoke($schemaFilter, $schema, 'edit')['layout']);
+        $this->assertSame($layout, $method->invoke($schemaFilter, $schema, 'detail')['layout']);
+        $this->assertArrayNotHasKey('layout', $method->invoke($schemaFilter, $schema, 'list'));
+    }
+
+    /**
+     * Test that the list context includes the aggregations and the group field
+     */
+    public function testListAggregates(): void
+    {
+        $schemaFilter = $this->createSchemaFilter();
+
+        $reflection = new \ReflectionClass($schemaFilter);
+        $method = $reflection->getMethod('getContextSpecificData');
+        $method->setAccessible(true);
+
+        $schema = [
+            'model' => 'orders',
+            'title' => 'Orders',
+            'table' => 'orders',
+            'group_by' => 'status',
+            'fields' => [
+                'status' => ['type' => 'string', 'label' => 'Status', 'show_in' => ['list']],
+                'total' => ['type' => 'decimal', 'label' => 'Total', 'aggregate' => ['sum', 'avg']],
+                'ordered_at' => ['type' => 'date', 'label' => 'Ordered', 'aggregate' => ['avg', 'max']],
+                'notes' => ['type' => 'text', 'label' => 'Notes', 'aggregate' => 'sum'],
+            ],
+        ];
+
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertSame([
+            'total' => ['label' => 'Total', 'type' => 'decimal', 'functions' => ['sum', 'avg']],
+            'ordered_at' => ['label' => 'Ordered', 'type' => 'date', 'functions' => ['max']],
+        ], $listData['aggregates']);
+        $this->assertSame(['field' => 'status', 'label' => 'Status', 'type' => 'string'], $listData['group_by']);
+
+        unset($schema['group_by'], $schema['fields']['total']['aggregate'], $schema['fields']['ordered_at']['aggregate']);
+        $listData = $method->invoke($schemaFilter, $schema, 'list');
+        $this->assertArrayNotHasKey('aggregates', $listData);
+        $this->assertArrayNotHasKey('group_by', $listData);
+    }
 }
@@ -156,6 +156,18 @@ class SchemaNormalizerTest extends TestCase
         $this->assertNotContains('detail', $result['fields']['password']['show_in']);
     }
 
+    /**
+     * Test that schemas with timestamps default their version field to updated_at.
+     */
+    public function testNormalizeVersionField(): void
+    {
+        $normalizer = new SchemaNormalizer();
+
+        $this->assertSame('updated_at', $normalizer->normalizeVersionField(['model' => 'test', 'timestamps' => true])['version_field']);
+        $this->assertSame('lock_version', $normalizer->normalizeVersionField(['timestamps' => true, 'version_field' => 'lock_version'])['version_field']);
+        $this->assertArrayNotHasKey('version_field', $normalizer->normalizeVersionField(['model' => 'test']));
+    }
+
     /**
      * Test normalize applies all normalizations.
      */
@@ -134,6 +134,27 @@ class SchemaValidatorTest extends TestCase
         $validator->validate($schema, 'test_model');
     }
 
+    /**
+     * Test validate throws exception for an updated_at version without timestamps.
+     */
+    public function testValidateThrowsExceptionForUpdatedAtVersionWithoutTimestamps(): void
+    {
+        $validator = new SchemaValidator();
+        
+        $schema = [
+            'model' => 'test_model',
+            'table' => 'test_table',
+            'timestamps' => false,
+            'version_field' => 'updated_at',
+            'fields' => ['id' => ['type' => 'integer']],
+        ];
+
+        $this->expectException(SchemaValidationException::class);
+        $this->expectExceptionMessage("can't use 'updated_at' as its version_field without timestamps");
+        
+        $validator->validate($schema, 'test_model');
+    }
+
     /**
      * Test hasPermission returns true when permission exists.
      */